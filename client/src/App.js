@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -9,6 +9,16 @@ import DateSelector from './components/DateSelector';
 import ProcessingOptions from './components/ProcessingOptions';
 import ProcessingResults from './components/ProcessingResults';
 import BatchProcessor from './components/BatchProcessor';
+import ImportLifelogs from './components/ImportLifelogs';
+import ProfileSwitcher from './components/ProfileSwitcher';
+import SpeakerAliases from './components/SpeakerAliases';
+import SpeakerAnalytics from './components/SpeakerAnalytics';
+import SearchPage from './components/SearchPage';
+import ActionItems from './components/ActionItems';
+import DecisionLog from './components/DecisionLog';
+import Entities from './components/Entities';
+import TopicTaxonomy from './components/TopicTaxonomy';
+import TopicClusters from './components/TopicClusters';
 import LoadingSpinner from './components/LoadingSpinner';
 
 // Services
@@ -25,22 +35,79 @@ function App() {
     includeSpeakers: true,
     summarizeLevel: 'medium',
     outputFormat: 'markdown',
-    exportFormat: 'consolidated'
+    exportFormat: 'consolidated',
+    includeOpenThreads: false,
+    groupBy: 'priority',
+    dedupe: false
   });
   const [processingResults, setProcessingResults] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('single'); // 'single' or 'batch'
+  const [activeTab, setActiveTab] = useState('single'); // 'single', 'batch', 'speakers', 'analytics', 'actions', 'decisions', 'entities', 'themes', 'topics' or 'search'
   const [apiKeyValid, setApiKeyValid] = useState(false);
+  const [hasImportedData, setHasImportedData] = useState(false);
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(localStorage.getItem('limitless_profile_id') || '');
 
-  // Load API key from localStorage on mount
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || null;
+
+  // A profile takes precedence over a raw API key; without either the server reads
+  // imported lifelogs only. Memoized so effects can depend on it.
+  const activeProfileKey = activeProfile ? activeProfile.id : null;
+  const auth = useMemo(
+    () => (activeProfileKey ? { profileId: activeProfileKey } : (apiKeyValid ? apiKey : '')),
+    [activeProfileKey, apiKeyValid, apiKey]
+  );
+  const hasAccount = Boolean(activeProfile) || apiKeyValid;
+
+  // Load API key and profiles on mount
   useEffect(() => {
     const savedApiKey = localStorage.getItem('limitless_api_key');
     if (savedApiKey) {
       setApiKey(savedApiKey);
       validateApiKey(savedApiKey);
     }
+    loadProfiles();
   }, []);
 
+  // Load profiles, dropping a remembered profile that no longer exists
+  const loadProfiles = async () => {
+    try {
+      const list = await lifelogService.getProfiles();
+      setProfiles(list);
+      setActiveProfileId(prev => {
+        const stillExists = list.some(profile => profile.id === prev);
+        if (!stillExists) localStorage.removeItem('limitless_profile_id');
+        return stillExists ? prev : '';
+      });
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    }
+  };
+
+  // Switch profile and apply its timezone and default preset
+  const handleProfileSelect = (profileId, selected) => {
+    setActiveProfileId(profileId);
+    setAvailableDates([]);
+    setProcessingResults(null);
+    setHasImportedData(false);
+
+    if (!profileId) {
+      localStorage.removeItem('limitless_profile_id');
+      return;
+    }
+
+    localStorage.setItem('limitless_profile_id', profileId);
+    const profile = selected || profiles.find(p => p.id === profileId);
+    if (profile) {
+      const preset = (profile.defaultPreset && profile.presets?.[profile.defaultPreset]) || {};
+      setProcessingOptions(prev => ({
+        ...prev,
+        ...preset,
+        timezone: profile.timezone || prev.timezone
+      }));
+    }
+  };
+
   // Validate API key
   const validateApiKey = async (key) => {
     if (!key) {
@@ -71,9 +138,11 @@ function App() {
   };
 
   // Load available dates
-  const loadAvailableDates = async (key) => {
+  const loadAvailableDates = async () => {
     try {
-      const dates = await lifelogService.getAvailableDates(key);
+      const dates = await lifelogService.getAvailableDates(auth, {
+        timezone: processingOptions.timezone
+      });
       setAvailableDates(dates);
     } catch (error) {
       console.error('Error loading available dates:', error);
@@ -93,10 +162,35 @@ function App() {
     }
   };
 
+  // Handle imported lifelog exports
+  const handleImported = (importResult) => {
+    setHasImportedData(true);
+
+    // Merge imported dates into the quick-select list
+    setAvailableDates(prev => {
+      const byDate = new Map(prev.map(d => [d.date, d]));
+      importResult.dates.forEach(({ date, count }) => {
+        const existing = byDate.get(date);
+        byDate.set(date, { ...existing, date, count: Math.max(count, existing?.count || 0) });
+      });
+      return Array.from(byDate.values()).sort((a, b) => b.date.localeCompare(a.date));
+    });
+
+    if (importResult.dates.length > 0) {
+      setSelectedDate(importResult.dates[0].date);
+    }
+  };
+
+  // Jump from a search result to its day
+  const handleOpenDate = (date) => {
+    setSelectedDate(date);
+    setActiveTab('single');
+  };
+
   // Process single date
   const processSingleDate = async () => {
-    if (!apiKey || !selectedDate) {
-      toast.error('Please provide API key and select a date');
+    if ((!hasAccount && !hasImportedData) || !selectedDate) {
+      toast.error('Please choose a profile, provide an API key or import lifelogs, and select a date');
       return;
     }
 
@@ -106,10 +200,10 @@ function App() {
 
       let results;
       if (processingOptions.exportFormat === 'consolidated') {
-        results = await lifelogService.consolidatedExport(apiKey, selectedDate, processingOptions);
+        results = await lifelogService.consolidatedExport(auth, selectedDate, processingOptions);
         results.exportType = 'consolidated';
       } else {
-        results = await lifelogService.processLifelogs(apiKey, {
+        results = await lifelogService.processLifelogs(auth, {
           date: selectedDate,
           ...processingOptions
         });
@@ -136,18 +230,39 @@ function App() {
       <Header />
       
       <main className="container mx-auto px-4 py-8 max-w-6xl">
-        {/* API Key Input */}
+        {/* Profile Selection */}
+        <div className="mb-8">
+          <ProfileSwitcher
+            profiles={profiles}
+            activeProfileId={activeProfileId}
+            onSelect={handleProfileSelect}
+            onProfilesChange={loadProfiles}
+          />
+        </div>
+
+        {/* API Key Input - a profile brings its own key */}
+        {!activeProfile && (
+          <div className="mb-8">
+            <ApiKeyInput
+              apiKey={apiKey}
+              onApiKeyChange={handleApiKeyChange}
+              isValid={apiKeyValid}
+              isLoading={isLoading}
+            />
+          </div>
+        )}
+
+        {/* Import Exports */}
         <div className="mb-8">
-          <ApiKeyInput
-            apiKey={apiKey}
-            onApiKeyChange={handleApiKeyChange}
-            isValid={apiKeyValid}
-            isLoading={isLoading}
+          <ImportLifelogs
+            auth={auth}
+            timezone={processingOptions.timezone}
+            onImported={handleImported}
           />
         </div>
 
-        {/* Main Content - Only show if API key is valid */}
-        {apiKeyValid && (
+        {/* Main Content - Only show with a valid API key or imported data */}
+        {(hasAccount || hasImportedData) && (
           <>
             {/* Tab Navigation */}
             <div className="mb-8">
@@ -173,6 +288,86 @@ function App() {
                   >
                     Batch Processing
                   </button>
+                  <button
+                    onClick={() => setActiveTab('speakers')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'speakers'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Speakers
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('analytics')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'analytics'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Analytics
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('actions')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'actions'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Action Items
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('decisions')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'decisions'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Decisions
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('entities')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'entities'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Entities
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('themes')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'themes'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Themes
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('topics')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'topics'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Topics
+                  </button>
+                  <button
+                    onClick={() => setActiveTab('search')}
+                    className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'search'
+                        ? 'border-blue-500 text-blue-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    Search
+                  </button>
                 </nav>
               </div>
             </div>
@@ -187,8 +382,8 @@ function App() {
                     onDateChange={setSelectedDate}
                     availableDates={availableDates}
                     isLoading={isLoading}
-                    onLoadDates={() => loadAvailableDates(apiKey)}
-                    apiKeyValid={apiKeyValid}
+                    onLoadDates={loadAvailableDates}
+                    apiKeyValid={hasAccount}
                   />
                 </div>
 
@@ -234,12 +429,96 @@ function App() {
             {activeTab === 'batch' && (
               <div className="card">
                 <BatchProcessor
-                  apiKey={apiKey}
+                  auth={auth}
                   availableDates={availableDates}
                   defaultOptions={processingOptions}
                 />
               </div>
             )}
+
+            {/* Speaker Aliases Tab */}
+            {activeTab === 'speakers' && (
+              <div className="card">
+                <SpeakerAliases
+                  auth={auth}
+                  selectedDate={selectedDate}
+                  timezone={processingOptions.timezone}
+                />
+              </div>
+            )}
+
+            {/* Speaker Analytics Tab */}
+            {activeTab === 'analytics' && (
+              <div className="card">
+                <SpeakerAnalytics
+                  auth={auth}
+                  selectedDate={selectedDate}
+                  timezone={processingOptions.timezone}
+                />
+              </div>
+            )}
+
+            {/* Action Items Tab */}
+            {activeTab === 'actions' && (
+              <div className="card">
+                <ActionItems
+                  auth={auth}
+                  selectedDate={selectedDate}
+                  timezone={processingOptions.timezone}
+                />
+              </div>
+            )}
+
+            {/* Decision Log Tab */}
+            {activeTab === 'decisions' && (
+              <div className="card">
+                <DecisionLog
+                  auth={auth}
+                  selectedDate={selectedDate}
+                  timezone={processingOptions.timezone}
+                />
+              </div>
+            )}
+
+            {/* Entities Tab */}
+            {activeTab === 'entities' && (
+              <div className="card">
+                <Entities
+                  auth={auth}
+                  selectedDate={selectedDate}
+                  timezone={processingOptions.timezone}
+                />
+              </div>
+            )}
+
+            {/* Themes Tab */}
+            {activeTab === 'themes' && (
+              <div className="card">
+                <TopicClusters
+                  auth={auth}
+                  selectedDate={selectedDate}
+                  timezone={processingOptions.timezone}
+                />
+              </div>
+            )}
+
+            {/* Topic Taxonomy Tab */}
+            {activeTab === 'topics' && (
+              <div className="card">
+                <TopicTaxonomy auth={auth} />
+              </div>
+            )}
+
+            {/* Search Tab */}
+            {activeTab === 'search' && (
+              <div className="card">
+                <SearchPage
+                  auth={auth}
+                  timezone={processingOptions.timezone}
+                  onOpenDate={handleOpenDate}
+                />
+              </div>
+            )}
           </>
         )}
 
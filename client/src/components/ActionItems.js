@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { CheckSquare, Calendar, CalendarPlus, Clock, User } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+const KIND_LABELS = {
+  commitment: 'Commitment',
+  request: 'Request',
+  assignment: 'Assigned',
+  explicit: 'Action item'
+};
+
+const ActionItems = ({ auth, selectedDate, timezone }) => {
+  const [range, setRange] = useState({ startDate: selectedDate, endDate: selectedDate });
+  const [owner, setOwner] = useState('');
+  const [result, setResult] = useState(null);
+  const [mentions, setMentions] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleRangeChange = (field, value) => {
+    setRange(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const loadItems = async () => {
+    if (!range.startDate || !range.endDate) {
+      toast.error('Please select a date range');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const params = { ...range, timezone };
+      if (owner.trim()) params.owner = owner.trim();
+      const [items, dates] = await Promise.all([
+        lifelogService.getActionItems(auth, params),
+        lifelogService.getDateMentions(auth, { ...range, timezone })
+      ]);
+      setResult(items);
+      setMentions(dates);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const downloadCalendar = async () => {
+    try {
+      const calendar = await lifelogService.getDateMentionsCalendar(auth, { ...range, timezone });
+      lifelogService.downloadAsFile(calendar, `lifelog_${range.startDate}_${range.endDate}.ics`, 'text/calendar');
+      toast.success('Calendar downloaded');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const formatWhen = (mention) => (mention.start
+    ? new Date(mention.start).toLocaleString([], { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short' })
+    : mention.date);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <CheckSquare className="h-6 w-6 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Action Items</h2>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-3">
+        <div className="flex-1">
+          <label className="label">Start Date</label>
+          <input
+            type="date"
+            value={range.startDate}
+            onChange={(e) => handleRangeChange('startDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">End Date</label>
+          <input
+            type="date"
+            value={range.endDate}
+            onChange={(e) => handleRangeChange('endDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">Owner</label>
+          <input
+            type="text"
+            value={owner}
+            onChange={(e) => setOwner(e.target.value)}
+            placeholder="Anyone"
+            className="input-field"
+          />
+        </div>
+        <button
+          onClick={loadItems}
+          disabled={isLoading}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          {isLoading ? <LoadingSpinner size="sm" /> : <CheckSquare className="h-4 w-4" />}
+          <span>Find Items</span>
+        </button>
+      </div>
+
+      {result && result.total === 0 && (
+        <p className="text-sm text-gray-500">No commitments found in this range.</p>
+      )}
+
+      {result && result.days.filter(day => day.items.length > 0).map((day) => (
+        <div key={day.date}>
+          <h3 className="font-medium text-gray-900 mb-2">{day.date}</h3>
+          <div className="space-y-2">
+            {day.items.map((item) => (
+              <div key={item.id} className="p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="text-sm text-gray-900">
+                    <span className="font-medium">{item.owner || 'Unassigned'}</span>
+                    {item.recipient && <span className="text-gray-500"> → {item.recipient}</span>}
+                    <span>: {item.task}</span>
+                  </div>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">{KIND_LABELS[item.kind]}</span>
+                </div>
+                <div className="mt-1 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500">
+                  {item.due && (
+                    <span className="flex items-center space-x-1 text-amber-700">
+                      <Calendar className="h-3 w-3" />
+                      <span>{item.due}</span>
+                    </span>
+                  )}
+                  {item.speaker && (
+                    <span className="flex items-center space-x-1">
+                      <User className="h-3 w-3" />
+                      <span>said by {item.speaker}</span>
+                    </span>
+                  )}
+                  <span>{item.title}{item.startTime && `, ${new Date(item.startTime).toLocaleTimeString()}`}</span>
+                </div>
+                <p className="mt-1 text-xs italic text-gray-600">“{item.quote}”</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {mentions && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-medium text-gray-900">Dates &amp; Deadlines</h3>
+            <button
+              onClick={downloadCalendar}
+              disabled={mentions.total === 0}
+              className="btn-secondary flex items-center space-x-2 text-sm"
+            >
+              <CalendarPlus className="h-4 w-4" />
+              <span>Download .ics</span>
+            </button>
+          </div>
+          {mentions.total === 0 && (
+            <p className="text-sm text-gray-500">No upcoming dates mentioned in this range.</p>
+          )}
+          <div className="space-y-2">
+            {mentions.days.flatMap(day => day.mentions).map((mention) => (
+              <div key={mention.id} className="p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-start justify-between gap-3 text-sm">
+                  <span className="text-gray-900">{mention.summary}</span>
+                  <span className={`text-xs whitespace-nowrap ${mention.kind === 'deadline' ? 'text-red-600' : 'text-blue-600'}`}>
+                    {mention.kind === 'deadline' ? 'Deadline' : 'Event'}
+                  </span>
+                </div>
+                <div className="mt-1 flex items-center space-x-1 text-xs text-gray-500">
+                  <Clock className="h-3 w-3" />
+                  <span>{formatWhen(mention)} (from “{mention.mention}”)</span>
+                </div>
+                <p className="mt-1 text-xs italic text-gray-600">“{mention.quote}” — {mention.speaker || 'Unknown'}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActionItems;
@@ -13,7 +13,7 @@ import { toast } from 'react-toastify';
 import { lifelogService } from '../services/lifelogService';
 import LoadingSpinner from './LoadingSpinner';
 
-const BatchProcessor = ({ apiKey, availableDates, defaultOptions }) => {
+const BatchProcessor = ({ auth, availableDates, defaultOptions }) => {
   const [dateRange, setDateRange] = useState({
     startDate: '',
     endDate: ''
@@ -71,12 +71,13 @@ const BatchProcessor = ({ apiKey, availableDates, defaultOptions }) => {
       setProgress({ current: 0, total: dateArray.length });
       setResults(null);
 
-      const batchResults = await lifelogService.batchProcess(apiKey, {
+      const batchResults = await lifelogService.batchProcess(auth, {
         startDate: dateRange.startDate,
         endDate: dateRange.endDate,
         timezone: batchOptions.timezone,
         maxTokensPerDay: batchOptions.maxTokensPerDay,
-        outputFormat: batchOptions.outputFormat
+        outputFormat: batchOptions.outputFormat,
+        dedupe: Boolean(batchOptions.dedupe)
       });
 
       setResults(batchResults);
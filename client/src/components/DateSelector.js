@@ -36,6 +36,13 @@ const DateSelector = ({ selectedDate, onDateChange, availableDates, isLoading, o
     return `${Math.floor(diffDays / 30)} months ago`;
   };
 
+  const formatMinutes = (minutes) => {
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    const remaining = minutes % 60;
+    return remaining ? `${hours}h ${remaining}m` : `${hours}h`;
+  };
+
   const selectedDateInfo = availableDates.find(d => d.date === selectedDate);
 
   return (
@@ -88,10 +95,22 @@ const DateSelector = ({ selectedDate, onDateChange, availableDates, isLoading, o
                     {selectedDateInfo.count}
                   </span>
                 </div>
+                {selectedDateInfo.totalMinutes !== undefined && (
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-700">Recorded Time:</span>
+                    <span className="text-sm font-semibold text-blue-600">
+                      {formatMinutes(selectedDateInfo.totalMinutes)}
+                    </span>
+                  </div>
+                )}
                 {selectedDateInfo.hasStarred && (
                   <div className="flex items-center space-x-2 text-sm text-yellow-600">
                     <Star className="h-4 w-4 fill-current" />
-                    <span>Contains starred entries</span>
+                    <span>
+                      {selectedDateInfo.starredCount
+                        ? `${selectedDateInfo.starredCount} starred ${selectedDateInfo.starredCount === 1 ? 'entry' : 'entries'}`
+                        : 'Contains starred entries'}
+                    </span>
                   </div>
                 )}
                 <div className="text-xs text-gray-500 mt-2">
@@ -149,7 +168,8 @@ const DateSelector = ({ selectedDate, onDateChange, availableDates, isLoading, o
               <option value="">Select from recent dates...</option>
               {availableDates.slice(0, 10).map((dateInfo) => (
                 <option key={dateInfo.date} value={dateInfo.date}>
-                  {formatDate(dateInfo.date)} ({dateInfo.count} entries)
+                  {formatDate(dateInfo.date)} ({dateInfo.count} entries
+                  {dateInfo.totalMinutes ? `, ${formatMinutes(dateInfo.totalMinutes)}` : ''})
                   {dateInfo.hasStarred ? ' ⭐' : ''}
                 </option>
               ))}
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Gavel, Download, Users, CheckCircle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+const DecisionLog = ({ auth, selectedDate, timezone }) => {
+  const [range, setRange] = useState({ startDate: selectedDate, endDate: selectedDate });
+  const [participant, setParticipant] = useState('');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleRangeChange = (field, value) => {
+    setRange(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const buildParams = () => {
+    const params = { ...range, timezone };
+    if (participant.trim()) params.participant = participant.trim();
+    return params;
+  };
+
+  const loadDecisions = async () => {
+    if (!range.startDate || !range.endDate) {
+      toast.error('Please select a date range');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setResult(await lifelogService.getDecisions(auth, buildParams()));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const downloadMarkdown = async () => {
+    try {
+      const markdown = await lifelogService.getDecisionLogMarkdown(auth, buildParams());
+      lifelogService.downloadAsFile(markdown, `decisions_${range.startDate}_${range.endDate}.md`, 'text/markdown');
+      toast.success('Decision log downloaded');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Gavel className="h-6 w-6 text-blue-600" />
+          <h2 className="text-xl font-semibold text-gray-900">Decision Log</h2>
+        </div>
+        {result && result.total > 0 && (
+          <button
+            onClick={downloadMarkdown}
+            className="btn-secondary flex items-center space-x-2 text-sm"
+          >
+            <Download className="h-4 w-4" />
+            <span>Download Markdown</span>
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-3">
+        <div className="flex-1">
+          <label className="label">Start Date</label>
+          <input
+            type="date"
+            value={range.startDate}
+            onChange={(e) => handleRangeChange('startDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">End Date</label>
+          <input
+            type="date"
+            value={range.endDate}
+            onChange={(e) => handleRangeChange('endDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">Participant</label>
+          <input
+            type="text"
+            value={participant}
+            onChange={(e) => setParticipant(e.target.value)}
+            placeholder="Anyone"
+            className="input-field"
+          />
+        </div>
+        <button
+          onClick={loadDecisions}
+          disabled={isLoading}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          {isLoading ? <LoadingSpinner size="sm" /> : <Gavel className="h-4 w-4" />}
+          <span>Find Decisions</span>
+        </button>
+      </div>
+
+      {result && result.total === 0 && (
+        <p className="text-sm text-gray-500">No decisions found in this range.</p>
+      )}
+
+      {result && result.decisions.length > 0 && (
+        <div className="space-y-3">
+          {result.decisions.map((decision, index) => (
+            <div key={decision.id}>
+              {(index === 0 || result.decisions[index - 1].date !== decision.date) && (
+                <h3 className="font-medium text-gray-900 mb-2">{decision.date}</h3>
+              )}
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="flex items-start justify-between gap-3">
+                  <span className="text-sm font-medium text-gray-900">{decision.decision}</span>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {decision.time && new Date(decision.time).toLocaleTimeString([], { timeZone: timezone, timeStyle: 'short' })}
+                  </span>
+                </div>
+                <div className="mt-1 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500">
+                  <span>{[decision.title, decision.heading].filter(Boolean).join(' › ')}</span>
+                  {decision.decidedBy && (
+                    <span className="flex items-center space-x-1">
+                      <CheckCircle className="h-3 w-3" />
+                      <span>
+                        {decision.decidedBy}
+                        {decision.confirmedBy.length > 0 && `, confirmed by ${decision.confirmedBy.join(', ')}`}
+                      </span>
+                    </span>
+                  )}
+                  {decision.participants.length > 0 && (
+                    <span className="flex items-center space-x-1">
+                      <Users className="h-3 w-3" />
+                      <span>{decision.participants.join(', ')}</span>
+                    </span>
+                  )}
+                </div>
+                <div className="mt-2 border-l-2 border-gray-200 pl-3 space-y-1">
+                  {decision.context.map((line) => (
+                    <p
+                      key={line.utteranceId}
+                      className={`text-xs ${line.utteranceId === decision.utteranceId ? 'text-gray-900' : 'text-gray-500'}`}
+                    >
+                      {line.speaker && <span className="font-medium">{line.speaker}: </span>}
+                      {line.text}
+                    </p>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DecisionLog;
@@ -0,0 +1,258 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Tags, Trash2, Search } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+const TYPE_LABELS = {
+  person: 'Person',
+  organization: 'Organization',
+  place: 'Place',
+  product: 'Product',
+  ignore: 'Ignore'
+};
+
+const emptyForm = { name: '', type: 'person', aliases: '' };
+
+const Entities = ({ auth, selectedDate, timezone }) => {
+  const [range, setRange] = useState({ startDate: selectedDate, endDate: selectedDate });
+  const [type, setType] = useState('');
+  const [result, setResult] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadGazetteer = useCallback(async () => {
+    try {
+      const data = await lifelogService.getGazetteer(auth);
+      setEntries(data.entries || []);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }, [auth]);
+
+  useEffect(() => {
+    loadGazetteer();
+  }, [loadGazetteer]);
+
+  const handleRangeChange = (field, value) => {
+    setRange(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const loadEntities = async () => {
+    if (!range.startDate || !range.endDate) {
+      toast.error('Please select a date range');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const params = { ...range, timezone };
+      if (type) params.type = type;
+      setResult(await lifelogService.getEntities(auth, params));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      await lifelogService.saveGazetteerEntry(auth, {
+        name: form.name.trim(),
+        type: form.type,
+        aliases: form.aliases.split(',').map(alias => alias.trim()).filter(Boolean)
+      });
+      toast.success(`Saved ${form.name.trim()}`);
+      setForm(emptyForm);
+      await loadGazetteer();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    try {
+      await lifelogService.deleteGazetteerEntry(auth, entry.id);
+      await loadGazetteer();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const peak = result ? Math.max(1, ...result.entities.flatMap(entity => entity.timeline.map(day => day.count))) : 1;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <Tags className="h-6 w-6 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Entities</h2>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-3">
+        <div className="flex-1">
+          <label className="label">Start Date</label>
+          <input
+            type="date"
+            value={range.startDate}
+            onChange={(e) => handleRangeChange('startDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">End Date</label>
+          <input
+            type="date"
+            value={range.endDate}
+            onChange={(e) => handleRangeChange('endDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">Type</label>
+          <select value={type} onChange={(e) => setType(e.target.value)} className="input-field">
+            <option value="">All types</option>
+            {['person', 'organization', 'place', 'product'].map(value => (
+              <option key={value} value={value}>{TYPE_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={loadEntities}
+          disabled={isLoading}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          {isLoading ? <LoadingSpinner size="sm" /> : <Search className="h-4 w-4" />}
+          <span>Find Entities</span>
+        </button>
+      </div>
+
+      {result && result.total === 0 && (
+        <p className="text-sm text-gray-500">No entities found in this range.</p>
+      )}
+
+      {result && result.entities.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Name</th>
+                <th className="py-2 pr-4 font-medium">Type</th>
+                <th className="py-2 pr-4 font-medium text-right">Mentions</th>
+                <th className="py-2 pr-4 font-medium text-right">Conversations</th>
+                <th className="py-2 font-medium">Over time</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {result.entities.map((entity) => (
+                <tr key={`${entity.type}:${entity.name}`}>
+                  <td className="py-2 pr-4 font-medium text-gray-900">{entity.name}</td>
+                  <td className="py-2 pr-4 text-gray-600">{TYPE_LABELS[entity.type]}</td>
+                  <td className="py-2 pr-4 text-right text-gray-900">{entity.total}</td>
+                  <td className="py-2 pr-4 text-right text-gray-600">{entity.lifelogCount}</td>
+                  <td className="py-2">
+                    <div className="flex items-end h-6 space-x-px">
+                      {entity.timeline.map((day) => (
+                        <div
+                          key={day.date}
+                          className={day.count > 0 ? 'w-2 bg-blue-500' : 'w-2 bg-gray-200'}
+                          style={{ height: `${Math.max(8, (day.count / peak) * 100)}%` }}
+                          title={`${day.date}: ${day.count}`}
+                        />
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Gazetteer */}
+      <div>
+        <h3 className="font-medium text-gray-900 mb-1">Gazetteer</h3>
+        <p className="text-xs text-gray-500 mb-3">
+          Names to always recognize, with other spellings. Use "Ignore" for words wrongly picked up as names.
+        </p>
+
+        <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-center mb-3">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => handleFormChange('name', e.target.value)}
+            placeholder="Name, e.g. Acme Corp"
+            className="input-field"
+            disabled={isSaving}
+          />
+          <select
+            value={form.type}
+            onChange={(e) => handleFormChange('type', e.target.value)}
+            className="input-field"
+            disabled={isSaving}
+          >
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={form.aliases}
+            onChange={(e) => handleFormChange('aliases', e.target.value)}
+            placeholder="Other spellings, comma separated"
+            className="input-field"
+            disabled={isSaving}
+          />
+          <button type="submit" className="btn-primary" disabled={isSaving || !form.name.trim()}>
+            {isSaving ? 'Saving...' : 'Save'}
+          </button>
+        </form>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No entries yet. The built-in list and rules are used.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {entries.map((entry) => (
+              <div key={entry.id} className="flex items-center justify-between py-2 text-sm">
+                <span className="flex items-center space-x-2">
+                  <span className="font-medium text-gray-900">{entry.name}</span>
+                  <span className="text-xs text-gray-500">{TYPE_LABELS[entry.type]}</span>
+                  {entry.aliases.length > 0 && (
+                    <span className="text-xs text-gray-500">also {entry.aliases.join(', ')}</span>
+                  )}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(entry)}
+                  className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                  title="Remove entry"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Entities;
@@ -0,0 +1,109 @@
+import React, { useRef, useState } from 'react';
+import { Upload, FileJson, CheckCircle, XCircle } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+const ImportLifelogs = ({ auth, timezone, onImported }) => {
+  const fileInputRef = useRef(null);
+  const [selectedFiles, setSelectedFiles] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleFileChange = (e) => {
+    setSelectedFiles(Array.from(e.target.files || []));
+    setResult(null);
+  };
+
+  const handleImport = async () => {
+    if (selectedFiles.length === 0) {
+      toast.error('Please choose one or more JSON files');
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      const importResult = await lifelogService.importLifelogs(auth, selectedFiles, timezone);
+      setResult(importResult);
+      setSelectedFiles([]);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+
+      toast.success(`Imported ${importResult.imported} lifelogs across ${importResult.dates.length} days`);
+      onImported(importResult);
+    } catch (error) {
+      console.error('Import error:', error);
+      toast.error(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center space-x-3 mb-4">
+        <Upload className="h-6 w-6 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Import Lifelog Exports</h2>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Upload Limitless lifelog JSON dumps (single or multi-day) to process them offline.
+        {!auth && ' No API key is needed for imported data.'}
+      </p>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-3">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          multiple
+          onChange={handleFileChange}
+          className="input-field flex-1"
+          disabled={isImporting}
+        />
+        <button
+          onClick={handleImport}
+          disabled={isImporting || selectedFiles.length === 0}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          {isImporting ? (
+            <>
+              <LoadingSpinner size="sm" />
+              <span>Importing...</span>
+            </>
+          ) : (
+            <>
+              <Upload className="h-4 w-4" />
+              <span>Import {selectedFiles.length > 0 ? `${selectedFiles.length} file(s)` : ''}</span>
+            </>
+          )}
+        </button>
+      </div>
+
+      {result && (
+        <div className="mt-4 space-y-2">
+          {result.files.map((file) => (
+            <div key={file.filename} className="flex items-center space-x-2 text-sm">
+              {file.success ? (
+                <CheckCircle className="h-4 w-4 text-green-600" />
+              ) : (
+                <XCircle className="h-4 w-4 text-red-600" />
+              )}
+              <FileJson className="h-4 w-4 text-gray-400" />
+              <span className="font-medium text-gray-900">{file.filename}</span>
+              <span className="text-gray-600">
+                {file.success
+                  ? `${file.count} lifelogs${file.skipped ? `, ${file.skipped} skipped` : ''}`
+                  : file.error}
+              </span>
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">
+            {result.added} new, {result.updated} updated, {result.unchanged} unchanged
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportLifelogs;
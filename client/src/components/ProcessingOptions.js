@@ -1,5 +1,5 @@
 import React from 'react';
-import { Settings, Zap, Clock, Users, FileText, Globe } from 'lucide-react';
+import { Settings, Zap, Clock, Users, FileText, Globe, HelpCircle, CopyMinus } from 'lucide-react';
 
 const ProcessingOptions = ({ options, onOptionsChange }) => {
   const handleOptionChange = (key, value) => {
@@ -37,6 +37,17 @@ const ProcessingOptions = ({ options, onOptionsChange }) => {
     { value: 'high', label: 'High - Maximum compression', description: 'Aggressive summarization, key points only' }
   ];
 
+  const chunkStrategies = [
+    { value: 'semantic', label: 'By topic (headings)' },
+    { value: 'conversation', label: 'By conversation (silence gaps)' },
+    { value: 'fixed', label: 'Fixed size' }
+  ];
+
+  const groupByModes = [
+    { value: 'priority', label: 'Priority (key, regular, background)' },
+    { value: 'cluster', label: 'Discovered themes' }
+  ];
+
   const outputFormats = [
     { value: 'markdown', label: 'Markdown', description: 'Structured format with headers and formatting' },
     { value: 'json', label: 'JSON', description: 'Structured data format for programmatic use' },
@@ -135,6 +146,39 @@ const ProcessingOptions = ({ options, onOptionsChange }) => {
               ))}
             </div>
           </div>
+
+          {/* Chunking Strategy */}
+          <div>
+            <label className="label">Chunking Strategy</label>
+            <select
+              value={options.chunkStrategy || 'semantic'}
+              onChange={(e) => handleOptionChange('chunkStrategy', e.target.value)}
+              className="input-field"
+            >
+              {chunkStrategies.map((strategy) => (
+                <option key={strategy.value} value={strategy.value}>
+                  {strategy.label}
+                </option>
+              ))}
+            </select>
+            {options.chunkStrategy === 'conversation' && (
+              <div className="flex items-center space-x-2 mt-2">
+                <span className="text-sm text-gray-700">New conversation after</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="120"
+                  value={options.silenceGapMinutes || 5}
+                  onChange={(e) => handleOptionChange('silenceGapMinutes', parseInt(e.target.value) || 5)}
+                  className="input-field w-20"
+                />
+                <span className="text-sm text-gray-700">minutes of silence</span>
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              How multi-file exports are split when content exceeds the token limit
+            </p>
+          </div>
         </div>
 
         {/* Right Column */}
@@ -174,6 +218,64 @@ const ProcessingOptions = ({ options, onOptionsChange }) => {
               <p className="text-xs text-gray-500 ml-6">
                 Identify who said what in conversations and meetings
               </p>
+
+              {options.exportFormat !== 'consolidated' && (
+                <>
+                  <label className="flex items-center space-x-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(options.dedupe)}
+                      onChange={(e) => handleOptionChange('dedupe', e.target.checked)}
+                      className="rounded"
+                    />
+                    <div className="flex items-center space-x-2">
+                      <CopyMinus className="h-4 w-4 text-gray-500" />
+                      <span className="text-sm font-medium text-gray-900">Remove Repeated Passages</span>
+                    </div>
+                  </label>
+                  <p className="text-xs text-gray-500 ml-6">
+                    Drop utterances and lifelogs that repeat earlier ones, such as TV audio picked up twice
+                  </p>
+                </>
+              )}
+
+              {options.exportFormat === 'consolidated' && (
+                <>
+                  <label className="flex items-center space-x-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(options.includeOpenThreads)}
+                      onChange={(e) => handleOptionChange('includeOpenThreads', e.target.checked)}
+                      className="rounded"
+                    />
+                    <div className="flex items-center space-x-2">
+                      <HelpCircle className="h-4 w-4 text-gray-500" />
+                      <span className="text-sm font-medium text-gray-900">Include Open Threads</span>
+                    </div>
+                  </label>
+                  <p className="text-xs text-gray-500 ml-6">
+                    List questions that nobody answered in the conversation they were asked in
+                  </p>
+
+                  <div>
+                    <label className="label">Organize Export By</label>
+                    <select
+                      value={options.groupBy || 'priority'}
+                      onChange={(e) => handleOptionChange('groupBy', e.target.value)}
+                      className="input-field"
+                    >
+                      {groupByModes.map((mode) => (
+                        <option key={mode.value} value={mode.value}>
+                          {mode.label}
+                        </option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Themes are found by grouping conversations that use the same words
+                    </p>
+                  </div>
+                </>
+              )}
             </div>
           </div>
 
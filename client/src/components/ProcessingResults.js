@@ -8,7 +8,8 @@ import {
   BarChart3, 
   Zap,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  ListOrdered
 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import { lifelogService } from '../services/lifelogService';
@@ -20,6 +21,7 @@ const ProcessingResults = ({ results, onClear }) => {
 
   // Handle different result types
   const isConsolidatedExport = results.exportType === 'consolidated';
+  const hasRanking = isConsolidatedExport && results.ranking && results.ranking.length > 0;
   const displayContent = isConsolidatedExport ? results.content : results.output;
 
   // Multi-file export functionality
@@ -30,6 +32,7 @@ const ProcessingResults = ({ results, onClear }) => {
         maxTokens: results.metadata?.settings?.maxTokens || 8000,
         includeTimestamps: results.metadata?.settings?.includeTimestamps !== false,
         includeSpeakers: results.metadata?.settings?.includeSpeakers !== false,
+        dedupe: results.metadata?.settings?.dedupe === true,
         summarizeLevel: 'low' // Full content for memory building
       });
 
@@ -277,6 +280,32 @@ const ProcessingResults = ({ results, onClear }) => {
             </div>
           </div>
           
+          {/* Repeated passages left out */}
+          {results.metadata?.deduplication && (
+            <div className="mt-4">
+              <h5 className="font-medium text-gray-900 mb-2">
+                Repeated Passages Removed ({formatTokenCount(results.metadata.deduplication.tokensSaved)} tokens saved)
+              </h5>
+              {results.metadata.deduplication.removedSpans.length === 0 ? (
+                <p className="text-xs text-gray-500">No near-duplicates found.</p>
+              ) : (
+                <ul className="space-y-1">
+                  {results.metadata.deduplication.removedSpans.map((span, index) => (
+                    <li key={index} className="text-xs text-gray-700">
+                      <span className="text-gray-500">
+                        {span.startTime ? new Date(span.startTime).toLocaleTimeString() : span.lifelogId}
+                      </span>{' '}
+                      {span.kind === 'lifelog'
+                        ? `Whole lifelog "${span.title}", a repeat of "${span.duplicateOf.title}"`
+                        : `${span.speaker}: ${span.text}`}
+                      <span className="text-gray-500"> ({Math.round(span.similarity * 100)}% similar, {span.tokens} tokens)</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
           {/* Topics for Consolidated Export */}
           {isConsolidatedExport && results.topics && results.topics.length > 0 && (
             <div className="mt-4">
@@ -318,6 +347,56 @@ const ProcessingResults = ({ results, onClear }) => {
     );
   };
 
+  const priorityColors = {
+    high: 'bg-red-100 text-red-800',
+    medium: 'bg-yellow-100 text-yellow-800',
+    low: 'bg-gray-100 text-gray-700'
+  };
+
+  const renderRanking = () => (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Why This Order</h3>
+        <p className="text-sm text-gray-500">
+          Entries are added to the export from the highest score down until the token budget runs out.
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        {results.ranking.map((entry) => (
+          <div key={entry.lifelogId} className={`p-3 rounded-lg ${entry.included ? 'bg-gray-50' : 'bg-gray-50 opacity-60'}`}>
+            <div className="flex items-center justify-between gap-3">
+              <div className="flex items-center space-x-2 min-w-0">
+                <span className="text-sm font-bold text-gray-500">#{entry.rank}</span>
+                <span className="text-sm font-medium text-gray-900 truncate">{entry.title}</span>
+                <span className={`px-2 py-0.5 text-xs rounded-full capitalize ${priorityColors[entry.priority]}`}>
+                  {entry.priority}
+                </span>
+                {!entry.included && <span className="text-xs text-gray-500">Left out (over budget)</span>}
+              </div>
+              <span className="text-lg font-bold text-blue-600">{entry.score}</span>
+            </div>
+            <div className="mt-2 space-y-1">
+              {entry.factors.map((factor) => (
+                <div key={factor.name} className="flex items-center gap-3 text-xs">
+                  <span className="w-28 text-gray-600">{factor.label}</span>
+                  <div className="w-24 h-2 bg-gray-200 rounded">
+                    <div
+                      className="h-2 bg-blue-500 rounded"
+                      style={{ width: `${(factor.points / factor.maxPoints) * 100}%` }}
+                    />
+                  </div>
+                  <span className="w-16 text-gray-700">{factor.points} / {factor.maxPoints}</span>
+                  <span className="flex-1 text-gray-500 truncate" title={factor.detail}>{factor.detail}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -362,6 +441,21 @@ const ProcessingResults = ({ results, onClear }) => {
               <span>Statistics</span>
             </div>
           </button>
+          {hasRanking && (
+            <button
+              onClick={() => setActiveTab('ranking')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'ranking'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <div className="flex items-center space-x-2">
+                <ListOrdered className="h-4 w-4" />
+                <span>Ranking</span>
+              </div>
+            </button>
+          )}
         </nav>
       </div>
 
@@ -369,6 +463,7 @@ const ProcessingResults = ({ results, onClear }) => {
       <div className="min-h-[400px]">
         {activeTab === 'output' && renderContent()}
         {activeTab === 'stats' && renderStats()}
+        {activeTab === 'ranking' && hasRanking && renderRanking()}
       </div>
 
       {/* Quick Actions */}
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Users, Plus, Trash2, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+
+const ProfileSwitcher = ({ profiles, activeProfileId, onSelect, onProfilesChange }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState({ name: '', apiKey: '', timezone: 'UTC' });
+
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId);
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const profile = await lifelogService.createProfile({
+        name: form.name.trim(),
+        apiKey: form.apiKey.trim(),
+        timezone: form.timezone.trim() || 'UTC'
+      });
+
+      toast.success(`Profile "${profile.name}" created`);
+      setForm({ name: '', apiKey: '', timezone: 'UTC' });
+      setShowForm(false);
+      await onProfilesChange();
+      onSelect(profile.id, profile);
+    } catch (error) {
+      console.error('Profile creation error:', error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!activeProfile || !window.confirm(`Delete profile "${activeProfile.name}"?`)) return;
+
+    try {
+      await lifelogService.deleteProfile(activeProfile.id);
+      toast.success(`Profile "${activeProfile.name}" deleted`);
+      onSelect('');
+      await onProfilesChange();
+    } catch (error) {
+      console.error('Profile deletion error:', error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Users className="h-6 w-6 text-blue-600" />
+          <h2 className="text-xl font-semibold text-gray-900">Profile</h2>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowForm(!showForm)}
+          className="btn-secondary flex items-center space-x-1"
+        >
+          {showForm ? <X className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+          <span>{showForm ? 'Cancel' : 'New Profile'}</span>
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3">
+        <select
+          value={activeProfileId}
+          onChange={(e) => onSelect(e.target.value)}
+          className="input-field flex-1"
+        >
+          <option value="">No profile — use API key</option>
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} ({profile.timezone})
+            </option>
+          ))}
+        </select>
+        {activeProfile && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+            title="Delete profile"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {activeProfile && (
+        <p className="text-xs text-gray-500 mt-2">
+          {activeProfile.hasApiKey
+            ? `Using API key ${activeProfile.apiKeyHint}`
+            : 'No API key stored; only imported lifelogs are available'}
+          {activeProfile.defaultPreset && ` · default preset "${activeProfile.defaultPreset}"`}
+        </p>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => handleFormChange('name', e.target.value)}
+            placeholder="Profile name"
+            className="input-field"
+            disabled={isSaving}
+          />
+          <input
+            type="password"
+            value={form.apiKey}
+            onChange={(e) => handleFormChange('apiKey', e.target.value)}
+            placeholder="Limitless.ai API key"
+            className="input-field"
+            disabled={isSaving}
+          />
+          <input
+            type="text"
+            value={form.timezone}
+            onChange={(e) => handleFormChange('timezone', e.target.value)}
+            placeholder="Timezone, e.g. America/Chicago"
+            className="input-field"
+            disabled={isSaving}
+          />
+          <div className="md:col-span-3 flex justify-end">
+            <button
+              type="submit"
+              className="btn-primary"
+              disabled={isSaving || !form.name.trim()}
+            >
+              {isSaving ? 'Saving...' : 'Create Profile'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ProfileSwitcher;
@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import { Search, Star, ExternalLink, Link2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+const PAGE_SIZE = 20;
+
+// Split a snippet into plain and highlighted parts
+const highlightSnippet = (snippet, highlights) => {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(([start, end], index) => {
+    if (start > position) parts.push(snippet.slice(position, start));
+    parts.push(<mark key={index} className="bg-yellow-200 rounded px-0.5">{snippet.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(snippet.slice(position));
+
+  return parts;
+};
+
+const SearchPage = ({ auth, timezone, onOpenDate }) => {
+  const [filters, setFilters] = useState({
+    q: '',
+    startDate: '',
+    endDate: '',
+    speaker: '',
+    topic: '',
+    starred: false
+  });
+  const [response, setResponse] = useState(null);
+  const [related, setRelated] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const runSearch = async (offset = 0) => {
+    if (!filters.q.trim()) {
+      toast.error('Please enter something to search for');
+      return;
+    }
+
+    // Only send filters that are set
+    const params = { q: filters.q, timezone, limit: PAGE_SIZE, offset };
+    ['startDate', 'endDate', 'speaker', 'topic'].forEach(field => {
+      if (filters[field].trim()) params[field] = filters[field].trim();
+    });
+    if (filters.starred) params.starred = true;
+
+    try {
+      setIsLoading(true);
+      const data = await lifelogService.searchLifelogs(auth, params);
+      setResponse({ ...data, offset });
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const showRelated = async (result) => {
+    if (related && related.resultId === result.id) {
+      setRelated(null);
+      return;
+    }
+
+    try {
+      const data = await lifelogService.getRelatedLifelogs(auth, result.lifelogId);
+      setRelated({ ...data, resultId: result.id });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(0);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <Search className="h-6 w-6 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Search Lifelogs</h2>
+      </div>
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex gap-3">
+          <input
+            type="text"
+            value={filters.q}
+            onChange={(e) => handleFilterChange('q', e.target.value)}
+            placeholder="What was said about…"
+            className="input-field flex-1"
+          />
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="btn-primary flex items-center space-x-2"
+          >
+            {isLoading ? <LoadingSpinner size="sm" /> : <Search className="h-4 w-4" />}
+            <span>Search</span>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div>
+            <label className="label">From</label>
+            <input
+              type="date"
+              value={filters.startDate}
+              onChange={(e) => handleFilterChange('startDate', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="label">To</label>
+            <input
+              type="date"
+              value={filters.endDate}
+              onChange={(e) => handleFilterChange('endDate', e.target.value)}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="label">Speaker</label>
+            <input
+              type="text"
+              value={filters.speaker}
+              onChange={(e) => handleFilterChange('speaker', e.target.value)}
+              placeholder="Anyone"
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="label">Topic</label>
+            <input
+              type="text"
+              value={filters.topic}
+              onChange={(e) => handleFilterChange('topic', e.target.value)}
+              placeholder="Title or heading"
+              className="input-field"
+            />
+          </div>
+        </div>
+
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.starred}
+            onChange={(e) => handleFilterChange('starred', e.target.checked)}
+          />
+          <span>Starred lifelogs only</span>
+        </label>
+      </form>
+
+      <p className="text-xs text-gray-500">
+        Searches lifelogs already in the local cache. Load or sync dates first to include them.
+      </p>
+
+      {response && (
+        <div className="space-y-3">
+          <div className="text-sm text-gray-600">
+            {response.total} {response.total === 1 ? 'match' : 'matches'} ({response.tookMs} ms)
+          </div>
+
+          {response.results.map((result) => (
+            <div key={result.id} className="p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-900 truncate">
+                    {result.isStarred && <Star className="inline h-4 w-4 mr-1 text-yellow-500" />}
+                    {result.title}
+                    {result.heading && <span className="text-gray-500 font-normal"> · {result.heading}</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {result.startTime ? new Date(result.startTime).toLocaleString() : result.date}
+                    {result.speaker && ` · ${result.speaker}`}
+                    {` · ${result.lifelogId}`}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => showRelated(result)}
+                    className="btn-secondary flex items-center space-x-1 text-xs whitespace-nowrap"
+                  >
+                    <Link2 className="h-3 w-3" />
+                    <span>Related</span>
+                  </button>
+                  {result.date && (
+                    <button
+                      onClick={() => onOpenDate(result.date)}
+                      className="btn-secondary flex items-center space-x-1 text-xs whitespace-nowrap"
+                    >
+                      <ExternalLink className="h-3 w-3" />
+                      <span>Open day</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+              <p className="mt-2 text-sm text-gray-700">
+                {highlightSnippet(result.snippet, result.highlights)}
+              </p>
+
+              {related && related.resultId === result.id && (
+                <div className="mt-3 pl-3 border-l-2 border-blue-200 space-y-2">
+                  {related.related.length === 0 && (
+                    <p className="text-xs text-gray-500">No similar conversations in the cache.</p>
+                  )}
+                  {related.related.map((item) => (
+                    <div key={item.lifelogId} className="text-sm">
+                      <div className="flex items-center justify-between gap-3">
+                        <span className="font-medium text-gray-900 truncate">{item.title}</span>
+                        <span className="text-xs text-gray-500 whitespace-nowrap">
+                          {Math.round(item.similarity * 100)}% similar
+                        </span>
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {item.startTime && `${new Date(item.startTime).toLocaleString()} · `}
+                        {item.sharedTerms.map(shared => shared.term).join(', ')}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+
+          {response.total > PAGE_SIZE && (
+            <div className="flex items-center justify-between">
+              <button
+                onClick={() => runSearch(Math.max(response.offset - PAGE_SIZE, 0))}
+                disabled={isLoading || response.offset === 0}
+                className="btn-secondary"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                {response.offset + 1}–{Math.min(response.offset + PAGE_SIZE, response.total)} of {response.total}
+              </span>
+              <button
+                onClick={() => runSearch(response.offset + PAGE_SIZE)}
+                disabled={isLoading || response.offset + PAGE_SIZE >= response.total}
+                className="btn-secondary"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchPage;
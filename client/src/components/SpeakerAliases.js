@@ -0,0 +1,221 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { UserCheck, Trash2, RefreshCw, ArrowRight } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+const emptyForm = { from: '', to: '', date: '', thisDateOnly: false };
+
+const SpeakerAliases = ({ auth, selectedDate, timezone }) => {
+  const [aliases, setAliases] = useState([]);
+  const [people, setPeople] = useState([]);
+  const [speakers, setSpeakers] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadAliases = useCallback(async () => {
+    try {
+      const data = await lifelogService.getSpeakerAliases(auth);
+      setAliases(data.aliases || []);
+      setPeople(data.people || []);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }, [auth]);
+
+  const loadSpeakers = useCallback(async () => {
+    if (!selectedDate) return;
+
+    try {
+      setIsLoading(true);
+      setSpeakers(await lifelogService.getSpeakersForDate(auth, selectedDate, { timezone }));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [auth, selectedDate, timezone]);
+
+  useEffect(() => {
+    loadAliases();
+  }, [loadAliases]);
+
+  useEffect(() => {
+    loadSpeakers();
+  }, [loadSpeakers]);
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    // Commas merge several spellings into one person
+    const names = form.from.split(',').map(name => name.trim()).filter(Boolean);
+
+    try {
+      setIsSaving(true);
+      await lifelogService.createSpeakerAlias(auth, {
+        from: names.length === 1 ? names[0] : names,
+        to: form.to.trim(),
+        date: form.thisDateOnly ? selectedDate : undefined
+      });
+      toast.success(`Mapped ${names.join(', ')} to ${form.to.trim()}`);
+      setForm(emptyForm);
+      await Promise.all([loadAliases(), loadSpeakers()]);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (alias) => {
+    try {
+      await lifelogService.deleteSpeakerAlias(auth, alias.id);
+      await Promise.all([loadAliases(), loadSpeakers()]);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const describeScope = (alias) => {
+    if (alias.lifelogId) return `in ${alias.lifelogId}`;
+    if (alias.date) return `on ${alias.date}`;
+    return 'always';
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <UserCheck className="h-6 w-6 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Speakers</h2>
+      </div>
+
+      {/* Speakers on the selected date */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-medium text-gray-900">Speakers on {selectedDate}</h3>
+          <button
+            type="button"
+            onClick={loadSpeakers}
+            disabled={isLoading}
+            className="btn-secondary flex items-center space-x-1"
+          >
+            <RefreshCw className="h-4 w-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+
+        {isLoading ? (
+          <LoadingSpinner size="sm" />
+        ) : speakers.length === 0 ? (
+          <p className="text-sm text-gray-500">No speakers found for this date.</p>
+        ) : (
+          <div className="space-y-1">
+            {speakers.map((speaker) => (
+              <button
+                key={speaker.name}
+                type="button"
+                onClick={() => handleFormChange('from', speaker.name)}
+                className="w-full flex items-center justify-between text-sm px-3 py-2 rounded hover:bg-gray-50"
+                title="Use as the name to map"
+              >
+                <span className="flex items-center space-x-2">
+                  <span className="font-medium text-gray-900">{speaker.name}</span>
+                  {speaker.resolvedNames.some(name => name !== speaker.name) && (
+                    <>
+                      <ArrowRight className="h-3 w-3 text-gray-400" />
+                      <span className="text-blue-700">{speaker.resolvedNames.join(' / ')}</span>
+                    </>
+                  )}
+                </span>
+                <span className="text-gray-500">{speaker.utteranceCount} utterances</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* New alias */}
+      <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-3 gap-3 items-center">
+        <input
+          type="text"
+          value={form.from}
+          onChange={(e) => handleFormChange('from', e.target.value)}
+          placeholder="Speaker name(s), comma separated"
+          className="input-field"
+          disabled={isSaving}
+        />
+        <input
+          type="text"
+          value={form.to}
+          onChange={(e) => handleFormChange('to', e.target.value)}
+          placeholder="Person, e.g. Dana"
+          className="input-field"
+          disabled={isSaving}
+          list="speaker-people"
+        />
+        <datalist id="speaker-people">
+          {people.map((person) => (
+            <option key={person.name} value={person.name} />
+          ))}
+        </datalist>
+        <div className="flex items-center justify-between gap-3">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.thisDateOnly}
+              onChange={(e) => handleFormChange('thisDateOnly', e.target.checked)}
+              disabled={isSaving}
+            />
+            <span>Only on {selectedDate}</span>
+          </label>
+          <button
+            type="submit"
+            className="btn-primary"
+            disabled={isSaving || !form.from.trim() || !form.to.trim()}
+          >
+            {isSaving ? 'Saving...' : 'Map'}
+          </button>
+        </div>
+      </form>
+
+      {/* Existing aliases */}
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2">Aliases</h3>
+        {aliases.length === 0 ? (
+          <p className="text-sm text-gray-500">No aliases yet. Speaker names are used as recorded.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {aliases.map((alias) => (
+              <div key={alias.id} className="flex items-center justify-between py-2 text-sm">
+                <span className="flex items-center space-x-2">
+                  <span className="text-gray-700">{alias.from}</span>
+                  <ArrowRight className="h-3 w-3 text-gray-400" />
+                  <span className="font-medium text-gray-900">{alias.to}</span>
+                  <span className="text-xs text-gray-500">{describeScope(alias)}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(alias)}
+                  className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                  title="Remove alias"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SpeakerAliases;
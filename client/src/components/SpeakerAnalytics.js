@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { BarChart3, Clock, MessageSquare, Users } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+// Bar colors, assigned to speakers in talk-time order
+const COLORS = ['bg-blue-500', 'bg-green-500', 'bg-amber-500', 'bg-purple-500', 'bg-pink-500', 'bg-teal-500', 'bg-gray-400'];
+
+const formatPercent = (share) => `${Math.round(share * 1000) / 10}%`;
+
+const SpeakerAnalytics = ({ auth, selectedDate, timezone }) => {
+  const [range, setRange] = useState({ startDate: selectedDate, endDate: selectedDate });
+  const [analytics, setAnalytics] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleRangeChange = (field, value) => {
+    setRange(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const loadAnalytics = async () => {
+    if (!range.startDate || !range.endDate) {
+      toast.error('Please select a date range');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setAnalytics(await lifelogService.getSpeakerAnalytics(auth, { ...range, timezone }));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const colorFor = (name) => {
+    const index = analytics.speakers.findIndex(speaker => speaker.name === name);
+    return COLORS[Math.min(index, COLORS.length - 1)];
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <BarChart3 className="h-6 w-6 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Speaker Analytics</h2>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-3">
+        <div className="flex-1">
+          <label className="label">Start Date</label>
+          <input
+            type="date"
+            value={range.startDate}
+            onChange={(e) => handleRangeChange('startDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">End Date</label>
+          <input
+            type="date"
+            value={range.endDate}
+            onChange={(e) => handleRangeChange('endDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <button
+          onClick={loadAnalytics}
+          disabled={isLoading}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          {isLoading ? <LoadingSpinner size="sm" /> : <BarChart3 className="h-4 w-4" />}
+          <span>Analyze</span>
+        </button>
+      </div>
+
+      {analytics && analytics.speakers.length === 0 && (
+        <p className="text-sm text-gray-500">No attributed speech in this range.</p>
+      )}
+
+      {analytics && analytics.speakers.length > 0 && (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="p-4 bg-gray-50 rounded-lg flex items-center space-x-3">
+              <Users className="h-5 w-5 text-gray-500" />
+              <div>
+                <div className="text-sm text-gray-600">Conversations</div>
+                <div className="text-lg font-semibold text-gray-900">{analytics.totals.conversations}</div>
+              </div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg flex items-center space-x-3">
+              <Clock className="h-5 w-5 text-gray-500" />
+              <div>
+                <div className="text-sm text-gray-600">Talk Time</div>
+                <div className="text-lg font-semibold text-gray-900">
+                  {analytics.totals.talkTimeMinutes} min{analytics.totals.estimated && ' (est.)'}
+                </div>
+              </div>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg flex items-center space-x-3">
+              <MessageSquare className="h-5 w-5 text-gray-500" />
+              <div>
+                <div className="text-sm text-gray-600">Words</div>
+                <div className="text-lg font-semibold text-gray-900">{analytics.totals.words.toLocaleString()}</div>
+              </div>
+            </div>
+          </div>
+
+          {/* Share of conversation */}
+          <div>
+            <h3 className="font-medium text-gray-900 mb-3">Share of Talk Time</h3>
+            <div className="space-y-2">
+              {analytics.speakers.map((speaker) => (
+                <div key={speaker.name} className="flex items-center gap-3 text-sm">
+                  <span className="w-32 truncate text-gray-900">{speaker.name}</span>
+                  <div className="flex-1 h-4 bg-gray-100 rounded">
+                    <div
+                      className={`h-4 rounded ${colorFor(speaker.name)}`}
+                      style={{ width: formatPercent(speaker.share) }}
+                    />
+                  </div>
+                  <span className="w-14 text-right text-gray-600">{formatPercent(speaker.share)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Per-day balance */}
+          {analytics.days.length > 1 && (
+            <div>
+              <h3 className="font-medium text-gray-900 mb-3">By Day</h3>
+              <div className="space-y-1">
+                {analytics.days.map((day) => (
+                  <div key={day.date} className="flex items-center gap-3 text-xs">
+                    <span className="w-24 text-gray-600">{day.date}</span>
+                    <div className="flex-1 h-3 bg-gray-100 rounded flex overflow-hidden">
+                      {day.speakers.map((speaker) => (
+                        <div
+                          key={speaker.name}
+                          className={colorFor(speaker.name)}
+                          style={{ width: formatPercent(speaker.share) }}
+                          title={`${speaker.name}: ${speaker.talkTimeMinutes} min`}
+                        />
+                      ))}
+                    </div>
+                    <span className="w-16 text-right text-gray-500">{day.totals.talkTimeMinutes} min</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Per-speaker table */}
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Speaker</th>
+                  <th className="py-2 pr-4">Talk Time</th>
+                  <th className="py-2 pr-4">Utterances</th>
+                  <th className="py-2 pr-4">Words</th>
+                  <th className="py-2 pr-4">Conversations</th>
+                  <th className="py-2">Longest Monologue</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.speakers.map((speaker) => (
+                  <tr key={speaker.name} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{speaker.name}</td>
+                    <td className="py-2 pr-4">{speaker.talkTimeMinutes} min</td>
+                    <td className="py-2 pr-4">{speaker.utteranceCount}</td>
+                    <td className="py-2 pr-4">{speaker.wordCount}</td>
+                    <td className="py-2 pr-4">{speaker.conversationCount}</td>
+                    <td className="py-2 text-gray-600">
+                      {speaker.longestMonologue
+                        ? `${speaker.longestMonologue.durationMinutes} min, ${speaker.longestMonologue.words} words`
+                        : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SpeakerAnalytics;
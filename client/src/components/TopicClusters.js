@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Network, Search } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+import LoadingSpinner from './LoadingSpinner';
+
+const TopicClusters = ({ auth, selectedDate, timezone }) => {
+  const [range, setRange] = useState({ startDate: selectedDate, endDate: selectedDate });
+  const [themeCount, setThemeCount] = useState('');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleRangeChange = (field, value) => {
+    setRange(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const loadClusters = async () => {
+    if (!range.startDate || !range.endDate) {
+      toast.error('Please select a date range');
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      const params = { ...range, timezone };
+      if (themeCount) params.k = parseInt(themeCount);
+      setResult(await lifelogService.getTopicClusters(auth, params));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const peak = result ? Math.max(1, ...result.clusters.flatMap(cluster => cluster.trend.map(day => day.count))) : 1;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <Network className="h-6 w-6 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-900">Themes</h2>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-end gap-3">
+        <div className="flex-1">
+          <label className="label">Start Date</label>
+          <input
+            type="date"
+            value={range.startDate}
+            onChange={(e) => handleRangeChange('startDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">End Date</label>
+          <input
+            type="date"
+            value={range.endDate}
+            onChange={(e) => handleRangeChange('endDate', e.target.value)}
+            className="input-field"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="label">Themes</label>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={themeCount}
+            onChange={(e) => setThemeCount(e.target.value)}
+            placeholder="Automatic"
+            className="input-field"
+          />
+        </div>
+        <button
+          onClick={loadClusters}
+          disabled={isLoading}
+          className="btn-primary flex items-center justify-center space-x-2"
+        >
+          {isLoading ? <LoadingSpinner size="sm" /> : <Search className="h-4 w-4" />}
+          <span>Find Themes</span>
+        </button>
+      </div>
+
+      {result && result.clusters.length === 0 && (
+        <p className="text-sm text-gray-500">No lifelogs with enough text in this range.</p>
+      )}
+
+      {result && result.clusters.length > 0 && (
+        <div className="space-y-3">
+          {result.clusters.map((cluster) => (
+            <div key={cluster.id} className="p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-start justify-between gap-3">
+                <span className="text-sm font-medium text-gray-900">{cluster.label}</span>
+                <div className="flex items-end h-6 space-x-px">
+                  {cluster.trend.map((day) => (
+                    <div
+                      key={day.date}
+                      className={day.count > 0 ? 'w-2 bg-blue-500' : 'w-2 bg-gray-200'}
+                      style={{ height: `${Math.max(8, (day.count / peak) * 100)}%` }}
+                      title={`${day.date}: ${day.count}`}
+                    />
+                  ))}
+                </div>
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                {cluster.terms.map(term => term.term).join(', ')}
+              </p>
+              <ul className="mt-2 space-y-1">
+                {cluster.members.map((member) => (
+                  <li key={member.lifelogId} className="text-xs text-gray-700">
+                    <span className="text-gray-500">{member.date}</span> {member.title}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          {result.unclustered.length > 0 && (
+            <p className="text-xs text-gray-500">
+              {result.unclustered.length} lifelog(s) had too little text to place in a theme.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TopicClusters;
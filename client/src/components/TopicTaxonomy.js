@@ -0,0 +1,228 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Layers, Pencil, Trash2, RotateCcw } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { lifelogService } from '../services/lifelogService';
+
+const emptyForm = { id: null, name: '', weight: 1, keywords: '', phrases: '', regexes: '' };
+
+const splitList = (value, separator) => value.split(separator).map(term => term.trim()).filter(Boolean);
+
+const TopicTaxonomy = ({ auth }) => {
+  const [topics, setTopics] = useState([]);
+  const [maxWeight, setMaxWeight] = useState(10);
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadTopics = useCallback(async () => {
+    try {
+      const data = await lifelogService.getTopicTaxonomy(auth);
+      setTopics(data.topics || []);
+      if (data.maxWeight) setMaxWeight(data.maxWeight);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  }, [auth]);
+
+  useEffect(() => {
+    loadTopics();
+  }, [loadTopics]);
+
+  const handleFormChange = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleEdit = (topic) => {
+    setForm({
+      id: topic.id,
+      name: topic.name,
+      weight: topic.weight,
+      keywords: topic.keywords.join(', '),
+      phrases: topic.phrases.join(', '),
+      regexes: topic.regexes.join('\n')
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      await lifelogService.saveTopic(auth, {
+        id: form.id,
+        name: form.name.trim(),
+        weight: Number(form.weight),
+        keywords: splitList(form.keywords, ','),
+        phrases: splitList(form.phrases, ','),
+        regexes: splitList(form.regexes, '\n')
+      });
+      toast.success(`Saved ${form.name.trim()}`);
+      setForm(emptyForm);
+      await loadTopics();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (topic) => {
+    try {
+      await lifelogService.deleteTopic(auth, topic.id);
+      if (form.id === topic.id) setForm(emptyForm);
+      await loadTopics();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm('Replace all topics with the defaults?')) return;
+
+    try {
+      setTopics(await lifelogService.resetTopicTaxonomy(auth));
+      setForm(emptyForm);
+      toast.success('Default topics restored');
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <Layers className="h-6 w-6 text-blue-600" />
+          <h2 className="text-xl font-semibold text-gray-900">Topic Taxonomy</h2>
+        </div>
+        <button
+          onClick={handleReset}
+          className="btn-secondary flex items-center space-x-2 text-sm"
+        >
+          <RotateCcw className="h-4 w-4" />
+          <span>Restore Defaults</span>
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Topics tag exports and decide what gets priority. A lifelog or sentence scores the sum of the weights of
+        the topics it mentions: 2 or more keeps it in moderate summaries and makes it regular priority, 3 or more
+        makes it a key conversation and keeps it in aggressive summaries. Weight 1 only tags.
+      </p>
+
+      <form onSubmit={handleSave} className="space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <div className="md:col-span-3">
+            <label className="label">Topic</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => handleFormChange('name', e.target.value)}
+              placeholder="e.g. Series B"
+              className="input-field"
+              disabled={isSaving}
+            />
+          </div>
+          <div>
+            <label className="label">Weight</label>
+            <input
+              type="number"
+              min="0"
+              max={maxWeight}
+              step="0.5"
+              value={form.weight}
+              onChange={(e) => handleFormChange('weight', e.target.value)}
+              className="input-field"
+              disabled={isSaving}
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div>
+            <label className="label">Keywords</label>
+            <input
+              type="text"
+              value={form.keywords}
+              onChange={(e) => handleFormChange('keywords', e.target.value)}
+              placeholder="investor, valuation, term sheet"
+              className="input-field"
+              disabled={isSaving}
+            />
+          </div>
+          <div>
+            <label className="label">Phrases</label>
+            <input
+              type="text"
+              value={form.phrases}
+              onChange={(e) => handleFormChange('phrases', e.target.value)}
+              placeholder="series b, lead investor"
+              className="input-field"
+              disabled={isSaving}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="label">Regular expressions (one per line)</label>
+          <textarea
+            value={form.regexes}
+            onChange={(e) => handleFormChange('regexes', e.target.value)}
+            placeholder={'\\$\\d+(\\.\\d+)?\\s*m(illion)?\\b'}
+            rows={2}
+            className="input-field font-mono text-sm"
+            disabled={isSaving}
+          />
+        </div>
+        <div className="flex items-center space-x-3">
+          <button type="submit" className="btn-primary" disabled={isSaving || !form.name.trim()}>
+            {isSaving ? 'Saving...' : form.id ? 'Update Topic' : 'Add Topic'}
+          </button>
+          {form.id && (
+            <button type="button" onClick={() => setForm(emptyForm)} className="btn-secondary" disabled={isSaving}>
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+
+      {topics.length === 0 ? (
+        <p className="text-sm text-gray-500">No topics. Exports will not be tagged or ranked by topic.</p>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {topics.map((topic) => (
+            <div key={topic.id} className="flex items-start justify-between py-2 text-sm gap-3">
+              <div>
+                <span className="font-medium text-gray-900">{topic.name}</span>
+                <span className="ml-2 text-xs text-gray-500">weight {topic.weight}</span>
+                <p className="text-xs text-gray-500">
+                  {[...topic.keywords, ...topic.phrases.map(phrase => `"${phrase}"`), ...topic.regexes.map(regex => `/${regex}/`)].join(', ')}
+                </p>
+              </div>
+              <div className="flex items-center">
+                <button
+                  type="button"
+                  onClick={() => handleEdit(topic)}
+                  className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                  title="Edit topic"
+                >
+                  <Pencil className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(topic)}
+                  className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                  title="Remove topic"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TopicTaxonomy;
@@ -19,6 +19,18 @@ class LifelogService {
     // API key is now passed per request only
   }
 
+  /**
+   * Build auth headers for a request
+   * @param {string|object} auth - API key, or { profileId } for a server-side profile
+   * @returns {object} Request headers
+   */
+  authHeaders(auth) {
+    if (auth && typeof auth === 'object') {
+      return auth.profileId ? { 'X-Profile-Id': auth.profileId } : {};
+    }
+    return auth ? { 'X-API-Key': auth } : {};
+  }
+
   /**
    * Validate API key
    * @param {string} apiKey - API key to validate
@@ -38,13 +50,15 @@ class LifelogService {
 
   /**
    * Get available dates with lifelog data
-   * @param {string} apiKey - API key
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - timezone, days, start and end
    * @returns {Promise<Array>} Array of available dates
    */
-  async getAvailableDates(apiKey) {
+  async getAvailableDates(auth, options = {}) {
     try {
       const response = await this.client.get('/dates', {
-        headers: { 'X-API-Key': apiKey }
+        headers: this.authHeaders(auth),
+        params: options
       });
       return response.data.dates || [];
     } catch (error) {
@@ -55,12 +69,12 @@ class LifelogService {
 
   /**
    * Get raw lifelogs for a specific date
-   * @param {string} apiKey - API key
+   * @param {string|object} auth - API key or { profileId }
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {object} options - Additional options
    * @returns {Promise<object>} Lifelog data
    */
-  async getLifelogs(apiKey, date, options = {}) {
+  async getLifelogs(auth, date, options = {}) {
     try {
       const params = {
         timezone: options.timezone || 'UTC',
@@ -69,7 +83,7 @@ class LifelogService {
       };
 
       const response = await this.client.get(`/lifelogs/${date}`, {
-        headers: { 'X-API-Key': apiKey },
+        headers: this.authHeaders(auth),
         params
       });
 
@@ -82,14 +96,14 @@ class LifelogService {
 
   /**
    * Process lifelogs for ChatGPT optimization
-   * @param {string} apiKey - API key
+   * @param {string|object} auth - API key or { profileId }
    * @param {object} options - Processing options
    * @returns {Promise<object>} Processed lifelog data
    */
-  async processLifelogs(apiKey, options) {
+  async processLifelogs(auth, options) {
     try {
       const response = await this.client.post('/process', options, {
-        headers: { 'X-API-Key': apiKey }
+        headers: this.authHeaders(auth)
       });
 
       return response.data;
@@ -101,14 +115,14 @@ class LifelogService {
 
   /**
    * Batch process multiple dates
-   * @param {string} apiKey - API key
+   * @param {string|object} auth - API key or { profileId }
    * @param {object} options - Batch processing options
    * @returns {Promise<object>} Batch processing results
    */
-  async batchProcess(apiKey, options) {
+  async batchProcess(auth, options) {
     try {
       const response = await this.client.post('/batch-process', options, {
-        headers: { 'X-API-Key': apiKey },
+        headers: this.authHeaders(auth),
         timeout: 120000 // 2 minutes for batch processing
       });
 
@@ -121,12 +135,12 @@ class LifelogService {
 
   /**
    * Get optimized lifelogs for ChatGPT
-   * @param {string} apiKey - API key
+   * @param {string|object} auth - API key or { profileId }
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {object} options - Optimization options
    * @returns {Promise<object>} Optimized lifelog data
    */
-  async getOptimizedLifelogs(apiKey, date, options = {}) {
+  async getOptimizedLifelogs(auth, date, options = {}) {
     try {
       const params = {
         format: 'chatgpt',
@@ -138,7 +152,7 @@ class LifelogService {
       };
 
       const response = await this.client.get(`/lifelogs/${date}`, {
-        headers: { 'X-API-Key': apiKey },
+        headers: this.authHeaders(auth),
         params
       });
 
@@ -275,14 +289,14 @@ class LifelogService {
 
   /**
    * Consolidated export optimized for ChatGPT memory integration
-   * @param {string} apiKey - API key for authentication
+   * @param {string|object} auth - API key or { profileId }
    * @param {string} date - Date to export
    * @param {object} options - Export options
    * @returns {Promise<object>} Consolidated export results
    */
-  async consolidatedExport(apiKey, date, options = {}) {
+  async consolidatedExport(auth, date, options = {}) {
     try {
-      const headers = apiKey ? { 'X-API-Key': apiKey } : {};
+      const headers = this.authHeaders(auth);
       
       const response = await this.client.post('/consolidated-export', {
         date,
@@ -298,18 +312,18 @@ class LifelogService {
 
   /**
    * Multi-file export for ChatGPT memory building
-   * @param {string} apiKey - API key for authentication
+   * @param {string|object} auth - API key or { profileId }
    * @param {string} date - Date to export
    * @param {object} options - Export options
    * @returns {Promise<object>} Multi-file export data
    */
-  async multiFileExport(apiKey, date, options = {}) {
+  async multiFileExport(auth, date, options = {}) {
     try {
       const response = await this.client.post('/multi-file-export', {
         date,
         ...options
       }, {
-        headers: apiKey ? { 'X-API-Key': apiKey } : {}
+        headers: this.authHeaders(auth)
       });
 
       return response.data;
@@ -319,6 +333,535 @@ class LifelogService {
     }
   }
 
+  /**
+   * Import Limitless JSON exports so they can be processed without the API
+   * @param {string|object} auth - API key or { profileId }
+   * @param {FileList|Array<File>} files - JSON files to upload
+   * @param {string} timezone - Timezone used to group imported lifelogs by date
+   * @returns {Promise<object>} Import summary with per-date counts
+   */
+  async importLifelogs(auth, files, timezone = 'UTC') {
+    try {
+      const formData = new FormData();
+      Array.from(files).forEach(file => formData.append('files', file));
+      formData.append('timezone', timezone);
+
+      const response = await this.client.post('/import', formData, {
+        headers: this.authHeaders(auth),
+        timeout: 120000
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error importing lifelogs:', error);
+      throw new Error(`Import failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get local cache sync status for recent dates
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} filters - Optional timezone, startDate and endDate
+   * @returns {Promise<Array>} Array of sync status records
+   */
+  async getSyncStatus(auth, filters = {}) {
+    try {
+      const response = await this.client.get('/sync/status', {
+        headers: this.authHeaders(auth),
+        params: filters
+      });
+      return response.data.statuses || [];
+    } catch (error) {
+      console.error('Error fetching sync status:', error);
+      throw new Error(`Failed to fetch sync status: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Sync a date range into the local cache
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - startDate, endDate, timezone and refresh
+   * @returns {Promise<object>} Per-date sync results
+   */
+  async syncDates(auth, options) {
+    try {
+      const response = await this.client.post('/sync', options, {
+        headers: this.authHeaders(auth),
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error syncing lifelogs:', error);
+      throw new Error(`Sync failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get exported dates whose lifelogs changed since they were exported
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} filters - Optional timezone, startDate, endDate and refresh
+   * @returns {Promise<object>} Per-date change reports
+   */
+  async getChanges(auth, filters = {}) {
+    try {
+      const response = await this.client.get('/changes', {
+        headers: this.authHeaders(auth),
+        params: filters,
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching changes:', error);
+      throw new Error(`Failed to fetch changes: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * List server-side profiles (API keys are never returned)
+   * @returns {Promise<Array>} Profiles
+   */
+  async getProfiles() {
+    try {
+      const response = await this.client.get('/profiles');
+      return response.data.profiles || [];
+    } catch (error) {
+      console.error('Error fetching profiles:', error);
+      throw new Error(`Failed to fetch profiles: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Create a profile
+   * @param {object} profile - name, apiKey, timezone and optional presets
+   * @returns {Promise<object>} Created profile
+   */
+  async createProfile(profile) {
+    try {
+      const response = await this.client.post('/profiles', profile);
+      return response.data.profile;
+    } catch (error) {
+      console.error('Error creating profile:', error);
+      const details = error.response?.data?.details;
+      throw new Error(details ? details.join('; ') : error.response?.data?.error || error.message);
+    }
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} profileId - Profile ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteProfile(profileId) {
+    try {
+      await this.client.delete(`/profiles/${encodeURIComponent(profileId)}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      throw new Error(`Failed to delete profile: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * List speaker alias rules and the people they map to
+   * @param {string|object} auth - API key or { profileId }
+   * @returns {Promise<object>} aliases and people
+   */
+  async getSpeakerAliases(auth) {
+    try {
+      const response = await this.client.get('/speakers/aliases', {
+        headers: this.authHeaders(auth)
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching speaker aliases:', error);
+      throw new Error(`Failed to fetch speaker aliases: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get raw speaker names on a date with the names they resolve to
+   * @param {string|object} auth - API key or { profileId }
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {object} options - Optional timezone
+   * @returns {Promise<Array>} Speakers
+   */
+  async getSpeakersForDate(auth, date, options = {}) {
+    try {
+      const response = await this.client.get(`/speakers/${date}`, {
+        headers: this.authHeaders(auth),
+        params: options
+      });
+      return response.data.speakers || [];
+    } catch (error) {
+      console.error('Error fetching speakers:', error);
+      throw new Error(`Failed to fetch speakers: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Map raw speaker names to a person
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} alias - from (name or names), to, optional date and lifelogId
+   * @returns {Promise<Array>} Saved alias rules
+   */
+  async createSpeakerAlias(auth, alias) {
+    try {
+      const response = await this.client.post('/speakers/aliases', alias, {
+        headers: this.authHeaders(auth)
+      });
+      return response.data.aliases;
+    } catch (error) {
+      console.error('Error saving speaker alias:', error);
+      const details = error.response?.data?.details;
+      throw new Error(details ? details.join('; ') : error.response?.data?.error || error.message);
+    }
+  }
+
+  /**
+   * Remove a speaker alias rule
+   * @param {string|object} auth - API key or { profileId }
+   * @param {string} aliasId - Alias rule ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async deleteSpeakerAlias(auth, aliasId) {
+    try {
+      await this.client.delete(`/speakers/aliases/${encodeURIComponent(aliasId)}`, {
+        headers: this.authHeaders(auth)
+      });
+      return true;
+    } catch (error) {
+      console.error('Error removing speaker alias:', error);
+      throw new Error(`Failed to remove speaker alias: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get per-speaker talk time and participation
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - date, or startDate and endDate, plus optional timezone
+   * @returns {Promise<object>} Totals, speakers, longest monologues and per-day breakdown
+   */
+  async getSpeakerAnalytics(auth, options) {
+    try {
+      const response = await this.client.get('/analytics/speakers', {
+        headers: this.authHeaders(auth),
+        params: options,
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching speaker analytics:', error);
+      throw new Error(`Failed to fetch speaker analytics: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get commitments and requests extracted from conversations
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - date, or startDate and endDate, plus optional timezone and owner
+   * @returns {Promise<object>} Action items grouped by day
+   */
+  async getActionItems(auth, options) {
+    try {
+      const response = await this.client.get('/action-items', {
+        headers: this.authHeaders(auth),
+        params: options,
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching action items:', error);
+      throw new Error(`Failed to fetch action items: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get dates and times mentioned in conversations as candidate events and deadlines
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - date, or startDate and endDate, plus optional timezone and kind
+   * @returns {Promise<object>} Candidates grouped by the day they were said
+   */
+  async getDateMentions(auth, options) {
+    try {
+      const response = await this.client.get('/date-mentions', {
+        headers: this.authHeaders(auth),
+        params: options,
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching date mentions:', error);
+      throw new Error(`Failed to fetch date mentions: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Download candidate events and deadlines as an .ics calendar
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - Same as getDateMentions
+   * @returns {Promise<string>} iCalendar content
+   */
+  async getDateMentionsCalendar(auth, options) {
+    try {
+      const response = await this.client.get('/date-mentions/calendar.ics', {
+        headers: this.authHeaders(auth),
+        params: options,
+        responseType: 'text',
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching calendar:', error);
+      throw new Error(`Failed to fetch calendar: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get the decision log for a date range
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - date or startDate/endDate, timezone, optional participant
+   * @returns {Promise<object>} Decisions with participants and context, in time order
+   */
+  async getDecisions(auth, options) {
+    try {
+      const response = await this.client.get('/decisions', {
+        headers: this.authHeaders(auth),
+        params: options,
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching decisions:', error);
+      throw new Error(`Failed to fetch decisions: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Download the decision log as a Markdown document
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - Same as getDecisions
+   * @returns {Promise<string>} Markdown content
+   */
+  async getDecisionLogMarkdown(auth, options) {
+    try {
+      const response = await this.client.get('/decisions/export.md', {
+        headers: this.authHeaders(auth),
+        params: options,
+        responseType: 'text',
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting decisions:', error);
+      throw new Error(`Failed to export decisions: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get people, organizations, places and products mentioned over a date range
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - date or startDate/endDate, timezone, optional type and limit
+   * @returns {Promise<object>} Entities with mention totals and a per-date timeline
+   */
+  async getEntities(auth, options) {
+    try {
+      const response = await this.client.get('/entities', {
+        headers: this.authHeaders(auth),
+        params: options,
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching entities:', error);
+      throw new Error(`Failed to fetch entities: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * List the entity gazetteer
+   * @param {string|object} auth - API key or { profileId }
+   * @returns {Promise<object>} entries and the allowed types
+   */
+  async getGazetteer(auth) {
+    try {
+      const response = await this.client.get('/entities/gazetteer', {
+        headers: this.authHeaders(auth)
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching gazetteer:', error);
+      throw new Error(`Failed to fetch gazetteer: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Add or update a gazetteer entry
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} entry - name, type and optional aliases
+   * @returns {Promise<object>} Saved entry
+   */
+  async saveGazetteerEntry(auth, entry) {
+    try {
+      const response = await this.client.post('/entities/gazetteer', entry, {
+        headers: this.authHeaders(auth)
+      });
+      return response.data.entry;
+    } catch (error) {
+      console.error('Error saving gazetteer entry:', error);
+      const details = error.response?.data?.details;
+      throw new Error(details ? details.join('; ') : error.response?.data?.error || error.message);
+    }
+  }
+
+  /**
+   * Remove a gazetteer entry
+   * @param {string|object} auth - API key or { profileId }
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async deleteGazetteerEntry(auth, entryId) {
+    try {
+      await this.client.delete(`/entities/gazetteer/${encodeURIComponent(entryId)}`, {
+        headers: this.authHeaders(auth)
+      });
+      return true;
+    } catch (error) {
+      console.error('Error removing gazetteer entry:', error);
+      throw new Error(`Failed to remove gazetteer entry: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get themes discovered by clustering lifelogs over a date range
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} options - date or startDate/endDate, timezone and optional k (number of themes)
+   * @returns {Promise<object>} Clusters with top terms, members and a per-date trend
+   */
+  async getTopicClusters(auth, options) {
+    try {
+      const response = await this.client.get('/topics/clusters', {
+        headers: this.authHeaders(auth),
+        params: options,
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching topic clusters:', error);
+      throw new Error(`Failed to fetch topic clusters: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Get the topic taxonomy
+   * @param {string|object} auth - API key or { profileId }
+   * @returns {Promise<object>} topics and the highest allowed weight
+   */
+  async getTopicTaxonomy(auth) {
+    try {
+      const response = await this.client.get('/topics/taxonomy', {
+        headers: this.authHeaders(auth)
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching topic taxonomy:', error);
+      throw new Error(`Failed to fetch topic taxonomy: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Add a topic, or update an existing one when topic.id is set
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} topic - name, weight, keywords, phrases and regexes
+   * @returns {Promise<object>} Saved topic
+   */
+  async saveTopic(auth, topic) {
+    try {
+      const { id, ...fields } = topic;
+      const response = id
+        ? await this.client.put(`/topics/taxonomy/${encodeURIComponent(id)}`, fields, { headers: this.authHeaders(auth) })
+        : await this.client.post('/topics/taxonomy', fields, { headers: this.authHeaders(auth) });
+      return response.data.topic;
+    } catch (error) {
+      console.error('Error saving topic:', error);
+      const details = error.response?.data?.details;
+      throw new Error(details ? details.join('; ') : error.response?.data?.error || error.message);
+    }
+  }
+
+  /**
+   * Remove a topic
+   * @param {string|object} auth - API key or { profileId }
+   * @param {string} topicId - Topic ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async deleteTopic(auth, topicId) {
+    try {
+      await this.client.delete(`/topics/taxonomy/${encodeURIComponent(topicId)}`, {
+        headers: this.authHeaders(auth)
+      });
+      return true;
+    } catch (error) {
+      console.error('Error removing topic:', error);
+      throw new Error(`Failed to remove topic: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Restore the default topic taxonomy
+   * @param {string|object} auth - API key or { profileId }
+   * @returns {Promise<Array>} Default topics
+   */
+  async resetTopicTaxonomy(auth) {
+    try {
+      const response = await this.client.post('/topics/taxonomy/reset', {}, {
+        headers: this.authHeaders(auth)
+      });
+      return response.data.topics;
+    } catch (error) {
+      console.error('Error resetting topic taxonomy:', error);
+      throw new Error(`Failed to reset topic taxonomy: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Full-text search over cached lifelogs
+   * @param {string|object} auth - API key or { profileId }
+   * @param {object} params - q plus optional startDate, endDate, speaker, starred, topic, timezone, limit, offset
+   * @returns {Promise<object>} total and ranked results with snippets
+   */
+  async searchLifelogs(auth, params) {
+    try {
+      const response = await this.client.get('/search', {
+        headers: this.authHeaders(auth),
+        params
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error searching lifelogs:', error);
+      throw new Error(`Failed to search lifelogs: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Find cached conversations similar to a lifelog
+   * @param {string|object} auth - API key or { profileId }
+   * @param {string} lifelogId - Lifelog ID
+   * @param {object} params - Optional limit and minSimilarity
+   * @returns {Promise<object>} Related lifelogs with similarity scores and shared terms
+   */
+  async getRelatedLifelogs(auth, lifelogId, params = {}) {
+    try {
+      const response = await this.client.get(`/lifelogs/${encodeURIComponent(lifelogId)}/related`, {
+        headers: this.authHeaders(auth),
+        params
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching related lifelogs:', error);
+      throw new Error(`Failed to fetch related lifelogs: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
   /**
    * Get processing statistics from results
    * @param {object} results - Processing results
@@ -1,6 +1,6 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const multer = require('multer');
 const path = require('path');
 require('dotenv').config();
 
@@ -9,8 +9,341 @@ const PORT = process.env.PORT || 3002;
 
 // Import modules
 const LifelogProcessor = require('./src/services/LifelogProcessor');
+const LifelogCache = require('./src/services/LifelogCache');
+const LifelogImporter = require('./src/services/LifelogImporter');
+const RequestQueue = require('./src/services/RequestQueue');
+const ChangeTracker = require('./src/services/ChangeTracker');
 const TokenOptimizer = require('./src/services/TokenOptimizer');
+const ExportService = require('./src/services/ExportService');
+const Scheduler = require('./src/services/Scheduler');
+const ProfileStore = require('./src/services/ProfileStore');
+const SpeakerAliasStore = require('./src/services/SpeakerAliasStore');
+const GazetteerStore = require('./src/services/GazetteerStore');
+const TopicTaxonomyStore = require('./src/services/TopicTaxonomyStore');
+const TopicClusterer = require('./src/services/TopicClusterer');
+const EntityExtractor = require('./src/services/EntityExtractor');
+const SpeakerAnalytics = require('./src/services/SpeakerAnalytics');
+const SearchIndex = require('./src/services/SearchIndex');
+const SimilarityIndex = require('./src/services/SimilarityIndex');
+const ActionItemExtractor = require('./src/services/ActionItemExtractor');
+const DateMentionExtractor = require('./src/services/DateMentionExtractor');
+const DecisionExtractor = require('./src/services/DecisionExtractor');
+const OpenQuestionTracker = require('./src/services/OpenQuestionTracker');
+const TranscriptBuilder = require('./src/services/TranscriptBuilder');
 const DateUtils = require('./src/utils/DateUtils');
+const {
+  LimitlessApiError,
+  AuthenticationError,
+  CancelledError,
+  ProfileNotFoundError
+} = require('./src/utils/errors');
+const { mapWithConcurrency } = require('./src/utils/concurrency');
+
+// Local state (cache, schedules, scheduled exports)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Named profiles, each with its own API key, timezone, presets and cache
+const profileStore = new ProfileStore({ filePath: path.join(DATA_DIR, 'profiles.json') });
+
+// Local lifelog cache, one namespace per profile or raw API key. Requests
+// without either use the "local" namespace, which holds imported exports.
+const CACHE_DIR = process.env.CACHE_DIR || path.join(DATA_DIR, 'cache');
+const CACHE_MAX_AGE_MS = (parseInt(process.env.CACHE_MAX_AGE_MINUTES) || 5) * 60 * 1000;
+const CACHE_FULL_SYNC_MS = (parseInt(process.env.CACHE_FULL_SYNC_MINUTES) || 30) * 60 * 1000;
+const LOCAL_NAMESPACE = 'local';
+const caches = new Map();
+
+// Speaker alias tables, one per cache namespace
+const ALIAS_DIR = path.join(DATA_DIR, 'aliases');
+const aliasStores = new Map();
+
+// Entity gazetteers, one per cache namespace
+const GAZETTEER_DIR = path.join(DATA_DIR, 'gazetteers');
+const gazetteerStores = new Map();
+
+// Topic taxonomies, one per cache namespace
+const TAXONOMY_DIR = path.join(DATA_DIR, 'taxonomies');
+const taxonomyStores = new Map();
+
+// Full-text search and TF-IDF similarity indexes over each cache namespace, built on first use
+const searchIndexes = new Map();
+const similarityIndexes = new Map();
+
+/**
+ * Build the account a request or job acts for
+ * @param {object} profile - Profile, if any
+ * @param {string} apiKey - Raw API key used without a profile
+ * @returns {object} apiKey, cache namespace, default timezone and profile
+ */
+const createAccount = (profile, apiKey) => {
+  if (profile) {
+    return {
+      apiKey: profile.apiKey,
+      namespace: `profile-${profile.id}`,
+      timezone: profile.timezone || 'UTC',
+      profile
+    };
+  }
+
+  return {
+    apiKey: apiKey || '',
+    namespace: apiKey ? LifelogCache.namespaceForKey(apiKey) : LOCAL_NAMESPACE,
+    timezone: 'UTC',
+    profile: null
+  };
+};
+
+/**
+ * Resolve the account for a request: a profile id (X-Profile-Id header or
+ * profileId query/body field) or, for older clients, a raw X-API-Key
+ * @param {object} req - Express request
+ * @returns {Promise<object>} Account
+ */
+const resolveAccount = async (req) => {
+  const profileId = req.headers['x-profile-id'] || req.query.profileId || (req.body && req.body.profileId);
+
+  if (profileId) {
+    const profile = await profileStore.getProfile(profileId);
+    if (!profile) {
+      throw new ProfileNotFoundError(`Profile "${profileId}" not found`);
+    }
+    return createAccount(profile);
+  }
+
+  return createAccount(null, req.headers['x-api-key']);
+};
+
+// Fill in processing options from the profile's preset; the request wins
+const applyPreset = (account, body = {}) => ({
+  ...profileStore.resolvePreset(account.profile, body.preset),
+  ...body
+});
+
+const getCache = (account) => {
+  const { namespace } = account;
+  if (!caches.has(namespace)) {
+    caches.set(namespace, new LifelogCache(namespace, { directory: CACHE_DIR }));
+  }
+  return caches.get(namespace);
+};
+
+const getSpeakerAliases = (account) => {
+  const { namespace } = account;
+  if (!aliasStores.has(namespace)) {
+    aliasStores.set(namespace, new SpeakerAliasStore({ filePath: path.join(ALIAS_DIR, `${namespace}.json`) }));
+  }
+  return aliasStores.get(namespace);
+};
+
+const getGazetteer = (account) => {
+  const { namespace } = account;
+  if (!gazetteerStores.has(namespace)) {
+    gazetteerStores.set(namespace, new GazetteerStore({ filePath: path.join(GAZETTEER_DIR, `${namespace}.json`) }));
+  }
+  return gazetteerStores.get(namespace);
+};
+
+const getTopicTaxonomy = (account) => {
+  const { namespace } = account;
+  if (!taxonomyStores.has(namespace)) {
+    taxonomyStores.set(namespace, new TopicTaxonomyStore({ filePath: path.join(TAXONOMY_DIR, `${namespace}.json`) }));
+  }
+  return taxonomyStores.get(namespace);
+};
+
+const getSearchIndex = (account) => {
+  const { namespace } = account;
+  if (!searchIndexes.has(namespace)) {
+    searchIndexes.set(namespace, new SearchIndex(getCache(account)));
+  }
+  return searchIndexes.get(namespace);
+};
+
+const getSimilarityIndex = (account) => {
+  const { namespace } = account;
+  if (!similarityIndexes.has(namespace)) {
+    similarityIndexes.set(namespace, new SimilarityIndex(getCache(account)));
+  }
+  return similarityIndexes.get(namespace);
+};
+
+/**
+ * Read an integer setting from the environment, keeping an explicit 0
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number} Setting
+ */
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Retry/backoff for Limitless API calls; LIMITLESS_MAX_RETRIES=0 disables retries
+const RETRY_OPTIONS = {
+  retries: envInt('LIMITLESS_MAX_RETRIES', 3),
+  baseDelay: envInt('LIMITLESS_RETRY_BASE_MS', 500),
+  maxDelay: envInt('LIMITLESS_RETRY_MAX_MS', 30000)
+};
+
+// One request queue per API key, shared by every request using that key
+const RATE_LIMIT_OPTIONS = {
+  concurrency: parseInt(process.env.LIMITLESS_CONCURRENCY) || 2,
+  ratePerSecond: parseFloat(process.env.LIMITLESS_RATE_PER_SECOND) || 3,
+  burst: parseInt(process.env.LIMITLESS_BURST) || 3
+};
+const requestQueues = new Map();
+
+// Dates a batch run fetches at once (within the queue's limits)
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || RATE_LIMIT_OPTIONS.concurrency;
+
+// Longest range the analytics endpoints read in one request
+const MAX_ANALYTICS_DAYS = 93;
+
+// How consolidated exports may be organized, and the most themes clustering may make
+const GROUP_BY_MODES = ['priority', 'cluster'];
+const MAX_CLUSTERS = 50;
+
+// Days before an export whose cached lifelogs are searched for questions still open
+const OPEN_THREAD_LOOKBACK_DAYS = 7;
+
+// Conversation chunking gaps, from the request or a preset, must be positive minutes
+const CONVERSATION_GAP_OPTIONS = ['silenceGapMinutes', 'speakerChangeGapMinutes'];
+const invalidGapOption = (options) => CONVERSATION_GAP_OPTIONS.find(key =>
+  options[key] !== undefined && options[key] !== null && !(Number.isFinite(options[key]) && options[key] > 0));
+
+const getRequestQueue = (apiKey) => {
+  const namespace = apiKey ? LifelogCache.namespaceForKey(apiKey) : LOCAL_NAMESPACE;
+  if (!requestQueues.has(namespace)) {
+    requestQueues.set(namespace, new RequestQueue(RATE_LIMIT_OPTIONS));
+  }
+  return requestQueues.get(namespace);
+};
+
+// Batch work uses the "batch" priority so interactive requests go first
+const createProcessor = (account, options = {}) => new LifelogProcessor(account.apiKey, {
+  cache: getCache(account),
+  cacheMaxAge: CACHE_MAX_AGE_MS,
+  fullSyncInterval: CACHE_FULL_SYNC_MS,
+  retry: RETRY_OPTIONS,
+  queue: getRequestQueue(account.apiKey),
+  priority: options.priority,
+  speakerAliases: getSpeakerAliases(account)
+});
+
+/**
+ * Read a date or startDate/endDate range from query parameters
+ * @param {object} query - Request query
+ * @returns {object} startDate, endDate and dates, or error
+ */
+const parseDateRange = (query) => {
+  const dateUtils = new DateUtils();
+  const { date, startDate = date, endDate = date } = query;
+
+  if (!dateUtils.isValidDateString(startDate) || !dateUtils.isValidDateString(endDate)) {
+    return { error: 'date or startDate and endDate (YYYY-MM-DD) are required' };
+  }
+
+  if (startDate > endDate) {
+    return { error: 'startDate cannot be after endDate' };
+  }
+
+  const dates = dateUtils.getDateRange(startDate, endDate);
+  if (dates.length > MAX_ANALYTICS_DAYS) {
+    return { error: `Date range is limited to ${MAX_ANALYTICS_DAYS} days` };
+  }
+
+  return { startDate, endDate, dates };
+};
+
+/**
+ * Fetch lifelogs for each date of a range (batch priority for ranges)
+ * @param {object} account - Account from resolveAccount
+ * @param {Array<string>} dates - YYYY-MM-DD dates
+ * @param {string} timezone - IANA timezone
+ * @param {boolean} refresh - Bypass the cache
+ * @returns {Promise<Array>} { date, lifelogs } per date
+ */
+const fetchDays = async (account, dates, timezone, refresh) => {
+  const processor = createProcessor(account, { priority: dates.length > 1 ? 'batch' : 'interactive' });
+  return mapWithConcurrency(dates, BATCH_CONCURRENCY, async (date) => ({
+    date,
+    lifelogs: await processor.getLifelogsForDate(date, timezone, { refresh })
+  }));
+};
+
+/**
+ * Account a scheduled job runs as: its profile, or the server's own API key
+ * @param {object} job - Scheduled job
+ * @returns {Promise<object>} Account
+ */
+const resolveJobAccount = async (job) => {
+  if (!job.profileId) {
+    return createAccount(null, process.env.API_KEY);
+  }
+
+  const profile = await profileStore.getProfile(job.profileId);
+  if (!profile) {
+    throw new ProfileNotFoundError(`Profile "${job.profileId}" not found`);
+  }
+  return createAccount(profile);
+};
+
+// Scheduled sync/export jobs run as their profile, or with the server's own API key
+const scheduler = new Scheduler({
+  storePath: path.join(DATA_DIR, 'schedules.json'),
+  configFile: process.env.SCHEDULES_FILE,
+  exportDir: process.env.EXPORT_DIR || path.join(DATA_DIR, 'exports'),
+  createProcessor: async (job) => createProcessor(await resolveJobAccount(job), { priority: 'batch' }),
+  resolveExportOptions: async (job) => {
+    const account = await resolveJobAccount(job);
+    return {
+      taxonomy: await getTopicTaxonomy(account).listTopics(),
+      gazetteer: await getGazetteer(account).listEntries()
+    };
+  }
+});
+
+// Remember what each export contained so later edits upstream can be detected
+const recordExport = async (account, date, timezone, lifelogs, format) => {
+  try {
+    await new ChangeTracker(getCache(account)).recordExport(date, timezone, lifelogs, { format });
+  } catch (error) {
+    console.warn(`Could not record export of ${date}: ${error.message}`);
+  }
+};
+
+// Pass a date's pages on to optimizeStream, keeping the lifelogs read so
+// the export can be recorded and counted once it is done
+async function* trackPages(pages, seen) {
+  for await (const page of pages) {
+    seen.push(...page.lifelogs);
+    yield page;
+  }
+}
+
+// Map Limitless API error classes to HTTP responses
+const sendError = (res, error, context) => {
+  console.error(`${context}:`, error.message);
+
+  if (error instanceof LimitlessApiError) {
+    if (error.retryAfterMs !== null) {
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+
+  if (error instanceof ProfileNotFoundError) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+
+  res.status(500).json({ error: error.message });
+};
+
+// Uploaded Limitless exports are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 20 }
+});
 
 // Middleware
 app.use(cors());
@@ -25,36 +358,49 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Get available dates with lifelog data
+// Get available dates with per-day counts, recorded minutes and starred entries
 app.get('/api/dates', async (req, res) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
+    const account = await resolveAccount(req);
+
+    const { timezone = account.timezone, start, end } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 366);
+    const dateUtils = new DateUtils();
+
+    if ((start && !dateUtils.isValidDateString(start)) || (end && !dateUtils.isValidDateString(end))) {
+      return res.status(400).json({ error: 'start and end must be YYYY-MM-DD dates' });
+    }
+    if (start && end && start > end) {
+      return res.status(400).json({ error: 'Start date cannot be after end date' });
     }
 
-    const processor = new LifelogProcessor(apiKey);
-    const dates = await processor.getAvailableDates();
-    res.json({ dates });
+    // A lone start date counts forward, a lone end date counts back
+    const processor = createProcessor(account);
+    const dates = await processor.getAvailableDates({
+      timezone,
+      days,
+      startDate: start,
+      endDate: end || (start ? dateUtils.addDays(start, days - 1) : undefined)
+    });
+
+    res.json({ dates, timezone, totalDays: dates.length });
   } catch (error) {
-    console.error('Error fetching dates:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching dates');
   }
 });
 
 // Get lifelogs for a specific date
 app.get('/api/lifelogs/:date', async (req, res) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
+    const account = await resolveAccount(req);
 
     const { date } = req.params;
-    const { timezone = 'UTC', format = 'raw' } = req.query;
+    const { timezone = account.timezone, format = 'raw' } = req.query;
 
-    const processor = new LifelogProcessor(apiKey);
-    const lifelogs = await processor.getLifelogsForDate(date, timezone);
+    const processor = createProcessor(account);
+    const lifelogs = await processor.getLifelogsForDate(date, timezone, {
+      refresh: req.query.refresh === 'true'
+    });
 
     if (format === 'chatgpt') {
       const optimizer = new TokenOptimizer();
@@ -62,48 +408,85 @@ app.get('/api/lifelogs/:date', async (req, res) => {
         maxTokens: parseInt(req.query.maxTokens) || 8000,
         includeTimestamps: req.query.includeTimestamps !== 'false',
         includeSpeakers: req.query.includeSpeakers !== 'false',
-        summarizeLevel: req.query.summarizeLevel || 'medium'
+        summarizeLevel: req.query.summarizeLevel || 'medium',
+        dedupe: req.query.dedupe === 'true',
+        taxonomy: await getTopicTaxonomy(account).listTopics()
       });
       res.json(optimizedData);
     } else {
       res.json({ lifelogs, count: lifelogs.length });
     }
   } catch (error) {
-    console.error('Error fetching lifelogs:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error fetching lifelogs');
+  }
+});
+
+// Cached conversations most similar to a lifelog
+app.get('/api/lifelogs/:id/related', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50);
+    const minSimilarity = req.query.minSimilarity !== undefined ? parseFloat(req.query.minSimilarity) : undefined;
+    if (minSimilarity !== undefined && (Number.isNaN(minSimilarity) || minSimilarity < 0 || minSimilarity > 1)) {
+      return res.status(400).json({ error: 'minSimilarity must be between 0 and 1' });
+    }
+
+    const related = await getSimilarityIndex(account).related(req.params.id, { limit, minSimilarity });
+    if (!related) {
+      return res.status(404).json({ error: 'Lifelog not found in the local cache' });
+    }
+
+    res.json({ lifelogId: req.params.id, related });
+  } catch (error) {
+    sendError(res, error, 'Error finding related conversations');
   }
 });
 
 // Process and export lifelogs for ChatGPT
 app.post('/api/process', async (req, res) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
+    const account = await resolveAccount(req);
+    const options = applyPreset(account, req.body);
 
     const {
       date,
-      timezone = 'UTC',
+      timezone = account.timezone,
       maxTokens = 8000,
       includeTimestamps = true,
       includeSpeakers = true,
       summarizeLevel = 'medium',
-      outputFormat = 'markdown'
-    } = req.body;
+      outputFormat = 'markdown',
+      chunkStrategy = 'semantic',
+      silenceGapMinutes,
+      speakerChangeGapMinutes,
+      dedupe = false,
+      maxEntries,
+      refresh = false
+    } = options;
+
+    const invalidGap = invalidGapOption(options);
+    if (invalidGap) {
+      return res.status(400).json({ error: `${invalidGap} must be a positive number of minutes` });
+    }
 
-    const processor = new LifelogProcessor(apiKey);
+    const processor = createProcessor(account);
     const optimizer = new TokenOptimizer();
 
-    // Fetch lifelogs
-    const lifelogs = await processor.getLifelogsForDate(date, timezone);
-    
-    // Optimize for ChatGPT
-    const optimizedData = await optimizer.optimizeForChatGPT(lifelogs, {
+    // Optimize for ChatGPT page by page as lifelogs are read
+    const lifelogs = [];
+    const pages = processor.iterateLifelogsForDate(date, timezone, { refresh, maxEntries });
+    const optimizedData = await optimizer.optimizeStream(trackPages(pages, lifelogs), {
       maxTokens,
       includeTimestamps,
       includeSpeakers,
-      summarizeLevel
+      summarizeLevel,
+      chunkStrategy,
+      silenceGapMinutes,
+      speakerChangeGapMinutes,
+      dedupe,
+      taxonomy: await getTopicTaxonomy(account).listTopics(),
+      gazetteer: await getGazetteer(account).listEntries()
     });
 
     // Format output
@@ -116,6 +499,10 @@ app.post('/api/process', async (req, res) => {
       formattedOutput = optimizer.formatAsPlainText(optimizedData);
     }
 
+    if (lifelogs.length > 0) {
+      await recordExport(account, date, timezone, lifelogs, outputFormat);
+    }
+
     res.json({
       success: true,
       date,
@@ -126,57 +513,90 @@ app.post('/api/process', async (req, res) => {
       output: formattedOutput,
       metadata: {
         processingTime: new Date().toISOString(),
+        truncated: Boolean(optimizedData.metadata.truncated),
+        ...(optimizedData.metadata.deduplication && { deduplication: optimizedData.metadata.deduplication }),
         settings: {
           maxTokens,
           includeTimestamps,
           includeSpeakers,
           summarizeLevel,
-          outputFormat
+          outputFormat,
+          chunkStrategy,
+          dedupe,
+          maxEntries
         }
       }
     });
   } catch (error) {
-    console.error('Error processing lifelogs:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error processing lifelogs');
   }
 });
 
+/**
+ * Format the entities of an export as an INDEX section grouped by type
+ * @param {Array} entities - Entity summary from EntityExtractor
+ * @returns {string} "Entities" section, or an empty string if there are none
+ */
+const formatEntityIndex = (entities) => {
+  if (!entities || entities.length === 0) return '';
+
+  const labels = { person: 'People', organization: 'Organizations', place: 'Places', product: 'Products' };
+  const lines = EntityExtractor.ENTITY_TYPES
+    .map(type => [labels[type], entities.filter(entity => entity.type === type)])
+    .filter(([, ofType]) => ofType.length > 0)
+    .map(([label, ofType]) => `- **${label}:** ${ofType.map(entity => `${entity.name} (${entity.count})`).join(', ')}`);
+
+  return `## Entities\n\n${lines.join('\n')}\n\n`;
+};
+
 // Multi-file export for ChatGPT memory building
 app.post('/api/multi-file-export', async (req, res) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
+    const account = await resolveAccount(req);
+    const options = applyPreset(account, req.body);
 
     const {
       date,
-      timezone = 'UTC',
+      timezone = account.timezone,
       maxTokens = 8000,
       includeTimestamps = true,
       includeSpeakers = true,
-      summarizeLevel = 'low'
-    } = req.body;
-
-    const processor = new LifelogProcessor(apiKey);
-    const optimizer = new TokenOptimizer();
+      summarizeLevel = 'low',
+      chunkStrategy = 'semantic',
+      silenceGapMinutes,
+      speakerChangeGapMinutes,
+      dedupe = false,
+      refresh = false
+    } = options;
 
-    // Fetch all lifelogs for the date
-    const lifelogs = await processor.getLifelogsForDate(date, timezone);
-    
-    if (lifelogs.length === 0) {
-      return res.status(404).json({ error: 'No lifelogs found for this date' });
+    const invalidGap = invalidGapOption(options);
+    if (invalidGap) {
+      return res.status(400).json({ error: `${invalidGap} must be a positive number of minutes` });
     }
 
-    // Process with minimal compression to preserve full content
-    const optimizedData = await optimizer.optimizeForChatGPT(lifelogs, {
+    const processor = createProcessor(account);
+    const optimizer = new TokenOptimizer();
+
+    // Process with minimal compression to preserve full content, page by page as lifelogs are read
+    const lifelogs = [];
+    const pages = processor.iterateLifelogsForDate(date, timezone, { refresh });
+    const optimizedData = await optimizer.optimizeStream(trackPages(pages, lifelogs), {
       maxTokens,
       includeTimestamps,
       includeSpeakers,
       summarizeLevel,
-      chunkStrategy: 'semantic'
+      chunkStrategy,
+      silenceGapMinutes,
+      speakerChangeGapMinutes,
+      dedupe,
+      taxonomy: await getTopicTaxonomy(account).listTopics(),
+      gazetteer: await getGazetteer(account).listEntries()
     });
 
+    if (lifelogs.length === 0) {
+      return res.status(404).json({ error: 'No lifelogs found for this date' });
+    }
+
     const files = [];
     const baseFilename = `lifelog_${date}`;
 
@@ -186,7 +606,8 @@ app.post('/api/multi-file-export', async (req, res) => {
         filename: `${baseFilename}_complete.md`,
         content: optimizer.formatAsMarkdown(optimizedData),
         tokenCount: optimizedData.tokenCount,
-        partNumber: 1
+        partNumber: 1,
+        entities: optimizedData.entities
       });
     } else {
       // Multiple files for chunked content
@@ -200,6 +621,9 @@ app.post('/api/multi-file-export', async (req, res) => {
         if (chunk.topics && chunk.topics.length > 0) {
           content += `**Topics:** ${chunk.topics.join(', ')}\n`;
         }
+        if (chunk.entities.length > 0) {
+          content += `**Entities:** ${chunk.entities.map(entity => entity.name).join(', ')}\n`;
+        }
         content += `**Part ${partNumber} of ${optimizedData.chunks.length}**\n\n`;
         content += `---\n\n${chunk.content}`;
 
@@ -208,7 +632,8 @@ app.post('/api/multi-file-export', async (req, res) => {
           content,
           tokenCount: chunk.tokenCount,
           partNumber,
-          topics: chunk.topics || []
+          topics: chunk.topics || [],
+          entities: chunk.entities
         });
       });
     }
@@ -222,8 +647,10 @@ app.post('/api/multi-file-export', async (req, res) => {
       `**Total Token Count:** ${optimizedData.optimizedTokens || optimizedData.tokenCount}\n\n` +
       `## File Overview\n\n` +
       files.map(file => 
-        `- **${file.filename}** (${file.tokenCount} tokens)${file.topics?.length ? ` - Topics: ${file.topics.join(', ')}` : ''}`
+        `- **${file.filename}** (${file.tokenCount} tokens)${file.topics?.length ? ` - Topics: ${file.topics.join(', ')}` : ''}` +
+        `${file.entities.length ? ` - Entities: ${file.entities.map(entity => entity.name).join(', ')}` : ''}`
       ).join('\n') + '\n\n' +
+      formatEntityIndex(optimizedData.entities) +
       `## Usage Instructions\n\n` +
       `1. Upload files to ChatGPT in order (part01, part02, etc.)\n` +
       `2. Each file is optimized to fit within token limits\n` +
@@ -236,6 +663,8 @@ app.post('/api/multi-file-export', async (req, res) => {
       content: indexContent
     };
 
+    await recordExport(account, date, timezone, lifelogs, 'multi-file');
+
     res.json({
       success: true,
       date,
@@ -248,177 +677,1050 @@ app.post('/api/multi-file-export', async (req, res) => {
       metadata: {
         originalEntries: lifelogs.length,
         processingTime: new Date().toISOString(),
+        ...(optimizedData.metadata.deduplication && { deduplication: optimizedData.metadata.deduplication }),
         settings: {
           maxTokens,
           includeTimestamps,
           includeSpeakers,
-          summarizeLevel
+          summarizeLevel,
+          dedupe
         }
       }
     });
   } catch (error) {
-    console.error('Error in multi-file export:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error in multi-file export');
   }
 });
 
 // Add consolidated export endpoint for better ChatGPT integration
 app.post('/api/consolidated-export', async (req, res) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
+    const account = await resolveAccount(req);
 
     const {
       date,
-      timezone = 'UTC',
+      timezone = account.timezone,
       maxTokens = 120000, // Higher limit for consolidated export
       includeTimestamps = true,
       includeSpeakers = true,
       summarizeLevel = 'low',
-      prioritizeTopics = true
-    } = req.body;
+      prioritizeTopics = true,
+      includeOpenThreads = false,
+      groupBy = 'priority',
+      clusterCount,
+      refresh = false
+    } = applyPreset(account, req.body);
 
-    const processor = new LifelogProcessor(apiKey);
-    const optimizer = new TokenOptimizer();
+    if (!GROUP_BY_MODES.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${GROUP_BY_MODES.join(', ')}` });
+    }
+    if (clusterCount !== undefined && !(Number.isInteger(clusterCount) && clusterCount >= 1 && clusterCount <= MAX_CLUSTERS)) {
+      return res.status(400).json({ error: `clusterCount must be a whole number from 1 to ${MAX_CLUSTERS}` });
+    }
+
+    const processor = createProcessor(account);
+    const exportService = new ExportService();
+
+    // Ranking needs the whole day, read page by page like the other exports
+    const lifelogs = [];
+    for await (const page of processor.iterateLifelogsForDate(date, timezone, { refresh })) {
+      lifelogs.push(...page.lifelogs);
+    }
 
-    // Fetch all lifelogs for the date
-    const lifelogs = await processor.getLifelogsForDate(date, timezone);
-    
     if (lifelogs.length === 0) {
       return res.status(404).json({ error: 'No lifelogs found for this date' });
     }
 
-    // Create consolidated content optimized for ChatGPT memory
-    const consolidatedContent = await optimizer.createConsolidatedExport(lifelogs, {
+    // Questions left open earlier in the week carry over, from what is already cached
+    const dateUtils = new DateUtils();
+    const earlierLifelogs = includeOpenThreads
+      ? await processor.getCachedLifelogsInRange(dateUtils.addDays(date, -OPEN_THREAD_LOOKBACK_DAYS), dateUtils.addDays(date, -1), timezone)
+      : [];
+
+    const consolidated = await exportService.createConsolidatedExport(lifelogs, {
+      date,
+      timezone,
       maxTokens,
       includeTimestamps,
       includeSpeakers,
       summarizeLevel,
-      prioritizeTopics
+      prioritizeTopics,
+      includeOpenThreads,
+      groupBy,
+      clusterCount,
+      taxonomy: await getTopicTaxonomy(account).listTopics(),
+      gazetteer: await getGazetteer(account).listEntries(),
+      earlierLifelogs
     });
 
-    const filename = `lifelog_${date}_consolidated.md`;
-    
-    // Add ChatGPT-specific instructions
-    let content = `# Lifelog Memory Integration - ${date}\n\n`;
-    content += `**Instructions for ChatGPT Memory Building:**\n`;
-    content += `- This is a consolidated lifelog from ${date}\n`;
-    content += `- Contains ${lifelogs.length} lifelog entries optimized for memory integration\n`;
-    content += `- Key topics and conversations are prioritized and organized\n`;
-    content += `- Use this to build consistent memory about the user's activities and context\n\n`;
-    content += `**Processing Details:**\n`;
-    content += `- Date: ${date}\n`;
-    content += `- Timezone: ${timezone}\n`;
-    content += `- Token Count: ${consolidatedContent.tokenCount}\n`;
-    content += `- Optimization Strategy: ${consolidatedContent.strategy}\n`;
-    content += `- Topics Covered: ${consolidatedContent.topics ? consolidatedContent.topics.join(', ') : 'Various'}\n\n`;
-    content += `---\n\n${consolidatedContent.content}`;
+    await recordExport(account, date, timezone, lifelogs, 'consolidated');
 
     res.json({
       success: true,
       date,
       timezone,
-      filename,
-      content,
-      tokenCount: consolidatedContent.tokenCount,
-      strategy: consolidatedContent.strategy,
-      topics: consolidatedContent.topics || [],
-      metadata: {
-        originalEntries: lifelogs.length,
-        processingTime: new Date().toISOString(),
-        settings: {
-          maxTokens,
-          includeTimestamps,
-          includeSpeakers,
-          summarizeLevel,
-          prioritizeTopics
-        }
-      }
+      ...consolidated
     });
   } catch (error) {
-    console.error('Error in consolidated export:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error in consolidated export');
   }
 });
 
 // Batch process multiple dates
 app.post('/api/batch-process', async (req, res) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
+    const account = await resolveAccount(req);
+    const options = applyPreset(account, req.body);
 
     const {
       startDate,
       endDate,
-      timezone = 'UTC',
+      timezone = account.timezone,
       maxTokensPerDay = 8000,
-      outputFormat = 'markdown'
-    } = req.body;
+      outputFormat = 'markdown',
+      dedupe = false,
+      maxEntries,
+      refresh = false
+    } = options;
+
+    const invalidGap = invalidGapOption(options);
+    if (invalidGap) {
+      return res.status(400).json({ error: `${invalidGap} must be a positive number of minutes` });
+    }
 
-    const processor = new LifelogProcessor(apiKey);
+    const processor = createProcessor(account, { priority: 'batch' });
     const optimizer = new TokenOptimizer();
     const dateUtils = new DateUtils();
 
     const dates = dateUtils.getDateRange(startDate, endDate);
-    const results = [];
+    const taxonomy = await getTopicTaxonomy(account).listTopics();
+    const gazetteer = await getGazetteer(account).listEntries();
+
+    // Stop fetching once the client has gone away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    // Dates are fetched in parallel; the per-key request queue keeps the
+    // total request rate within budget
+    const processed = await mapWithConcurrency(dates, BATCH_CONCURRENCY, async (date) => {
+      if (controller.signal.aborted) return null;
 
-    for (const date of dates) {
       try {
-        const lifelogs = await processor.getLifelogsForDate(date, timezone);
-        if (lifelogs.length > 0) {
-          const optimizedData = await optimizer.optimizeForChatGPT(lifelogs, {
-            maxTokens: maxTokensPerDay
-          });
-
-          let formattedOutput;
-          if (outputFormat === 'markdown') {
-            formattedOutput = optimizer.formatAsMarkdown(optimizedData);
-          } else {
-            formattedOutput = optimizedData;
-          }
-
-          results.push({
-            date,
-            success: true,
-            count: lifelogs.length,
-            tokenCount: optimizedData.tokenCount,
-            output: formattedOutput
-          });
+        const lifelogs = [];
+        const pages = processor.iterateLifelogsForDate(date, timezone, {
+          refresh,
+          maxEntries,
+          signal: controller.signal
+        });
+        const optimizedData = await optimizer.optimizeStream(trackPages(pages, lifelogs), {
+          maxTokens: maxTokensPerDay,
+          dedupe,
+          taxonomy,
+          gazetteer
+        });
+        if (lifelogs.length === 0) return null;
+
+        let formattedOutput;
+        if (outputFormat === 'markdown') {
+          formattedOutput = optimizer.formatAsMarkdown(optimizedData);
+        } else {
+          formattedOutput = optimizedData;
         }
+
+        await recordExport(account, date, timezone, lifelogs, `batch-${outputFormat}`);
+
+        return {
+          date,
+          success: true,
+          count: lifelogs.length,
+          tokenCount: optimizedData.tokenCount,
+          truncated: Boolean(optimizedData.metadata.truncated),
+          ...(optimizedData.metadata.deduplication && { deduplication: optimizedData.metadata.deduplication }),
+          output: formattedOutput
+        };
       } catch (error) {
-        results.push({
+        // A bad key fails every date, so report it once
+        if (error instanceof AuthenticationError) throw error;
+        if (error instanceof CancelledError) return null;
+        return {
           date,
           success: false,
-          error: error.message
-        });
+          error: error.message,
+          code: error.code
+        };
       }
+    });
+
+    if (controller.signal.aborted) {
+      console.log('Batch cancelled by client');
+      return;
     }
 
+    const results = processed.filter(Boolean);
+
     res.json({
       success: true,
       dateRange: { startDate, endDate },
       processedDates: results.length,
+      truncated: results.some(result => result.truncated),
       results
     });
   } catch (error) {
-    console.error('Error batch processing:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error, 'Error batch processing');
   }
 });
 
-// Serve React app for all other routes
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'client/build', 'index.html'));
+// Import Limitless JSON exports into the local cache
+app.post('/api/import', upload.array('files'), async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const { timezone = account.timezone } = req.body;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No files uploaded' });
+    }
+
+    const importer = new LifelogImporter();
+    const lifelogs = [];
+    const files = [];
+
+    for (const file of req.files) {
+      try {
+        const parsed = importer.parse(file.buffer, file.originalname);
+        lifelogs.push(...parsed.lifelogs);
+        files.push({ filename: file.originalname, success: true, count: parsed.lifelogs.length, skipped: parsed.skipped });
+      } catch (error) {
+        files.push({ filename: file.originalname, success: false, error: error.message });
+      }
+    }
+
+    if (lifelogs.length === 0) {
+      return res.status(400).json({ error: 'No valid lifelogs found in uploaded files', files });
+    }
+
+    const changes = await getCache(account).upsertLifelogs(lifelogs);
+
+    res.json({
+      success: true,
+      timezone,
+      imported: lifelogs.length,
+      added: changes.added.length,
+      updated: changes.updated.length,
+      unchanged: changes.unchanged,
+      dates: importer.summarizeByDate(lifelogs, timezone),
+      files
+    });
+  } catch (error) {
+    sendError(res, error, 'Error importing lifelogs');
+  }
+});
+
+// Sync status for cached dates
+app.get('/api/sync/status', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    if (!account.apiKey) {
+      return res.status(401).json({ error: 'API key or profile required' });
+    }
+
+    const { timezone, startDate, endDate } = req.query;
+    const statuses = await getCache(account).listSyncStatus({ timezone, startDate, endDate });
+    res.json({ statuses });
+  } catch (error) {
+    sendError(res, error, 'Error fetching sync status');
+  }
+});
+
+app.get('/api/sync/status/:date', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    if (!account.apiKey) {
+      return res.status(401).json({ error: 'API key or profile required' });
+    }
+
+    const { date } = req.params;
+    const { timezone = account.timezone } = req.query;
+    const status = await getCache(account).getSyncStatus(date, timezone);
+    res.json({ date, timezone, synced: Boolean(status), status });
+  } catch (error) {
+    sendError(res, error, 'Error fetching sync status');
+  }
+});
+
+// Sync one date or a date range into the local cache
+app.post('/api/sync', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    if (!account.apiKey) {
+      return res.status(401).json({ error: 'API key or profile required' });
+    }
+
+    const {
+      date,
+      startDate = date,
+      endDate = date,
+      timezone = account.timezone,
+      refresh = false
+    } = req.body;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'date or startDate/endDate required' });
+    }
+
+    const processor = createProcessor(account);
+    const dateUtils = new DateUtils();
+    const results = [];
+
+    for (const day of dateUtils.getDateRange(startDate, endDate)) {
+      try {
+        const { lifelogs, status, source } = await processor.syncDate(day, timezone, { refresh });
+        results.push({ date: day, success: true, source, count: lifelogs.length, status });
+      } catch (error) {
+        if (error instanceof AuthenticationError) throw error;
+        results.push({ date: day, success: false, error: error.message, code: error.code });
+      }
+    }
+
+    res.json({ success: true, timezone, results });
+  } catch (error) {
+    sendError(res, error, 'Error syncing lifelogs');
+  }
+});
+
+// Report exported dates whose lifelogs were added, removed or edited since export
+app.get('/api/changes', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const { timezone, startDate, endDate } = req.query;
+    const refresh = req.query.refresh === 'true';
+
+    const processor = createProcessor(account, { priority: 'batch' });
+    const tracker = new ChangeTracker(getCache(account));
+    const records = await getCache(account).listExportRecords({ timezone, startDate, endDate });
+
+    const reports = await mapWithConcurrency(records, BATCH_CONCURRENCY, async (record) => {
+      try {
+        const lifelogs = await processor.getLifelogsForDate(record.date, record.timezone, { refresh });
+        return await tracker.detectChanges(record.date, record.timezone, lifelogs);
+      } catch (error) {
+        if (error instanceof AuthenticationError) throw error;
+        return { date: record.date, timezone: record.timezone, error: error.message, code: error.code };
+      }
+    });
+
+    res.json({
+      checkedDates: reports.length,
+      staleDates: reports.filter(report => report.stale).length,
+      dates: reports
+    });
+  } catch (error) {
+    sendError(res, error, 'Error detecting changes');
+  }
+});
+
+// Change report for a single exported date
+app.get('/api/changes/:date', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const { date } = req.params;
+    const { timezone = account.timezone } = req.query;
+    const refresh = req.query.refresh === 'true';
+
+    const tracker = new ChangeTracker(getCache(account));
+    if (!(await getCache(account).getExportRecord(date, timezone))) {
+      return res.status(404).json({ error: 'This date has not been exported' });
+    }
+
+    const lifelogs = await createProcessor(account).getLifelogsForDate(date, timezone, { refresh });
+    res.json(await tracker.detectChanges(date, timezone, lifelogs));
+  } catch (error) {
+    sendError(res, error, 'Error detecting changes');
+  }
+});
+
+// List profiles (API keys are never returned)
+app.get('/api/profiles', async (req, res) => {
+  try {
+    res.json({ profiles: await profileStore.listProfiles() });
+  } catch (error) {
+    sendError(res, error, 'Error listing profiles');
+  }
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Limitless Lifelog Parser server running on port ${PORT}`);
-  console.log(`📊 Dashboard: http://localhost:${PORT}`);
-  console.log(`🔗 API: http://localhost:${PORT}/api`);
+// Create a profile
+app.post('/api/profiles', async (req, res) => {
+  try {
+    const errors = profileStore.validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid profile', details: errors });
+    }
+
+    const profile = await profileStore.createProfile(req.body);
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    sendError(res, error, 'Error creating profile');
+  }
 });
 
+// Update a profile; omit apiKey to keep the stored one
+app.put('/api/profiles/:id', async (req, res) => {
+  try {
+    const existing = await profileStore.getProfile(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Profile not found', code: 'PROFILE_NOT_FOUND' });
+    }
+
+    const errors = profileStore.validateProfile({
+      ...existing,
+      ...req.body,
+      presets: req.body.presets || existing.presets
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid profile', details: errors });
+    }
+
+    const profile = await profileStore.updateProfile(req.params.id, req.body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    sendError(res, error, 'Error updating profile');
+  }
+});
+
+// Delete a profile (its cache stays on disk)
+app.delete('/api/profiles/:id', async (req, res) => {
+  try {
+    if (!(await profileStore.deleteProfile(req.params.id))) {
+      return res.status(404).json({ error: 'Profile not found', code: 'PROFILE_NOT_FOUND' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error deleting profile');
+  }
+});
+
+// List speaker alias rules and the people they map to
+app.get('/api/speakers/aliases', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const aliasStore = getSpeakerAliases(account);
+
+    res.json({ aliases: await aliasStore.listAliases(), people: await aliasStore.listPeople() });
+  } catch (error) {
+    sendError(res, error, 'Error listing speaker aliases');
+  }
+});
+
+// Map one or more raw speaker names to a person, optionally for one date or lifelog
+app.post('/api/speakers/aliases', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const aliasStore = getSpeakerAliases(account);
+
+    const errors = aliasStore.validateAlias(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid alias', details: errors });
+    }
+
+    const aliases = await aliasStore.addAliases(req.body);
+    res.status(201).json({ success: true, aliases });
+  } catch (error) {
+    sendError(res, error, 'Error saving speaker alias');
+  }
+});
+
+// Remove a speaker alias rule
+app.delete('/api/speakers/aliases/:id', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    if (!(await getSpeakerAliases(account).removeAlias(req.params.id))) {
+      return res.status(404).json({ error: 'Alias not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error removing speaker alias');
+  }
+});
+
+// Raw speaker names on a date and who they currently resolve to
+app.get('/api/speakers/:date', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    const { date } = req.params;
+    const { timezone = account.timezone } = req.query;
+
+    const lifelogs = await createProcessor(account).getLifelogsForDate(date, timezone, {
+      refresh: req.query.refresh === 'true',
+      rawSpeakers: true
+    });
+    const resolve = await getSpeakerAliases(account).createResolver();
+    const builder = new TranscriptBuilder();
+    const speakers = new Map();
+
+    for (const lifelog of lifelogs) {
+      for (const speaker of builder.build(lifelog).speakers) {
+        if (!speakers.has(speaker.name)) {
+          speakers.set(speaker.name, { name: speaker.name, isUser: speaker.isUser, utteranceCount: 0, lifelogIds: [] });
+        }
+        const entry = speakers.get(speaker.name);
+        entry.utteranceCount += speaker.utteranceCount;
+        entry.lifelogIds.push(lifelog.id);
+        // Date-scoped rules can map the same raw name differently per lifelog
+        entry.resolvedNames = Array.from(new Set([
+          ...(entry.resolvedNames || []),
+          resolve(speaker.name, { date, lifelogId: lifelog.id })
+        ]));
+      }
+    }
+
+    res.json({ date, timezone, speakers: Array.from(speakers.values()) });
+  } catch (error) {
+    sendError(res, error, 'Error listing speakers');
+  }
+});
+
+// Talk time and participation per speaker for a date or a date range
+app.get('/api/analytics/speakers', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    const { timezone = account.timezone } = req.query;
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const days = await fetchDays(account, range.dates, timezone, req.query.refresh === 'true');
+
+    res.json({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      timezone,
+      ...new SpeakerAnalytics().analyzeDays(days)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error computing speaker analytics');
+  }
+});
+
+// Commitments and requests extracted from conversations, grouped by day
+app.get('/api/action-items', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const { timezone = account.timezone, owner } = req.query;
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const extractor = new ActionItemExtractor();
+    const days = (await fetchDays(account, range.dates, timezone, req.query.refresh === 'true'))
+      .map(day => ({
+        date: day.date,
+        items: extractor.extract(day.lifelogs)
+          .filter(item => !owner || (item.owner && item.owner.toLowerCase() === owner.trim().toLowerCase()))
+      }));
+
+    res.json({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      timezone,
+      total: days.reduce((sum, day) => sum + day.items.length, 0),
+      days
+    });
+  } catch (error) {
+    sendError(res, error, 'Error extracting action items');
+  }
+});
+
+/**
+ * Extract candidate events and deadlines for the date range of a request
+ * @param {object} req - Express request with date or startDate/endDate, timezone and kind
+ * @param {object} account - Account from resolveAccount
+ * @returns {Promise<object>} range, timezone and per-day candidates, or error
+ */
+const extractDateMentions = async (req, account) => {
+  const { timezone = account.timezone, kind } = req.query;
+
+  const range = parseDateRange(req.query);
+  if (range.error) return range;
+
+  if (kind && !['event', 'deadline'].includes(kind)) {
+    return { error: 'kind must be "event" or "deadline"' };
+  }
+
+  const extractor = new DateMentionExtractor();
+  const days = (await fetchDays(account, range.dates, timezone, req.query.refresh === 'true'))
+    .map(day => ({
+      date: day.date,
+      mentions: extractor.extract(day.lifelogs, { timezone, includePast: req.query.includePast === 'true' })
+        .filter(mention => !kind || mention.kind === kind)
+    }));
+
+  return { ...range, timezone, days };
+};
+
+// Dates and times mentioned in conversations, resolved to candidate events and deadlines
+app.get('/api/date-mentions', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    const result = await extractDateMentions(req, account);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      startDate: result.startDate,
+      endDate: result.endDate,
+      timezone: result.timezone,
+      total: result.days.reduce((sum, day) => sum + day.mentions.length, 0),
+      days: result.days
+    });
+  } catch (error) {
+    sendError(res, error, 'Error extracting date mentions');
+  }
+});
+
+// The same candidates as an iCalendar download
+app.get('/api/date-mentions/calendar.ics', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    const result = await extractDateMentions(req, account);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const calendar = new DateMentionExtractor().toCalendar(result.days.flatMap(day => day.mentions), {
+      name: `Lifelog follow-ups ${result.startDate} to ${result.endDate}`
+    });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="lifelog_${result.startDate}_${result.endDate}.ics"`);
+    res.send(calendar);
+  } catch (error) {
+    sendError(res, error, 'Error building calendar');
+  }
+});
+
+/**
+ * Extract the decision log for the date range of a request
+ * @param {object} req - Express request with date or startDate/endDate, timezone and participant
+ * @param {object} account - Account from resolveAccount
+ * @returns {Promise<object>} range, timezone and decisions in time order, or error
+ */
+const extractDecisions = async (req, account) => {
+  const { timezone = account.timezone, participant } = req.query;
+
+  const range = parseDateRange(req.query);
+  if (range.error) return range;
+
+  const extractor = new DecisionExtractor();
+  const name = participant ? participant.trim().toLowerCase() : null;
+  const decisions = (await fetchDays(account, range.dates, timezone, req.query.refresh === 'true'))
+    .flatMap(day => extractor.extract(day.lifelogs, { timezone }))
+    .filter(decision => !name || decision.participants.some(person => person.toLowerCase() === name));
+
+  return { ...range, timezone, decisions };
+};
+
+// Decisions made in conversations over a date range
+app.get('/api/decisions', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    const result = await extractDecisions(req, account);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      startDate: result.startDate,
+      endDate: result.endDate,
+      timezone: result.timezone,
+      total: result.decisions.length,
+      decisions: result.decisions
+    });
+  } catch (error) {
+    sendError(res, error, 'Error extracting decisions');
+  }
+});
+
+// The same decision log as a Markdown document
+app.get('/api/decisions/export.md', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    const result = await extractDecisions(req, account);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const markdown = new DecisionExtractor().formatMarkdown(result.decisions, result);
+
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="decisions_${result.startDate}_${result.endDate}.md"`);
+    res.send(markdown);
+  } catch (error) {
+    sendError(res, error, 'Error exporting decisions');
+  }
+});
+
+// Questions left unanswered in their conversation, followed across the range until resolved
+app.get('/api/open-questions', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const { timezone = account.timezone, status } = req.query;
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    if (status && !['open', 'resolved'].includes(status)) {
+      return res.status(400).json({ error: 'status must be "open" or "resolved"' });
+    }
+
+    const lifelogs = (await fetchDays(account, range.dates, timezone, req.query.refresh === 'true'))
+      .flatMap(day => day.lifelogs);
+    const { questions, answered } = new OpenQuestionTracker().track(lifelogs, { timezone, asOf: range.endDate });
+
+    res.json({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      timezone,
+      open: questions.filter(question => question.status === 'open').length,
+      resolved: questions.filter(question => question.status === 'resolved').length,
+      answered,
+      questions: questions.filter(question => !status || question.status === status)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error tracking open questions');
+  }
+});
+
+// People, organizations, places and products mentioned over a date range
+app.get('/api/entities', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const { timezone = account.timezone, type } = req.query;
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    if (type && !EntityExtractor.ENTITY_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${EntityExtractor.ENTITY_TYPES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const extractor = new EntityExtractor({ gazetteer: await getGazetteer(account).listEntries() });
+    const results = (await fetchDays(account, range.dates, timezone, req.query.refresh === 'true'))
+      .flatMap(day => extractor.extract(day.lifelogs, { timezone }).map(result => ({ ...result, date: day.date })));
+    const entities = extractor.countOverTime(results, range.dates)
+      .filter(entity => !type || entity.type === type);
+
+    res.json({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      timezone,
+      total: entities.length,
+      entities: entities.slice(0, limit)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error extracting entities');
+  }
+});
+
+// List the account's gazetteer entries
+app.get('/api/entities/gazetteer', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    res.json({ entries: await getGazetteer(account).listEntries(), types: GazetteerStore.ENTRY_TYPES });
+  } catch (error) {
+    sendError(res, error, 'Error listing gazetteer');
+  }
+});
+
+// Add or update a gazetteer entry
+app.post('/api/entities/gazetteer', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const gazetteer = getGazetteer(account);
+
+    const errors = gazetteer.validateEntry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid gazetteer entry', details: errors });
+    }
+
+    const entry = await gazetteer.addEntry(req.body);
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    sendError(res, error, 'Error saving gazetteer entry');
+  }
+});
+
+// Remove a gazetteer entry
+app.delete('/api/entities/gazetteer/:id', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    if (!(await getGazetteer(account).removeEntry(req.params.id))) {
+      return res.status(404).json({ error: 'Gazetteer entry not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error removing gazetteer entry');
+  }
+});
+
+// Themes discovered by clustering lifelogs over a date range
+app.get('/api/topics/clusters', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const { timezone = account.timezone } = req.query;
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const k = req.query.k === undefined ? undefined : Number(req.query.k);
+    if (k !== undefined && !(Number.isInteger(k) && k >= 1 && k <= MAX_CLUSTERS)) {
+      return res.status(400).json({ error: `k must be a whole number from 1 to ${MAX_CLUSTERS}` });
+    }
+
+    const lifelogs = (await fetchDays(account, range.dates, timezone, req.query.refresh === 'true'))
+      .flatMap(day => day.lifelogs);
+    const result = new TopicClusterer().cluster(lifelogs, { k, timezone, dates: range.dates });
+
+    res.json({
+      startDate: range.startDate,
+      endDate: range.endDate,
+      timezone,
+      lifelogCount: lifelogs.length,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'Error clustering topics');
+  }
+});
+
+// List the account's topic taxonomy
+app.get('/api/topics/taxonomy', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    res.json({ topics: await getTopicTaxonomy(account).listTopics(), maxWeight: TopicTaxonomyStore.MAX_WEIGHT });
+  } catch (error) {
+    sendError(res, error, 'Error listing topic taxonomy');
+  }
+});
+
+// Add a topic, or replace one with the same name
+app.post('/api/topics/taxonomy', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const taxonomy = getTopicTaxonomy(account);
+
+    const errors = taxonomy.validateTopic(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid topic', details: errors });
+    }
+
+    const topic = await taxonomy.addTopic(req.body);
+    res.status(201).json({ success: true, topic });
+  } catch (error) {
+    sendError(res, error, 'Error saving topic');
+  }
+});
+
+// Restore the default topics
+app.post('/api/topics/taxonomy/reset', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    res.json({ success: true, topics: await getTopicTaxonomy(account).resetTopics() });
+  } catch (error) {
+    sendError(res, error, 'Error resetting topic taxonomy');
+  }
+});
+
+// Update a topic's name, terms or weight
+app.put('/api/topics/taxonomy/:id', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const taxonomy = getTopicTaxonomy(account);
+
+    const existing = (await taxonomy.listTopics()).find(topic => topic.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+
+    const errors = taxonomy.validateTopic({ ...existing, ...req.body }, existing.id);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid topic', details: errors });
+    }
+
+    const topic = await taxonomy.updateTopic(existing.id, req.body);
+    res.json({ success: true, topic });
+  } catch (error) {
+    sendError(res, error, 'Error updating topic');
+  }
+});
+
+// Remove a topic
+app.delete('/api/topics/taxonomy/:id', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+
+    if (!(await getTopicTaxonomy(account).removeTopic(req.params.id))) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error removing topic');
+  }
+});
+
+// Full-text search over cached lifelogs
+app.get('/api/search', async (req, res) => {
+  try {
+    const account = await resolveAccount(req);
+    const dateUtils = new DateUtils();
+
+    const {
+      q = '',
+      startDate,
+      endDate,
+      speaker,
+      topic,
+      timezone = account.timezone
+    } = req.query;
+
+    if (!q.trim()) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    if ((startDate && !dateUtils.isValidDateString(startDate)) || (endDate && !dateUtils.isValidDateString(endDate))) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD' });
+    }
+
+    const startedAt = Date.now();
+    const { total, results } = await getSearchIndex(account).search(q, {
+      startDate,
+      endDate,
+      speaker,
+      topic,
+      timezone,
+      starred: req.query.starred === undefined ? undefined : req.query.starred === 'true',
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0),
+      resolveSpeaker: await getSpeakerAliases(account).createResolver()
+    });
+
+    res.json({ query: q, total, results, tookMs: Date.now() - startedAt });
+  } catch (error) {
+    sendError(res, error, 'Error searching lifelogs');
+  }
+});
+
+// List scheduled jobs and recent runs
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+    const jobs = await scheduler.listJobs();
+    const history = await scheduler.getHistory({ jobId: req.query.jobId, limit });
+
+    res.json({ jobs, history, schedulerRunning: scheduler.started });
+  } catch (error) {
+    sendError(res, error, 'Error listing schedules');
+  }
+});
+
+// Create or update a scheduled job
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const errors = scheduler.validateJob(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule', details: errors });
+    }
+
+    const existing = req.body.id ? await scheduler.getJob(req.body.id) : null;
+    if (existing && existing.source === 'file') {
+      return res.status(409).json({ error: 'This job is defined in the schedules config file' });
+    }
+
+    const job = await scheduler.saveJob(req.body);
+    res.status(existing ? 200 : 201).json({ success: true, job });
+  } catch (error) {
+    sendError(res, error, 'Error saving schedule');
+  }
+});
+
+// Run a scheduled job immediately
+app.post('/api/schedules/:id/run', async (req, res) => {
+  try {
+    if (!(await scheduler.getJob(req.params.id))) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const run = await scheduler.runJob(req.params.id, { trigger: 'manual' });
+    res.json({ success: run.status === 'success', run });
+  } catch (error) {
+    sendError(res, error, 'Error running schedule');
+  }
+});
+
+// Delete a scheduled job
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    const job = await scheduler.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    if (job.source === 'file') {
+      return res.status(409).json({ error: 'This job is defined in the schedules config file' });
+    }
+
+    await scheduler.removeJob(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error deleting schedule');
+  }
+});
+
+// Report upload problems (file too large, too many files) as bad requests
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  next(error);
+});
+
+// Serve React app for all other routes
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, 'client/build', 'index.html'));
+});
+
+// Only listen when run directly, so tests can mount the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Limitless Lifelog Parser server running on port ${PORT}`);
+    console.log(`📊 Dashboard: http://localhost:${PORT}`);
+    console.log(`🔗 API: http://localhost:${PORT}/api`);
+  });
+
+  if (process.env.SCHEDULER_ENABLED !== 'false') {
+    scheduler.start()
+      .then(() => console.log(`⏰ Scheduler started with ${scheduler.tasks.size} active jobs`))
+      .catch(error => console.error('Failed to start scheduler:', error.message));
+  }
+}
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,245 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const DateUtils = require('../utils/DateUtils');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const DEFAULT_PAGE_SIZE = 3;
+const MAX_PAGE_SIZE = 10;
+
+/**
+ * Local stand-in for the Limitless API (/v1/lifelogs and /v1/lifelogs/:id),
+ * backed by JSON fixture files. Faults can be injected to exercise retry and
+ * error handling:
+ *
+ *   mock.injectFault({ status: 429, retryAfter: 1, times: 2 });
+ *
+ * or over HTTP with POST /__mock/faults and DELETE /__mock/faults.
+ */
+class MockLimitlessApi {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || 'test-key';
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.lifelogs = options.lifelogs || this.loadFixtures(this.fixturesDir);
+    this.faults = [];
+    this.requests = [];
+    this.dateUtils = new DateUtils();
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  /**
+   * Load every *.json fixture in a directory
+   * @param {string} directory - Fixture directory
+   * @returns {Array} Lifelog entries from all fixture files
+   */
+  loadFixtures(directory) {
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .flatMap(file => {
+        const data = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        return Array.isArray(data) ? data : data.lifelogs || [];
+      });
+  }
+
+  /**
+   * Queue a fault for upcoming requests
+   * @param {object} fault - status, times (default 1), retryAfter (seconds), path (substring match)
+   */
+  injectFault(fault) {
+    this.faults.push({ times: 1, ...fault });
+  }
+
+  /**
+   * Remove all queued faults
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Build the Express app
+   * @returns {object} Express application
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    // Fault control for manual testing
+    app.post('/__mock/faults', (req, res) => {
+      this.injectFault(req.body);
+      res.json({ faults: this.faults });
+    });
+    app.delete('/__mock/faults', (req, res) => {
+      this.clearFaults();
+      res.json({ faults: this.faults });
+    });
+
+    const api = express.Router();
+    api.use((req, res, next) => this.applyFaults(req, res, next));
+    api.use((req, res, next) => {
+      this.requests.push({ path: req.path, query: req.query });
+      if (req.get('x-api-key') !== this.apiKey) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      next();
+    });
+    api.get('/lifelogs', (req, res) => this.listLifelogs(req, res));
+    api.get('/lifelogs/:id', (req, res) => this.getLifelog(req, res));
+
+    app.use('/v1', api);
+    return app;
+  }
+
+  /**
+   * Respond with the next matching injected fault, if any
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {Function} next - Continue to the real handler
+   */
+  applyFaults(req, res, next) {
+    const fault = this.faults.find(f => !f.path || req.path.includes(f.path));
+    if (!fault) return next();
+
+    fault.times--;
+    if (fault.times <= 0) {
+      this.faults.splice(this.faults.indexOf(fault), 1);
+    }
+
+    if (fault.retryAfter !== undefined) {
+      res.set('Retry-After', String(fault.retryAfter));
+    }
+    res.status(fault.status || 500).json({ error: fault.message || `Injected ${fault.status || 500} fault` });
+  }
+
+  /**
+   * GET /v1/lifelogs with date/start/end/timezone/isStarred filters and cursor pagination
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   */
+  listLifelogs(req, res) {
+    const {
+      date,
+      start,
+      end,
+      timezone = 'UTC',
+      isStarred,
+      direction = 'desc',
+      cursor
+    } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    let matches = this.lifelogs.filter(lifelog => {
+      const local = this.dateUtils.convertToTimezone(lifelog.startTime, timezone).replace('T', ' ');
+
+      if (start || end) {
+        if (start && local < this.normalizeBoundary(start, '00:00:00')) return false;
+        if (end && local > this.normalizeBoundary(end, '23:59:59')) return false;
+      } else if (date && local.split(' ')[0] !== date) {
+        return false;
+      }
+
+      if (isStarred !== undefined && Boolean(lifelog.isStarred) !== (isStarred === 'true')) {
+        return false;
+      }
+      return true;
+    });
+
+    const sign = direction === 'asc' ? 1 : -1;
+    matches = matches.sort((a, b) => sign * (new Date(a.startTime) - new Date(b.startTime)));
+
+    const offset = cursor ? parseInt(Buffer.from(cursor, 'base64').toString('utf8')) || 0 : 0;
+    const pageItems = matches.slice(offset, offset + limit);
+    const nextOffset = offset + limit;
+    const nextCursor = nextOffset < matches.length
+      ? Buffer.from(String(nextOffset)).toString('base64')
+      : null;
+
+    res.json({
+      data: { lifelogs: pageItems.map(lifelog => this.shape(lifelog, req.query)) },
+      meta: { lifelogs: { nextCursor, count: pageItems.length } }
+    });
+  }
+
+  /**
+   * GET /v1/lifelogs/:id
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   */
+  getLifelog(req, res) {
+    const lifelog = this.lifelogs.find(l => l.id === req.params.id);
+    if (!lifelog) {
+      return res.status(404).json({ error: 'Lifelog not found' });
+    }
+    res.json({ data: { lifelog: this.shape(lifelog, req.query) } });
+  }
+
+  /**
+   * Pad a date-only boundary with a time of day
+   * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DD HH:mm:SS"
+   * @param {string} time - Time to use for date-only values
+   * @returns {string} "YYYY-MM-DD HH:mm:SS"
+   */
+  normalizeBoundary(value, time) {
+    return value.length === 10 ? `${value} ${time}` : value.replace('T', ' ');
+  }
+
+  /**
+   * Apply includeMarkdown/includeHeadings the way the real API does
+   * @param {object} lifelog - Fixture lifelog
+   * @param {object} query - Request query
+   * @returns {object} Response lifelog
+   */
+  shape(lifelog, query) {
+    const shaped = { ...lifelog };
+    if (query.includeMarkdown === 'false') {
+      delete shaped.markdown;
+    }
+    if (query.includeHeadings === 'false' && shaped.contents) {
+      shaped.contents = this.stripHeadings(shaped.contents);
+    }
+    return shaped;
+  }
+
+  /**
+   * Remove heading nodes, keeping their children
+   * @param {Array} nodes - Content nodes
+   * @returns {Array} Content nodes without headings
+   */
+  stripHeadings(nodes) {
+    return nodes.flatMap(node => {
+      const children = node.children ? this.stripHeadings(node.children) : [];
+      if (node.type && node.type.startsWith('heading')) {
+        return children;
+      }
+      return [{ ...node, children }];
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @returns {Promise<string>} Base URL to use as LIMITLESS_API_URL
+   */
+  listen(port = 0) {
+    return new Promise(resolve => {
+      this.server = this.app.listen(port, () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/v1`);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise} Resolves when the server has closed
+   */
+  close() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = MockLimitlessApi;
@@ -0,0 +1,17 @@
+// Run the mock Limitless API for local development:
+//   npm run mock
+//   LIMITLESS_API_URL=http://localhost:3100/v1 npm start
+require('dotenv').config();
+const MockLimitlessApi = require('./MockLimitlessApi');
+
+const port = parseInt(process.env.MOCK_API_PORT) || 3100;
+const mock = new MockLimitlessApi({
+  apiKey: process.env.MOCK_API_KEY || 'test-key',
+  fixturesDir: process.env.MOCK_FIXTURES_DIR
+});
+
+mock.listen(port).then(baseURL => {
+  console.log(`🧪 Mock Limitless API running at ${baseURL}`);
+  console.log(`🔑 API key: ${mock.apiKey}`);
+  console.log(`📁 ${mock.lifelogs.length} fixture lifelogs loaded`);
+});
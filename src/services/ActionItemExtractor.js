@@ -0,0 +1,231 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const { STOP_WORDS, splitSentences } = require('../utils/text');
+
+const WEEKDAY = '(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const MONTH = '(?:january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec)';
+const CLOCK = '(?:\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?|noon|midnight)';
+
+// Phrases that say when something is due, e.g. "by Friday", "next Tuesday at 3pm", "end of the month"
+const DUE_PHRASE = new RegExp([
+  `\\b(?:by|before|until|no later than)\\s+(?:${CLOCK}|(?:the\\s+)?end of (?:the\\s+)?(?:day|week|month|quarter|year)|eod|eow|today|tonight|tomorrow|(?:next|this)\\s+(?:week|month|${WEEKDAY})|${WEEKDAY}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?|the\\s+\\d{1,2}(?:st|nd|rd|th))(?:\\s+at\\s+${CLOCK})?`,
+  `\\b(?:(?:the\\s+)?end of (?:the\\s+)?(?:day|week|month|quarter|year)|eod|eow)\\b`,
+  `\\b(?:today|tonight|tomorrow)(?:\\s+(?:morning|afternoon|evening|night))?(?:\\s+at\\s+${CLOCK})?`,
+  `\\bthis\\s+(?:morning|afternoon|evening|week|weekend|month)\\b`,
+  `\\b(?:next|on)\\s+(?:week|month|${WEEKDAY})(?:\\s+at\\s+${CLOCK})?`,
+  `\\bin\\s+(?:a|an|one|two|three|four|five|\\d+)\\s+(?:hours?|days?|weeks?|months?)\\b`,
+  `\\bat\\s+${CLOCK}`
+].join('|'), 'i');
+
+// First-person commitments; the capture is the promised task
+const COMMITMENT_PATTERNS = [
+  { pattern: /\b(?:i|we)\s*(?:'ll|’ll| will| shall| am going to|'m going to|’m going to| are going to|'re going to|’re going to|'m gonna|’m gonna| promise to)\s+(.+)/i, confidence: 0.8 },
+  { pattern: /\blet me\s+(.+)/i, confidence: 0.8 },
+  { pattern: /\b(?:i|we)\s+(?:need to|have to|must|'ve got to|’ve got to)\s+(.+)/i, confidence: 0.6 },
+  { pattern: /\bi\s+can\s+(.+)/i, confidence: 0.5 }
+];
+
+// Requests that hand a task to someone else in the conversation
+const REQUEST_PATTERN = /\b(?:can|could|would|will)\s+you(?:\s+please)?\s+(.+?)\??$|^(?:please)\s+(.+)/i;
+
+// "Marcus will review it"
+const THIRD_PERSON_PATTERN = /\b([A-Z][a-z]+)\s+(?:will|is going to|'ll|’ll)\s+(.+)/;
+
+// "Action item: ...", "TODO - ...", "next step is to ..."
+const EXPLICIT_PATTERN = /\b(?:action items?|to-?do|next steps?)\s*(?::|-|is to|are to|is)\s*(.+)/i;
+
+// Verbs that follow "I'll" without promising anything ("I'll be honest", "we'll see")
+const NON_COMMITTAL = /^(?:be|say|admit|bet|guess|think|assume|see|tell you what|have to say)\b/i;
+
+/**
+ * Finds commitments and requests in lifelog transcripts.
+ *
+ * Each sentence of each utterance is matched against commitment patterns
+ * ("I'll send the deck by Friday"), requests ("can you check...") and
+ * explicit markers ("action item: ..."). The owner is who has to do the
+ * task; the recipient is who it was promised to, taken from a name the
+ * sentence addresses or from the neighbouring speaker.
+ *
+ * Item shape:
+ *   { id, lifelogId, utteranceId, title, kind, owner, recipient, task,
+ *     due, quote, speaker, startTime, confidence }
+ */
+class ActionItemExtractor {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+  }
+
+  /**
+   * Extract action items from lifelogs
+   * @param {Array} lifelogs - Lifelog entries
+   * @returns {Array} Action items in time order
+   */
+  extract(lifelogs) {
+    const ordered = [...lifelogs].sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+    return this.transcriptBuilder.buildMany(ordered).flatMap(transcript => this.extractFromTranscript(transcript));
+  }
+
+  /**
+   * Extract action items from one transcript
+   * @param {object} transcript - Transcript from TranscriptBuilder
+   * @returns {Array} Action items
+   */
+  extractFromTranscript(transcript) {
+    const items = [];
+    const seen = new Set();
+    const { utterances } = transcript;
+
+    utterances.forEach((utterance, position) => {
+      const context = {
+        previous: this.neighbourSpeaker(utterances, position, -1, utterance.speaker),
+        next: this.neighbourSpeaker(utterances, position, 1, utterance.speaker),
+        participants: transcript.speakers.map(speaker => speaker.name)
+      };
+
+      splitSentences(utterance.text).forEach((sentence, sentenceIndex) => {
+        const match = this.matchSentence(sentence, utterance.speaker, context);
+        if (!match) return;
+
+        const key = `${(match.owner || '').toLowerCase()}|${match.task.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        items.push({
+          id: `${utterance.id}:${sentenceIndex}`,
+          lifelogId: transcript.lifelogId,
+          utteranceId: utterance.id,
+          title: transcript.title,
+          ...match,
+          quote: sentence,
+          speaker: utterance.speaker,
+          startTime: utterance.startTime || transcript.startTime
+        });
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Match a sentence against the action item patterns
+   * @param {string} sentence - Sentence from an utterance
+   * @param {string|null} speaker - Who said it
+   * @param {object} context - previous and next speakers, participants
+   * @returns {object|null} kind, owner, recipient, task, due and confidence
+   */
+  matchSentence(sentence, speaker, context) {
+    const addressed = this.addressedName(sentence, context.participants, speaker);
+
+    const explicit = sentence.match(EXPLICIT_PATTERN);
+    if (explicit) {
+      const thirdPerson = explicit[1].match(THIRD_PERSON_PATTERN);
+      const owner = thirdPerson && !STOP_WORDS.has(thirdPerson[1].toLowerCase()) ? thirdPerson[1] : null;
+      return this.describe('explicit', owner ? thirdPerson[2] : explicit[1], {
+        owner,
+        recipient: null,
+        confidence: 0.9
+      });
+    }
+
+    // Questions are proposals ("can we meet?"), not promises
+    if (!sentence.trim().endsWith('?')) {
+      for (const { pattern, confidence } of COMMITMENT_PATTERNS) {
+        const match = sentence.match(pattern);
+        if (match && !NON_COMMITTAL.test(match[1])) {
+          return this.describe('commitment', match[1], {
+            owner: speaker,
+            recipient: addressed || context.previous || context.next,
+            confidence
+          });
+        }
+      }
+    }
+
+    const request = sentence.match(REQUEST_PATTERN);
+    if (request && !NON_COMMITTAL.test(request[1] || request[2])) {
+      return this.describe('request', request[1] || request[2], {
+        owner: addressed || context.next || context.previous,
+        recipient: speaker,
+        confidence: 0.6
+      });
+    }
+
+    const thirdPerson = sentence.match(THIRD_PERSON_PATTERN);
+    if (thirdPerson && !STOP_WORDS.has(thirdPerson[1].toLowerCase()) && !NON_COMMITTAL.test(thirdPerson[2])) {
+      return this.describe('assignment', thirdPerson[2], {
+        owner: thirdPerson[1],
+        recipient: speaker,
+        confidence: 0.7
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Shape a match, separating the due phrase from the task
+   * @param {string} kind - commitment, request, assignment or explicit
+   * @param {string} rawTask - Text after the trigger phrase
+   * @param {object} fields - owner, recipient and confidence
+   * @returns {object|null} Match, or null if no task is left
+   */
+  describe(kind, rawTask, fields) {
+    const dueMatch = rawTask.match(DUE_PHRASE);
+    const due = dueMatch ? dueMatch[0].trim() : null;
+    let task = rawTask;
+    if (dueMatch) {
+      // Drop the phrase and a preposition left hanging before it ("book the room for next Tuesday")
+      const before = rawTask.slice(0, dueMatch.index).replace(/\s+(?:for|on|at|from)\s*$/i, '');
+      task = `${before} ${rawTask.slice(dueMatch.index + dueMatch[0].length)}`;
+    }
+    task = task
+      .replace(/\s+/g, ' ')
+      .replace(/[\s,;:.!?]+$/, '')
+      .trim();
+
+    if (!task) return null;
+
+    return {
+      kind,
+      owner: fields.owner || null,
+      recipient: fields.recipient && fields.recipient !== fields.owner ? fields.recipient : null,
+      task,
+      due,
+      confidence: fields.confidence
+    };
+  }
+
+  /**
+   * Find a participant the sentence addresses by name ("Dana, can you...")
+   * @param {string} sentence - Sentence
+   * @param {Array} participants - Speaker names in the conversation
+   * @param {string|null} speaker - Who said it
+   * @returns {string|null} Addressed participant
+   */
+  addressedName(sentence, participants, speaker) {
+    return participants.find(name => {
+      if (!name || name === speaker || name === 'You') return false;
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(?:^|[,.!?]\\s*)${escaped}\\s*,|,\\s*${escaped}[.!?]?$`, 'i').test(sentence.trim());
+    }) || null;
+  }
+
+  /**
+   * Nearest utterance in one direction by someone else
+   * @param {Array} utterances - Transcript utterances
+   * @param {number} position - Current utterance index
+   * @param {number} step - -1 for previous, 1 for next
+   * @param {string|null} speaker - Current speaker
+   * @returns {string|null} Other speaker's name
+   */
+  neighbourSpeaker(utterances, position, step, speaker) {
+    for (let i = position + step; i >= 0 && i < utterances.length; i += step) {
+      const other = utterances[i].speaker;
+      if (other && other !== speaker) return other;
+    }
+    return null;
+  }
+}
+
+ActionItemExtractor.DUE_PHRASE = DUE_PHRASE;
+
+module.exports = ActionItemExtractor;
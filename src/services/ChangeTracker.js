@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+
+/**
+ * Detects lifelogs that changed after a date was exported.
+ *
+ * Every export stores a fingerprint per lifelog (content hash plus a few
+ * per-field hashes) in the cache. Comparing those fingerprints with the
+ * current lifelogs shows which exported dates are stale and why: Limitless
+ * may add, delete, re-transcribe or retitle lifelogs after the fact.
+ * Fingerprints are taken from the cached lifelogs, as Limitless sent them,
+ * so renaming a speaker is not mistaken for a new transcript.
+ */
+class ChangeTracker {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Hash a value with SHA-256
+   * @param {*} value - Value to hash (serialized as JSON unless a string)
+   * @returns {string} Hex digest
+   */
+  static hash(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value === undefined ? null : value);
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Build the fingerprint stored for a lifelog at export time
+   * @param {object} lifelog - Lifelog entry
+   * @returns {object} Content hash, per-field hashes and display fields
+   */
+  fingerprint(lifelog) {
+    const transcript = { markdown: lifelog.markdown || null, contents: lifelog.contents || null };
+    const timing = { startTime: lifelog.startTime, endTime: lifelog.endTime };
+
+    return {
+      hash: ChangeTracker.hash({
+        title: lifelog.title || null,
+        ...timing,
+        isStarred: Boolean(lifelog.isStarred),
+        ...transcript
+      }),
+      title: lifelog.title || '',
+      startTime: lifelog.startTime,
+      endTime: lifelog.endTime,
+      isStarred: Boolean(lifelog.isStarred),
+      transcriptHash: ChangeTracker.hash(transcript),
+      transcriptLength: (lifelog.markdown || '').length,
+      utteranceCount: this.countUtterances(lifelog.contents)
+    };
+  }
+
+  /**
+   * Record what was exported for a date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {Array} lifelogs - Lifelogs included in the export
+   * @param {object} options - format of the export
+   * @returns {Promise<object>} Stored export record
+   */
+  async recordExport(date, timezone, lifelogs, options = {}) {
+    const fingerprints = {};
+    for (const lifelog of await this.withRawSpeakers(date, timezone, lifelogs)) {
+      if (lifelog && lifelog.id) {
+        fingerprints[lifelog.id] = this.fingerprint(lifelog);
+      }
+    }
+
+    return this.cache.saveExportRecord({
+      date,
+      timezone,
+      format: options.format || 'unknown',
+      exportedAt: new Date().toISOString(),
+      lifelogCount: Object.keys(fingerprints).length,
+      lifelogs: fingerprints
+    });
+  }
+
+  /**
+   * Compare an export record with the current lifelogs for its date
+   * @param {object} record - Export record from recordExport
+   * @param {Array} lifelogs - Current lifelogs for the date
+   * @returns {object} Added, removed and modified lifelogs plus an unchanged count
+   */
+  compare(record, lifelogs) {
+    const exported = record.lifelogs || {};
+    const current = new Map(lifelogs.filter(log => log && log.id).map(log => [log.id, log]));
+    const result = { added: [], removed: [], modified: [], unchanged: 0 };
+
+    for (const [id, lifelog] of current) {
+      const before = exported[id];
+      if (!before) {
+        result.added.push({ id, title: lifelog.title || '', startTime: lifelog.startTime });
+        continue;
+      }
+
+      const after = this.fingerprint(lifelog);
+      if (after.hash === before.hash) {
+        result.unchanged++;
+      } else {
+        result.modified.push(this.describeModification(id, before, after));
+      }
+    }
+
+    for (const [id, before] of Object.entries(exported)) {
+      if (!current.has(id)) {
+        result.removed.push({ id, title: before.title, startTime: before.startTime });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Summarize how a lifelog changed since export
+   * @param {string} id - Lifelog ID
+   * @param {object} before - Fingerprint at export time
+   * @param {object} after - Current fingerprint
+   * @returns {object} Changed fields with before/after details
+   */
+  describeModification(id, before, after) {
+    const summary = { id, title: after.title, changes: [] };
+
+    if (before.title !== after.title) {
+      summary.changes.push('title');
+      summary.titleChange = { from: before.title, to: after.title };
+    }
+
+    if (before.startTime !== after.startTime || before.endTime !== after.endTime) {
+      summary.changes.push('timing');
+      summary.timingChange = {
+        from: { startTime: before.startTime, endTime: before.endTime },
+        to: { startTime: after.startTime, endTime: after.endTime }
+      };
+    }
+
+    if (before.isStarred !== after.isStarred) {
+      summary.changes.push('starred');
+    }
+
+    if (before.transcriptHash !== after.transcriptHash) {
+      summary.changes.push('transcript');
+      summary.transcriptChange = {
+        lengthFrom: before.transcriptLength,
+        lengthTo: after.transcriptLength,
+        utterancesFrom: before.utteranceCount,
+        utterancesTo: after.utteranceCount
+      };
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check one exported date against the given current lifelogs
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {Array} lifelogs - Current lifelogs for the date
+   * @returns {Promise<object|null>} Change report, or null if the date was never exported
+   */
+  async detectChanges(date, timezone, lifelogs) {
+    const record = await this.cache.getExportRecord(date, timezone);
+    if (!record) return null;
+
+    const changes = this.compare(record, await this.withRawSpeakers(date, timezone, lifelogs));
+    return {
+      date,
+      timezone,
+      format: record.format,
+      exportedAt: record.exportedAt,
+      stale: changes.added.length + changes.removed.length + changes.modified.length > 0,
+      ...changes
+    };
+  }
+
+  /**
+   * Swap lifelogs for their cached copies, which carry the speaker names
+   * Limitless sent before any aliases were applied
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {Array} lifelogs - Lifelogs, possibly with aliases applied
+   * @returns {Promise<Array>} The same lifelogs with raw speaker names where cached
+   */
+  async withRawSpeakers(date, timezone, lifelogs) {
+    const cached = new Map((await this.cache.getLifelogsForDate(date, timezone)).map(lifelog => [lifelog.id, lifelog]));
+    return lifelogs.map(lifelog => (lifelog && cached.has(lifelog.id) ? cached.get(lifelog.id) : lifelog));
+  }
+
+  /**
+   * Count utterance nodes in a lifelog content tree
+   * @param {Array} nodes - Content nodes
+   * @returns {number} Number of nodes with speech content
+   */
+  countUtterances(nodes) {
+    if (!Array.isArray(nodes)) return 0;
+
+    return nodes.reduce((count, node) => {
+      const own = node.type === 'blockquote' ? 1 : 0;
+      return count + own + this.countUtterances(node.children);
+    }, 0);
+  }
+}
+
+module.exports = ChangeTracker;
@@ -0,0 +1,206 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+
+const DEFAULT_OPTIONS = {
+  silenceGapMinutes: 5,       // Silence that always ends a conversation
+  speakerChangeGapMinutes: 2, // Shorter silence that ends it when someone new starts talking
+  mergeLifelogs: true         // Join adjacent lifelogs separated by less than the silence gap
+};
+
+/**
+ * Splits lifelogs into conversations.
+ *
+ * Utterances from all lifelogs are walked in time order. A conversation
+ * ends at a long silence, or at a shorter one followed by a speaker who
+ * was not part of it. Lifelogs separated by less than the silence gap are
+ * treated as one conversation. Lifelogs without utterance timing cannot be
+ * split and become one conversation each.
+ *
+ * Segment shape:
+ *   { id, index, title, startTime, endTime, durationMs, lifelogIds,
+ *     participants, headings, wordCount, utterances }
+ */
+class ConversationSegmenter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+  }
+
+  /**
+   * Split lifelogs into conversations
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {object} options - silenceGapMinutes, speakerChangeGapMinutes, mergeLifelogs
+   * @returns {Array} Segments in time order
+   */
+  segment(lifelogs, options = {}) {
+    return this.segmentTranscripts(this.transcriptBuilder.buildMany(lifelogs), options);
+  }
+
+  /**
+   * Split transcripts (from TranscriptBuilder) into conversations
+   * @param {Array} transcripts - Transcripts
+   * @param {object} options - Same as segment()
+   * @returns {Array} Segments in time order
+   */
+  segmentTranscripts(transcripts, options = {}) {
+    // Callers pass request options straight through, so unset values keep the defaults
+    const settings = { ...this.options };
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+      if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+    }
+    const silenceGapMs = settings.silenceGapMinutes * 60000;
+    const speakerChangeGapMs = Math.min(settings.speakerChangeGapMinutes * 60000, silenceGapMs);
+
+    const ordered = transcripts
+      .filter(transcript => transcript.utterances.length > 0)
+      .sort((a, b) => this.timeOf(a.startTime) - this.timeOf(b.startTime));
+
+    const groups = [];
+    let current = null;
+
+    for (const transcript of ordered) {
+      // Without utterance timing a lifelog is kept whole
+      if (!transcript.utterances.every(utterance => utterance.startTime)) {
+        current = null;
+        groups.push({ utterances: [...transcript.utterances], transcripts: [transcript] });
+        continue;
+      }
+
+      for (const utterance of transcript.utterances) {
+        if (!current || this.isBoundary(current, utterance, silenceGapMs, speakerChangeGapMs)) {
+          current = { utterances: [], transcripts: [], participants: new Set(), endMs: null };
+          groups.push(current);
+        }
+
+        current.utterances.push(utterance);
+        if (!current.transcripts.includes(transcript)) current.transcripts.push(transcript);
+        if (utterance.speaker) current.participants.add(utterance.speaker);
+        current.endMs = Math.max(current.endMs || 0, this.timeOf(utterance.endTime || utterance.startTime));
+      }
+
+      // A lifelog that is not merged must not continue into the next one
+      if (!settings.mergeLifelogs) current = null;
+    }
+
+    return groups.map((group, index) => this.describeSegment(group, index));
+  }
+
+  /**
+   * Decide whether an utterance starts a new conversation
+   * @param {object} current - Conversation being built
+   * @param {object} utterance - Next utterance
+   * @param {number} silenceGapMs - Gap that always splits
+   * @param {number} speakerChangeGapMs - Gap that splits when a new speaker starts
+   * @returns {boolean} True if a new conversation starts
+   */
+  isBoundary(current, utterance, silenceGapMs, speakerChangeGapMs) {
+    const gapMs = this.timeOf(utterance.startTime) - current.endMs;
+    if (gapMs > silenceGapMs) return true;
+
+    const newSpeaker = utterance.speaker && !current.participants.has(utterance.speaker);
+    return Boolean(newSpeaker && gapMs > speakerChangeGapMs);
+  }
+
+  /**
+   * Build the public shape of a conversation
+   * @param {object} group - Utterances and transcripts of the conversation
+   * @param {number} index - Position in time order
+   * @returns {object} Segment
+   */
+  describeSegment(group, index) {
+    const { utterances, transcripts } = group;
+    const first = utterances[0];
+    const last = utterances[utterances.length - 1];
+    const startTime = first.startTime || transcripts[0].startTime;
+    const endTime = last.endTime || last.startTime || transcripts[transcripts.length - 1].endTime;
+
+    const participants = [];
+    for (const utterance of utterances) {
+      if (utterance.speaker && !participants.includes(utterance.speaker)) {
+        participants.push(utterance.speaker);
+      }
+    }
+
+    const headings = [];
+    for (const utterance of utterances) {
+      if (utterance.heading && !headings.includes(utterance.heading)) {
+        headings.push(utterance.heading);
+      }
+    }
+
+    return {
+      id: `${first.lifelogId}:${first.index}`,
+      index,
+      title: this.titleFor(utterances, transcripts, participants),
+      startTime,
+      endTime,
+      durationMs: startTime && endTime ? Math.max(0, Date.parse(endTime) - Date.parse(startTime)) : null,
+      lifelogIds: transcripts.map(transcript => transcript.lifelogId),
+      participants,
+      headings,
+      wordCount: utterances.reduce((sum, utterance) => sum + utterance.text.split(/\s+/).filter(Boolean).length, 0),
+      utterances
+    };
+  }
+
+  /**
+   * Title a conversation after the heading covering most of it
+   * @param {Array} utterances - Utterances in the conversation
+   * @param {Array} transcripts - Transcripts it came from
+   * @param {Array} participants - Speaker names
+   * @returns {string} Title
+   */
+  titleFor(utterances, transcripts, participants) {
+    const counts = new Map();
+    for (const utterance of utterances) {
+      if (utterance.heading) {
+        counts.set(utterance.heading, (counts.get(utterance.heading) || 0) + 1);
+      }
+    }
+
+    const [heading] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || [];
+    if (heading) return heading;
+
+    const titled = transcripts.find(transcript => transcript.title);
+    if (titled) return titled.title;
+
+    return participants.length > 0 ? `Conversation with ${participants.join(', ')}` : 'Conversation';
+  }
+
+  /**
+   * Render a segment as text for chunking
+   * @param {object} segment - Segment from segment()
+   * @param {object} options - includeSpeakers, includeTimestamps and summarize,
+   *   an optional function applied to the utterance lines
+   * @returns {string} Segment text
+   */
+  formatSegment(segment, options = {}) {
+    const { includeSpeakers = true, includeTimestamps = true, summarize } = options;
+    let text = `## ${segment.title}\n\n`;
+
+    if (includeTimestamps && segment.startTime) {
+      text += `[${new Date(segment.startTime).toLocaleString()}`;
+      text += segment.endTime ? ` - ${new Date(segment.endTime).toLocaleTimeString()}]` : ']';
+      text += segment.participants.length > 0 ? ` ${segment.participants.join(', ')}\n\n` : '\n\n';
+    }
+
+    const body = segment.utterances
+      .map(utterance => (includeSpeakers && utterance.speaker
+        ? `- ${utterance.speaker}: ${utterance.text}`
+        : `- ${utterance.text}`))
+      .join('\n');
+
+    return (text + (summarize ? summarize(body) : body)).trim();
+  }
+
+  /**
+   * Parse a timestamp, treating missing values as the epoch
+   * @param {string} time - ISO timestamp
+   * @returns {number} Milliseconds since the epoch
+   */
+  timeOf(time) {
+    const ms = time ? Date.parse(time) : NaN;
+    return Number.isNaN(ms) ? 0 : ms;
+  }
+}
+
+module.exports = ConversationSegmenter;
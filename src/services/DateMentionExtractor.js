@@ -0,0 +1,525 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const ActionItemExtractor = require('./ActionItemExtractor');
+const DateUtils = require('../utils/DateUtils');
+const { buildCalendar } = require('../utils/ics');
+const { splitSentences } = require('../utils/text');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+const MONTH = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)\\.?';
+const CLOCK = '(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+const COUNT = '(a|an|one|two|three|four|five|six|seven|eight|nine|ten|\\d+)';
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// Clock times that parts of the day stand for
+const PART_OF_DAY = { morning: '09:00', afternoon: '14:00', evening: '18:00', night: '20:00', tonight: '20:00' };
+
+// When something is only due by an end of day, it is due at close of business
+const END_OF_DAY = '17:00';
+
+// Words before a mention that make it a deadline rather than an event
+const DEADLINE_PREFIX = /\b(?:by|before|until|due|no later than|deadline(?: is)?)\s+(?:the\s+)?$/i;
+
+// Default length of a timed event, in minutes
+const EVENT_MINUTES = 30;
+
+/**
+ * Finds relative and absolute date/time mentions ("next Tuesday at 3",
+ * "end of the month", "Oct 12") and resolves them to calendar dates.
+ *
+ * Mentions are resolved against the time they were spoken, in the user's
+ * timezone. "Tuesday" is the coming Tuesday; "next Tuesday" is Tuesday of
+ * the following week. A bare hour without am/pm is read as business
+ * hours (1-7 pm, 8-11 am). Extraction turns future mentions into
+ * candidate events and deadlines, summarized by the action item said in
+ * the same sentence when there is one.
+ *
+ * Mention shape:
+ *   { text, index, kind, date, time, start, allDay, precision, past }
+ * Candidate shape:
+ *   { id, lifelogId, utteranceId, title, kind, summary, mention, date,
+ *     time, start, end, allDay, precision, quote, speaker, spokenAt }
+ */
+class DateMentionExtractor {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.actionItemExtractor = options.actionItemExtractor ||
+      new ActionItemExtractor({ transcriptBuilder: this.transcriptBuilder });
+    this.dateUtils = new DateUtils();
+
+    // Date rules in priority order; earlier rules win overlaps of equal length
+    this.dateRules = [
+      { pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/gi, resolve: (m) => this.validDate(`${m[1]}-${m[2]}-${m[3]}`) },
+      { pattern: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi'), resolve: (m, ref) => this.monthDay(m[1], m[2], m[3], ref) },
+      { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`, 'gi'), resolve: (m, ref) => this.monthDay(m[2], m[1], m[3], ref) },
+      { pattern: /\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/gi, resolve: (m, ref) => this.dayOfMonth(parseInt(m[1]), ref) },
+      { pattern: /\b(today|tonight|tomorrow|yesterday)(?:\s+(morning|afternoon|evening|night))?\b/gi, resolve: (m, ref) => this.relativeDay(m[1], m[2], ref) },
+      { pattern: /\bthis\s+(morning|afternoon|evening)\b/gi, resolve: (m, ref) => this.relativeDay('today', m[1], ref) },
+      { pattern: /\b(?:(?:the\s+)?end\s+of\s+(?:the\s+)?(day|week|month|quarter|year)|(eod|eow))\b/gi, resolve: (m, ref) => this.endOf((m[1] || (m[2].toLowerCase() === 'eod' ? 'day' : 'week')), ref) },
+      { pattern: /\b(this|next)\s+(week|weekend|month)\b/gi, resolve: (m, ref) => this.namedPeriod(m[1], m[2], ref) },
+      { pattern: new RegExp(`\\b(?:(next|this|on|last)\\s+)?${WEEKDAY}\\b`, 'gi'), resolve: (m, ref) => this.weekday(m[1], m[2], ref) },
+      { pattern: new RegExp(`\\bin\\s+${COUNT}\\s+(minute|hour|day|week|month)s?\\b`, 'gi'), resolve: (m, ref) => this.offset(m[1], m[2], ref) }
+    ];
+
+    // Times count on their own only when they clearly are times ("at 3", "3pm", "noon")
+    this.timePattern = new RegExp(`\\b(?:at\\s+${CLOCK}|(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)|(?:at\\s+)?(noon|midnight))(?![\\w:])`, 'gi');
+  }
+
+  /**
+   * Find date and time mentions in text
+   * @param {string} text - Text to scan
+   * @param {object} reference - referenceTime (ISO, when it was said) and timezone
+   * @returns {Array} Mentions in text order
+   */
+  parse(text, reference = {}) {
+    const ref = this.reference(reference);
+    const dates = this.removeOverlaps(this.findDates(text || '', ref));
+    const times = this.findTimes(text || '').filter(time => !dates.some(date => this.overlaps(date, time)));
+    const mentions = [];
+
+    for (const date of dates) {
+      // "Tuesday at 3pm", "3pm on Tuesday"
+      const time = times.find(candidate => !candidate.used && this.adjacent(text, date, candidate));
+      if (time) time.used = true;
+      mentions.push(this.describeMention(text, date, time, ref));
+    }
+
+    // Times without a date refer to the day they were said
+    for (const time of times.filter(candidate => !candidate.used)) {
+      mentions.push(this.describeMention(text, { index: time.index, end: time.end, date: ref.date, precision: 'day' }, time, ref));
+    }
+
+    return mentions.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Extract candidate events and deadlines from lifelogs
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {object} options - timezone and includePast
+   * @returns {Array} Candidates in time order of when they were said
+   */
+  extract(lifelogs, options = {}) {
+    const ordered = [...lifelogs].sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+    return this.transcriptBuilder.buildMany(ordered).flatMap(transcript => this.extractFromTranscript(transcript, options));
+  }
+
+  /**
+   * Extract candidate events and deadlines from one transcript
+   * @param {object} transcript - Transcript from TranscriptBuilder
+   * @param {object} options - timezone and includePast
+   * @returns {Array} Candidates
+   */
+  extractFromTranscript(transcript, options = {}) {
+    const { timezone = 'UTC', includePast = false } = options;
+    const actionItems = this.actionItemExtractor.extractFromTranscript(transcript);
+    const candidates = [];
+    const seen = new Set();
+
+    for (const utterance of transcript.utterances) {
+      const spokenAt = utterance.startTime || transcript.startTime;
+      if (!spokenAt) continue;
+
+      splitSentences(utterance.text).forEach((sentence, sentenceIndex) => {
+        this.parse(sentence, { referenceTime: spokenAt, timezone }).forEach((mention, mentionIndex) => {
+          if (mention.past && !includePast) return;
+
+          const item = actionItems.find(action => action.utteranceId === utterance.id && action.quote === sentence);
+          const summary = item
+            ? `${item.owner ? `${item.owner}: ` : ''}${item.task}`
+            : this.truncate(sentence, 80);
+
+          const key = `${mention.date}|${mention.time}|${summary.toLowerCase()}`;
+          if (seen.has(key)) return;
+          seen.add(key);
+
+          candidates.push({
+            id: `${utterance.id}:${sentenceIndex}:${mentionIndex}`,
+            lifelogId: transcript.lifelogId,
+            utteranceId: utterance.id,
+            title: transcript.title,
+            // A date attached to a commitment is when it is due
+            kind: item && item.due ? 'deadline' : mention.kind,
+            summary,
+            mention: mention.text,
+            date: mention.date,
+            time: mention.time,
+            start: mention.start,
+            end: mention.start ? new Date(Date.parse(mention.start) + EVENT_MINUTES * 60000).toISOString() : null,
+            allDay: mention.allDay,
+            precision: mention.precision,
+            quote: sentence,
+            speaker: utterance.speaker,
+            spokenAt
+          });
+        });
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Render candidates as an iCalendar file
+   * @param {Array} candidates - Candidates from extract()
+   * @param {object} options - Calendar name
+   * @returns {string} .ics content
+   */
+  toCalendar(candidates, options = {}) {
+    return buildCalendar(candidates.map(candidate => ({
+      uid: `${candidate.id}@limitless-lifelog-parser`,
+      summary: candidate.kind === 'deadline' ? `Due: ${candidate.summary}` : candidate.summary,
+      description: [
+        `"${candidate.quote}"`,
+        `${candidate.speaker || 'Unknown speaker'} in "${candidate.title || 'Untitled'}" (lifelog ${candidate.lifelogId})`
+      ].join('\n'),
+      categories: [candidate.kind],
+      start: candidate.start,
+      end: candidate.end,
+      date: candidate.date
+    })), options);
+  }
+
+  /**
+   * Shape a resolved date (and optional time) as a mention
+   * @param {string} text - Source text
+   * @param {object} date - Date match with index, end, date, precision and optional time
+   * @param {object|null} time - Time match to combine with it
+   * @param {object} ref - Reference point
+   * @returns {object} Mention
+   */
+  describeMention(text, date, time, ref) {
+    const index = time ? Math.min(date.index, time.index) : date.index;
+    const end = time ? Math.max(date.end, time.end) : date.end;
+    const clock = time ? time.time : date.time || null;
+    const precision = time ? 'time' : date.precision;
+    const prefix = text.slice(Math.max(0, index - 30), index);
+
+    return {
+      text: text.slice(index, end),
+      index,
+      kind: date.deadline || DEADLINE_PREFIX.test(prefix) ? 'deadline' : 'event',
+      date: date.date,
+      time: clock,
+      start: clock ? this.dateUtils.zonedTimeToUtc(date.date, clock, ref.timezone) : null,
+      allDay: !clock,
+      precision,
+      past: date.date < ref.date
+    };
+  }
+
+  /**
+   * Run the date rules over text
+   * @param {string} text - Text to scan
+   * @param {object} ref - Reference point
+   * @returns {Array} Date matches (possibly overlapping)
+   */
+  findDates(text, ref) {
+    const matches = [];
+    this.dateRules.forEach((rule, priority) => {
+      for (const match of text.matchAll(rule.pattern)) {
+        const resolved = rule.resolve(match, ref);
+        if (resolved) {
+          matches.push({ ...resolved, index: match.index, end: match.index + match[0].length, priority });
+        }
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * Find clock times in text
+   * @param {string} text - Text to scan
+   * @returns {Array} Time matches with index, end and HH:MM time
+   */
+  findTimes(text) {
+    const times = [];
+    for (const match of text.matchAll(this.timePattern)) {
+      const time = match[7]
+        ? (match[7].toLowerCase() === 'noon' ? '12:00' : '00:00')
+        : this.clock(match[1] || match[4], match[2] || match[5], match[3] || match[6]);
+      if (time) {
+        times.push({ index: match.index, end: match.index + match[0].length, time });
+      }
+    }
+    return times;
+  }
+
+  /**
+   * Keep the longest of overlapping date matches
+   * @param {Array} matches - Date matches
+   * @returns {Array} Non-overlapping matches in text order
+   */
+  removeOverlaps(matches) {
+    const kept = [];
+    const ranked = [...matches].sort((a, b) => (b.end - b.index) - (a.end - a.index) || a.priority - b.priority);
+    for (const match of ranked) {
+      if (!kept.some(other => this.overlaps(match, other))) kept.push(match);
+    }
+    return kept.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Check whether two matches share characters
+   * @param {object} a - Match with index and end
+   * @param {object} b - Match with index and end
+   * @returns {boolean} True if they overlap
+   */
+  overlaps(a, b) {
+    return a.index < b.end && b.index < a.end;
+  }
+
+  /**
+   * Check whether a time directly qualifies a date ("Tuesday at 3", "3pm on Tuesday")
+   * @param {string} text - Source text
+   * @param {object} date - Date match
+   * @param {object} time - Time match
+   * @returns {boolean} True if they belong together
+   */
+  adjacent(text, date, time) {
+    if (time.index >= date.end) return /^\s*,?\s*$/.test(text.slice(date.end, time.index));
+    if (time.end <= date.index) return /^\s*,?\s*(?:on\s+)?$/i.test(text.slice(time.end, date.index));
+    return false;
+  }
+
+  /**
+   * Normalize the reference point of a parse
+   * @param {object} reference - referenceTime and timezone
+   * @returns {object} date (YYYY-MM-DD), weekday, instant and timezone
+   */
+  reference({ referenceTime = new Date().toISOString(), timezone = 'UTC' }) {
+    const date = this.dateUtils.getLocalDate(referenceTime, timezone);
+    return {
+      date,
+      weekday: this.dateUtils.getWeekday(date),
+      instant: Date.parse(referenceTime),
+      timezone
+    };
+  }
+
+  /**
+   * Resolve "Oct 12" or "12 October", rolling into next year if the date has passed
+   * @param {string} monthName - Month name or abbreviation
+   * @param {string} day - Day of month
+   * @param {string} year - Explicit year, if any
+   * @param {object} ref - Reference point
+   * @returns {object|null} Date match
+   */
+  monthDay(monthName, day, year, ref) {
+    const month = MONTHS.indexOf(monthName.toLowerCase().slice(0, 3)) + 1;
+    const pad = (value) => String(value).padStart(2, '0');
+    let resolvedYear = year ? parseInt(year) : parseInt(ref.date.slice(0, 4));
+    let date = this.validDate(`${resolvedYear}-${pad(month)}-${pad(day)}`);
+
+    if (date && !year && date.date < this.dateUtils.addDays(ref.date, -7)) {
+      resolvedYear++;
+      date = this.validDate(`${resolvedYear}-${pad(month)}-${pad(day)}`);
+    }
+    return date;
+  }
+
+  /**
+   * Resolve "the 15th" to the next time that day of the month comes round
+   * @param {number} day - Day of month
+   * @param {object} ref - Reference point
+   * @returns {object|null} Date match
+   */
+  dayOfMonth(day, ref) {
+    if (day < 1 || day > 31) return null;
+
+    let [year, month] = ref.date.split('-').map(Number);
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const candidate = this.validDate(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+      if (candidate && candidate.date >= ref.date) return candidate;
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve today, tonight, tomorrow and yesterday, with an optional part of day
+   * @param {string} word - Day word
+   * @param {string} part - morning, afternoon, evening or night
+   * @param {object} ref - Reference point
+   * @returns {object} Date match
+   */
+  relativeDay(word, part, ref) {
+    const offsets = { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 };
+    const lower = word.toLowerCase();
+    const partOfDay = part ? part.toLowerCase() : (lower === 'tonight' ? 'tonight' : null);
+
+    return {
+      date: this.dateUtils.addDays(ref.date, offsets[lower]),
+      time: partOfDay ? PART_OF_DAY[partOfDay] : null,
+      precision: partOfDay ? 'part-of-day' : 'day'
+    };
+  }
+
+  /**
+   * Resolve "end of the day/week/month/quarter/year"
+   * @param {string} period - Period name
+   * @param {object} ref - Reference point
+   * @returns {object} Date match, always a deadline
+   */
+  endOf(period, ref) {
+    const [year, month] = ref.date.split('-').map(Number);
+    let date;
+
+    switch (period.toLowerCase()) {
+      case 'day':
+        return { date: ref.date, time: END_OF_DAY, precision: 'part-of-day', deadline: true };
+      case 'week':
+        // Working week ends on Friday; at the weekend that means next Friday
+        date = this.dateUtils.addDays(ref.date, (5 - ref.weekday + 7) % 7);
+        break;
+      case 'month':
+        date = this.dateUtils.getEndOfMonth(ref.date);
+        break;
+      case 'quarter':
+        date = this.dateUtils.getEndOfMonth(`${year}-${String(Math.ceil(month / 3) * 3).padStart(2, '0')}-01`);
+        break;
+      default:
+        date = `${year}-12-31`;
+    }
+
+    return { date, precision: 'day', deadline: true };
+  }
+
+  /**
+   * Resolve "this/next week", "this/next weekend" and "this/next month"
+   * @param {string} which - this or next
+   * @param {string} period - week, weekend or month
+   * @param {object} ref - Reference point
+   * @returns {object} Date match
+   */
+  namedPeriod(which, period, ref) {
+    const next = which.toLowerCase() === 'next';
+    const mondayOffset = (ref.weekday + 6) % 7;
+    const thisMonday = this.dateUtils.addDays(ref.date, -mondayOffset);
+
+    switch (period.toLowerCase()) {
+      case 'week':
+        // "this week" is a deadline by Friday; "next week" starts on Monday
+        return next
+          ? { date: this.dateUtils.addDays(thisMonday, 7), precision: 'week' }
+          : { date: this.dateUtils.addDays(thisMonday, 4) < ref.date ? ref.date : this.dateUtils.addDays(thisMonday, 4), precision: 'week' };
+      case 'weekend':
+        return { date: this.dateUtils.addDays(thisMonday, next ? 12 : 5), precision: 'week' };
+      default: {
+        const [year, month] = ref.date.split('-').map(Number);
+        if (!next) return { date: this.dateUtils.getEndOfMonth(ref.date), precision: 'month' };
+        const nextMonth = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+        return { date: nextMonth, precision: 'month' };
+      }
+    }
+  }
+
+  /**
+   * Resolve a weekday name
+   * @param {string} modifier - next, this, on, last or undefined
+   * @param {string} name - Weekday name
+   * @param {object} ref - Reference point
+   * @returns {object} Date match
+   */
+  weekday(modifier, name, ref) {
+    const target = WEEKDAYS.indexOf(name.toLowerCase());
+    const which = (modifier || '').toLowerCase();
+    const ahead = (target - ref.weekday + 7) % 7;
+
+    if (which === 'last') {
+      return { date: this.dateUtils.addDays(ref.date, ahead === 0 ? -7 : ahead - 7), precision: 'day' };
+    }
+
+    if (which === 'next') {
+      // Tuesday of the following week (weeks start on Monday)
+      const mondayOffset = (ref.weekday + 6) % 7;
+      const nextMonday = this.dateUtils.addDays(ref.date, 7 - mondayOffset);
+      return { date: this.dateUtils.addDays(nextMonday, (target + 6) % 7), precision: 'day' };
+    }
+
+    // "this Monday" said on a Monday is today; a bare "Monday" is a week out
+    const days = ahead === 0 && which !== 'this' ? 7 : ahead;
+    return { date: this.dateUtils.addDays(ref.date, days), precision: 'day' };
+  }
+
+  /**
+   * Resolve "in two days", "in an hour"
+   * @param {string} count - Number or number word
+   * @param {string} unit - minute, hour, day, week or month
+   * @param {object} ref - Reference point
+   * @returns {object} Date match
+   */
+  offset(count, unit, ref) {
+    const amount = COUNT_WORDS[count.toLowerCase()] || parseInt(count);
+    const lower = unit.toLowerCase();
+
+    if (lower === 'minute' || lower === 'hour') {
+      const instant = new Date(ref.instant + amount * (lower === 'hour' ? 3600000 : 60000));
+      const [date, clockTime] = this.dateUtils.convertToTimezone(instant, ref.timezone).split('T');
+      return { date, time: clockTime.slice(0, 5), precision: 'time' };
+    }
+
+    if (lower === 'month') {
+      const [year, month, day] = ref.date.split('-').map(Number);
+      const target = new Date(Date.UTC(year, month - 1 + amount, 1));
+      const lastDay = parseInt(this.dateUtils.getEndOfMonth(target.toISOString().split('T')[0]).slice(8));
+      target.setUTCDate(Math.min(day, lastDay));
+      return { date: target.toISOString().split('T')[0], precision: 'day' };
+    }
+
+    return { date: this.dateUtils.addDays(ref.date, amount * (lower === 'week' ? 7 : 1)), precision: 'day' };
+  }
+
+  /**
+   * Turn clock parts into HH:MM
+   * @param {string} hourText - Hour
+   * @param {string} minuteText - Minutes, if given
+   * @param {string} meridiem - am/pm, if given
+   * @returns {string|null} HH:MM, or null if not a valid time
+   */
+  clock(hourText, minuteText, meridiem) {
+    let hour = parseInt(hourText);
+    const minute = minuteText ? parseInt(minuteText) : 0;
+    if (Number.isNaN(hour) || minute > 59) return null;
+
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      const pm = meridiem.toLowerCase().startsWith('p');
+      hour = (hour % 12) + (pm ? 12 : 0);
+    } else if (hour >= 1 && hour <= 7) {
+      hour += 12;
+    } else if (hour > 23) {
+      return null;
+    }
+
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check a YYYY-MM-DD string names a real day
+   * @param {string} date - Candidate date
+   * @returns {object|null} Date match, or null for dates like Feb 30
+   */
+  validDate(date) {
+    return this.dateUtils.isValidDateString(date) ? { date, precision: 'day' } : null;
+  }
+
+  /**
+   * Shorten text to a length on a word boundary
+   * @param {string} text - Text
+   * @param {number} length - Maximum length
+   * @returns {string} Shortened text
+   */
+  truncate(text, length) {
+    if (text.length <= length) return text;
+    const cut = text.slice(0, length);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : length)}…`;
+  }
+}
+
+module.exports = DateMentionExtractor;
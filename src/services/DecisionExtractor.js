@@ -0,0 +1,204 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const ConversationSegmenter = require('./ConversationSegmenter');
+const DateUtils = require('../utils/DateUtils');
+const { splitSentences } = require('../utils/text');
+
+// Phrases that record a decision; the capture, when present, is what was
+// decided, otherwise the whole sentence is kept so the approver stays in it
+const DECISION_PATTERNS = [
+  /\b(?:we|i|they|you|\w+)\s+(?:have\s+|had\s+)?(?:decided|agreed|concluded|settled)\s+(?:to|on|that|we(?:'d| would| will| should)?)\s+(.+)/i,
+  /\b(?:let's|let us)\s+go\s+with\s+(.+)/i,
+  /\b(?:we're|we are|we'll|we will)\s+(?:going|go)\s+with\s+(.+)/i,
+  /\b(?:the\s+)?(?:final\s+)?decision\s+(?:is|was)\s+(?:to\s+|that\s+)?(.+)/i,
+  /\b(\w[\w\s-]*?)\s+(?:is|are)\s+(?:final|settled|approved|locked in)\b/i,
+  /\b(?:signed off on|approved|greenlit|green-lit)\s+\S/i
+];
+
+// Replies that confirm what the previous speaker decided ("Agreed.", "Sounds good!")
+const CONFIRMATION = /^(?:agreed|deal|done|yes|yeah|yep|sure|sounds good|makes sense|perfect|great|ok(?:ay)?|works for me|i agree|fine)[.!]*$/i;
+
+// Utterances shown around a decision
+const CONTEXT_BEFORE = 2;
+const CONTEXT_AFTER = 1;
+
+/**
+ * Builds a decision log from lifelog transcripts.
+ *
+ * Sentences that record a decision ("we decided to...", "let's go with...",
+ * "X is final", "signed off on...") become entries with the conversation's
+ * participants, a few utterances of context, and anyone who confirmed it
+ * straight after ("Agreed."). Participants come from the conversation the
+ * decision was made in, as split by ConversationSegmenter.
+ *
+ * Decision shape:
+ *   { id, lifelogId, utteranceId, title, heading, date, time, decision,
+ *     quote, decidedBy, confirmedBy, participants, context }
+ */
+class DecisionExtractor {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.segmenter = options.segmenter || new ConversationSegmenter({ transcriptBuilder: this.transcriptBuilder });
+    this.dateUtils = new DateUtils();
+  }
+
+  /**
+   * Extract decisions from lifelogs
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {object} options - timezone for the decision dates
+   * @returns {Array} Decisions in time order
+   */
+  extract(lifelogs, options = {}) {
+    const ordered = [...lifelogs].sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+    return this.transcriptBuilder.buildMany(ordered).flatMap(transcript => this.extractFromTranscript(transcript, options));
+  }
+
+  /**
+   * Extract decisions from one transcript
+   * @param {object} transcript - Transcript from TranscriptBuilder
+   * @param {object} options - timezone for the decision dates
+   * @returns {Array} Decisions
+   */
+  extractFromTranscript(transcript, options = {}) {
+    const { timezone = 'UTC' } = options;
+    const { utterances } = transcript;
+    const segments = this.segmenter.segmentTranscripts([transcript], { mergeLifelogs: false });
+    const decisions = [];
+    const seen = new Set();
+    let lastPosition = null;
+
+    utterances.forEach((utterance, position) => {
+      const previous = decisions[decisions.length - 1];
+
+      // "Agreed." right after someone else's decision confirms it
+      if (previous && lastPosition === position - 1 && utterance.speaker &&
+          utterance.speaker !== previous.decidedBy &&
+          CONFIRMATION.test(splitSentences(utterance.text)[0] || '')) {
+        previous.confirmedBy.push(utterance.speaker);
+      }
+
+      for (const sentence of splitSentences(utterance.text)) {
+        const decision = this.matchDecision(sentence);
+        if (!decision) continue;
+
+        const key = decision.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const time = utterance.startTime || transcript.startTime;
+        const segment = segments.find(candidate => candidate.utterances.includes(utterance));
+
+        decisions.push({
+          id: `${utterance.id}:decision`,
+          lifelogId: transcript.lifelogId,
+          utteranceId: utterance.id,
+          title: transcript.title,
+          heading: utterance.heading,
+          date: time ? this.dateUtils.getLocalDate(time, timezone) : null,
+          time,
+          decision,
+          quote: sentence,
+          decidedBy: utterance.speaker,
+          confirmedBy: [],
+          participants: segment ? segment.participants : transcript.speakers.map(speaker => speaker.name),
+          context: utterances
+            .slice(Math.max(0, position - CONTEXT_BEFORE), position + CONTEXT_AFTER + 1)
+            .map(({ id, speaker, text, startTime }) => ({ utteranceId: id, speaker, text, startTime }))
+        });
+        lastPosition = position;
+        break;
+      }
+    });
+
+    return decisions;
+  }
+
+  /**
+   * Match a sentence that records a decision
+   * @param {string} sentence - Sentence from an utterance
+   * @returns {string|null} What was decided
+   */
+  matchDecision(sentence) {
+    // Questions ask for a decision rather than record one
+    if (sentence.trim().endsWith('?')) return null;
+
+    for (const pattern of DECISION_PATTERNS) {
+      const match = sentence.match(pattern);
+      if (match) {
+        return this.clean(match[1] ? this.decisionText(match, sentence) : sentence);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the text that states the decision
+   * @param {Array} match - Pattern match
+   * @param {string} sentence - Whole sentence
+   * @returns {string} Decision text
+   */
+  decisionText(match, sentence) {
+    // "the two-year term is final": the subject is the decision
+    if (/\b(?:is|are)\s+(?:final|settled|approved|locked in)\b/i.test(match[0])) {
+      return sentence.slice(0, match.index + match[0].length)
+        .replace(/^.*?\b(?:yes|so|and|but|okay|ok)\b[,\s]+/i, '');
+    }
+    return match[1];
+  }
+
+  /**
+   * Tidy decision text
+   * @param {string} text - Raw text
+   * @returns {string} Text without trailing punctuation, capitalized
+   */
+  clean(text) {
+    const trimmed = text.replace(/\s+/g, ' ').replace(/[\s,;:.!]+$/, '').trim();
+    return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+  }
+
+  /**
+   * Render a decision log as a Markdown document
+   * @param {Array} decisions - Decisions from extract()
+   * @param {object} options - startDate, endDate and timezone
+   * @returns {string} Markdown
+   */
+  formatMarkdown(decisions, options = {}) {
+    const { startDate, endDate, timezone = 'UTC' } = options;
+    const range = startDate === endDate ? startDate : `${startDate} to ${endDate}`;
+    const conversations = new Set(decisions.map(decision => decision.lifelogId)).size;
+
+    let markdown = `# Decision Log${range ? ` - ${range}` : ''}\n\n`;
+    markdown += `_${decisions.length} ${decisions.length === 1 ? 'decision' : 'decisions'} from ${conversations} `;
+    markdown += `${conversations === 1 ? 'conversation' : 'conversations'}. Times in ${timezone}._\n`;
+
+    let currentDate = null;
+    for (const decision of decisions) {
+      if (decision.date !== currentDate) {
+        currentDate = decision.date;
+        markdown += `\n## ${currentDate || 'Undated'}\n`;
+      }
+
+      const when = decision.time
+        ? new Date(decision.time).toLocaleTimeString('en-US', { timeZone: timezone, hour: 'numeric', minute: '2-digit' })
+        : null;
+      const where = [decision.title, decision.heading].filter(Boolean).join(' › ');
+
+      markdown += `\n### ${decision.decision}\n\n`;
+      markdown += `- **When:** ${[when, where].filter(Boolean).join(' - ') || 'Unknown'}\n`;
+      markdown += `- **Decided by:** ${decision.decidedBy || 'Unknown'}`;
+      markdown += decision.confirmedBy.length > 0 ? ` (confirmed by ${decision.confirmedBy.join(', ')})\n` : '\n';
+      if (decision.participants.length > 0) {
+        markdown += `- **Participants:** ${decision.participants.join(', ')}\n`;
+      }
+      markdown += `- **Lifelog:** ${decision.lifelogId}\n\n`;
+
+      for (const line of decision.context) {
+        markdown += `> ${line.speaker ? `**${line.speaker}:** ` : ''}${line.text}\n>\n`;
+      }
+      markdown = markdown.replace(/>\n$/, '');
+    }
+
+    return markdown;
+  }
+}
+
+module.exports = DecisionExtractor;
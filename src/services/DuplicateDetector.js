@@ -0,0 +1,195 @@
+const { words } = require('../utils/text');
+
+// Consecutive words per shingle
+const SHINGLE_SIZE = 2;
+
+// MinHash signature length, split into LSH bands of SIGNATURE_SIZE / BANDS rows
+const SIGNATURE_SIZE = 96;
+const BANDS = 32;
+
+// Estimated Jaccard similarity of shingles that counts as a duplicate
+const UTTERANCE_THRESHOLD = 0.6;
+const LIFELOG_THRESHOLD = 0.8;
+
+// Shorter texts are never removed: "sounds good, see you then" twice is conversation, not an echo
+const MIN_WORDS = 8;
+
+/**
+ * Finds near-duplicate utterances and lifelogs with shingling and MinHash.
+ *
+ * Text becomes the set of its 2-word shingles, and a 96-value MinHash
+ * signature estimates the Jaccard similarity of two such sets. Signatures
+ * are bucketed by locality-sensitive hashing (32 bands of 3 values), so
+ * each new text is only compared with texts sharing a band. An index
+ * remembers what has been seen; the first occurrence is kept and later
+ * ones are reported as duplicates of it.
+ *
+ * Duplicate shape:
+ *   { duplicateOf: source given for the first occurrence, similarity }
+ */
+class DuplicateDetector {
+  constructor(options = {}) {
+    this.utteranceThreshold = options.utteranceThreshold || UTTERANCE_THRESHOLD;
+    this.lifelogThreshold = options.lifelogThreshold || LIFELOG_THRESHOLD;
+    this.minWords = options.minWords || MIN_WORDS;
+    this.seeds = Array.from({ length: SIGNATURE_SIZE }, (value, index) => this.hash(`minhash-${index}`));
+  }
+
+  /**
+   * Create an empty index of seen utterances and lifelogs
+   * @returns {object} Index for checkUtterance and checkLifelog
+   */
+  createIndex() {
+    return {
+      utterances: { buckets: new Map() },
+      lifelogs: { buckets: new Map() }
+    };
+  }
+
+  /**
+   * Check an utterance against those seen, and remember it if it is new
+   * @param {object} index - From createIndex()
+   * @param {string} text - Utterance text
+   * @param {object} source - Describes the utterance (lifelogId, speaker, startTime, text)
+   * @returns {object|null} Duplicate, or null if it is new or too short to judge
+   */
+  checkUtterance(index, text, source) {
+    if (words(text).length < this.minWords) return null;
+    return this.check(index.utterances, text, source, this.utteranceThreshold);
+  }
+
+  /**
+   * Check a lifelog against those seen, and remember it if it is new
+   * @param {object} index - From createIndex()
+   * @param {object} transcript - Transcript from TranscriptBuilder
+   * @returns {object|null} Duplicate, or null if it is new or too short to judge
+   */
+  checkLifelog(index, transcript) {
+    const text = transcript.utterances.map(utterance => utterance.text).join('\n');
+    if (words(text).length < this.minWords) return null;
+
+    return this.check(index.lifelogs, text, {
+      lifelogId: transcript.lifelogId,
+      title: transcript.title || 'Untitled',
+      startTime: transcript.startTime
+    }, this.lifelogThreshold);
+  }
+
+  /**
+   * Find the most similar seen text at or above a threshold, or add this one
+   * @param {object} bucketIndex - One of the index's LSH tables
+   * @param {string} text - Text to check
+   * @param {object} source - Returned as duplicateOf when a later text matches this one
+   * @param {number} threshold - Estimated similarity that counts as a duplicate
+   * @returns {object|null} Duplicate, or null if the text is new
+   */
+  check(bucketIndex, text, source, threshold) {
+    const signature = this.signature(text);
+    const keys = this.bandKeys(signature);
+
+    const candidates = new Set(keys.flatMap(key => bucketIndex.buckets.get(key) || []));
+    let best = null;
+    for (const entry of candidates) {
+      const similarity = this.similarity(signature, entry.signature);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { duplicateOf: entry.source, similarity: Math.round(similarity * 10000) / 10000 };
+      }
+    }
+    if (best) return best;
+
+    const entry = { signature, source };
+    for (const key of keys) {
+      if (!bucketIndex.buckets.has(key)) bucketIndex.buckets.set(key, []);
+      bucketIndex.buckets.get(key).push(entry);
+    }
+    return null;
+  }
+
+  /**
+   * Word shingles of a text
+   * @param {string} text - Text
+   * @returns {Set<string>} Shingles; one of all the words when there are fewer than SHINGLE_SIZE
+   */
+  shingles(text) {
+    const tokens = words(text).map(({ word }) => word);
+    const shingles = new Set();
+    for (let start = 0; start <= Math.max(0, tokens.length - SHINGLE_SIZE); start++) {
+      shingles.add(tokens.slice(start, start + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+  }
+
+  /**
+   * MinHash signature of a text
+   * @param {string} text - Text
+   * @returns {Uint32Array} Smallest permuted shingle hash per seed
+   */
+  signature(text) {
+    const signature = new Uint32Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const shingle of this.shingles(text)) {
+      const value = this.hash(shingle);
+      this.seeds.forEach((seed, position) => {
+        const permuted = this.permute(value, seed);
+        if (permuted < signature[position]) signature[position] = permuted;
+      });
+    }
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity of two signatures
+   * @param {Uint32Array} a - Signature
+   * @param {Uint32Array} b - Signature
+   * @returns {number} Share of equal values, 0-1
+   */
+  similarity(a, b) {
+    let equal = 0;
+    for (let position = 0; position < SIGNATURE_SIZE; position++) {
+      if (a[position] === b[position]) equal++;
+    }
+    return equal / SIGNATURE_SIZE;
+  }
+
+  /**
+   * LSH bucket keys of a signature, one per band
+   * @param {Uint32Array} signature - Signature
+   * @returns {Array<string>} Keys
+   */
+  bandKeys(signature) {
+    const rows = SIGNATURE_SIZE / BANDS;
+    return Array.from({ length: BANDS }, (value, band) =>
+      `${band}:${Array.from(signature.subarray(band * rows, (band + 1) * rows)).join(',')}`);
+  }
+
+  /**
+   * 32-bit FNV-1a hash
+   * @param {string} text - Text
+   * @returns {number} Unsigned hash
+   */
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let position = 0; position < text.length; position++) {
+      hash ^= text.charCodeAt(position);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * One hash function of the MinHash family: a seed mixed in with the murmur3 finalizer
+   * @param {number} value - Shingle hash
+   * @param {number} seed - Seed of the function
+   * @returns {number} Unsigned permuted hash
+   */
+  permute(value, seed) {
+    let hash = (value ^ seed) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+}
+
+DuplicateDetector.UTTERANCE_THRESHOLD = UTTERANCE_THRESHOLD;
+DuplicateDetector.LIFELOG_THRESHOLD = LIFELOG_THRESHOLD;
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,293 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const DateUtils = require('../utils/DateUtils');
+const { STOP_WORDS } = require('../utils/text');
+
+// Entity types reported; gazetteer entries may also be "ignore"
+const ENTITY_TYPES = ['person', 'organization', 'place', 'product'];
+
+// Names recognized without any configuration; the account gazetteer overrides them
+const BUILT_IN_GAZETTEER = [
+  ...['Chicago', 'Denver', 'Boston', 'Seattle', 'Austin', 'Atlanta', 'Miami', 'Dallas', 'Houston', 'Portland',
+    'Philadelphia', 'Phoenix', 'London', 'Paris', 'Berlin', 'Tokyo', 'Toronto', 'Vancouver', 'Sydney', 'Dublin',
+    'Canada', 'Mexico', 'England', 'France', 'Germany', 'Japan', 'China', 'India']
+    .map(name => ({ name, type: 'place' })),
+  { name: 'New York', type: 'place', aliases: ['NYC', 'New York City'] },
+  { name: 'San Francisco', type: 'place', aliases: ['SF'] },
+  { name: 'Los Angeles', type: 'place', aliases: ['LA'] },
+  { name: 'United States', type: 'place', aliases: ['USA'] },
+  { name: 'United Kingdom', type: 'place', aliases: ['UK'] },
+  ...['Google', 'Apple', 'Microsoft', 'Amazon', 'Meta', 'OpenAI', 'Netflix', 'Tesla', 'IBM', 'Salesforce', 'Limitless']
+    .map(name => ({ name, type: 'organization' })),
+  ...['iPhone', 'iPad', 'MacBook', 'Slack', 'Zoom', 'Notion', 'Figma', 'Jira', 'Excel', 'PowerPoint', 'Google Docs',
+    'Gmail', 'Outlook', 'ChatGPT']
+    .map(name => ({ name, type: 'product' }))
+];
+
+// Capitalized words that are never names on their own
+const NOT_NAMES = new Set([
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'today', 'tomorrow', 'tonight', 'yesterday', 'morning', 'afternoon', 'evening',
+  'hi', 'hey', 'hello', 'thanks', 'okay', 'ok', 'yes', 'yeah', 'sure', 'great', 'agreed', 'please', 'sorry',
+  'speaker', 'unknown', 'everyone', 'everybody', 'someone', 'somebody', 'nobody'
+]);
+
+const NAME = "[A-Z][a-z]+(?:-[A-Z][a-z]+|'[A-Z][a-z]+)?";
+const CAPITALIZED = "[A-Z][\\w&'-]*";
+
+// Rules in the order they claim text; earlier matches win overlaps. Names
+// only span spaces, so a title line never runs into the next sentence.
+const RULES = [
+  {
+    type: 'organization',
+    pattern: new RegExp(`\\b((?:${CAPITALIZED} +){1,3}(?:Corp|Corporation|Inc|LLC|Ltd|Co|Company|Group|Bank|University|College|Labs|Technologies|Systems|Foundation|Institute|Associates|Partners|Agency|Holdings|Ventures))\\b`, 'g')
+  },
+  {
+    type: 'place',
+    pattern: new RegExp(`\\b((?:${CAPITALIZED} +){1,3}(?:Street|Avenue|Road|Boulevard|Park|Airport|Station|Square|Lake|River|Mountain|County|Beach|Bay|Island))\\b`, 'g')
+  },
+  {
+    type: 'person',
+    pattern: new RegExp(`\\b(?:Mr|Mrs|Ms|Dr|Prof)\\.?\\s+(${NAME}(?: +${NAME})?)`, 'g')
+  },
+  {
+    type: 'person',
+    pattern: new RegExp(`\\b(${NAME}(?: +${NAME})?)\\s+(?:said|says|told|asked|signed|sent|wants|wanted|thinks|thought|called|emailed|texted|mentioned|agreed|approved|confirmed|replied|will|is going to|'ll|’ll)\\b`, 'g')
+  },
+  {
+    type: 'person',
+    pattern: new RegExp(`\\b(?:with|to|ask|asked|tell|told|call|called|email|emailed|text|texted|meet|met|thank|thanked|cc|ping|pinged)\\s+(${NAME}(?: +${NAME})?)`, 'g')
+  },
+  {
+    type: 'person',
+    pattern: new RegExp(`\\b(?:[Hh]i|[Hh]ey|[Hh]ello|[Mm]orning|[Tt]hanks|[Bb]ye)\\s+(${NAME})\\b`, 'g')
+  },
+  {
+    type: 'place',
+    pattern: new RegExp(`\\b(?:in|near|visit|visiting|trip to|flight to|flying to|fly to|moving to|based in)\\s+(${NAME}(?: +${NAME})?)`, 'g')
+  }
+];
+
+// "- Dana (10/5/26 9:00 AM): " labels and "[10/5/2026, 2:00:00 PM]" stamps in formatted exports
+const SPEAKER_LABEL = /(?:^|\s)-\s+[^()\n:]{1,60}?\s+\([^)\n]*\):\s*/g;
+const TIMESTAMP = /\[\d{1,2}\/\d{1,2}\/\d{2,4},[^\]]*\]/g;
+
+/**
+ * Finds people, organizations, places and products in lifelog text
+ * without any external service.
+ *
+ * Text is first matched against the account gazetteer, the conversation's
+ * speakers and a small built-in gazetteer, then against rules: company and
+ * street suffixes ("Acme Corp", "Main Street"), honorifics, names followed
+ * by a verb ("Marcus signed") or after one ("send it to Marcus"), greetings
+ * and place prepositions ("in Denver"). A name found by a rule is counted
+ * wherever else it appears in the same text. Gazetteer entries of type
+ * "ignore" suppress names the rules get wrong.
+ *
+ * Mention shape:  { name, type, start, end, source }
+ * Summary shape:  { name, type, count }
+ */
+class EntityExtractor {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.dateUtils = new DateUtils();
+    this.userEntries = this.compileEntries(options.gazetteer || [], 'gazetteer');
+    this.builtInEntries = this.compileEntries(BUILT_IN_GAZETTEER, 'built-in');
+  }
+
+  /**
+   * Entities mentioned in each lifelog
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {object} options - timezone for the lifelog dates
+   * @returns {Array} lifelogId, title, startTime, date and entity summary per lifelog
+   */
+  extract(lifelogs, options = {}) {
+    const { timezone = 'UTC' } = options;
+
+    return lifelogs.map(lifelog => {
+      const transcript = this.transcriptBuilder.build(lifelog);
+      const text = [transcript.title, ...transcript.utterances.map(utterance => utterance.text)]
+        .filter(Boolean)
+        .join('\n');
+
+      return {
+        lifelogId: lifelog.id,
+        title: transcript.title,
+        startTime: lifelog.startTime || null,
+        date: lifelog.startTime ? this.dateUtils.getLocalDate(lifelog.startTime, timezone) : null,
+        entities: this.summarize(this.extractFromText(text, {
+          people: transcript.speakers.map(speaker => speaker.name)
+        }))
+      };
+    });
+  }
+
+  /**
+   * Entities in formatted export text, ignoring speaker labels and timestamps
+   * @param {string} text - Markdown or plain text from TokenOptimizer
+   * @param {object} options - people known to be in the conversation
+   * @returns {Array} Entity summary
+   */
+  extractFromExport(text, options = {}) {
+    const cleaned = (text || '').replace(SPEAKER_LABEL, ' ').replace(TIMESTAMP, ' ');
+    return this.summarize(this.extractFromText(cleaned, options));
+  }
+
+  /**
+   * Find entity mentions in text
+   * @param {string} text - Text to scan
+   * @param {object} options - people: speaker names to recognize as people
+   * @returns {Array} Mentions in text order
+   */
+  extractFromText(text, options = {}) {
+    const source = text || '';
+    const claimed = [];
+    const claim = (start, end, name, type, origin) => {
+      if (claimed.some(span => start < span.end && end > span.start)) return false;
+      claimed.push({ name, type, start, end, source: origin });
+      return true;
+    };
+
+    const people = this.compileEntries(
+      (options.people || [])
+        .filter(name => name && this.isName(name) && !/^(?:you|speaker \d+)$/i.test(name))
+        .map(name => ({ name, type: 'person' })),
+      'speaker'
+    );
+
+    for (const entries of [this.userEntries, people, this.builtInEntries]) {
+      for (const entry of entries) {
+        for (const match of source.matchAll(entry.pattern)) {
+          claim(match.index, match.index + match[0].length, entry.name, entry.type, entry.source);
+        }
+      }
+    }
+
+    const found = new Map();
+    for (const rule of RULES) {
+      for (const match of source.matchAll(rule.pattern)) {
+        const name = this.trimName(match[1]);
+        if (!name) continue;
+
+        const start = match.index + match[0].indexOf(name);
+        if (claim(start, start + name.length, name, rule.type, 'rule') && !found.has(name)) {
+          found.set(name, rule.type);
+        }
+      }
+    }
+
+    // Count other mentions of names the rules found ("Marcus" on its own later on)
+    for (const [name, type] of found) {
+      for (const match of source.matchAll(this.termPattern(name))) {
+        claim(match.index, match.index + name.length, name, type, 'rule');
+      }
+    }
+
+    return claimed
+      .filter(span => span.type !== 'ignore')
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Count mentions per entity
+   * @param {Array} mentions - Mentions from extractFromText
+   * @returns {Array} name, type and count, most mentioned first
+   */
+  summarize(mentions) {
+    const counts = new Map();
+    for (const { name, type } of mentions) {
+      const key = `${type}|${name}`;
+      if (!counts.has(key)) counts.set(key, { name, type, count: 0 });
+      counts.get(key).count++;
+    }
+
+    return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Mention counts per entity and date
+   * @param {Array} results - Output of extract()
+   * @param {Array<string>} dates - Dates to report, in order
+   * @returns {Array} name, type, total, lifelogCount and a per-date timeline, most mentioned first
+   */
+  countOverTime(results, dates) {
+    const entities = new Map();
+
+    for (const result of results) {
+      for (const { name, type, count } of result.entities) {
+        const key = `${type}|${name}`;
+        if (!entities.has(key)) {
+          entities.set(key, { name, type, total: 0, lifelogIds: new Set(), byDate: new Map() });
+        }
+        const entity = entities.get(key);
+        entity.total += count;
+        entity.lifelogIds.add(result.lifelogId);
+        entity.byDate.set(result.date, (entity.byDate.get(result.date) || 0) + count);
+      }
+    }
+
+    return Array.from(entities.values())
+      .map(({ name, type, total, lifelogIds, byDate }) => ({
+        name,
+        type,
+        total,
+        lifelogCount: lifelogIds.size,
+        timeline: dates.map(date => ({ date, count: byDate.get(date) || 0 }))
+      }))
+      .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Compile gazetteer entries into patterns, longest names first
+   * @param {Array} entries - name, type and optional aliases
+   * @param {string} source - Where the entries come from
+   * @returns {Array} name, type, source and pattern per written form
+   */
+  compileEntries(entries, source) {
+    return entries
+      .flatMap(entry => [entry.name, ...(entry.aliases || [])].map(form => ({
+        name: entry.name,
+        type: entry.type,
+        source,
+        form
+      })))
+      .sort((a, b) => b.form.length - a.form.length)
+      .map(({ form, ...entry }) => ({ ...entry, pattern: this.termPattern(form) }));
+  }
+
+  /**
+   * Case-sensitive whole-word pattern for a name
+   * @param {string} term - Name as written
+   * @returns {RegExp} Global pattern
+   */
+  termPattern(term) {
+    const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\w])${escaped}(?![\\w])`, 'g');
+  }
+
+  /**
+   * Drop words from either end of a candidate that cannot be part of a name
+   * @param {string} candidate - Matched words
+   * @returns {string|null} Name, or null if nothing is left
+   */
+  trimName(candidate) {
+    const words = candidate.trim().split(/\s+/);
+    while (words.length > 0 && !this.isName(words[0])) words.shift();
+    while (words.length > 0 && !this.isName(words[words.length - 1])) words.pop();
+    return words.length > 0 ? words.join(' ') : null;
+  }
+
+  /**
+   * Whether a capitalized word can be a name
+   * @param {string} word - Word
+   * @returns {boolean} False for stop words, weekdays, months and greetings
+   */
+  isName(word) {
+    const lower = word.toLowerCase();
+    return !STOP_WORDS.has(lower) && !NOT_NAMES.has(lower);
+  }
+}
+
+EntityExtractor.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = EntityExtractor;
@@ -0,0 +1,112 @@
+const path = require('path');
+const TokenOptimizer = require('./TokenOptimizer');
+const { writeFileAtomic } = require('../utils/jsonStore');
+
+/**
+ * Builds export documents from lifelogs. Shared by the export routes and
+ * scheduled jobs so both produce identical files.
+ */
+class ExportService {
+  constructor(options = {}) {
+    this.optimizer = options.optimizer || new TokenOptimizer();
+  }
+
+  /**
+   * Build a consolidated markdown export for one date
+   * @param {Array} lifelogs - Lifelogs for the date
+   * @param {object} options - date, timezone, maxTokens, includeTimestamps,
+   *   includeSpeakers, summarizeLevel, prioritizeTopics, includeOpenThreads, groupBy,
+   *   clusterCount, taxonomy (the account's topics from TopicTaxonomyStore), gazetteer and
+   *   earlierLifelogs (the days before, to carry their open questions into Open Threads)
+   * @returns {Promise<object>} Filename, content, token count, strategy, topics, action items,
+   *   open questions, clusters (when grouped by cluster), importance ranking and metadata
+   */
+  async createConsolidatedExport(lifelogs, options = {}) {
+    const {
+      date,
+      timezone = 'UTC',
+      maxTokens = 120000, // Higher limit for consolidated export
+      includeTimestamps = true,
+      includeSpeakers = true,
+      summarizeLevel = 'low',
+      prioritizeTopics = true,
+      includeOpenThreads = false,
+      groupBy = 'priority',
+      clusterCount
+    } = options;
+
+    // Create consolidated content optimized for ChatGPT memory
+    const consolidatedContent = await this.optimizer.createConsolidatedExport(lifelogs, {
+      timezone,
+      maxTokens,
+      includeTimestamps,
+      includeSpeakers,
+      summarizeLevel,
+      prioritizeTopics,
+      includeOpenThreads,
+      groupBy,
+      clusterCount,
+      taxonomy: options.taxonomy,
+      gazetteer: options.gazetteer,
+      earlierLifelogs: options.earlierLifelogs,
+      date
+    });
+
+    const filename = `lifelog_${date}_consolidated.md`;
+
+    // Add ChatGPT-specific instructions
+    let content = `# Lifelog Memory Integration - ${date}\n\n`;
+    content += `**Instructions for ChatGPT Memory Building:**\n`;
+    content += `- This is a consolidated lifelog from ${date}\n`;
+    content += `- Contains ${lifelogs.length} lifelog entries optimized for memory integration\n`;
+    content += `- Key topics and conversations are prioritized and organized\n`;
+    content += `- Use this to build consistent memory about the user's activities and context\n\n`;
+    content += `**Processing Details:**\n`;
+    content += `- Date: ${date}\n`;
+    content += `- Timezone: ${timezone}\n`;
+    content += `- Token Count: ${consolidatedContent.tokenCount}\n`;
+    content += `- Optimization Strategy: ${consolidatedContent.strategy}\n`;
+    content += `- Topics Covered: ${consolidatedContent.topics ? consolidatedContent.topics.join(', ') : 'Various'}\n\n`;
+    content += `---\n\n${consolidatedContent.content}`;
+
+    return {
+      filename,
+      content,
+      tokenCount: consolidatedContent.tokenCount,
+      strategy: consolidatedContent.strategy,
+      topics: consolidatedContent.topics || [],
+      actionItems: consolidatedContent.actionItems || [],
+      openQuestions: consolidatedContent.openQuestions || [],
+      ...(consolidatedContent.clusters && { clusters: consolidatedContent.clusters }),
+      ranking: consolidatedContent.ranking || [],
+      metadata: {
+        originalEntries: lifelogs.length,
+        processingTime: new Date().toISOString(),
+        settings: {
+          maxTokens,
+          includeTimestamps,
+          includeSpeakers,
+          summarizeLevel,
+          prioritizeTopics,
+          includeOpenThreads,
+          groupBy
+        }
+      }
+    };
+  }
+
+  /**
+   * Write an export to disk, replacing any previous version atomically
+   * @param {string} directory - Output directory
+   * @param {string} filename - File name
+   * @param {string} content - File content
+   * @returns {Promise<string>} Path of the written file
+   */
+  async writeExport(directory, filename, content) {
+    const filePath = path.join(directory, path.basename(filename));
+    await writeFileAtomic(filePath, content);
+    return filePath;
+  }
+}
+
+module.exports = ExportService;
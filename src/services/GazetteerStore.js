@@ -0,0 +1,130 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonStore } = require('../utils/jsonStore');
+
+// Entity types an entry may have; "ignore" suppresses a name the rules get wrong
+const ENTRY_TYPES = ['person', 'organization', 'place', 'product', 'ignore'];
+
+/**
+ * Persistent, user-editable gazetteer for one account.
+ *
+ * Entries name an entity, its type and any other ways it is written
+ * ("Acme" for "Acme Corp"). They are used by EntityExtractor on top of
+ * its built-in list, and take precedence over it and over the rules.
+ *
+ * Store layout:
+ *   { version, entries: [{ id, name, type, aliases, createdAt }] }
+ */
+class GazetteerStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'gazetteer.json');
+    this.store = createJsonStore({
+      filePath: this.filePath,
+      label: 'gazetteer',
+      fallback: () => ({ version: 1, entries: [] })
+    });
+  }
+
+  /**
+   * List gazetteer entries
+   * @returns {Promise<Array>} Entries by type, then name
+   */
+  async listEntries() {
+    const state = await this.load();
+    return [...state.entries].sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Add an entry, or replace the type and aliases of one with the same name
+   * @param {object} data - name, type and optional aliases
+   * @returns {Promise<object>} Saved entry
+   */
+  async addEntry(data) {
+    const state = await this.load();
+    const errors = this.validateEntry(data);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid gazetteer entry: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+
+    const name = data.name.trim().replace(/\s+/g, ' ');
+    const aliases = [...new Set((data.aliases || []).map(alias => alias.trim().replace(/\s+/g, ' ')).filter(Boolean))]
+      .filter(alias => alias !== name);
+
+    const existing = state.entries.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      existing.name = name;
+      existing.type = data.type;
+      existing.aliases = aliases;
+      await this.persist();
+      return existing;
+    }
+
+    const created = { id: crypto.randomUUID(), name, type: data.type, aliases, createdAt: new Date().toISOString() };
+    state.entries.push(created);
+    await this.persist();
+    return created;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} True if the entry existed
+   */
+  async removeEntry(id) {
+    const state = await this.load();
+    const index = state.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    state.entries.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Validate entry data
+   * @param {object} data - Entry fields
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateEntry(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      return ['Entry must be an object'];
+    }
+
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (!ENTRY_TYPES.includes(data.type)) {
+      errors.push(`type must be one of: ${ENTRY_TYPES.join(', ')}`);
+    }
+    if (data.aliases !== undefined &&
+        (!Array.isArray(data.aliases) || data.aliases.some(alias => typeof alias !== 'string'))) {
+      errors.push('aliases must be a list of names');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Load the gazetteer, once per instance
+   * @returns {Promise<object>} Store state
+   */
+  async load() {
+    return this.store.load();
+  }
+
+  /**
+   * Persist the gazetteer
+   * @returns {Promise} Resolves once written
+   */
+  persist() {
+    return this.store.save();
+  }
+}
+
+GazetteerStore.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = GazetteerStore;
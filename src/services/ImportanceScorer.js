@@ -0,0 +1,177 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const EntityExtractor = require('./EntityExtractor');
+const TopicTaxonomy = require('./TopicTaxonomy');
+
+// Most points each factor can add; together they make a 0-100 score
+const FACTOR_WEIGHTS = {
+  starred: 20,
+  duration: 15,
+  speakers: 15,
+  keywords: 25,
+  entities: 10,
+  recency: 15
+};
+
+// Where each factor reaches its full weight
+const FULL_DURATION_MINUTES = 60;
+const FULL_SPEAKER_COUNT = 4;
+const FULL_TOPIC_SCORE = 6;
+const FULL_ENTITIES_PER_100_WORDS = 5;
+
+// A lifelog loses half its recency points for every week it is older than the newest one
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+// Scores that put a lifelog in the high and medium priority groups
+const PRIORITY_THRESHOLDS = { high: 45, medium: 20 };
+
+const FACTOR_LABELS = {
+  starred: 'Starred',
+  duration: 'Duration',
+  speakers: 'Speakers',
+  keywords: 'Topic keywords',
+  entities: 'Entity density',
+  recency: 'Recency'
+};
+
+/**
+ * Scores how important a lifelog is, and explains the score.
+ *
+ * Six factors each contribute up to their weight in FACTOR_WEIGHTS:
+ * whether it is starred, how long it lasted, how many people spoke, how
+ * much the topic taxonomy weighs what was said, how many people,
+ * organizations, places and products it mentions per 100 words, and how
+ * recent it is compared with the newest lifelog being scored. Each factor
+ * is scaled to 0-1 first, so the total is a 0-100 score.
+ *
+ * Result shape:
+ *   { lifelogId, title, startTime, score, priority, topics,
+ *     factors: [{ name, label, value, points, maxPoints, detail }] }
+ */
+class ImportanceScorer {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.taxonomy = options.taxonomy || new TopicTaxonomy();
+    this.entityExtractor = options.entityExtractor || new EntityExtractor({ transcriptBuilder: this.transcriptBuilder });
+    this.weights = { ...FACTOR_WEIGHTS, ...options.weights };
+  }
+
+  /**
+   * Score lifelogs
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {object} options - asOf (ISO time recency is measured from; defaults to the newest lifelog)
+   * @returns {Array} Scores in the order given
+   */
+  scoreAll(lifelogs, options = {}) {
+    const asOf = options.asOf || lifelogs
+      .map(lifelog => lifelog.endTime || lifelog.startTime)
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    return lifelogs.map(lifelog => this.score(lifelog, { asOf }));
+  }
+
+  /**
+   * Score one lifelog
+   * @param {object} lifelog - Lifelog entry
+   * @param {object} options - asOf (ISO time recency is measured from; defaults to the lifelog's own)
+   * @returns {object} Score, priority and per-factor breakdown
+   */
+  score(lifelog, options = {}) {
+    const asOf = options.asOf || lifelog.endTime || lifelog.startTime;
+    const transcript = this.transcriptBuilder.build(lifelog);
+    const text = [transcript.title, ...transcript.utterances.map(utterance => utterance.text)]
+      .filter(Boolean)
+      .join('\n');
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+
+    const minutes = lifelog.startTime && lifelog.endTime
+      ? Math.max(0, (new Date(lifelog.endTime) - new Date(lifelog.startTime)) / 60000)
+      : null;
+    const speakers = transcript.speakers.map(speaker => speaker.name);
+    const topics = this.taxonomy.match(text);
+    const topicScore = topics.reduce((sum, topic) => sum + topic.weight, 0);
+    const entities = this.entityExtractor.summarize(this.entityExtractor.extractFromText(text, { people: speakers }));
+    const mentions = entities.reduce((sum, entity) => sum + entity.count, 0);
+    const density = wordCount > 0 ? (mentions / wordCount) * 100 : 0;
+    const ageDays = asOf && lifelog.startTime
+      ? Math.max(0, (new Date(asOf) - new Date(lifelog.startTime)) / 86400000)
+      : null;
+
+    const factors = [
+      this.factor('starred', Boolean(lifelog.isStarred), lifelog.isStarred ? 1 : 0,
+        lifelog.isStarred ? 'Starred' : 'Not starred'),
+      this.factor('duration', minutes === null ? null : Math.round(minutes), minutes === null ? 0 : minutes / FULL_DURATION_MINUTES,
+        minutes === null ? 'No start or end time' : `${Math.round(minutes)} min`),
+      this.factor('speakers', speakers.length, (speakers.length - 1) / (FULL_SPEAKER_COUNT - 1),
+        speakers.length > 0 ? speakers.join(', ') : 'No speakers'),
+      this.factor('keywords', topicScore, topicScore / FULL_TOPIC_SCORE,
+        topics.length > 0 ? topics.map(topic => `${topic.name} (${topic.weight})`).join(', ') : 'No topics matched'),
+      this.factor('entities', Math.round(density * 10) / 10, density / FULL_ENTITIES_PER_100_WORDS,
+        entities.length > 0 ? `${mentions} in ${wordCount} words: ${entities.slice(0, 5).map(entity => entity.name).join(', ')}` : 'No entities'),
+      this.factor('recency', ageDays === null ? null : Math.round(ageDays * 10) / 10,
+        ageDays === null ? 0 : Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS),
+        ageDays === null ? 'No start time' : this.describeAge(ageDays))
+    ];
+
+    const score = Math.round(factors.reduce((sum, factor) => sum + factor.points, 0) * 10) / 10;
+
+    return {
+      lifelogId: lifelog.id,
+      title: transcript.title || 'Untitled',
+      startTime: lifelog.startTime || null,
+      score,
+      priority: this.priority(score),
+      topics: topics.map(topic => topic.name),
+      factors
+    };
+  }
+
+  /**
+   * Describe how much older a lifelog is than the newest one
+   * @param {number} ageDays - Age in days
+   * @returns {string} Description
+   */
+  describeAge(ageDays) {
+    const days = Math.round(ageDays);
+    if (days === 0) return 'Same day as the newest';
+    return `${days} ${days === 1 ? 'day' : 'days'} before the newest`;
+  }
+
+  /**
+   * One factor's contribution
+   * @param {string} name - Factor name
+   * @param {*} value - Raw value shown to the user
+   * @param {number} share - Share of the factor's weight earned (clamped to 0-1)
+   * @param {string} detail - Why, in words
+   * @returns {object} name, label, value, points, maxPoints and detail
+   */
+  factor(name, value, share, detail) {
+    const maxPoints = this.weights[name];
+    const clamped = Math.min(1, Math.max(0, share || 0));
+    return {
+      name,
+      label: FACTOR_LABELS[name],
+      value,
+      points: Math.round(clamped * maxPoints * 10) / 10,
+      maxPoints,
+      detail
+    };
+  }
+
+  /**
+   * Priority group for a score
+   * @param {number} score - 0-100 score
+   * @returns {string} 'high', 'medium' or 'low'
+   */
+  priority(score) {
+    if (score >= PRIORITY_THRESHOLDS.high) return 'high';
+    if (score >= PRIORITY_THRESHOLDS.medium) return 'medium';
+    return 'low';
+  }
+}
+
+ImportanceScorer.FACTOR_WEIGHTS = FACTOR_WEIGHTS;
+ImportanceScorer.PRIORITY_THRESHOLDS = PRIORITY_THRESHOLDS;
+
+module.exports = ImportanceScorer;
@@ -0,0 +1,372 @@
+const path = require('path');
+const crypto = require('crypto');
+const DateUtils = require('../utils/DateUtils');
+const { readJson, writeJson, createSerializer, loadOnce } = require('../utils/jsonStore');
+
+/**
+ * File-backed local store for lifelogs.
+ *
+ * Layout of a namespace directory:
+ *   index.json              - lifelog id -> shard name
+ *   sync.json               - "<timezone>|<date>" -> sync status
+ *   exports.json            - "<timezone>|<date>" -> fingerprints of the last export
+ *   lifelogs/<date>.json    - lifelogs keyed by id, sharded by UTC start date
+ */
+class LifelogCache {
+  constructor(namespace, options = {}) {
+    this.namespace = namespace;
+    this.directory = path.join(options.directory || path.join(process.cwd(), 'data', 'cache'), namespace);
+    this.dateUtils = new DateUtils();
+    // Each file is read once, however many callers ask for it at the same time
+    this.loaders = {
+      index: loadOnce(() => readJson(this.indexPath(), { version: 1, lifelogs: {} }, 'cache')),
+      syncState: loadOnce(() => readJson(this.syncPath(), {}, 'cache')),
+      exportState: loadOnce(() => readJson(this.exportPath(), {}, 'cache'))
+    };
+    // Bumped whenever cached lifelogs change, so derived indexes know to rebuild
+    this.revision = 0;
+    // Write operations for this namespace run one at a time
+    this.serialize = createSerializer();
+  }
+
+  /**
+   * Derive a stable, non-reversible namespace from an API key
+   * @param {string} apiKey - Limitless.ai API key
+   * @returns {string} Namespace identifier
+   */
+  static namespaceForKey(apiKey) {
+    const digest = crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+    return `key-${digest.slice(0, 16)}`;
+  }
+
+  /**
+   * Get cached lifelogs whose start time falls on a local calendar date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone (default: UTC)
+   * @param {object} options - Additional options (direction)
+   * @returns {Promise<Array>} Array of lifelog entries
+   */
+  async getLifelogsForDate(date, timezone = 'UTC', options = {}) {
+    return this.getLifelogsInRange(date, date, timezone, options);
+  }
+
+  /**
+   * Get cached lifelogs between two local calendar dates (inclusive)
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone (default: UTC)
+   * @param {object} options - Additional options (direction)
+   * @returns {Promise<Array>} Array of lifelog entries
+   */
+  async getLifelogsInRange(startDate, endDate, timezone = 'UTC', options = {}) {
+    // Local days can straddle UTC days, so read one shard either side
+    const shards = this.dateUtils.getDateRange(
+      this.dateUtils.addDays(startDate, -1),
+      this.dateUtils.addDays(endDate, 1)
+    );
+
+    const lifelogs = [];
+    for (const shard of shards) {
+      const entries = await this.readShard(shard);
+      for (const lifelog of Object.values(entries)) {
+        const localDate = this.dateUtils.getLocalDate(lifelog.startTime, timezone);
+        if (localDate >= startDate && localDate <= endDate) {
+          lifelogs.push(lifelog);
+        }
+      }
+    }
+
+    return this.sortLifelogs(lifelogs, options.direction);
+  }
+
+  /**
+   * Get a cached lifelog by ID
+   * @param {string} id - Lifelog ID
+   * @returns {Promise<object|null>} Lifelog entry or null when not cached
+   */
+  async getLifelogById(id) {
+    const index = await this.loadIndex();
+    const shard = index.lifelogs[id];
+    if (!shard) return null;
+
+    const entries = await this.readShard(shard);
+    return entries[id] || null;
+  }
+
+  /**
+   * Get every cached lifelog
+   * @returns {Promise<Array>} Lifelog entries, newest first
+   */
+  async getAllLifelogs() {
+    const index = await this.loadIndex();
+    const shards = Array.from(new Set(Object.values(index.lifelogs)));
+
+    const lifelogs = [];
+    for (const shard of shards) {
+      lifelogs.push(...Object.values(await this.readShard(shard)));
+    }
+
+    return this.sortLifelogs(lifelogs);
+  }
+
+  /**
+   * Insert new lifelogs and replace changed ones
+   * @param {Array} lifelogs - Lifelog entries to store
+   * @returns {Promise<object>} IDs of added and updated entries, unchanged count
+   */
+  async upsertLifelogs(lifelogs) {
+    return this.serialize(async () => {
+      const index = await this.loadIndex();
+      const result = { added: [], updated: [], unchanged: 0 };
+      const dirtyShards = new Map();
+
+      for (const lifelog of lifelogs) {
+        if (!lifelog || !lifelog.id || !lifelog.startTime) continue;
+
+        const shard = this.shardFor(lifelog);
+        const previousShard = index.lifelogs[lifelog.id];
+
+        // A lifelog may move shards if its start time was corrected
+        if (previousShard && previousShard !== shard) {
+          const oldEntries = await this.getDirtyShard(dirtyShards, previousShard);
+          delete oldEntries[lifelog.id];
+        }
+
+        const entries = await this.getDirtyShard(dirtyShards, shard);
+        const existing = previousShard === shard ? entries[lifelog.id] : null;
+
+        if (!previousShard) {
+          result.added.push(lifelog.id);
+        } else if (existing && JSON.stringify(existing) === JSON.stringify(lifelog)) {
+          result.unchanged++;
+          continue;
+        } else {
+          result.updated.push(lifelog.id);
+        }
+
+        entries[lifelog.id] = lifelog;
+        index.lifelogs[lifelog.id] = shard;
+      }
+
+      if (result.added.length > 0 || result.updated.length > 0) {
+        for (const [shard, entries] of dirtyShards) {
+          await writeJson(this.shardPath(shard), entries, { compact: true });
+        }
+        await writeJson(this.indexPath(), index, { compact: true });
+        this.revision++;
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Remove lifelogs from the cache
+   * @param {Array<string>} ids - Lifelog IDs to remove
+   * @returns {Promise<number>} Number of removed entries
+   */
+  async removeLifelogs(ids) {
+    return this.serialize(async () => {
+      const index = await this.loadIndex();
+      const dirtyShards = new Map();
+      let removed = 0;
+
+      for (const id of ids) {
+        const shard = index.lifelogs[id];
+        if (!shard) continue;
+
+        const entries = await this.getDirtyShard(dirtyShards, shard);
+        delete entries[id];
+        delete index.lifelogs[id];
+        removed++;
+      }
+
+      if (removed > 0) {
+        for (const [shard, entries] of dirtyShards) {
+          await writeJson(this.shardPath(shard), entries, { compact: true });
+        }
+        await writeJson(this.indexPath(), index, { compact: true });
+        this.revision++;
+      }
+
+      return removed;
+    });
+  }
+
+  /**
+   * Get sync status for a local date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @returns {Promise<object|null>} Sync status or null if never synced
+   */
+  async getSyncStatus(date, timezone = 'UTC') {
+    const state = await this.loadSyncState();
+    return state[this.syncKey(date, timezone)] || null;
+  }
+
+  /**
+   * Merge fields into the sync status for a local date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {object} status - Fields to merge
+   * @returns {Promise<object>} Updated sync status
+   */
+  async updateSyncStatus(date, timezone, status) {
+    return this.serialize(async () => {
+      const state = await this.loadSyncState();
+      const key = this.syncKey(date, timezone);
+      state[key] = { ...state[key], ...status, date, timezone };
+      await writeJson(this.syncPath(), state, { compact: true });
+      return state[key];
+    });
+  }
+
+  /**
+   * List sync status records, newest date first
+   * @param {object} filters - Optional timezone, startDate and endDate filters
+   * @returns {Promise<Array>} Array of sync status records
+   */
+  async listSyncStatus(filters = {}) {
+    const state = await this.loadSyncState();
+
+    return Object.values(state)
+      .filter(status => !filters.timezone || status.timezone === filters.timezone)
+      .filter(status => !filters.startDate || status.date >= filters.startDate)
+      .filter(status => !filters.endDate || status.date <= filters.endDate)
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Get the record of the last export for a local date
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @returns {Promise<object|null>} Export record or null if never exported
+   */
+  async getExportRecord(date, timezone = 'UTC') {
+    const state = await this.loadExportState();
+    return state[this.syncKey(date, timezone)] || null;
+  }
+
+  /**
+   * Replace the export record for a local date
+   * @param {object} record - Export record with date and timezone
+   * @returns {Promise<object>} Stored record
+   */
+  async saveExportRecord(record) {
+    return this.serialize(async () => {
+      const state = await this.loadExportState();
+      state[this.syncKey(record.date, record.timezone)] = record;
+      await writeJson(this.exportPath(), state, { compact: true });
+      return record;
+    });
+  }
+
+  /**
+   * List export records, newest date first
+   * @param {object} filters - Optional timezone, startDate and endDate filters
+   * @returns {Promise<Array>} Array of export records
+   */
+  async listExportRecords(filters = {}) {
+    const state = await this.loadExportState();
+
+    return Object.values(state)
+      .filter(record => !filters.timezone || record.timezone === filters.timezone)
+      .filter(record => !filters.startDate || record.date >= filters.startDate)
+      .filter(record => !filters.endDate || record.date <= filters.endDate)
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Sort lifelogs by start time
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {string} direction - 'asc' or 'desc' (default: desc, matching the API)
+   * @returns {Array} Sorted lifelog entries
+   */
+  sortLifelogs(lifelogs, direction = 'desc') {
+    const sign = direction === 'asc' ? 1 : -1;
+    return lifelogs.sort((a, b) => sign * (new Date(a.startTime) - new Date(b.startTime)));
+  }
+
+  /**
+   * Get the shard a lifelog belongs to (UTC date of its start time)
+   * @param {object} lifelog - Lifelog entry
+   * @returns {string} Shard name
+   */
+  shardFor(lifelog) {
+    return new Date(lifelog.startTime).toISOString().split('T')[0];
+  }
+
+  /**
+   * Build the key used for sync status records
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @returns {string} Sync key
+   */
+  syncKey(date, timezone) {
+    return `${timezone}|${date}`;
+  }
+
+  indexPath() {
+    return path.join(this.directory, 'index.json');
+  }
+
+  syncPath() {
+    return path.join(this.directory, 'sync.json');
+  }
+
+  exportPath() {
+    return path.join(this.directory, 'exports.json');
+  }
+
+  shardPath(shard) {
+    return path.join(this.directory, 'lifelogs', `${shard}.json`);
+  }
+
+  /**
+   * Load the id -> shard index, once per instance
+   * @returns {Promise<object>} Index structure
+   */
+  loadIndex() {
+    return this.loaders.index();
+  }
+
+  /**
+   * Load sync status records, once per instance
+   * @returns {Promise<object>} Sync state keyed by sync key
+   */
+  loadSyncState() {
+    return this.loaders.syncState();
+  }
+
+  /**
+   * Load export records, once per instance
+   * @returns {Promise<object>} Export records keyed by sync key
+   */
+  loadExportState() {
+    return this.loaders.exportState();
+  }
+
+  /**
+   * Read a shard file
+   * @param {string} shard - Shard name
+   * @returns {Promise<object>} Lifelogs keyed by id
+   */
+  async readShard(shard) {
+    return readJson(this.shardPath(shard), {}, 'cache');
+  }
+
+  /**
+   * Read a shard once per write operation and track it for flushing
+   * @param {Map} dirtyShards - Shards modified by the current operation
+   * @param {string} shard - Shard name
+   * @returns {Promise<object>} Lifelogs keyed by id
+   */
+  async getDirtyShard(dirtyShards, shard) {
+    if (!dirtyShards.has(shard)) {
+      dirtyShards.set(shard, await this.readShard(shard));
+    }
+    return dirtyShards.get(shard);
+  }
+}
+
+module.exports = LifelogCache;
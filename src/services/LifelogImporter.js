@@ -0,0 +1,98 @@
+const DateUtils = require('../utils/DateUtils');
+
+class LifelogImporter {
+  constructor() {
+    this.dateUtils = new DateUtils();
+  }
+
+  /**
+   * Parse a Limitless JSON export into lifelog entries.
+   *
+   * Accepts raw API responses ({ data: { lifelogs } } or { data: { lifelog } }),
+   * { lifelogs: [...] } wrappers, a single lifelog object, or arrays of any of
+   * these, so single-day and multi-day dumps import the same way.
+   * @param {string|Buffer} input - JSON text
+   * @param {string} source - Name of the file, used in error messages
+   * @returns {object} Valid lifelogs and the number of skipped entries
+   */
+  parse(input, source = 'upload') {
+    let data;
+    try {
+      data = JSON.parse(input.toString('utf8'));
+    } catch (error) {
+      throw new Error(`${source} is not valid JSON: ${error.message}`);
+    }
+
+    const candidates = this.collectLifelogs(data);
+    const lifelogs = candidates.filter(entry => this.isValidLifelog(entry));
+
+    if (candidates.length === 0) {
+      throw new Error(`${source} does not contain any lifelogs`);
+    }
+
+    return {
+      lifelogs,
+      skipped: candidates.length - lifelogs.length
+    };
+  }
+
+  /**
+   * Recursively collect lifelog-shaped objects from an export structure
+   * @param {*} data - Parsed JSON
+   * @returns {Array} Candidate lifelog entries
+   */
+  collectLifelogs(data) {
+    if (Array.isArray(data)) {
+      return data.flatMap(item => this.collectLifelogs(item));
+    }
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+    if (data.data) {
+      return this.collectLifelogs(data.data);
+    }
+    if (Array.isArray(data.lifelogs)) {
+      return this.collectLifelogs(data.lifelogs);
+    }
+    if (data.lifelog) {
+      return [data.lifelog];
+    }
+    if (data.id && (data.startTime || data.contents || data.markdown)) {
+      return [data];
+    }
+    return [];
+  }
+
+  /**
+   * Check that an entry has the fields the pipeline relies on
+   * @param {object} lifelog - Candidate lifelog
+   * @returns {boolean} True if the entry can be imported
+   */
+  isValidLifelog(lifelog) {
+    return Boolean(
+      lifelog &&
+      typeof lifelog.id === 'string' &&
+      lifelog.startTime &&
+      !isNaN(new Date(lifelog.startTime).getTime())
+    );
+  }
+
+  /**
+   * Count lifelogs per local calendar date
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {string} timezone - IANA timezone
+   * @returns {Array} Array of { date, count }, newest first
+   */
+  summarizeByDate(lifelogs, timezone = 'UTC') {
+    const counts = new Map();
+    for (const lifelog of lifelogs) {
+      const date = this.dateUtils.getLocalDate(lifelog.startTime, timezone);
+      counts.set(date, (counts.get(date) || 0) + 1);
+    }
+
+    return Array.from(counts, ([date, count]) => ({ date, count }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+}
+
+module.exports = LifelogImporter;
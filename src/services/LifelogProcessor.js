@@ -1,9 +1,52 @@
 const axios = require('axios');
+const DateUtils = require('../utils/DateUtils');
+const RequestQueue = require('./RequestQueue');
+const TranscriptBuilder = require('./TranscriptBuilder');
+const {
+  LimitlessApiError,
+  AuthenticationError,
+  NotFoundError,
+  CancelledError,
+  fromAxiosError,
+  throwIfAborted
+} = require('../utils/errors');
+
+const DEFAULT_BASE_URL = 'https://api.limitless.ai/v1';
+
+// How long a synced, still-open day is served from cache before re-syncing
+const DEFAULT_CACHE_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Incremental syncs only see lifelogs newer than the cursor, so an open day
+// is fully re-synced this often to pick up edits to older lifelogs and deletions
+const DEFAULT_FULL_SYNC_INTERVAL_MS = 30 * 60 * 1000;
+
+// Lifelogs can be finalized a while after they end, so a day is only
+// treated as closed once this much time has passed after local midnight
+const DAY_COMPLETE_GRACE_MS = 6 * 60 * 60 * 1000;
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,          // Attempts after the first one
+  baseDelay: 500,      // First backoff step in ms
+  maxDelay: 30000,     // Cap for a single backoff step in ms
+  factor: 2,           // Exponential growth per attempt
+  jitter: true,        // Randomize delays ("full jitter") to avoid bursts
+  maxRetryAfter: 60000 // Give up instead of honoring longer Retry-After waits
+};
 
 class LifelogProcessor {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
-    this.baseURL = 'https://api.limitless.ai/v1';
+    this.cache = options.cache || null;
+    this.cacheMaxAge = options.cacheMaxAge !== undefined ? options.cacheMaxAge : DEFAULT_CACHE_MAX_AGE_MS;
+    this.fullSyncInterval = options.fullSyncInterval !== undefined ? options.fullSyncInterval : DEFAULT_FULL_SYNC_INTERVAL_MS;
+    this.dateUtils = new DateUtils();
+    this.transcriptBuilder = new TranscriptBuilder();
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+    // Share one queue per API key across processors to stay within rate limits
+    this.queue = options.queue || new RequestQueue(options.rateLimit);
+    this.priority = options.priority || 'interactive';
+    this.speakerAliases = options.speakerAliases || null;
+    this.baseURL = options.baseURL || process.env.LIMITLESS_API_URL || DEFAULT_BASE_URL;
     this.axiosInstance = axios.create({
       baseURL: this.baseURL,
       headers: {
@@ -14,64 +57,481 @@ class LifelogProcessor {
   }
 
   /**
-   * Get lifelogs for a specific date
+   * GET a Limitless API path through the request queue, retrying
+   * rate-limited and transient failures with exponential backoff.
+   * Retry-After headers take precedence over the computed backoff and
+   * pause the whole queue for this key.
+   * @param {string} url - Path relative to the API base URL
+   * @param {object} config - Axios request config
+   * @returns {Promise<object>} Axios response
+   */
+  async request(url, config = {}) {
+    const { retries } = this.retryOptions;
+
+    for (let attempt = 0; ; attempt++) {
+      throwIfAborted(config.signal);
+
+      try {
+        return await this.queue.schedule(
+          () => this.axiosInstance.get(url, config),
+          { priority: this.priority, signal: config.signal }
+        );
+      } catch (rawError) {
+        const error = fromAxiosError(rawError);
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+
+        const waitMs = this.getRetryDelay(attempt, error);
+        if (waitMs === null) {
+          throw error;
+        }
+
+        if (error.retryAfterMs) {
+          this.queue.pause(waitMs);
+        }
+
+        console.warn(`${error.message} (${url}), retrying in ${waitMs}ms [${attempt + 1}/${retries}]`);
+        await this.delay(waitMs, config.signal);
+      }
+    }
+  }
+
+  /**
+   * Compute the wait before the next retry attempt
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {LimitlessApiError} error - Classified error
+   * @returns {number|null} Delay in ms, or null if the server asked us to wait too long
+   */
+  getRetryDelay(attempt, error) {
+    const { baseDelay, maxDelay, factor, jitter, maxRetryAfter } = this.retryOptions;
+
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      return error.retryAfterMs <= maxRetryAfter ? error.retryAfterMs : null;
+    }
+
+    const backoff = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt));
+    return jitter ? Math.round(Math.random() * backoff) : backoff;
+  }
+
+  /**
+   * Get lifelogs for a specific date, reading from the local cache first
+   * when one is configured
    * @param {string} date - Date in YYYY-MM-DD format
    * @param {string} timezone - IANA timezone (default: UTC)
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options (refresh forces a full re-sync, rawSpeakers skips speaker aliases)
    * @returns {Promise<Array>} Array of lifelog entries
    */
   async getLifelogsForDate(date, timezone = 'UTC', options = {}) {
+    let lifelogs;
+
+    if (!this.cache) {
+      lifelogs = await this.fetchLifelogsForDate(date, timezone, options);
+    } else {
+      const { lifelogs: synced } = await this.syncDate(date, timezone, options);
+      lifelogs = this.filterStarred(synced, options);
+    }
+
+    // The cache keeps raw speaker names; aliases are applied on the way out
+    return options.rawSpeakers ? lifelogs : this.applySpeakerAliases(lifelogs, timezone);
+  }
+
+  /**
+   * Apply the account's speaker aliases to lifelogs read from the cache or API
+   * @param {Array} lifelogs - Lifelogs with raw speaker names
+   * @param {string} timezone - IANA timezone, for date-scoped aliases
+   * @returns {Promise<Array>} Lifelogs with canonical speaker names
+   */
+  async applySpeakerAliases(lifelogs, timezone = 'UTC') {
+    return this.speakerAliases ? this.speakerAliases.applyToLifelogs(lifelogs, timezone) : lifelogs;
+  }
+
+  /**
+   * Get lifelogs already in the local cache for a range of dates, without syncing
+   * @param {string} startDate - Start date in YYYY-MM-DD format
+   * @param {string} endDate - End date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone (default: UTC)
+   * @returns {Promise<Array>} Cached lifelogs with speaker aliases applied; empty without a cache
+   */
+  async getCachedLifelogsInRange(startDate, endDate, timezone = 'UTC') {
+    if (!this.cache) return [];
+
+    return this.applySpeakerAliases(await this.cache.getLifelogsInRange(startDate, endDate, timezone), timezone);
+  }
+
+  /**
+   * Iterate a date's lifelogs one page at a time, as getLifelogsForDate
+   * would return them.
+   *
+   * Without a cache pages come straight from iterateLifelogs. With one, a
+   * day that needs a full sync is read from the API page by page, each page
+   * cached as it arrives, so maxEntries and the abort signal stop the fetch
+   * early; the sync is only recorded once every page was read. Days served
+   * from the cache, or synced incrementally, are handed out from the cache
+   * in pages of the same size. Either way maxEntries ends the last page with
+   * truncated set.
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone (default: UTC)
+   * @param {object} options - Same options as getLifelogsForDate, plus limit (page size), maxEntries and signal
+   * @yields {object} Page with lifelogs, page number, running total, nextCursor and truncated flag
+   */
+  async *iterateLifelogsForDate(date, timezone = 'UTC', options = {}) {
+    const applyAliases = (lifelogs) => (options.rawSpeakers ? lifelogs : this.applySpeakerAliases(lifelogs, timezone));
+
+    if (!this.cache) {
+      for await (const page of this.iterateLifelogs({ ...options, date, timezone })) {
+        yield { ...page, lifelogs: await applyAliases(page.lifelogs) };
+      }
+      return;
+    }
+
+    const plan = await this.planSync(date, timezone, options);
+    if (plan.mode !== 'full') {
+      const { lifelogs } = await this.syncDate(date, timezone, options);
+      yield* this.pageLifelogs(await applyAliases(this.filterStarred(lifelogs, options)), options);
+      return;
+    }
+
+    const maxEntries = options.maxEntries || Infinity;
+    const fetchedIds = [];
+    const changes = { added: [], updated: [], unchanged: 0 };
+    let total = 0;
+    let page = 0;
+
     try {
-      const params = {
-        date,
-        timezone,
-        includeMarkdown: options.includeMarkdown !== false,
-        includeHeadings: options.includeHeadings !== false,
-        limit: options.limit || 10,
-        direction: options.direction || 'desc'
+      for await (const fetched of this.iterateLifelogs({ date, timezone, limit: options.limit, signal: options.signal })) {
+        const pageChanges = await this.cache.upsertLifelogs(fetched.lifelogs);
+        changes.added.push(...pageChanges.added);
+        changes.updated.push(...pageChanges.updated);
+        changes.unchanged += pageChanges.unchanged;
+        fetchedIds.push(...fetched.lifelogs.map(log => log.id));
+
+        const matching = this.filterStarred(fetched.lifelogs, options);
+        const remaining = maxEntries - total;
+        const truncated = matching.length > remaining || (matching.length === remaining && fetched.nextCursor !== null);
+        const lifelogs = matching.slice(0, remaining);
+        total += lifelogs.length;
+
+        if (lifelogs.length > 0 || truncated) {
+          page++;
+          yield { lifelogs: await applyAliases(lifelogs), page, total, nextCursor: null, truncated };
+        }
+        if (truncated) return;
+      }
+    } catch (error) {
+      // Once pages were handed out, falling back would repeat them
+      if (page > 0) throw error;
+      const { lifelogs } = await this.cachedAfterSyncError(date, timezone, plan.status, error);
+      yield* this.pageLifelogs(await applyAliases(this.filterStarred(lifelogs, options)), options);
+      return;
+    }
+
+    await this.finishSync(date, timezone, plan, fetchedIds, changes);
+  }
+
+  /**
+   * Hand out lifelogs already read in pages, as iterateLifelogsForDate yields them
+   * @param {Array} lifelogs - Lifelogs for the date
+   * @param {object} options - limit (page size), maxEntries and signal
+   * @yields {object} Page with lifelogs, page number, running total, nextCursor and truncated flag
+   */
+  *pageLifelogs(lifelogs, options = {}) {
+    const maxEntries = options.maxEntries || Infinity;
+    const limit = options.limit || 10;
+    const end = Math.min(lifelogs.length, maxEntries);
+
+    for (let start = 0, page = 1; start < end; start += limit, page++) {
+      throwIfAborted(options.signal);
+      const total = Math.min(start + limit, end);
+      yield {
+        lifelogs: lifelogs.slice(start, total),
+        page,
+        total,
+        nextCursor: null,
+        truncated: total === end && lifelogs.length > end
       };
+    }
+  }
 
-      // Add optional filters
-      if (options.isStarred !== undefined) {
-        params.isStarred = options.isStarred;
+  /**
+   * Keep only starred or unstarred lifelogs when options.isStarred is set
+   * @param {Array} lifelogs - Lifelogs to filter
+   * @param {object} options - isStarred
+   * @returns {Array} Matching lifelogs
+   */
+  filterStarred(lifelogs, options = {}) {
+    if (options.isStarred === undefined) return lifelogs;
+    return lifelogs.filter(log => Boolean(log.isStarred) === Boolean(options.isStarred));
+  }
+
+  /**
+   * Sync a date into the local cache and return its lifelogs.
+   *
+   * A processor without an API key works offline on the cache alone, which
+   * is how imported Limitless exports are processed.
+   *
+   * Closed days that were synced after they ended are served from the cache
+   * without touching the network. Open days are re-synced incrementally from
+   * the start of the newest cached lifelog, which also picks up that lifelog
+   * if it was still being recorded. Older lifelogs can still be edited or
+   * deleted upstream, so a full re-sync, which refreshes every lifelog and
+   * drops deleted ones, runs instead once fullSyncInterval has passed since
+   * the last one and when the day is first seen complete.
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone (default: UTC)
+   * @param {object} options - refresh (force full re-sync), maxAge (ms)
+   * @returns {Promise<object>} Lifelogs, sync status and where they came from
+   */
+  async syncDate(date, timezone = 'UTC', options = {}) {
+    const plan = await this.planSync(date, timezone, options);
+
+    if (plan.mode === 'cache') {
+      const lifelogs = await this.cache.getLifelogsForDate(date, timezone);
+      return { lifelogs, status: plan.status, source: 'cache' };
+    }
+
+    let fetched;
+    try {
+      if (plan.mode === 'incremental') {
+        const start = this.dateUtils.convertToTimezone(plan.status.cursor, timezone).replace('T', ' ');
+        fetched = await this.getLifelogsInRange(start, `${date} 23:59:59`, timezone, {
+          direction: 'asc',
+          signal: options.signal
+        });
+      } else {
+        fetched = await this.fetchLifelogsForDate(date, timezone, { signal: options.signal });
       }
+    } catch (error) {
+      return this.cachedAfterSyncError(date, timezone, plan.status, error);
+    }
 
-      let allLifelogs = [];
-      let cursor = null;
+    const changes = await this.cache.upsertLifelogs(fetched);
+    return this.finishSync(date, timezone, plan, fetched.map(log => log.id), changes);
+  }
 
-      // Paginate through all results
-      console.log(`Fetching lifelogs for ${date}...`);
-      
-      do {
-        if (cursor) {
-          params.cursor = cursor;
-        }
+  /**
+   * Decide how a date is synced: from the cache alone, incrementally or in full
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {object} options - refresh and maxAge, as for syncDate
+   * @returns {Promise<object>} mode ('cache', 'incremental' or 'full'), the current status and syncStartedAt
+   */
+  async planSync(date, timezone, options = {}) {
+    if (!this.cache) {
+      throw new Error('Sync requires a lifelog cache');
+    }
 
-        const response = await this.axiosInstance.get('/lifelogs', { params });
-        
-        if (response.data && response.data.data && response.data.data.lifelogs) {
-          allLifelogs = allLifelogs.concat(response.data.data.lifelogs);
-          cursor = response.data.meta?.lifelogs?.nextCursor;
-          
-          console.log(`Found ${response.data.data.lifelogs.length} lifelogs in this batch (total: ${allLifelogs.length})`);
-        } else {
-          break;
-        }
+    const maxAge = options.maxAge !== undefined ? options.maxAge : this.cacheMaxAge;
+    const status = await this.cache.getSyncStatus(date, timezone);
+    const syncStartedAt = new Date();
 
-        // Add delay between paginated requests to avoid rate limiting
-        if (cursor) {
-          console.log(`Getting next page...`);
-          await this.delay(1000);
-        }
-      } while (cursor && allLifelogs.length < (options.maxEntries || 1000));
+    // Without an API key only imported or previously synced lifelogs exist
+    if (!this.apiKey) {
+      return { mode: 'cache', status, syncStartedAt };
+    }
+
+    if (status && !options.refresh) {
+      const age = syncStartedAt - new Date(status.lastSyncedAt);
+      if (status.complete || age < maxAge) {
+        return { mode: 'cache', status, syncStartedAt };
+      }
+    }
+
+    const sinceFullSync = status && status.lastFullSyncAt ? syncStartedAt - new Date(status.lastFullSyncAt) : Infinity;
+    const incremental = Boolean(status && status.cursor && !options.refresh) &&
+      sinceFullSync < this.fullSyncInterval &&
+      !this.isDayComplete(date, timezone, syncStartedAt);
+
+    return { mode: incremental ? 'incremental' : 'full', status, syncStartedAt };
+  }
+
+  /**
+   * Serve cached lifelogs after a failed sync so exports keep working
+   * offline, but never hide a bad API key or a cancelled request behind
+   * cached data
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {object|null} status - Sync status before the attempt
+   * @param {Error} error - Why the sync failed
+   * @returns {Promise<object>} Cached lifelogs, stale status and source
+   */
+  async cachedAfterSyncError(date, timezone, status, error) {
+    if (!status || error instanceof AuthenticationError || error instanceof CancelledError) {
+      throw error;
+    }
+
+    console.warn(`Sync failed for ${date}, serving cached lifelogs: ${error.message}`);
+    const lifelogs = await this.cache.getLifelogsForDate(date, timezone);
+    return { lifelogs, status: { ...status, stale: true, lastError: error.message }, source: 'cache' };
+  }
+
+  /**
+   * Record a sync once every fetched lifelog is cached; a full sync also
+   * drops cached lifelogs the API no longer returned
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {object} plan - Plan from planSync
+   * @param {Array<string>} fetchedIds - IDs of the lifelogs fetched
+   * @param {object} changes - added and updated IDs from upsertLifelogs
+   * @returns {Promise<object>} Lifelogs, sync status and where they came from
+   */
+  async finishSync(date, timezone, plan, fetchedIds, changes) {
+    const incremental = plan.mode === 'incremental';
+    let removed = 0;
+
+    if (!incremental) {
+      const fetched = new Set(fetchedIds);
+      const cached = await this.cache.getLifelogsForDate(date, timezone);
+      removed = await this.cache.removeLifelogs(
+        cached.filter(log => !fetched.has(log.id)).map(log => log.id)
+      );
+    }
 
-      console.log(`✅ Total lifelogs found for ${date}: ${allLifelogs.length}`);
+    const lifelogs = await this.cache.getLifelogsForDate(date, timezone);
+    const newest = lifelogs.reduce(
+      (latest, log) => (!latest || new Date(log.startTime) > new Date(latest) ? log.startTime : latest),
+      null
+    );
+
+    const updatedStatus = await this.cache.updateSyncStatus(date, timezone, {
+      lastSyncedAt: plan.syncStartedAt.toISOString(),
+      lastFullSyncAt: incremental ? plan.status.lastFullSyncAt : plan.syncStartedAt.toISOString(),
+      cursor: newest,
+      lifelogCount: lifelogs.length,
+      complete: this.isDayComplete(date, timezone, plan.syncStartedAt),
+      lastChanges: {
+        mode: incremental ? 'incremental' : 'full',
+        added: changes.added.length,
+        updated: changes.updated.length,
+        removed
+      }
+    });
+
+    console.log(`✅ Synced ${date} (${updatedStatus.lastChanges.mode}): ${changes.added.length} added, ${changes.updated.length} updated, ${removed} removed`);
+
+    return { lifelogs, status: updatedStatus, source: 'network' };
+  }
+
+  /**
+   * Check whether a local date is far enough in the past to be final
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone
+   * @param {Date} now - Reference time
+   * @returns {boolean} True if no new lifelogs are expected for the date
+   */
+  isDayComplete(date, timezone, now = new Date()) {
+    const reference = new Date(now.getTime() - DAY_COMPLETE_GRACE_MS);
+    return this.dateUtils.getLocalDate(reference, timezone) > date;
+  }
 
-      return allLifelogs;
+  /**
+   * Fetch lifelogs for a specific date from the Limitless API
+   * @param {string} date - Date in YYYY-MM-DD format
+   * @param {string} timezone - IANA timezone (default: UTC)
+   * @param {object} options - Additional options
+   * @returns {Promise<Array>} Array of lifelog entries
+   */
+  async fetchLifelogsForDate(date, timezone = 'UTC', options = {}) {
+    try {
+      console.log(`Fetching lifelogs for ${date}...`);
+
+      const lifelogs = await this.collectLifelogs({ ...options, date, timezone });
+
+      console.log(`✅ Total lifelogs found for ${date}: ${lifelogs.length}`);
+      return lifelogs;
     } catch (error) {
-      console.error('Error fetching lifelogs:', error.response?.data || error.message);
-      throw new Error(`Failed to fetch lifelogs: ${error.response?.data?.error || error.message}`);
+      console.error('Error fetching lifelogs:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate lifelogs from the Limitless API one page at a time.
+   *
+   * Pages are fetched lazily, so callers can process long ranges without
+   * holding every lifelog in memory and can stop early by breaking out of
+   * the loop. When maxEntries cuts the results short the last page is
+   * marked truncated and carries the cursor to resume from.
+   * @param {object} query - date or start/end, timezone, isStarred, direction,
+   *   limit, includeMarkdown, includeHeadings, cursor, maxEntries, signal
+   * @yields {object} Page with lifelogs, page number, running total, nextCursor and truncated flag
+   */
+  async *iterateLifelogs(query = {}) {
+    const { signal } = query;
+    const maxEntries = query.maxEntries || Infinity;
+    const params = {
+      timezone: query.timezone || 'UTC',
+      includeMarkdown: query.includeMarkdown !== false,
+      includeHeadings: query.includeHeadings !== false,
+      limit: query.limit || 10,
+      direction: query.direction || 'desc'
+    };
+
+    if (query.date) {
+      params.date = query.date;
+    } else {
+      if (query.start) params.start = query.start;
+      if (query.end) params.end = query.end;
+    }
+
+    if (query.isStarred !== undefined) {
+      params.isStarred = query.isStarred;
     }
+
+    let cursor = query.cursor || null;
+    let total = 0;
+    let page = 0;
+
+    do {
+      if (cursor) {
+        params.cursor = cursor;
+      }
+
+      let response;
+      try {
+        response = await this.request('/lifelogs', { params, signal });
+      } catch (error) {
+        throw fromAxiosError(error).withContext('Failed to fetch lifelogs');
+      }
+
+      const lifelogs = response.data?.data?.lifelogs;
+      if (!lifelogs) {
+        return;
+      }
+
+      cursor = response.data.meta?.lifelogs?.nextCursor || null;
+      page++;
+
+      const remaining = maxEntries - total;
+      const truncated = lifelogs.length > remaining || (lifelogs.length === remaining && cursor !== null);
+      const pageLifelogs = lifelogs.length > remaining ? lifelogs.slice(0, remaining) : lifelogs;
+      total += pageLifelogs.length;
+
+      yield { lifelogs: pageLifelogs, page, total, nextCursor: cursor, truncated };
+
+      if (truncated) {
+        return;
+      }
+    } while (cursor);
+  }
+
+  /**
+   * Collect every page of a lifelog query into one array
+   * @param {object} query - Same options as iterateLifelogs
+   * @returns {Promise<Array>} Array of lifelog entries
+   */
+  async collectLifelogs(query = {}) {
+    const lifelogs = [];
+
+    for await (const page of this.iterateLifelogs(query)) {
+      lifelogs.push(...page.lifelogs);
+
+      if (page.truncated) {
+        console.warn(`Stopped after ${page.total} lifelogs (maxEntries reached); more are available upstream`);
+      }
+    }
+
+    return lifelogs;
   }
 
   /**
@@ -87,16 +547,16 @@ class LifelogProcessor {
         includeHeadings: options.includeHeadings !== false
       };
 
-      const response = await this.axiosInstance.get(`/lifelogs/${id}`, { params });
+      const response = await this.request(`/lifelogs/${id}`, { params });
       
       if (response.data && response.data.data && response.data.data.lifelog) {
         return response.data.data.lifelog;
       }
       
-      throw new Error('Lifelog not found');
+      throw new NotFoundError('Lifelog not found');
     } catch (error) {
-      console.error('Error fetching lifelog by ID:', error.response?.data || error.message);
-      throw new Error(`Failed to fetch lifelog: ${error.response?.data?.error || error.message}`);
+      console.error('Error fetching lifelog by ID:', error.message);
+      throw fromAxiosError(error).withContext('Failed to fetch lifelog');
     }
   }
 
@@ -110,82 +570,81 @@ class LifelogProcessor {
    */
   async getLifelogsInRange(startDate, endDate, timezone = 'UTC', options = {}) {
     try {
-      const params = {
+      return await this.collectLifelogs({
+        ...options,
         start: startDate,
         end: endDate,
-        timezone,
-        includeMarkdown: options.includeMarkdown !== false,
-        includeHeadings: options.includeHeadings !== false,
-        limit: options.limit || 10,
-        direction: options.direction || 'desc'
-      };
-
-      if (options.isStarred !== undefined) {
-        params.isStarred = options.isStarred;
-      }
-
-      let allLifelogs = [];
-      let cursor = null;
-
-      do {
-        if (cursor) {
-          params.cursor = cursor;
-        }
-
-        const response = await this.axiosInstance.get('/lifelogs', { params });
-        
-        if (response.data && response.data.data && response.data.data.lifelogs) {
-          allLifelogs = allLifelogs.concat(response.data.data.lifelogs);
-          cursor = response.data.meta?.lifelogs?.nextCursor;
-        } else {
-          break;
-        }
-      } while (cursor && allLifelogs.length < (options.maxEntries || 1000));
-
-      return allLifelogs;
+        timezone
+      });
     } catch (error) {
-      console.error('Error fetching lifelogs in range:', error.response?.data || error.message);
-      throw new Error(`Failed to fetch lifelogs: ${error.response?.data?.error || error.message}`);
+      console.error('Error fetching lifelogs in range:', error.message);
+      throw error;
     }
   }
 
   /**
-   * Get available dates with lifelog data (approximation)
-   * @param {number} days - Number of recent days to check (default: 30)
-   * @returns {Promise<Array>} Array of dates with data
+   * Get dates with lifelog data using a single range query
+   * @param {object} options - days (default 30), timezone, startDate, endDate
+   * @returns {Promise<Array>} Per-day summaries, newest first
    */
-  async getAvailableDates(days = 30) {
+  async getAvailableDates(options = {}) {
+    const { days = 30, timezone = 'UTC' } = options;
+    const endDate = options.endDate || this.dateUtils.getLocalDate(new Date(), timezone);
+    const startDate = options.startDate || this.dateUtils.addDays(endDate, -(days - 1));
+
     try {
-      const dates = [];
-      const today = new Date();
-      
-      for (let i = 0; i < days; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        const dateString = date.toISOString().split('T')[0];
-        
-        try {
-          const lifelogs = await this.getLifelogsForDate(dateString, 'UTC', { limit: 1 });
-          if (lifelogs.length > 0) {
-            dates.push({
-              date: dateString,
-              count: lifelogs.length,
-              hasStarred: lifelogs.some(log => log.isStarred)
-            });
-          }
-        } catch (error) {
-          // Skip dates with errors
-          continue;
-        }
+      let lifelogs;
+
+      if (!this.apiKey && this.cache) {
+        lifelogs = await this.cache.getLifelogsInRange(startDate, endDate, timezone);
+      } else {
+        // Only timing and starred flags are needed, so skip the heavy fields
+        lifelogs = await this.getLifelogsInRange(startDate, endDate, timezone, {
+          includeMarkdown: false,
+          includeHeadings: false,
+          maxEntries: options.maxEntries || 10000
+        });
       }
 
-      return dates.sort((a, b) => new Date(b.date) - new Date(a.date));
+      return this.summarizeByDate(lifelogs, timezone);
     } catch (error) {
-      console.error('Error getting available dates:', error);
+      console.error('Error getting available dates:', error.message);
+      if (error instanceof LimitlessApiError) {
+        throw error.withContext('Failed to get available dates');
+      }
       throw new Error('Failed to get available dates');
     }
   }
 
+  /**
+   * Bucket lifelogs by local calendar day
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {string} timezone - IANA timezone
+   * @returns {Array} Per-day counts, recorded minutes and starred counts, newest first
+   */
+  summarizeByDate(lifelogs, timezone = 'UTC') {
+    const buckets = new Map();
+
+    for (const lifelog of lifelogs) {
+      if (!lifelog.startTime) continue;
+
+      const date = this.dateUtils.getLocalDate(lifelog.startTime, timezone);
+      if (!buckets.has(date)) {
+        buckets.set(date, { date, count: 0, totalMinutes: 0, starredCount: 0, hasStarred: false });
+      }
+
+      const bucket = buckets.get(date);
+      bucket.count++;
+      bucket.totalMinutes += Math.max(0, this.calculateDuration(lifelog.startTime, lifelog.endTime) || 0);
+      if (lifelog.isStarred) {
+        bucket.starredCount++;
+        bucket.hasStarred = true;
+      }
+    }
+
+    return Array.from(buckets.values()).sort((a, b) => b.date.localeCompare(a.date));
+  }
+
   /**
    * Extract and clean content from lifelog entries
    * @param {Array} lifelogs - Array of lifelog entries
@@ -193,87 +652,24 @@ class LifelogProcessor {
    */
   extractContent(lifelogs) {
     return lifelogs.map(lifelog => {
-      const content = {
+      const transcript = this.transcriptBuilder.build(lifelog);
+
+      return {
         id: lifelog.id,
         title: lifelog.title,
         startTime: lifelog.startTime,
         endTime: lifelog.endTime,
         isStarred: lifelog.isStarred,
         markdown: lifelog.markdown,
-        extractedText: '',
-        speakers: new Set(),
-        topics: [],
+        extractedText: this.transcriptBuilder.toText(transcript),
+        utterances: transcript.utterances,
+        speakers: transcript.speakers.map(speaker => speaker.name),
+        topics: transcript.headings.map(heading => heading.text),
         duration: this.calculateDuration(lifelog.startTime, lifelog.endTime)
       };
-
-      // Extract content from structured nodes
-      if (lifelog.contents && Array.isArray(lifelog.contents)) {
-        content.extractedText = this.extractTextFromNodes(lifelog.contents, content.speakers);
-      }
-
-      // Convert speakers set to array
-      content.speakers = Array.from(content.speakers);
-
-      // Extract topics from headings
-      content.topics = this.extractTopics(lifelog.contents);
-
-      return content;
     });
   }
 
-  /**
-   * Extract text content from content nodes recursively
-   * @param {Array} nodes - Content nodes
-   * @param {Set} speakers - Set to collect speaker names
-   * @returns {string} Extracted text
-   */
-  extractTextFromNodes(nodes, speakers = new Set()) {
-    let text = '';
-    
-    for (const node of nodes) {
-      if (node.content) {
-        // Add speaker information if available
-        if (node.speakerName) {
-          speakers.add(node.speakerName);
-          text += `[${node.speakerName}]: ${node.content}\n`;
-        } else {
-          text += `${node.content}\n`;
-        }
-      }
-
-      // Process child nodes recursively
-      if (node.children && Array.isArray(node.children)) {
-        text += this.extractTextFromNodes(node.children, speakers);
-      }
-    }
-
-    return text;
-  }
-
-  /**
-   * Extract topics from heading nodes
-   * @param {Array} nodes - Content nodes
-   * @returns {Array} Array of topics
-   */
-  extractTopics(nodes) {
-    const topics = [];
-    
-    if (!nodes || !Array.isArray(nodes)) return topics;
-
-    for (const node of nodes) {
-      if (node.type && (node.type.includes('heading') || node.type === 'heading1' || node.type === 'heading2')) {
-        topics.push(node.content);
-      }
-
-      // Process child nodes recursively
-      if (node.children && Array.isArray(node.children)) {
-        topics.push(...this.extractTopics(node.children));
-      }
-    }
-
-    return topics;
-  }
-
   /**
    * Calculate duration between start and end times
    * @param {string} startTime - ISO timestamp
@@ -293,10 +689,24 @@ class LifelogProcessor {
   /**
    * Add delay to prevent rate limiting
    * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal} signal - Optional signal that cuts the delay short
    * @returns {Promise} Promise that resolves after delay
    */
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async delay(ms, signal) {
+    throwIfAborted(signal);
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CancelledError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -0,0 +1,238 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const DateUtils = require('../utils/DateUtils');
+const { tokenize, splitSentences } = require('../utils/text');
+
+// Utterances after a question that may hold its answer
+const REPLY_WINDOW = 3;
+
+// Tag questions and fillers that do not ask for anything
+const TAG_QUESTION = /^(?:right|okay|ok|yeah|huh|really|you know|isn't it|aren't they|don't you think|no|what|why not|how come)\?$/i;
+
+// Open questions start with one of these; a bare acknowledgement does not answer them
+const WH_QUESTION = /^(?:\w+,\s*)?(?:what|when|where|who|whom|whose|which|why|how)\b/i;
+
+// Replies that put the question off rather than answer it
+const DEFERRAL = /^(?:not yet|no idea|no clue|good question|we'll see|i don't know|i do not know|i'm not sure|not sure|i have no idea|let me (?:check|find out|ask|look|think)|i'll (?:check|find out|ask|look into|get back))\b|\bget back to you\b/i;
+
+// Words that only acknowledge ("Sounds good, talk soon.")
+const ACKNOWLEDGEMENT = /\b(?:sounds good|talk soon|see you|got it|okay|ok|sure|thanks|thank you|cool|great|bye|alright|all right|yeah|hmm|um|uh|right)\b/gi;
+
+// Share of a question's terms a later utterance must repeat to resolve it
+const RESOLUTION_THRESHOLD = 0.5;
+const MIN_SHARED_TERMS = 2;
+
+/**
+ * Tracks questions that did not get an answer in the conversation they
+ * were asked in.
+ *
+ * Works on lifelogs, turned into utterances by TranscriptBuilder like the
+ * other extractors do. A question is
+ * answered when another speaker replies within a few utterances with
+ * something other than a question, a deferral ("let me check") or, for
+ * what/when/who questions, a bare acknowledgement. Unanswered questions are
+ * then followed through later lifelogs; one whose statements repeat enough
+ * of the question's terms resolves it.
+ *
+ * Question shape:
+ *   { id, lifelogId, utteranceId, title, date, askedAt, askedBy, question,
+ *     reason, reply, status, resolution, daysOpen }
+ */
+class OpenQuestionTracker {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.dateUtils = new DateUtils();
+  }
+
+  /**
+   * Find unanswered questions and the later conversations that resolve them
+   * @param {Array} lifelogs - Lifelog entries, earlier days included to follow their questions
+   * @param {object} options - timezone, and asOf (YYYY-MM-DD) for daysOpen of open questions
+   * @returns {object} questions, plus how many were answered in their own conversation
+   */
+  track(lifelogs, options = {}) {
+    const { timezone = 'UTC', asOf = null } = options;
+    const conversations = lifelogs
+      .map(lifelog => this.toConversation(lifelog))
+      .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+
+    const questions = [];
+    let answered = 0;
+
+    conversations.forEach((conversation, index) => {
+      for (const question of this.findQuestions(conversation)) {
+        if (!question.reason) {
+          answered++;
+          continue;
+        }
+
+        const resolution = this.findResolution(question, conversations.slice(index + 1));
+        const date = this.localDate(question.askedAt, timezone);
+        const closedOn = resolution ? this.localDate(resolution.startTime, timezone) : asOf;
+
+        questions.push({
+          ...question,
+          date,
+          status: resolution ? 'resolved' : 'open',
+          resolution: resolution ? { ...resolution, date: this.localDate(resolution.startTime, timezone) } : null,
+          daysOpen: date && closedOn ? Math.max(0, this.dateUtils.getDateRange(date, closedOn).length - 1) : null
+        });
+      }
+    });
+
+    return { questions, answered };
+  }
+
+  /**
+   * Questions asked in one conversation and how they were replied to
+   * @param {object} conversation - From toConversation()
+   * @returns {Array} Questions; reason is null for answered ones
+   */
+  findQuestions(conversation) {
+    const { utterances } = conversation;
+    const questions = [];
+
+    utterances.forEach((utterance, position) => {
+      const asked = splitSentences(utterance.text).filter(sentence => this.isQuestion(sentence));
+      if (asked.length === 0) return;
+
+      // A follow-up question in the same utterance is answered by the same reply
+      const question = asked[asked.length - 1];
+      const { reason, reply } = this.classifyReply(question, utterance, utterances.slice(position + 1, position + 1 + REPLY_WINDOW));
+
+      questions.push({
+        id: `${utterance.id}:question`,
+        lifelogId: conversation.lifelogId,
+        utteranceId: utterance.id,
+        title: conversation.title,
+        askedAt: utterance.startTime || conversation.startTime,
+        askedBy: utterance.speaker,
+        question,
+        reason,
+        reply: reply ? { utteranceId: reply.id, speaker: reply.speaker, text: reply.text } : null
+      });
+    });
+
+    return questions;
+  }
+
+  /**
+   * Decide whether the utterances after a question answer it
+   * @param {string} question - Question sentence
+   * @param {object} asked - Utterance the question is in
+   * @param {Array} following - Next utterances in the conversation
+   * @returns {object} reason (null, 'no-reply', 'deferred' or 'acknowledged') and the reply considered
+   */
+  classifyReply(question, asked, following) {
+    const reply = following.find(utterance => {
+      if (utterance.speaker && utterance.speaker === asked.speaker) return false;
+      const [first = ''] = splitSentences(utterance.text);
+      return !first.endsWith('?');
+    });
+
+    if (!reply) return { reason: 'no-reply', reply: null };
+
+    const text = reply.text.trim();
+    if (DEFERRAL.test(text)) return { reason: 'deferred', reply };
+
+    const substance = text.replace(ACKNOWLEDGEMENT, '').replace(/[^\w]+/g, '');
+    if (!substance && WH_QUESTION.test(question)) return { reason: 'acknowledged', reply };
+
+    return { reason: null, reply };
+  }
+
+  /**
+   * First statement in a later conversation that repeats enough of the question
+   * @param {object} question - Open question
+   * @param {Array} later - Conversations after the one it was asked in
+   * @returns {object|null} Resolving utterance with the terms it shares
+   */
+  findResolution(question, later) {
+    const terms = new Set(tokenize(question.question));
+    if (terms.size === 0) return null;
+
+    for (const conversation of later) {
+      for (const utterance of conversation.utterances) {
+        if (utterance.text.trim().endsWith('?')) continue;
+
+        const shared = [...new Set(tokenize(utterance.text))].filter(term => terms.has(term));
+        const score = shared.length / terms.size;
+        if (shared.length >= Math.min(MIN_SHARED_TERMS, terms.size) && score >= RESOLUTION_THRESHOLD) {
+          return {
+            lifelogId: conversation.lifelogId,
+            utteranceId: utterance.id,
+            title: conversation.title,
+            startTime: utterance.startTime || conversation.startTime,
+            speaker: utterance.speaker,
+            text: utterance.text,
+            sharedTerms: shared,
+            score: Math.round(score * 100) / 100
+          };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a sentence asks something worth tracking
+   * @param {string} sentence - Sentence
+   * @returns {boolean} True for real questions
+   */
+  isQuestion(sentence) {
+    const trimmed = sentence.trim();
+    return trimmed.endsWith('?') && !TAG_QUESTION.test(trimmed) && trimmed.split(/\s+/).length >= 3;
+  }
+
+  /**
+   * Format open questions as a Markdown section for exports
+   * @param {Array} questions - Questions from track()
+   * @returns {string} "Open Threads" section, or an empty string if nothing is open
+   */
+  formatOpenThreads(questions) {
+    const open = (questions || []).filter(question => question.status === 'open');
+    if (open.length === 0) return '';
+
+    const reasons = {
+      'no-reply': 'no reply',
+      deferred: 'put off',
+      acknowledged: 'acknowledged, not answered'
+    };
+
+    let markdown = `## Open Threads\n\n`;
+    for (const question of open) {
+      const asker = question.askedBy ? `**${question.askedBy}**` : '**Unknown**';
+      const reply = question.reply ? `: "${question.reply.text}"` : '';
+      const age = question.daysOpen > 0 ? `, open ${question.daysOpen} day${question.daysOpen === 1 ? '' : 's'}` : '';
+      markdown += `- ${asker}: ${question.question} — _${question.title || 'Untitled'}_ (${reasons[question.reason]}${reply}${age})\n`;
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Turn a lifelog into lifelogId, title, startTime and utterances
+   * @param {object} lifelog - Lifelog entry
+   * @returns {object} Conversation
+   */
+  toConversation(lifelog) {
+    return {
+      lifelogId: lifelog.id,
+      title: lifelog.title || null,
+      startTime: lifelog.startTime || null,
+      utterances: this.transcriptBuilder.build(lifelog).utterances
+    };
+  }
+
+  /**
+   * Local date of a timestamp
+   * @param {string|null} time - ISO timestamp
+   * @param {string} timezone - IANA timezone
+   * @returns {string|null} YYYY-MM-DD
+   */
+  localDate(time, timezone) {
+    return time ? this.dateUtils.getLocalDate(time, timezone) : null;
+  }
+}
+
+module.exports = OpenQuestionTracker;
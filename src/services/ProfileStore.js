@@ -0,0 +1,264 @@
+const path = require('path');
+const DateUtils = require('../utils/DateUtils');
+const { createJsonStore } = require('../utils/jsonStore');
+
+// Processing options a preset may set; anything else is dropped
+const PRESET_FIELDS = [
+  'maxTokens',
+  'maxTokensPerDay',
+  'summarizeLevel',
+  'includeTimestamps',
+  'includeSpeakers',
+  'outputFormat',
+  'exportFormat',
+  'prioritizeTopics',
+  'includeOpenThreads',
+  'groupBy',
+  'clusterCount',
+  'chunkStrategy',
+  'silenceGapMinutes',
+  'speakerChangeGapMinutes',
+  'dedupe'
+];
+
+/**
+ * Named profiles for sharing one deployment between several Limitless
+ * accounts. Each profile keeps its own API key, default timezone and
+ * processing presets; the server gives each profile its own cache.
+ *
+ * API keys stay on the server: toPublic() is what routes return.
+ *
+ * Store layout:
+ *   { version, profiles: { <id>: profile } }
+ */
+class ProfileStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'profiles.json');
+    this.dateUtils = new DateUtils();
+    this.store = createJsonStore({
+      filePath: this.filePath,
+      label: 'profile',
+      fallback: () => ({ version: 1, profiles: {} }),
+      // The file holds API keys, so only the owner may read it
+      mode: 0o600
+    });
+  }
+
+  /**
+   * List profiles without their API keys
+   * @returns {Promise<Array>} Public profiles sorted by name
+   */
+  async listProfiles() {
+    const state = await this.load();
+
+    return Object.values(state.profiles)
+      .map(profile => this.toPublic(profile))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a profile including its API key
+   * @param {string} id - Profile ID
+   * @returns {Promise<object|null>} Profile or null if unknown
+   */
+  async getProfile(id) {
+    const state = await this.load();
+    // Own properties only, so ids such as "constructor" are not found on the prototype
+    return Object.hasOwn(state.profiles, id) ? state.profiles[id] : null;
+  }
+
+  /**
+   * Create a profile
+   * @param {object} data - name, apiKey, timezone, presets, defaultPreset
+   * @returns {Promise<object>} Public profile
+   */
+  async createProfile(data) {
+    const state = await this.load();
+    this.assertValid(data);
+
+    const now = new Date().toISOString();
+    const profile = {
+      id: this.uniqueId(data.name, state.profiles),
+      name: data.name.trim(),
+      apiKey: data.apiKey || '',
+      timezone: data.timezone || 'UTC',
+      presets: this.normalizePresets(data.presets),
+      defaultPreset: data.defaultPreset || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    state.profiles[profile.id] = profile;
+    await this.persist();
+    return this.toPublic(profile);
+  }
+
+  /**
+   * Update a profile. Omitting apiKey keeps the stored key.
+   * @param {string} id - Profile ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<object|null>} Public profile, or null if unknown
+   */
+  async updateProfile(id, data) {
+    const state = await this.load();
+    if (!Object.hasOwn(state.profiles, id)) return null;
+    const existing = state.profiles[id];
+
+    this.assertValid({ ...existing, ...data, presets: data.presets || existing.presets });
+
+    const profile = {
+      ...existing,
+      name: data.name !== undefined ? data.name.trim() : existing.name,
+      apiKey: data.apiKey !== undefined ? data.apiKey : existing.apiKey,
+      timezone: data.timezone || existing.timezone,
+      presets: data.presets !== undefined ? this.normalizePresets(data.presets) : existing.presets,
+      defaultPreset: data.defaultPreset !== undefined ? data.defaultPreset : existing.defaultPreset,
+      updatedAt: new Date().toISOString()
+    };
+
+    state.profiles[id] = profile;
+    await this.persist();
+    return this.toPublic(profile);
+  }
+
+  /**
+   * Delete a profile (its cached lifelogs are left on disk)
+   * @param {string} id - Profile ID
+   * @returns {Promise<boolean>} True if the profile existed
+   */
+  async deleteProfile(id) {
+    const state = await this.load();
+    if (!Object.hasOwn(state.profiles, id)) return false;
+
+    delete state.profiles[id];
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Get the processing options of a profile preset
+   * @param {object} profile - Profile
+   * @param {string} name - Preset name (defaults to the profile's default preset)
+   * @returns {object} Preset options, empty when the profile has none
+   */
+  resolvePreset(profile, name) {
+    if (!profile) return {};
+
+    const presetName = name || profile.defaultPreset;
+    return (presetName && Object.hasOwn(profile.presets, presetName) && profile.presets[presetName]) || {};
+  }
+
+  /**
+   * Validate profile data
+   * @param {object} data - Profile fields
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateProfile(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      return ['Profile must be an object'];
+    }
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    }
+    if (data.apiKey !== undefined && typeof data.apiKey !== 'string') {
+      errors.push('apiKey must be a string');
+    }
+    if (data.timezone && !this.dateUtils.isValidTimezone(data.timezone)) {
+      errors.push(`Unknown timezone "${data.timezone}"`);
+    }
+    if (data.presets !== undefined) {
+      const valid = data.presets && typeof data.presets === 'object' && !Array.isArray(data.presets) &&
+        Object.values(data.presets).every(preset => preset && typeof preset === 'object' && !Array.isArray(preset));
+      if (!valid) {
+        errors.push('presets must map preset names to option objects');
+      }
+    }
+    if (data.defaultPreset && (!data.presets || !data.presets[data.defaultPreset])) {
+      errors.push(`defaultPreset "${data.defaultPreset}" is not one of the presets`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw if profile data is invalid
+   * @param {object} data - Profile fields
+   */
+  assertValid(data) {
+    const errors = this.validateProfile(data);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid profile: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Keep only known processing options in each preset
+   * @param {object} presets - Presets keyed by name
+   * @returns {object} Cleaned presets
+   */
+  normalizePresets(presets = {}) {
+    const normalized = {};
+
+    for (const [name, options] of Object.entries(presets || {})) {
+      normalized[name] = {};
+      for (const field of PRESET_FIELDS) {
+        if (options[field] !== undefined) {
+          normalized[name][field] = options[field];
+        }
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Strip the API key from a profile
+   * @param {object} profile - Stored profile
+   * @returns {object} Profile safe to send to clients
+   */
+  toPublic(profile) {
+    const { apiKey, ...rest } = profile;
+    return {
+      ...rest,
+      hasApiKey: Boolean(apiKey),
+      apiKeyHint: apiKey ? `…${apiKey.slice(-4)}` : null
+    };
+  }
+
+  /**
+   * Derive an unused profile ID from its name
+   * @param {string} name - Profile name
+   * @param {object} profiles - Existing profiles keyed by ID
+   * @returns {string} Profile ID
+   */
+  uniqueId(name, profiles) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+    let id = base;
+    for (let suffix = 2; Object.hasOwn(profiles, id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  /**
+   * Load the profile store, once per instance
+   * @returns {Promise<object>} Store state
+   */
+  async load() {
+    return this.store.load();
+  }
+
+  /**
+   * Persist the profile store
+   * @returns {Promise} Resolves once written
+   */
+  persist() {
+    return this.store.save();
+  }
+}
+
+module.exports = ProfileStore;
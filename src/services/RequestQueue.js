@@ -0,0 +1,162 @@
+const { CancelledError } = require('../utils/errors');
+
+// Interactive requests (someone waiting in the UI) always run before batch work
+const PRIORITIES = ['interactive', 'batch'];
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,    // Requests in flight at once
+  ratePerSecond: 3,  // Sustained request rate
+  burst: 3           // Requests allowed back to back before pacing kicks in
+};
+
+/**
+ * Process-wide queue for Limitless API requests made with one API key.
+ *
+ * Limits concurrency, paces requests with a token bucket and runs
+ * interactive requests ahead of queued batch work. A rate-limit response
+ * can pause the whole queue so parallel callers back off together.
+ */
+class RequestQueue {
+  constructor(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    this.concurrency = Math.max(1, settings.concurrency);
+    this.ratePerSecond = settings.ratePerSecond;
+    this.burst = Math.max(1, settings.burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.active = 0;
+    this.pending = { interactive: [], batch: [] };
+    this.timer = null;
+  }
+
+  /**
+   * Queue a task and run it when concurrency and rate limits allow
+   * @param {Function} task - Async function performing one request
+   * @param {object} options - priority ('interactive' or 'batch') and signal
+   * @returns {Promise<*>} Result of the task
+   */
+  schedule(task, options = {}) {
+    const priority = PRIORITIES.includes(options.priority) ? options.priority : 'interactive';
+    const { signal } = options;
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new CancelledError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { task, resolve, reject, signal };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const queue = this.pending[priority];
+          const index = queue.indexOf(entry);
+          if (index !== -1) queue.splice(index, 1);
+          reject(new CancelledError());
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      this.pending[priority].push(entry);
+      this.drain();
+    });
+  }
+
+  /**
+   * Hold all queued requests, e.g. after the API answered with Retry-After
+   * @param {number} ms - How long to pause
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {object} Active and queued request counts
+   */
+  getStats() {
+    return {
+      active: this.active,
+      queued: {
+        interactive: this.pending.interactive.length,
+        batch: this.pending.batch.length
+      },
+      concurrency: this.concurrency,
+      ratePerSecond: this.ratePerSecond
+    };
+  }
+
+  /**
+   * Start as many queued tasks as the limits allow
+   */
+  drain() {
+    while (this.active < this.concurrency) {
+      const queue = PRIORITIES.map(priority => this.pending[priority]).find(entries => entries.length > 0);
+      if (!queue) return;
+
+      const waitMs = this.takeToken();
+      if (waitMs > 0) {
+        this.drainLater(waitMs);
+        return;
+      }
+
+      this.run(queue.shift());
+    }
+  }
+
+  /**
+   * Take a token from the bucket
+   * @returns {number} 0 if a token was taken, otherwise ms until one is available
+   */
+  takeToken() {
+    const now = Date.now();
+    if (now < this.pausedUntil) {
+      return this.pausedUntil - now;
+    }
+
+    const elapsed = Math.max(0, now - Math.max(this.lastRefill, this.pausedUntil));
+    this.tokens = Math.min(this.burst, this.tokens + (elapsed / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+  }
+
+  /**
+   * Run a dequeued task and keep draining once it settles
+   * @param {object} entry - Queue entry
+   */
+  run(entry) {
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+
+    this.active++;
+    Promise.resolve()
+      .then(entry.task)
+      .then(entry.resolve, entry.reject)
+      .finally(() => {
+        this.active--;
+        this.drain();
+      });
+  }
+
+  /**
+   * Retry draining after a delay
+   * @param {number} ms - Delay in milliseconds
+   */
+  drainLater(ms) {
+    if (this.timer) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.drain();
+    }, ms);
+  }
+}
+
+module.exports = RequestQueue;
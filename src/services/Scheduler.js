@@ -0,0 +1,473 @@
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const DateUtils = require('../utils/DateUtils');
+const CronSchedule = require('../utils/CronSchedule');
+const { readJson, createJsonStore, loadOnce } = require('../utils/jsonStore');
+const ExportService = require('./ExportService');
+const ChangeTracker = require('./ChangeTracker');
+
+// Run records kept across all jobs, newest first
+const HISTORY_LIMIT = 200;
+
+const ACTIONS = ['sync', 'export'];
+
+/**
+ * Runs sync/export jobs on cron schedules.
+ *
+ * Jobs come from an optional JSON config file and from the API. Definitions,
+ * last-run status and run history are persisted in a JSON store so a
+ * restart can catch up on a run that was due while the server was down.
+ *
+ * Store layout:
+ *   { version, jobs: { <id>: job }, history: [run, ...] }
+ */
+class Scheduler {
+  constructor(options = {}) {
+    this.storePath = options.storePath || path.join(process.cwd(), 'data', 'schedules.json');
+    this.configFile = options.configFile || null;
+    this.exportDir = options.exportDir || path.join(process.cwd(), 'data', 'exports');
+    this.createProcessor = options.createProcessor;
+    // Account settings a job's exports use, such as its topic taxonomy
+    this.resolveExportOptions = options.resolveExportOptions || (async () => ({}));
+    this.exportService = options.exportService || new ExportService();
+    this.cron = options.cron || cron;
+    this.now = options.now || (() => new Date());
+    this.dateUtils = new DateUtils();
+    this.store = createJsonStore({
+      filePath: this.storePath,
+      label: 'schedule',
+      fallback: () => ({ version: 1, jobs: {}, history: [] })
+    });
+    this.state = null;
+    this.loadState = loadOnce(async () => {
+      const state = await this.store.load();
+      this.state = state;
+      if (this.configFile) {
+        await this.loadConfigFile();
+      }
+      return state;
+    });
+    this.tasks = new Map();
+    this.running = new Set();
+    this.started = false;
+  }
+
+  /**
+   * Load jobs, start their cron tasks and run any that were missed
+   * @returns {Promise<Array>} Runs made to catch up on missed schedules
+   */
+  async start() {
+    await this.load();
+    this.started = true;
+
+    for (const job of Object.values(this.state.jobs)) {
+      this.scheduleJob(job);
+    }
+
+    return this.catchUp();
+  }
+
+  /**
+   * Stop all cron tasks
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+    this.started = false;
+  }
+
+  /**
+   * Load the job store and merge jobs from the config file
+   * @returns {Promise<object>} Scheduler state
+   */
+  load() {
+    return this.loadState();
+  }
+
+  /**
+   * Replace file-defined jobs with the current contents of the config file,
+   * keeping their run status
+   */
+  async loadConfigFile() {
+    const config = await readJson(this.configFile, null, 'schedule config');
+    if (!config) {
+      console.warn(`Schedule config ${this.configFile} not found`);
+      return;
+    }
+
+    const definitions = Array.isArray(config) ? config : config.jobs || [];
+    const fileJobIds = new Set();
+
+    for (const definition of definitions) {
+      const errors = this.validateJob(definition);
+      if (errors.length > 0) {
+        console.warn(`Skipping scheduled job "${definition.id || definition.name}": ${errors.join('; ')}`);
+        continue;
+      }
+
+      const job = this.normalizeJob({ ...definition, source: 'file' }, this.state.jobs[definition.id]);
+      this.state.jobs[job.id] = job;
+      fileJobIds.add(job.id);
+    }
+
+    // Jobs removed from the file should stop running
+    for (const job of Object.values(this.state.jobs)) {
+      if (job.source === 'file' && !fileJobIds.has(job.id)) {
+        delete this.state.jobs[job.id];
+      }
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * List jobs with their next scheduled run
+   * @returns {Promise<Array>} Jobs sorted by name
+   */
+  async listJobs() {
+    await this.load();
+
+    return Object.values(this.state.jobs)
+      .map(job => this.describeJob(job))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a single job
+   * @param {string} id - Job ID
+   * @returns {Promise<object|null>} Job with next run, or null if unknown
+   */
+  async getJob(id) {
+    await this.load();
+    const job = this.state.jobs[id];
+    return job ? this.describeJob(job) : null;
+  }
+
+  /**
+   * Get run history, newest first
+   * @param {object} filters - Optional jobId and limit
+   * @returns {Promise<Array>} Run records
+   */
+  async getHistory(filters = {}) {
+    await this.load();
+    const limit = filters.limit || 20;
+
+    return this.state.history
+      .filter(run => !filters.jobId || run.jobId === filters.jobId)
+      .slice(0, limit);
+  }
+
+  /**
+   * Create or update a job
+   * @param {object} definition - Job definition
+   * @returns {Promise<object>} Saved job
+   */
+  async saveJob(definition) {
+    await this.load();
+
+    const errors = this.validateJob(definition);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid schedule: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+
+    const existing = definition.id ? this.state.jobs[definition.id] : null;
+    if (existing && existing.source === 'file') {
+      throw new Error(`Job "${existing.id}" is defined in the config file and cannot be changed through the API`);
+    }
+
+    const job = this.normalizeJob({ ...definition, source: 'api' }, existing);
+    this.state.jobs[job.id] = job;
+    await this.persist();
+
+    if (this.started) {
+      this.scheduleJob(job);
+    }
+
+    return this.describeJob(job);
+  }
+
+  /**
+   * Delete an API-defined job
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} True if the job existed
+   */
+  async removeJob(id) {
+    await this.load();
+    const job = this.state.jobs[id];
+    if (!job) return false;
+
+    if (job.source === 'file') {
+      throw new Error(`Job "${id}" is defined in the config file and cannot be deleted through the API`);
+    }
+
+    this.unscheduleJob(id);
+    delete this.state.jobs[id];
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Run every enabled job whose latest scheduled time passed without a run
+   * @returns {Promise<Array>} Catch-up run records
+   */
+  async catchUp() {
+    await this.load();
+    const now = this.now();
+    const runs = [];
+
+    for (const job of Object.values(this.state.jobs)) {
+      if (!job.enabled || job.catchUp === false) continue;
+
+      const due = new CronSchedule(job.schedule, job.timezone).previous(now);
+      const lastScheduled = new Date(job.lastRun ? job.lastRun.scheduledFor : job.createdAt);
+
+      if (due && due > lastScheduled) {
+        console.log(`⏰ Catching up on missed run of "${job.name}" scheduled for ${due.toISOString()}`);
+        runs.push(await this.runJob(job.id, { trigger: 'catch-up', scheduledFor: due }));
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Run a job now
+   * @param {string} id - Job ID
+   * @param {object} options - trigger ('schedule', 'catch-up' or 'manual') and scheduledFor
+   * @returns {Promise<object>} Run record
+   */
+  async runJob(id, options = {}) {
+    await this.load();
+    const job = this.state.jobs[id];
+    if (!job) {
+      throw new Error(`Unknown scheduled job "${id}"`);
+    }
+
+    const startedAt = this.now();
+    const scheduledFor = options.scheduledFor || startedAt;
+    const date = this.dateUtils.addDays(
+      this.dateUtils.getLocalDate(scheduledFor, job.timezone),
+      job.dateOffset
+    );
+
+    const run = {
+      id: crypto.randomBytes(6).toString('hex'),
+      jobId: job.id,
+      jobName: job.name,
+      trigger: options.trigger || 'manual',
+      scheduledFor: scheduledFor.toISOString(),
+      startedAt: startedAt.toISOString(),
+      date,
+      timezone: job.timezone,
+      status: 'running'
+    };
+
+    // A slow run must not overlap the next tick
+    if (this.running.has(job.id)) {
+      return this.recordRun(job, { ...run, status: 'skipped', error: 'Previous run is still in progress' });
+    }
+
+    this.running.add(job.id);
+    try {
+      const processor = await this.createProcessor(job);
+      let lifelogs = null;
+
+      if (job.actions.includes('sync')) {
+        if (!processor.apiKey) {
+          throw new Error('Scheduled sync requires API_KEY to be set');
+        }
+        const result = await processor.syncDate(date, job.timezone);
+        // The sync returns cached lifelogs; exports use the aliased speaker names
+        lifelogs = await processor.applySpeakerAliases(result.lifelogs, job.timezone);
+        run.sync = {
+          source: result.source,
+          lifelogCount: result.lifelogs.length,
+          changes: result.status ? result.status.lastChanges || null : null
+        };
+      }
+
+      if (job.actions.includes('export')) {
+        if (!lifelogs) {
+          lifelogs = await processor.getLifelogsForDate(date, job.timezone);
+        }
+
+        if (lifelogs.length === 0) {
+          run.export = { skipped: true, reason: 'No lifelogs found for this date' };
+        } else {
+          const consolidated = await this.exportService.createConsolidatedExport(lifelogs, {
+            ...(await this.resolveExportOptions(job)),
+            ...job.exportOptions,
+            date,
+            timezone: job.timezone
+          });
+          const filePath = await this.exportService.writeExport(this.exportDir, consolidated.filename, consolidated.content);
+          if (processor.cache) {
+            await new ChangeTracker(processor.cache).recordExport(date, job.timezone, lifelogs, { format: 'consolidated' });
+          }
+          run.export = {
+            filename: consolidated.filename,
+            path: filePath,
+            tokenCount: consolidated.tokenCount
+          };
+        }
+      }
+
+      run.status = 'success';
+    } catch (error) {
+      console.error(`Scheduled job "${job.name}" failed:`, error.message);
+      run.status = 'failed';
+      run.error = error.message;
+      run.code = error.code;
+    } finally {
+      this.running.delete(job.id);
+    }
+
+    return this.recordRun(job, run);
+  }
+
+  /**
+   * Store a finished run in the history and as the job's last run
+   * @param {object} job - Job that ran
+   * @param {object} run - Run record
+   * @returns {Promise<object>} Completed run record
+   */
+  async recordRun(job, run) {
+    const completed = { ...run, finishedAt: this.now().toISOString() };
+
+    this.state.history.unshift(completed);
+    this.state.history.length = Math.min(this.state.history.length, HISTORY_LIMIT);
+
+    // The job may have been deleted while it was running
+    if (this.state.jobs[job.id]) {
+      this.state.jobs[job.id].lastRun = completed;
+    }
+
+    await this.persist();
+    console.log(`⏰ Scheduled job "${job.name}" ${completed.status} for ${completed.date}`);
+    return completed;
+  }
+
+  /**
+   * Start (or restart) the cron task for a job
+   * @param {object} job - Job definition
+   */
+  scheduleJob(job) {
+    this.unscheduleJob(job.id);
+    if (!job.enabled) return;
+
+    const task = this.cron.schedule(job.schedule, () => {
+      const scheduledFor = new Date(Math.floor(this.now().getTime() / 60000) * 60000);
+      this.runJob(job.id, { trigger: 'schedule', scheduledFor })
+        .catch(error => console.error(`Scheduled job "${job.name}" could not run:`, error.message));
+    }, { timezone: job.timezone });
+
+    this.tasks.set(job.id, task);
+  }
+
+  /**
+   * Stop the cron task for a job if one is running
+   * @param {string} id - Job ID
+   */
+  unscheduleJob(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  /**
+   * Validate a job definition
+   * @param {object} definition - Job definition
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateJob(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['Job definition must be an object'];
+    }
+
+    if (!definition.schedule || !CronSchedule.isValid(definition.schedule) || !this.cron.validate(definition.schedule)) {
+      errors.push('schedule must be a valid cron expression, e.g. "0 2 * * *"');
+    }
+
+    if (definition.timezone && !this.dateUtils.isValidTimezone(definition.timezone)) {
+      errors.push(`Unknown timezone "${definition.timezone}"`);
+    }
+
+    if (definition.actions !== undefined) {
+      if (!Array.isArray(definition.actions) || definition.actions.length === 0 ||
+          definition.actions.some(action => !ACTIONS.includes(action))) {
+        errors.push(`actions must be a non-empty list of: ${ACTIONS.join(', ')}`);
+      }
+    }
+
+    if (definition.profileId !== undefined && definition.profileId !== null && typeof definition.profileId !== 'string') {
+      errors.push('profileId must be a string');
+    }
+
+    if (definition.dateOffset !== undefined) {
+      const offset = Number(definition.dateOffset);
+      if (!Number.isInteger(offset) || offset > 0 || offset < -31) {
+        errors.push('dateOffset must be a whole number of days between -31 and 0');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill in defaults for a job definition, keeping run status from an existing job
+   * @param {object} definition - Validated job definition
+   * @param {object} existing - Previously stored job, if any
+   * @returns {object} Normalized job
+   */
+  normalizeJob(definition, existing = null) {
+    const now = this.now().toISOString();
+
+    return {
+      id: definition.id || crypto.randomBytes(6).toString('hex'),
+      name: definition.name || `Sync and export (${definition.schedule})`,
+      schedule: definition.schedule,
+      timezone: definition.timezone || 'UTC',
+      // Runs as this profile; without one the server's API_KEY is used
+      profileId: definition.profileId || null,
+      actions: definition.actions || ACTIONS.slice(),
+      // Days relative to the run's local date; -1 processes yesterday
+      dateOffset: definition.dateOffset !== undefined ? Number(definition.dateOffset) : -1,
+      exportOptions: definition.exportOptions || {},
+      enabled: definition.enabled !== false,
+      catchUp: definition.catchUp !== false,
+      source: definition.source,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      lastRun: existing ? existing.lastRun || null : null
+    };
+  }
+
+  /**
+   * Add the next run time to a job for display
+   * @param {object} job - Stored job
+   * @returns {object} Job with nextRunAt
+   */
+  describeJob(job) {
+    const next = job.enabled ? new CronSchedule(job.schedule, job.timezone).next(this.now()) : null;
+    return { ...job, nextRunAt: next ? next.toISOString() : null };
+  }
+
+  /**
+   * Persist the job store
+   * @returns {Promise} Resolves once written
+   */
+  persist() {
+    return this.store.save();
+  }
+}
+
+module.exports = Scheduler;
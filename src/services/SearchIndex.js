@@ -0,0 +1,287 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const DateUtils = require('../utils/DateUtils');
+const { tokenize, findTermSpans } = require('../utils/text');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Titles name the whole conversation, so a title match outranks a passing mention
+const TITLE_BOOST = 1.5;
+
+// Characters of context shown around the first match
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Full-text search over cached lifelogs.
+ *
+ * Every lifelog contributes a title document and one document per
+ * utterance, ranked with BM25. The index is built in memory from the
+ * cache and rebuilt when the cache revision changes. Speaker names are
+ * indexed raw and resolved through the alias resolver at query time, so
+ * alias edits apply without a rebuild.
+ *
+ * Result shape:
+ *   { id, lifelogId, utteranceId, type, title, speaker, startTime, date,
+ *     heading, isStarred, score, snippet, highlights: [[start, end]] }
+ */
+class SearchIndex {
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.dateUtils = new DateUtils();
+    this.documents = [];
+    this.postings = new Map();
+    this.averageLength = 0;
+    this.builtRevision = null;
+    this.building = null;
+  }
+
+  /**
+   * Search cached lifelogs
+   * @param {string} query - Free-text query
+   * @param {object} options - startDate, endDate, timezone, speaker, starred, topic, limit, offset, resolveSpeaker
+   * @returns {Promise<object>} total and the requested page of results
+   */
+  async search(query, options = {}) {
+    await this.ensureBuilt();
+
+    const {
+      timezone = 'UTC',
+      limit = 20,
+      offset = 0,
+      resolveSpeaker = name => name
+    } = options;
+    const terms = Array.from(new Set(tokenize(query)));
+    if (terms.length === 0) return { total: 0, results: [] };
+
+    const scores = new Map();
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const idf = this.idf(postings.size);
+      for (const [docIndex, frequency] of postings) {
+        const doc = this.documents[docIndex];
+        const norm = K1 * (1 - B + B * (doc.length / this.averageLength));
+        const score = idf * ((frequency * (K1 + 1)) / (frequency + norm)) * doc.boost;
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+      }
+    }
+
+    const matches = [];
+    for (const [docIndex, score] of scores) {
+      const doc = this.documents[docIndex];
+      const speaker = resolveSpeaker(doc.rawSpeaker, { date: this.localDate(doc, timezone), lifelogId: doc.lifelogId });
+      if (this.matchesFilters(doc, speaker, options, timezone)) {
+        matches.push({ doc, speaker, score });
+      }
+    }
+
+    matches.sort((a, b) => b.score - a.score || this.timeOf(b.doc) - this.timeOf(a.doc));
+    const termSet = new Set(terms);
+
+    return {
+      total: matches.length,
+      results: matches.slice(offset, offset + limit).map(({ doc, speaker, score }) => ({
+        id: doc.id,
+        lifelogId: doc.lifelogId,
+        utteranceId: doc.utteranceId,
+        type: doc.type,
+        title: doc.title,
+        speaker,
+        startTime: doc.startTime,
+        date: this.localDate(doc, timezone),
+        heading: doc.heading,
+        isStarred: doc.isStarred,
+        score: Math.round(score * 1000) / 1000,
+        ...this.snippet(doc.text, termSet)
+      }))
+    };
+  }
+
+  /**
+   * Build the index if the cache changed since the last build
+   * @returns {Promise<void>}
+   */
+  async ensureBuilt() {
+    if (this.builtRevision === this.cache.revision) return;
+
+    // Concurrent searches share one rebuild
+    if (!this.building) {
+      const revision = this.cache.revision;
+      this.building = this.cache.getAllLifelogs()
+        .then(lifelogs => {
+          this.build(lifelogs);
+          this.builtRevision = revision;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+    await this.building;
+  }
+
+  /**
+   * Index lifelogs, replacing the current index
+   * @param {Array} lifelogs - Lifelog entries
+   */
+  build(lifelogs) {
+    this.documents = [];
+    this.postings = new Map();
+
+    for (const lifelog of lifelogs) {
+      const transcript = this.transcriptBuilder.build(lifelog);
+      const shared = {
+        lifelogId: lifelog.id,
+        title: transcript.title || 'Untitled',
+        isStarred: Boolean(lifelog.isStarred),
+        lifelogStartTime: lifelog.startTime || null
+      };
+
+      if (transcript.title) {
+        this.addDocument({
+          ...shared,
+          id: lifelog.id,
+          utteranceId: null,
+          type: 'title',
+          text: transcript.title,
+          rawSpeaker: null,
+          startTime: lifelog.startTime || null,
+          heading: null,
+          topics: [transcript.title, ...transcript.headings.map(heading => heading.text)],
+          boost: TITLE_BOOST
+        });
+      }
+
+      for (const utterance of transcript.utterances) {
+        this.addDocument({
+          ...shared,
+          id: utterance.id,
+          utteranceId: utterance.id,
+          type: 'utterance',
+          text: utterance.text,
+          rawSpeaker: utterance.rawSpeaker || utterance.speaker,
+          startTime: utterance.startTime || lifelog.startTime || null,
+          heading: utterance.heading,
+          topics: [transcript.title, ...utterance.headingPath].filter(Boolean),
+          boost: 1
+        });
+      }
+    }
+
+    const totalLength = this.documents.reduce((sum, doc) => sum + doc.length, 0);
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length || 1 : 1;
+  }
+
+  /**
+   * Add a document and its terms to the index
+   * @param {object} doc - Document fields
+   */
+  addDocument(doc) {
+    const terms = tokenize(doc.text);
+    if (terms.length === 0) return;
+
+    const docIndex = this.documents.length;
+    this.documents.push({ ...doc, length: terms.length });
+
+    for (const term of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      const postings = this.postings.get(term);
+      postings.set(docIndex, (postings.get(docIndex) || 0) + 1);
+    }
+  }
+
+  /**
+   * Check a document against the search filters
+   * @param {object} doc - Indexed document
+   * @param {string} speaker - Resolved speaker name
+   * @param {object} filters - startDate, endDate, speaker, starred, topic
+   * @param {string} timezone - IANA timezone for the date filters
+   * @returns {boolean} True if the document passes every filter
+   */
+  matchesFilters(doc, speaker, filters, timezone) {
+    if (filters.startDate || filters.endDate) {
+      const date = this.localDate(doc, timezone);
+      if (!date) return false;
+      if (filters.startDate && date < filters.startDate) return false;
+      if (filters.endDate && date > filters.endDate) return false;
+    }
+
+    if (filters.speaker && (!speaker || speaker.toLowerCase() !== filters.speaker.trim().toLowerCase())) {
+      return false;
+    }
+
+    if (filters.starred !== undefined && filters.starred !== null && doc.isStarred !== filters.starred) {
+      return false;
+    }
+
+    if (filters.topic) {
+      const topic = filters.topic.trim().toLowerCase();
+      if (!doc.topics.some(name => name.toLowerCase().includes(topic))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Cut a snippet around the first match and locate the matched words in it
+   * @param {string} text - Document text
+   * @param {Set<string>} terms - Query terms
+   * @returns {object} snippet and highlights ([start, end] offsets into the snippet)
+   */
+  snippet(text, terms) {
+    const spans = findTermSpans(text, terms);
+    let start = 0;
+
+    if (text.length > SNIPPET_LENGTH && spans.length > 0) {
+      start = Math.max(0, spans[0][0] - Math.floor(SNIPPET_LENGTH / 4));
+      const space = text.lastIndexOf(' ', start);
+      start = space > 0 && start - space < 20 ? space + 1 : start;
+    }
+
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    return {
+      snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+      highlights: spans
+        .filter(([spanStart, spanEnd]) => spanStart >= start && spanEnd <= end)
+        .map(([spanStart, spanEnd]) => [spanStart - start + prefix.length, spanEnd - start + prefix.length])
+    };
+  }
+
+  /**
+   * Inverse document frequency of a term
+   * @param {number} documentFrequency - Documents containing the term
+   * @returns {number} BM25 idf
+   */
+  idf(documentFrequency) {
+    const total = this.documents.length;
+    return Math.log(1 + (total - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Local date of a document
+   * @param {object} doc - Indexed document
+   * @param {string} timezone - IANA timezone
+   * @returns {string|null} YYYY-MM-DD
+   */
+  localDate(doc, timezone) {
+    const time = doc.lifelogStartTime || doc.startTime;
+    return time ? this.dateUtils.getLocalDate(time, timezone) : null;
+  }
+
+  /**
+   * Start time of a document for tie-breaking
+   * @param {object} doc - Indexed document
+   * @returns {number} Milliseconds since the epoch
+   */
+  timeOf(doc) {
+    const ms = doc.startTime ? Date.parse(doc.startTime) : NaN;
+    return Number.isNaN(ms) ? 0 : ms;
+  }
+}
+
+module.exports = SearchIndex;
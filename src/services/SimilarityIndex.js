@@ -0,0 +1,199 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const { words, stem, tokenize } = require('../utils/text');
+
+// Related conversations below this cosine similarity are not worth showing
+const DEFAULT_MIN_SIMILARITY = 0.05;
+
+// Shared terms reported per related conversation
+const SHARED_TERM_LIMIT = 8;
+
+/**
+ * Finds related conversations with TF-IDF vectors and cosine similarity.
+ *
+ * Each cached lifelog becomes one vector over the terms of its title and
+ * utterances (sublinear tf, smoothed idf, L2-normalized). Like the search
+ * index it lives in memory and is rebuilt when the cache revision changes.
+ * Shared terms are reported in the word form most used in the corpus
+ * rather than as stems.
+ */
+class SimilarityIndex {
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.documents = new Map();
+    this.surfaceForms = new Map();
+    this.builtRevision = null;
+    this.building = null;
+  }
+
+  /**
+   * Find the conversations most similar to a lifelog
+   * @param {string} lifelogId - Lifelog to compare against
+   * @param {object} options - limit and minSimilarity
+   * @returns {Promise<Array|null>} Related lifelogs by similarity, or null if the lifelog is not cached
+   */
+  async related(lifelogId, options = {}) {
+    await this.ensureBuilt();
+
+    const { limit = 5, minSimilarity = DEFAULT_MIN_SIMILARITY } = options;
+    const source = this.documents.get(lifelogId);
+    if (!source) return null;
+
+    const results = [];
+    for (const doc of this.documents.values()) {
+      if (doc.lifelogId === lifelogId) continue;
+
+      const { similarity, contributions } = this.compare(source.vector, doc.vector);
+      if (similarity >= minSimilarity) {
+        results.push({
+          lifelogId: doc.lifelogId,
+          title: doc.title,
+          startTime: doc.startTime,
+          isStarred: doc.isStarred,
+          similarity: Math.round(similarity * 10000) / 10000,
+          sharedTerms: contributions.slice(0, SHARED_TERM_LIMIT).map(({ term, weight }) => ({
+            term: this.surfaceForm(term),
+            weight: Math.round(weight * 10000) / 10000
+          }))
+        });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Build the index if the cache changed since the last build
+   * @returns {Promise<void>}
+   */
+  async ensureBuilt() {
+    if (this.builtRevision === this.cache.revision) return;
+
+    // Concurrent requests share one rebuild
+    if (!this.building) {
+      const revision = this.cache.revision;
+      this.building = this.cache.getAllLifelogs()
+        .then(lifelogs => {
+          this.build(lifelogs);
+          this.builtRevision = revision;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+    await this.building;
+  }
+
+  /**
+   * Vectorize lifelogs, replacing the current index
+   * @param {Array} lifelogs - Lifelog entries
+   */
+  build(lifelogs) {
+    this.documents = new Map();
+    this.surfaceForms = new Map();
+
+    const counted = lifelogs.map(lifelog => {
+      const transcript = this.transcriptBuilder.build(lifelog);
+      const text = [transcript.title, ...transcript.utterances.map(utterance => utterance.text)]
+        .filter(Boolean)
+        .join('\n');
+      this.recordSurfaceForms(text);
+
+      const counts = new Map();
+      for (const term of tokenize(text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      return { lifelog, title: transcript.title, counts };
+    });
+
+    const documentFrequency = new Map();
+    for (const { counts } of counted) {
+      for (const term of counts.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const total = counted.length;
+    for (const { lifelog, title, counts } of counted) {
+      const vector = new Map();
+      for (const [term, count] of counts) {
+        const idf = Math.log((total + 1) / (documentFrequency.get(term) + 1)) + 1;
+        vector.set(term, (1 + Math.log(count)) * idf);
+      }
+
+      this.documents.set(lifelog.id, {
+        lifelogId: lifelog.id,
+        title: title || 'Untitled',
+        startTime: lifelog.startTime || null,
+        isStarred: Boolean(lifelog.isStarred),
+        vector: this.normalize(vector)
+      });
+    }
+  }
+
+  /**
+   * Cosine similarity of two normalized vectors and the terms behind it
+   * @param {Map} a - Term weights
+   * @param {Map} b - Term weights
+   * @returns {object} similarity and per-term contributions, largest first
+   */
+  compare(a, b) {
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    const contributions = [];
+    let similarity = 0;
+
+    for (const [term, weight] of smaller) {
+      if (larger.has(term)) {
+        const contribution = weight * larger.get(term);
+        similarity += contribution;
+        contributions.push({ term, weight: contribution });
+      }
+    }
+
+    contributions.sort((x, y) => y.weight - x.weight);
+    return { similarity, contributions };
+  }
+
+  /**
+   * Scale a vector to unit length
+   * @param {Map} vector - Term weights
+   * @returns {Map} Normalized vector
+   */
+  normalize(vector) {
+    const length = Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+    if (length === 0) return vector;
+
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / length);
+    }
+    return vector;
+  }
+
+  /**
+   * Count which words each stem came from
+   * @param {string} text - Indexed text
+   */
+  recordSurfaceForms(text) {
+    for (const { word } of words(text)) {
+      const term = stem(word);
+      if (!this.surfaceForms.has(term)) this.surfaceForms.set(term, new Map());
+      const forms = this.surfaceForms.get(term);
+      forms.set(word, (forms.get(word) || 0) + 1);
+    }
+  }
+
+  /**
+   * Most common word for a stem
+   * @param {string} term - Stem
+   * @returns {string} Word as it usually appears
+   */
+  surfaceForm(term) {
+    const forms = this.surfaceForms.get(term);
+    if (!forms) return term;
+    return Array.from(forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+  }
+}
+
+module.exports = SimilarityIndex;
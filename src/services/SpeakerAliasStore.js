@@ -0,0 +1,285 @@
+const path = require('path');
+const crypto = require('crypto');
+const DateUtils = require('../utils/DateUtils');
+const TranscriptBuilder = require('./TranscriptBuilder');
+const { createJsonStore } = require('../utils/jsonStore');
+
+/**
+ * Persistent speaker alias table for one account.
+ *
+ * Maps raw speaker names ("Speaker 2", "dana s.") to canonical people.
+ * A rule may be limited to one local date or one lifelog, e.g. "Speaker 2
+ * on 2026-10-03 is Dana"; the most specific matching rule wins (lifelog,
+ * then date, then global). Raw names match case- and space-insensitively.
+ *
+ * Store layout:
+ *   { version, aliases: [{ id, from, to, date, lifelogId, createdAt }] }
+ */
+class SpeakerAliasStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'aliases.json');
+    this.dateUtils = new DateUtils();
+    this.store = createJsonStore({
+      filePath: this.filePath,
+      label: 'alias',
+      fallback: () => ({ version: 1, aliases: [] })
+    });
+  }
+
+  /**
+   * Normalize a speaker name for matching
+   * @param {string} name - Speaker name
+   * @returns {string} Lowercased name with collapsed whitespace
+   */
+  static normalizeName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * List alias rules
+   * @returns {Promise<Array>} Rules, global ones first
+   */
+  async listAliases() {
+    const state = await this.load();
+    return [...state.aliases].sort((a, b) =>
+      this.specificity(a) - this.specificity(b) || a.from.localeCompare(b.from));
+  }
+
+  /**
+   * List canonical people with the raw names mapped to them
+   * @returns {Promise<Array>} name and aliases per person
+   */
+  async listPeople() {
+    const people = new Map();
+
+    for (const rule of await this.listAliases()) {
+      if (!people.has(rule.to)) {
+        people.set(rule.to, { name: rule.to, aliases: [] });
+      }
+      const person = people.get(rule.to);
+      if (!person.aliases.includes(rule.from)) {
+        person.aliases.push(rule.from);
+      }
+    }
+
+    return Array.from(people.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Add alias rules. Several raw names may be merged into one person at once.
+   * @param {object} data - from (name or array of names), to, optional date and lifelogId
+   * @returns {Promise<Array>} Created or updated rules
+   */
+  async addAliases(data) {
+    const state = await this.load();
+    const errors = this.validateAlias(data);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid alias: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+
+    const names = (Array.isArray(data.from) ? data.from : [data.from]).map(name => name.trim());
+    const saved = [];
+
+    for (const from of names) {
+      const rule = {
+        from,
+        to: data.to.trim(),
+        date: data.date || null,
+        lifelogId: data.lifelogId || null
+      };
+
+      // Re-adding a rule for the same name and scope replaces its target
+      const existing = state.aliases.find(alias => this.sameScope(alias, rule));
+      if (existing) {
+        existing.to = rule.to;
+        saved.push(existing);
+      } else {
+        const created = { id: crypto.randomUUID(), ...rule, createdAt: new Date().toISOString() };
+        state.aliases.push(created);
+        saved.push(created);
+      }
+    }
+
+    await this.persist();
+    return saved;
+  }
+
+  /**
+   * Remove an alias rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<boolean>} True if the rule existed
+   */
+  async removeAlias(id) {
+    const state = await this.load();
+    const index = state.aliases.findIndex(alias => alias.id === id);
+    if (index === -1) return false;
+
+    state.aliases.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Validate alias data
+   * @param {object} data - Alias fields
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateAlias(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      return ['Alias must be an object'];
+    }
+
+    const names = Array.isArray(data.from) ? data.from : [data.from];
+    if (names.length === 0 || names.some(name => typeof name !== 'string' || !name.trim())) {
+      errors.push('from must be a speaker name or a list of names');
+    }
+    if (!data.to || typeof data.to !== 'string' || !data.to.trim()) {
+      errors.push('to is required');
+    }
+    if (data.date && !this.dateUtils.isValidDateString(data.date)) {
+      errors.push('date must be in YYYY-MM-DD format');
+    }
+    if (data.lifelogId !== undefined && data.lifelogId !== null && typeof data.lifelogId !== 'string') {
+      errors.push('lifelogId must be a string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create a resolver for the current rules
+   * @returns {Promise<Function>} (name, { date, lifelogId }) => canonical name
+   */
+  async createResolver() {
+    const rules = (await this.load()).aliases.map(rule => ({ ...rule, key: SpeakerAliasStore.normalizeName(rule.from) }));
+
+    return (name, context = {}) => {
+      if (!name) return name;
+
+      const key = SpeakerAliasStore.normalizeName(name);
+      const match = rules
+        .filter(rule => rule.key === key &&
+          (!rule.date || rule.date === context.date) &&
+          (!rule.lifelogId || rule.lifelogId === context.lifelogId))
+        .sort((a, b) => this.specificity(b) - this.specificity(a))[0];
+
+      return match ? match.to : name;
+    };
+  }
+
+  /**
+   * Rewrite speaker names in lifelog contents and markdown
+   * @param {Array} lifelogs - Lifelog entries (left unmodified)
+   * @param {string} timezone - IANA timezone that date-scoped rules refer to
+   * @returns {Promise<Array>} Lifelogs with canonical speaker names
+   */
+  async applyToLifelogs(lifelogs, timezone = 'UTC') {
+    const state = await this.load();
+    if (state.aliases.length === 0) return lifelogs;
+
+    const resolve = await this.createResolver();
+
+    return lifelogs.map(lifelog => {
+      const context = {
+        lifelogId: lifelog.id,
+        date: lifelog.startTime ? this.dateUtils.getLocalDate(lifelog.startTime, timezone) : null
+      };
+
+      return {
+        ...lifelog,
+        contents: Array.isArray(lifelog.contents) ? this.renameInNodes(lifelog.contents, resolve, context) : lifelog.contents,
+        markdown: lifelog.markdown ? this.renameInMarkdown(lifelog.markdown, resolve, context) : lifelog.markdown
+      };
+    });
+  }
+
+  /**
+   * Copy content nodes with resolved speaker names; renamed nodes keep rawSpeakerName
+   * @param {Array} nodes - Content nodes
+   * @param {Function} resolve - Resolver from createResolver
+   * @param {object} context - date and lifelogId
+   * @returns {Array} Renamed nodes
+   */
+  renameInNodes(nodes, resolve, context) {
+    return nodes.map(node => {
+      if (!node || typeof node !== 'object') return node;
+
+      const renamed = { ...node };
+      if (node.speakerName) {
+        const canonical = resolve(node.speakerName, context);
+        if (canonical !== node.speakerName) {
+          renamed.speakerName = canonical;
+          renamed.rawSpeakerName = node.speakerName;
+        }
+      }
+      if (Array.isArray(node.children)) {
+        renamed.children = this.renameInNodes(node.children, resolve, context);
+      }
+      return renamed;
+    });
+  }
+
+  /**
+   * Rewrite the speaker of "- Name (time): text" lines
+   * @param {string} markdown - Lifelog markdown
+   * @param {Function} resolve - Resolver from createResolver
+   * @param {object} context - date and lifelogId
+   * @returns {string} Markdown with canonical speaker names
+   */
+  renameInMarkdown(markdown, resolve, context) {
+    return markdown.split('\n').map(line => {
+      const match = line.match(TranscriptBuilder.MARKDOWN_UTTERANCE);
+      if (!match) return line;
+
+      const canonical = resolve(match[1].trim(), context);
+      if (canonical === match[1].trim()) return line;
+
+      const start = line.indexOf(match[1]);
+      return line.slice(0, start) + canonical + line.slice(start + match[1].trim().length);
+    }).join('\n');
+  }
+
+  /**
+   * Rank how specific a rule is
+   * @param {object} rule - Alias rule
+   * @returns {number} 0 for global, 1 for a date, 2 for a lifelog
+   */
+  specificity(rule) {
+    if (rule.lifelogId) return 2;
+    return rule.date ? 1 : 0;
+  }
+
+  /**
+   * Check whether two rules apply to the same name and scope
+   * @param {object} a - Alias rule
+   * @param {object} b - Alias rule
+   * @returns {boolean} True if one would shadow the other exactly
+   */
+  sameScope(a, b) {
+    return SpeakerAliasStore.normalizeName(a.from) === SpeakerAliasStore.normalizeName(b.from) &&
+      (a.date || null) === (b.date || null) &&
+      (a.lifelogId || null) === (b.lifelogId || null);
+  }
+
+  /**
+   * Load the alias store, once per instance
+   * @returns {Promise<object>} Store state
+   */
+  async load() {
+    return this.store.load();
+  }
+
+  /**
+   * Persist the alias store
+   * @returns {Promise} Resolves once written
+   */
+  persist() {
+    return this.store.save();
+  }
+}
+
+module.exports = SpeakerAliasStore;
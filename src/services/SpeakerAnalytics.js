@@ -0,0 +1,259 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+
+// Speaking rate used to estimate talk time for utterances without timing
+const DEFAULT_WORDS_PER_MINUTE = 150;
+
+// Longest monologues reported across all speakers
+const MONOLOGUE_LIMIT = 5;
+
+/**
+ * Per-speaker participation analytics built from transcript utterances.
+ *
+ * Talk time comes from utterance start/end times; utterances without
+ * timing (markdown-only imports) are estimated from their word count and
+ * the result is flagged as estimated. A monologue is a run of consecutive
+ * utterances by one speaker within a lifelog.
+ */
+class SpeakerAnalytics {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.wordsPerMinute = options.wordsPerMinute || DEFAULT_WORDS_PER_MINUTE;
+  }
+
+  /**
+   * Analyze participation across lifelogs
+   * @param {Array} lifelogs - Lifelog entries
+   * @returns {object} totals, speakers (by talk time) and longest monologues
+   */
+  analyze(lifelogs) {
+    const speakers = new Map();
+    const monologues = [];
+    const totals = {
+      conversations: 0,
+      utterances: 0,
+      words: 0,
+      talkTimeMs: 0,
+      unattributedUtterances: 0,
+      estimated: false
+    };
+
+    for (const transcript of this.transcriptBuilder.buildMany(lifelogs)) {
+      if (transcript.utterances.length === 0) continue;
+      totals.conversations++;
+
+      const participants = new Set();
+      let run = null;
+
+      for (const utterance of transcript.utterances) {
+        const words = this.countWords(utterance.text);
+        const { talkTimeMs, estimated } = this.talkTime(utterance, words);
+
+        totals.utterances++;
+        totals.words += words;
+        totals.talkTimeMs += talkTimeMs;
+        totals.estimated = totals.estimated || estimated;
+
+        if (!utterance.speaker) {
+          totals.unattributedUtterances++;
+          run = null;
+          continue;
+        }
+
+        const stats = this.getSpeakerStats(speakers, utterance);
+        stats.utteranceCount++;
+        stats.wordCount += words;
+        stats.talkTimeMs += talkTimeMs;
+        participants.add(utterance.speaker);
+
+        if (run && run.speaker === utterance.speaker) {
+          run.utterances++;
+          run.words += words;
+          run.durationMs = this.runDuration(run, utterance, talkTimeMs);
+          run.endTime = utterance.endTime || run.endTime;
+        } else {
+          run = {
+            speaker: utterance.speaker,
+            lifelogId: transcript.lifelogId,
+            title: transcript.title,
+            heading: utterance.heading,
+            startTime: utterance.startTime,
+            endTime: utterance.endTime,
+            durationMs: talkTimeMs,
+            words,
+            utterances: 1
+          };
+          monologues.push(run);
+        }
+      }
+
+      for (const name of participants) {
+        speakers.get(name).conversationCount++;
+      }
+    }
+
+    return {
+      totals: { ...totals, talkTimeMinutes: this.toMinutes(totals.talkTimeMs) },
+      speakers: this.finalizeSpeakers(speakers, monologues, totals),
+      longestMonologues: this.longest(monologues, MONOLOGUE_LIMIT).map(run => this.describeMonologue(run))
+    };
+  }
+
+  /**
+   * Analyze a range of days, with a breakdown per day
+   * @param {Array} days - { date, lifelogs } per day
+   * @returns {object} Analysis of the whole range plus per-day totals and speakers
+   */
+  analyzeDays(days) {
+    const overall = this.analyze(days.flatMap(day => day.lifelogs));
+
+    return {
+      ...overall,
+      days: days.map(day => {
+        const { totals, speakers } = this.analyze(day.lifelogs);
+        return {
+          date: day.date,
+          totals,
+          speakers: speakers.map(({ name, talkTimeMs, talkTimeMinutes, share, utteranceCount, wordCount }) => ({
+            name, talkTimeMs, talkTimeMinutes, share, utteranceCount, wordCount
+          }))
+        };
+      })
+    };
+  }
+
+  /**
+   * Get or create the running stats of a speaker
+   * @param {Map} speakers - Stats keyed by speaker name
+   * @param {object} utterance - Utterance by the speaker
+   * @returns {object} Speaker stats
+   */
+  getSpeakerStats(speakers, utterance) {
+    if (!speakers.has(utterance.speaker)) {
+      speakers.set(utterance.speaker, {
+        name: utterance.speaker,
+        isUser: utterance.isUser,
+        talkTimeMs: 0,
+        utteranceCount: 0,
+        wordCount: 0,
+        conversationCount: 0
+      });
+    }
+    return speakers.get(utterance.speaker);
+  }
+
+  /**
+   * Add shares, averages and each speaker's longest monologue
+   * @param {Map} speakers - Stats keyed by speaker name
+   * @param {Array} monologues - All monologue runs
+   * @param {object} totals - Overall totals
+   * @returns {Array} Speakers sorted by talk time
+   */
+  finalizeSpeakers(speakers, monologues, totals) {
+    const attributedMs = Array.from(speakers.values()).reduce((sum, stats) => sum + stats.talkTimeMs, 0);
+    const attributedWords = Array.from(speakers.values()).reduce((sum, stats) => sum + stats.wordCount, 0);
+
+    return Array.from(speakers.values())
+      .map(stats => {
+        const [longest] = this.longest(monologues.filter(run => run.speaker === stats.name), 1);
+        return {
+          ...stats,
+          talkTimeMinutes: this.toMinutes(stats.talkTimeMs),
+          share: this.ratio(stats.talkTimeMs, attributedMs),
+          wordShare: this.ratio(stats.wordCount, attributedWords),
+          averageUtteranceWords: stats.utteranceCount > 0 ? Math.round(stats.wordCount / stats.utteranceCount) : 0,
+          longestMonologue: longest ? this.describeMonologue(longest) : null,
+          estimated: totals.estimated
+        };
+      })
+      .sort((a, b) => b.talkTimeMs - a.talkTimeMs || b.wordCount - a.wordCount);
+  }
+
+  /**
+   * Talk time of an utterance, estimated from words when it has no timing
+   * @param {object} utterance - Utterance
+   * @param {number} words - Word count of the utterance
+   * @returns {object} talkTimeMs and whether it was estimated
+   */
+  talkTime(utterance, words) {
+    if (utterance.durationMs !== null && utterance.durationMs !== undefined) {
+      return { talkTimeMs: utterance.durationMs, estimated: false };
+    }
+    return { talkTimeMs: Math.round((words / this.wordsPerMinute) * 60000), estimated: true };
+  }
+
+  /**
+   * Duration of a monologue after adding an utterance
+   * @param {object} run - Monologue so far
+   * @param {object} utterance - Next utterance by the same speaker
+   * @param {number} talkTimeMs - Talk time of that utterance
+   * @returns {number} Duration in ms, wall clock when both ends are timed
+   */
+  runDuration(run, utterance, talkTimeMs) {
+    if (run.startTime && utterance.endTime) {
+      return Math.max(0, Date.parse(utterance.endTime) - Date.parse(run.startTime));
+    }
+    return run.durationMs + talkTimeMs;
+  }
+
+  /**
+   * Pick the longest monologues
+   * @param {Array} runs - Monologue runs
+   * @param {number} limit - How many to return
+   * @returns {Array} Runs by duration, then words
+   */
+  longest(runs, limit) {
+    return [...runs]
+      .sort((a, b) => b.durationMs - a.durationMs || b.words - a.words)
+      .slice(0, limit);
+  }
+
+  /**
+   * Shape a monologue run for output
+   * @param {object} run - Monologue run
+   * @returns {object} Monologue summary
+   */
+  describeMonologue(run) {
+    return {
+      speaker: run.speaker,
+      lifelogId: run.lifelogId,
+      title: run.title,
+      heading: run.heading,
+      startTime: run.startTime,
+      durationMs: run.durationMs,
+      durationMinutes: this.toMinutes(run.durationMs),
+      words: run.words,
+      utterances: run.utterances
+    };
+  }
+
+  /**
+   * Count words in text
+   * @param {string} text - Text
+   * @returns {number} Word count
+   */
+  countWords(text) {
+    const words = (text || '').trim().split(/\s+/);
+    return words[0] ? words.length : 0;
+  }
+
+  /**
+   * Convert milliseconds to minutes
+   * @param {number} ms - Duration in ms
+   * @returns {number} Minutes with one decimal
+   */
+  toMinutes(ms) {
+    return Math.round(ms / 6000) / 10;
+  }
+
+  /**
+   * Safe ratio rounded to four decimals
+   * @param {number} part - Part
+   * @param {number} whole - Whole
+   * @returns {number} part / whole, or 0
+   */
+  ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+  }
+}
+
+module.exports = SpeakerAnalytics;
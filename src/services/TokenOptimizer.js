@@ -1,9 +1,30 @@
 const { encodingForModel } = require('js-tiktoken');
+const TranscriptBuilder = require('./TranscriptBuilder');
+const ConversationSegmenter = require('./ConversationSegmenter');
+const ActionItemExtractor = require('./ActionItemExtractor');
+const OpenQuestionTracker = require('./OpenQuestionTracker');
+const EntityExtractor = require('./EntityExtractor');
+const TopicTaxonomy = require('./TopicTaxonomy');
+const TopicClusterer = require('./TopicClusterer');
+const ImportanceScorer = require('./ImportanceScorer');
+const DuplicateDetector = require('./DuplicateDetector');
+
+// Topic scores (sums of taxonomy weights) a sentence needs to survive
+// aggressive (HIGH_SCORE) and moderate (MEDIUM_SCORE) summaries
+const HIGH_SCORE = 3;
+const MEDIUM_SCORE = 2;
 
 class TokenOptimizer {
   constructor() {
     // Initialize tokenizer for GPT models
     this.encoder = encodingForModel('gpt-4');
+    this.transcriptBuilder = new TranscriptBuilder();
+    this.actionItemExtractor = new ActionItemExtractor({ transcriptBuilder: this.transcriptBuilder });
+    this.openQuestionTracker = new OpenQuestionTracker({ transcriptBuilder: this.transcriptBuilder });
+    this.entityExtractor = new EntityExtractor({ transcriptBuilder: this.transcriptBuilder });
+    this.topicTaxonomy = new TopicTaxonomy();
+    this.topicClusterer = new TopicClusterer({ transcriptBuilder: this.transcriptBuilder });
+    this.duplicateDetector = new DuplicateDetector();
     
     // Token limits for different models
     this.modelLimits = {
@@ -41,26 +62,88 @@ class TokenOptimizer {
   /**
    * Optimize lifelogs for ChatGPT consumption
    * @param {Array} lifelogs - Array of lifelog entries
-   * @param {object} options - Optimization options
+   * @param {object} options - Optimization options; summarizeLevel ('low' by default) is applied
+   *   with taxonomy, the account's topic list
    * @returns {object} Optimized data structure
    */
   async optimizeForChatGPT(lifelogs, options = {}) {
     const {
-      maxTokens = 8000,
       includeTimestamps = true,
       includeSpeakers = true,
-      chunkStrategy = 'semantic', // 'fixed', 'semantic', 'temporal'
+      summarizeLevel = 'low',
     } = options;
 
-    // Extract and clean content
+    // Extract and clean content (conversation chunking needs the transcripts too)
     const cleanedContent = this.extractAndCleanContent(lifelogs, {
       includeTimestamps,
       includeSpeakers,
+      summarizeLevel,
+      taxonomy: this.taxonomyFor(options),
+      keepTranscripts: options.chunkStrategy === 'conversation',
+      dedupe: options.dedupe
     });
 
+    return this.optimizeCleanedContent(cleanedContent, options);
+  }
+
+  /**
+   * Optimize lifelogs for ChatGPT while consuming them page by page.
+   *
+   * Only the cleaned text is kept between pages, so raw lifelogs (content
+   * trees, markdown) can be released as soon as a page has been read.
+   * @param {AsyncIterable|Iterable} pages - Pages from LifelogProcessor.iterateLifelogs, or arrays of lifelogs
+   * @param {object} options - Same options as optimizeForChatGPT
+   * @returns {object} Optimized data structure
+   */
+  async optimizeStream(pages, options = {}) {
+    const {
+      includeTimestamps = true,
+      includeSpeakers = true,
+      summarizeLevel = 'low',
+    } = options;
+
+    const accumulator = this.createContentAccumulator({ dedupe: options.dedupe });
+    const keepTranscripts = options.chunkStrategy === 'conversation';
+    const taxonomy = this.taxonomyFor(options);
+    let truncated = false;
+
+    for await (const page of pages) {
+      const lifelogs = Array.isArray(page) ? page : page.lifelogs;
+      for (const lifelog of lifelogs) {
+        this.appendLifelogContent(accumulator, lifelog, { includeTimestamps, includeSpeakers, summarizeLevel, taxonomy, keepTranscripts });
+      }
+      if (page.truncated) truncated = true;
+    }
+
+    const cleanedContent = this.finalizeContent(accumulator);
+    if (truncated) {
+      cleanedContent.metadata.truncated = true;
+    }
+
+    return this.optimizeCleanedContent(cleanedContent, options);
+  }
+
+  /**
+   * Fit cleaned content into a token budget using the requested chunk strategy
+   * @param {object} cleanedContent - Output of extractAndCleanContent
+   * @param {object} options - maxTokens, chunkStrategy and an optional gazetteer (entries for EntityExtractor)
+   * @returns {object} Optimized data structure
+   */
+  async optimizeCleanedContent(cleanedContent, options = {}) {
+    const {
+      maxTokens = 8000,
+      chunkStrategy = 'semantic', // 'fixed', 'semantic', 'temporal', 'conversation'
+    } = options;
+
     // Calculate total tokens
     const totalTokens = this.countTokens(cleanedContent.fullText);
 
+    // People, organizations, places and products, with the account gazetteer if given
+    const entityExtractor = options.gazetteer
+      ? new EntityExtractor({ transcriptBuilder: this.transcriptBuilder, gazetteer: options.gazetteer })
+      : this.entityExtractor;
+    const entityOptions = { people: cleanedContent.metadata.speakers };
+
     if (totalTokens <= maxTokens) {
       // Content fits within limits
       return {
@@ -68,6 +151,8 @@ class TokenOptimizer {
         tokenCount: totalTokens,
         content: cleanedContent.fullText,
         metadata: cleanedContent.metadata,
+        actionItems: cleanedContent.actionItems,
+        entities: entityExtractor.extractFromExport(cleanedContent.fullText, entityOptions),
         chunks: null
       };
     }
@@ -82,90 +167,236 @@ class TokenOptimizer {
       case 'temporal':
         optimizedResult = await this.temporalChunking(cleanedContent, maxTokens, options);
         break;
+      case 'conversation':
+        optimizedResult = await this.conversationChunking(cleanedContent, maxTokens, options);
+        break;
       case 'fixed':
       default:
         optimizedResult = await this.fixedChunking(cleanedContent, maxTokens);
         break;
     }
 
+    for (const chunk of optimizedResult.chunks) {
+      chunk.entities = entityExtractor.extractFromExport(chunk.content, entityOptions);
+    }
+
     return {
       strategy: chunkStrategy,
       originalTokens: totalTokens,
       optimizedTokens: optimizedResult.totalTokens,
       compressionRatio: (totalTokens - optimizedResult.totalTokens) / totalTokens,
       chunks: optimizedResult.chunks,
-      metadata: cleanedContent.metadata
+      ...(optimizedResult.conversations && { conversations: optimizedResult.conversations }),
+      metadata: cleanedContent.metadata,
+      actionItems: cleanedContent.actionItems,
+      entities: entityExtractor.extractFromExport(cleanedContent.fullText, entityOptions)
     };
   }
 
   /**
    * Extract and clean content from lifelogs
    * @param {Array} lifelogs - Raw lifelog data
-   * @param {object} options - Processing options
+   * @param {object} options - Processing options; dedupe drops near-duplicate lifelogs and utterances
    * @returns {object} Cleaned content structure
    */
   extractAndCleanContent(lifelogs, options) {
-    const {
-      includeTimestamps,
-      includeSpeakers,
-    } = options;
+    const accumulator = this.createContentAccumulator({ dedupe: options.dedupe });
+
+    for (const lifelog of lifelogs) {
+      this.appendLifelogContent(accumulator, lifelog, options);
+    }
+
+    return this.finalizeContent(accumulator);
+  }
 
-    let fullText = '';
-    const metadata = {
-      totalEntries: lifelogs.length,
-      dateRange: this.getDateRange(lifelogs),
+  /**
+   * Create an empty accumulator for cleaned lifelog content
+   * @param {object} options - dedupe to remove near-duplicates as lifelogs are appended
+   * @returns {object} Accumulator consumed by appendLifelogContent
+   */
+  createContentAccumulator(options = {}) {
+    return {
+      duplicates: options.dedupe ? this.duplicateDetector.createIndex() : null,
+      removedSpans: [],
+      fullText: '',
+      startTimes: [],
       speakers: new Set(),
       topics: [],
       starredCount: 0,
-      totalDuration: 0
+      totalDuration: 0,
+      utteranceCount: 0,
+      transcripts: [],
+      actionItems: []
     };
+  }
 
-    // Process each lifelog entry
-    for (const lifelog of lifelogs) {
-      let entryText = '';
+  /**
+   * Clean a single lifelog and add it to an accumulator
+   * @param {object} accumulator - Accumulator from createContentAccumulator
+   * @param {object} lifelog - Raw lifelog entry
+   * @param {object} options - includeTimestamps, includeSpeakers, summarizeLevel, taxonomy
+   *   (TopicTaxonomy deciding which sentences summaries keep) and keepTranscripts
+   */
+  appendLifelogContent(accumulator, lifelog, options) {
+    const {
+      includeTimestamps,
+      includeSpeakers,
+      summarizeLevel,
+      taxonomy,
+    } = options;
 
-      // Add timestamp if requested
-      if (includeTimestamps && lifelog.startTime) {
-        const timestamp = new Date(lifelog.startTime).toLocaleString();
-        entryText += `[${timestamp}] `;
-      }
+    let entryText = '';
 
-      // Add title/topic
-      if (lifelog.title) {
-        entryText += `## ${lifelog.title}\n\n`;
-        metadata.topics.push(lifelog.title);
-      }
+    const transcript = this.transcriptBuilder.build(lifelog);
+    const duplicate = accumulator.duplicates
+      ? this.duplicateDetector.checkLifelog(accumulator.duplicates, transcript)
+      : null;
+    const { markdown, removedIds } = accumulator.duplicates && !duplicate
+      ? this.removeDuplicateUtterances(accumulator, lifelog, transcript)
+      : { markdown: lifelog.markdown, removedIds: new Set() };
 
-      // Process content based on summarization level
-      if (lifelog.markdown) {
-        const processedContent = this.processContentBySummarizeLevel(
-          lifelog.markdown, 
-          includeSpeakers
-        );
-        entryText += processedContent + '\n\n';
-      }
+    // Add timestamp if requested
+    if (includeTimestamps && lifelog.startTime) {
+      const timestamp = new Date(lifelog.startTime).toLocaleString();
+      entryText += `[${timestamp}] `;
+    }
 
-      // Extract speakers
-      if (lifelog.contents) {
-        this.extractSpeakersFromContent(lifelog.contents, metadata.speakers);
-      }
+    // Add title/topic
+    if (lifelog.title) {
+      entryText += `## ${lifelog.title}\n\n`;
+      if (!duplicate) accumulator.topics.push(lifelog.title);
+    }
 
-      // Track metadata
-      if (lifelog.isStarred) metadata.starredCount++;
-      if (lifelog.startTime && lifelog.endTime) {
-        const duration = (new Date(lifelog.endTime) - new Date(lifelog.startTime)) / (1000 * 60);
-        metadata.totalDuration += duration;
-      }
+    // Process content based on summarization level
+    if (markdown) {
+      const processedContent = this.processContentBySummarizeLevel(
+        markdown,
+        summarizeLevel,
+        includeSpeakers,
+        taxonomy
+      );
+      entryText += processedContent + '\n\n';
+    }
 
-      fullText += entryText;
+    // A repeat of an earlier lifelog is left out entirely
+    if (duplicate) {
+      accumulator.removedSpans.push({
+        kind: 'lifelog',
+        lifelogId: lifelog.id,
+        title: lifelog.title || 'Untitled',
+        startTime: lifelog.startTime || null,
+        endTime: lifelog.endTime || null,
+        duplicateOf: duplicate.duplicateOf,
+        similarity: duplicate.similarity,
+        tokens: this.countTokens(entryText)
+      });
+      return;
     }
 
-    // Convert speakers set to array
-    metadata.speakers = Array.from(metadata.speakers);
+    accumulator.startTimes.push({ startTime: lifelog.startTime });
+
+    // Everything below sees the transcript without the repeated utterances
+    const kept = removedIds.size === 0
+      ? transcript
+      : { ...transcript, utterances: transcript.utterances.filter(utterance => !removedIds.has(utterance.id)) };
+
+    // Extract speakers from the structured transcript
+    transcript.speakers.forEach(speaker => accumulator.speakers.add(speaker.name));
+    accumulator.utteranceCount += kept.utterances.length;
+    accumulator.actionItems.push(...this.actionItemExtractor.extractFromTranscript(kept));
+    if (options.keepTranscripts) {
+      accumulator.transcripts.push(kept);
+    }
+
+    // Track metadata
+    if (lifelog.isStarred) accumulator.starredCount++;
+    if (lifelog.startTime && lifelog.endTime) {
+      const duration = (new Date(lifelog.endTime) - new Date(lifelog.startTime)) / (1000 * 60);
+      accumulator.totalDuration += duration;
+    }
+
+    accumulator.fullText += entryText;
+  }
+
+  /**
+   * Drop markdown speaker lines that repeat an utterance already seen
+   * @param {object} accumulator - Accumulator with a duplicate index
+   * @param {object} lifelog - Raw lifelog entry
+   * @param {object} transcript - Its transcript, for utterance timing
+   * @returns {object} markdown without the repeated lines and removedIds, the
+   *   ids of the transcript utterances they matched
+   */
+  removeDuplicateUtterances(accumulator, lifelog, transcript) {
+    const removedIds = new Set();
+    if (!lifelog.markdown) return { markdown: lifelog.markdown, removedIds };
+
+    // Lines and utterances come in the same order, so each line is paired
+    // with the next utterance carrying its text
+    let next = 0;
+    const lines = lifelog.markdown.split('\n').filter(line => {
+      const parsed = this.transcriptBuilder.parseUtteranceLine(line);
+      if (!parsed) return true;
+
+      const position = transcript.utterances.findIndex((utterance, index) => index >= next && utterance.text === parsed.text.trim());
+      const utterance = position === -1 ? null : transcript.utterances[position];
+      if (utterance) next = position + 1;
+
+      const duplicate = this.duplicateDetector.checkUtterance(accumulator.duplicates, parsed.text, {
+        lifelogId: lifelog.id,
+        speaker: parsed.speaker,
+        startTime: utterance ? utterance.startTime : null,
+        text: parsed.text
+      });
+      if (!duplicate) return true;
+
+      accumulator.removedSpans.push({
+        kind: 'utterance',
+        lifelogId: lifelog.id,
+        speaker: parsed.speaker,
+        startTime: utterance ? utterance.startTime : null,
+        endTime: utterance ? utterance.endTime : null,
+        text: parsed.text,
+        duplicateOf: duplicate.duplicateOf,
+        similarity: duplicate.similarity,
+        tokens: this.countTokens(line)
+      });
+      if (utterance) removedIds.add(utterance.id);
+      return false;
+    });
+
+    return { markdown: lines.join('\n'), removedIds };
+  }
+
+  /**
+   * Turn an accumulator into the cleaned content structure
+   * @param {object} accumulator - Accumulator from createContentAccumulator
+   * @returns {object} Cleaned content structure
+   */
+  finalizeContent(accumulator) {
+    const spans = accumulator.removedSpans;
 
     return {
-      fullText: fullText.trim(),
-      metadata
+      fullText: accumulator.fullText.trim(),
+      transcripts: accumulator.transcripts,
+      actionItems: accumulator.actionItems,
+      metadata: {
+        totalEntries: accumulator.startTimes.length,
+        dateRange: this.getDateRange(accumulator.startTimes),
+        // Convert speakers set to array
+        speakers: Array.from(accumulator.speakers),
+        topics: accumulator.topics,
+        starredCount: accumulator.starredCount,
+        totalDuration: accumulator.totalDuration,
+        utteranceCount: accumulator.utteranceCount,
+        ...(accumulator.duplicates && {
+          deduplication: {
+            tokensSaved: spans.reduce((sum, span) => sum + span.tokens, 0),
+            lifelogsRemoved: spans.filter(span => span.kind === 'lifelog').length,
+            utterancesRemoved: spans.filter(span => span.kind === 'utterance').length,
+            removedSpans: spans
+          }
+        })
+      }
     };
   }
 
@@ -174,16 +405,17 @@ class TokenOptimizer {
    * @param {string} content - Raw content
    * @param {string} level - Summarization level
    * @param {boolean} includeSpeakers - Whether to include speaker info
+   * @param {TopicTaxonomy} taxonomy - Taxonomy deciding which sentences matter
    * @returns {string} Processed content
    */
-  processContentBySummarizeLevel(content, level, includeSpeakers) {
+  processContentBySummarizeLevel(content, level, includeSpeakers, taxonomy = this.topicTaxonomy) {
     if (!content) return '';
 
     switch (level) {
       case 'high':
-        return this.aggressiveSummarize(content, includeSpeakers);
+        return this.aggressiveSummarize(content, includeSpeakers, taxonomy);
       case 'medium':
-        return this.moderateSummarize(content, includeSpeakers);
+        return this.moderateSummarize(content, includeSpeakers, taxonomy);
       case 'low':
       default:
         return this.lightSummarize(content, includeSpeakers);
@@ -217,24 +449,18 @@ class TokenOptimizer {
    * Moderate summarization - significant content reduction
    * @param {string} content - Content to summarize
    * @param {boolean} includeSpeakers - Include speaker information
+   * @param {TopicTaxonomy} taxonomy - Taxonomy deciding which sentences matter
    * @returns {string} Moderately summarized content
    */
-  moderateSummarize(content, includeSpeakers) {
+  moderateSummarize(content, includeSpeakers, taxonomy = this.topicTaxonomy) {
     let processed = this.lightSummarize(content, includeSpeakers);
 
     // Extract key sentences (longer sentences likely contain more information)
     const sentences = processed.split(/[.!?]+/).filter(s => s.trim().length > 20);
-    
-    // Keep sentences that contain important keywords
-    const importantKeywords = [
-      'decided', 'important', 'meeting', 'project', 'deadline', 'goal',
-      'problem', 'solution', 'action', 'next', 'follow', 'complete',
-      'urgent', 'priority', 'schedule', 'appointment', 'reminder'
-    ];
 
+    // Keep sentences about topics that weigh enough
     const keySentences = sentences.filter(sentence => {
-      const lowerSentence = sentence.toLowerCase();
-      return importantKeywords.some(keyword => lowerSentence.includes(keyword)) ||
+      return taxonomy.score(sentence) >= MEDIUM_SCORE ||
              sentence.length > 50; // Keep longer, more detailed sentences
     });
 
@@ -251,24 +477,17 @@ class TokenOptimizer {
    * Aggressive summarization - maximum content reduction
    * @param {string} content - Content to summarize
    * @param {boolean} includeSpeakers - Include speaker information
+   * @param {TopicTaxonomy} taxonomy - Taxonomy deciding which sentences matter
    * @returns {string} Aggressively summarized content
    */
-  aggressiveSummarize(content, includeSpeakers) {
-    let processed = this.moderateSummarize(content, includeSpeakers);
+  aggressiveSummarize(content, includeSpeakers, taxonomy = this.topicTaxonomy) {
+    let processed = this.moderateSummarize(content, includeSpeakers, taxonomy);
 
     // Extract only the most important sentences
     const sentences = processed.split(/[.!?]+/).filter(s => s.trim().length > 30);
-    
-    // Priority keywords for aggressive filtering
-    const highPriorityKeywords = [
-      'decided', 'concluded', 'agreed', 'action', 'next steps', 'deadline',
-      'important', 'urgent', 'priority', 'meeting', 'appointment', 'schedule'
-    ];
-
-    const criticalSentences = sentences.filter(sentence => {
-      const lowerSentence = sentence.toLowerCase();
-      return highPriorityKeywords.some(keyword => lowerSentence.includes(keyword));
-    });
+
+    // Only sentences about the heaviest topics
+    const criticalSentences = sentences.filter(sentence => taxonomy.score(sentence) >= HIGH_SCORE);
 
     // If no critical sentences found, keep the longest sentences (most informative)
     if (criticalSentences.length === 0) {
@@ -412,79 +631,207 @@ class TokenOptimizer {
     return await this.semanticChunking(cleanedContent, maxTokens, options);
   }
 
+  /**
+   * Conversation chunking strategy - split lifelogs at silences and speaker
+   * changes, then pack whole conversations into chunks
+   * @param {object} cleanedContent - Cleaned content structure (with transcripts)
+   * @param {number} maxTokens - Maximum tokens per chunk
+   * @param {object} options - includeSpeakers, includeTimestamps and ConversationSegmenter options
+   * @returns {object} Chunked result with the conversations found
+   */
+  async conversationChunking(cleanedContent, maxTokens, options = {}) {
+    const segmenter = new ConversationSegmenter();
+    const segments = segmenter.segmentTranscripts(cleanedContent.transcripts || [], options);
+
+    // Nothing with utterances to segment; fall back to headings
+    if (segments.length === 0) {
+      return this.semanticChunking(cleanedContent, maxTokens, options);
+    }
+
+    const chunks = [];
+    const chunkSize = Math.floor(maxTokens * 0.9);
+    let current = null;
+
+    const flush = () => {
+      if (!current) return;
+      chunks.push({
+        index: chunks.length,
+        content: current.content.trim(),
+        tokenCount: this.countTokens(current.content),
+        type: 'conversation',
+        topics: current.segments.map(segment => segment.title),
+        conversations: current.segments.map(segment => segment.index)
+      });
+      current = null;
+    };
+
+    // Utterance lines get the same summarization as the other strategies
+    const summarizeLevel = options.summarizeLevel || 'low';
+    const taxonomy = this.taxonomyFor(options);
+    const summarize = body => this.processContentBySummarizeLevel(body, summarizeLevel, options.includeSpeakers !== false, taxonomy);
+
+    for (const segment of segments) {
+      const text = segmenter.formatSegment(segment, { ...options, summarize });
+      const tokens = this.countTokens(text);
+
+      // A single conversation larger than a chunk is split on sentence boundaries
+      if (tokens > chunkSize) {
+        flush();
+        const parts = await this.fixedChunking({ fullText: text }, maxTokens);
+        for (const part of parts.chunks) {
+          chunks.push({
+            ...part,
+            index: chunks.length,
+            type: 'conversation-split',
+            topics: [segment.title],
+            conversations: [segment.index]
+          });
+        }
+        continue;
+      }
+
+      if (current && this.countTokens(`${current.content}\n\n${text}`) > chunkSize) {
+        flush();
+      }
+      if (!current) {
+        current = { content: '', segments: [] };
+      }
+      current.content += (current.content ? '\n\n' : '') + text;
+      current.segments.push(segment);
+    }
+    flush();
+
+    const totalTokens = chunks.reduce((sum, chunk) => sum + chunk.tokenCount, 0);
+    const conversations = segments.map(({ utterances, ...segment }) => ({
+      ...segment,
+      utteranceCount: utterances.length
+    }));
+
+    return { chunks, totalTokens, conversations };
+  }
+
   /**
    * Create consolidated export optimized for ChatGPT memory integration
    * @param {Array} lifelogs - Array of lifelog entries
-   * @param {object} options - Export options
-   * @returns {object} Consolidated content structure
+   * @param {object} options - Export options; taxonomy and gazetteer are the account's topics and
+   *   entity entries, groupBy is 'priority' (default) or 'cluster' for themes found by
+   *   TopicClusterer (clusterCount of them), earlierLifelogs are the days before, whose
+   *   questions still open carry into Open Threads, and date (YYYY-MM-DD) is the day exported
+   * @returns {object} Consolidated content structure, with every entry's importance ranking
    */
   async createConsolidatedExport(lifelogs, options = {}) {
     const {
       maxTokens = 120000,
       includeTimestamps = true,
       includeSpeakers = true,
-      prioritizeTopics = true
+      prioritizeTopics = true,
+      includeOpenThreads = false,
+      groupBy = 'priority',
+      clusterCount,
+      timezone = 'UTC'
     } = options;
 
     // Group lifelogs by topics and importance
     const groupedContent = this.groupByTopicsAndImportance(lifelogs, {
       includeTimestamps,
       includeSpeakers,
-      prioritizeTopics
+      prioritizeTopics,
+      taxonomy: options.taxonomy,
+      gazetteer: options.gazetteer
     });
 
-    // Create consolidated content with intelligent summarization
+    // Create consolidated content with intelligent summarization; the budget
+    // is filled in score order, so what gets cut is what scored lowest
     let consolidatedContent = '';
     let totalTokens = 0;
     const topics = [];
+    const included = new Set();
+
+    // Tasks people committed to, whatever priority their conversation got, and
+    // questions still unanswered at the end of the day if asked for; they go
+    // at the end, but their tokens (up to a quarter of maxTokens each) come
+    // off the budget before any entry is added
+    const actionItems = this.actionItemExtractor.extract(lifelogs);
+    const actionItemSection = this.fitSection(this.formatActionItems(actionItems), maxTokens * 0.25);
+    const openQuestions = includeOpenThreads
+      ? this.openQuestionTracker.track([...(options.earlierLifelogs || []), ...lifelogs], { timezone, asOf: options.date })
+        .questions.filter(question => question.status === 'open')
+      : [];
+    const openThreadSection = this.fitSection(this.openQuestionTracker.formatOpenThreads(openQuestions), maxTokens * 0.25);
+    const reserved = [actionItemSection, openThreadSection]
+      .reduce((sum, section) => sum + (section ? this.countTokens(section) : 0), 0);
+    const budget = Math.max(0, maxTokens - reserved);
+
+    // Discovered themes replace the priority sections when asked for
+    const clustered = groupBy === 'cluster'
+      ? this.formatClusteredContent(lifelogs, groupedContent, { maxTokens: budget, includeTimestamps, includeSpeakers, clusterCount, timezone })
+      : null;
+    if (clustered) {
+      consolidatedContent += clustered.content;
+      totalTokens += clustered.tokenCount;
+      topics.push(...clustered.topics);
+      clustered.included.forEach(id => included.add(id));
+    }
 
     // Add high-priority content first
-    if (groupedContent.highPriority.length > 0) {
+    if (!clustered && groupedContent.highPriority.length > 0) {
       consolidatedContent += '## Key Activities & Important Conversations\n\n';
       for (const item of groupedContent.highPriority) {
         const itemContent = this.formatLifelogEntry(item, { includeTimestamps, includeSpeakers });
         const itemTokens = this.countTokens(itemContent);
         
-        if (totalTokens + itemTokens <= maxTokens * 0.85) { // Reserve 85% for high priority
+        if (totalTokens + itemTokens <= budget * 0.85) { // Reserve 85% for high priority
           consolidatedContent += itemContent + '\n\n';
           totalTokens += itemTokens;
+          included.add(item.id);
           if (item.topics) topics.push(...item.topics);
         }
       }
     }
 
     // Add medium-priority content
-    if (groupedContent.mediumPriority.length > 0 && totalTokens < maxTokens * 0.95) {
+    if (!clustered && groupedContent.mediumPriority.length > 0 && totalTokens < budget * 0.95) {
       consolidatedContent += '## Regular Activities & Conversations\n\n';
       for (const item of groupedContent.mediumPriority) {
         const itemContent = this.formatLifelogEntry(item, { includeTimestamps, includeSpeakers });
         const itemTokens = this.countTokens(itemContent);
         
-        if (totalTokens + itemTokens <= maxTokens * 0.95) {
+        if (totalTokens + itemTokens <= budget * 0.95) {
           consolidatedContent += itemContent + '\n\n';
           totalTokens += itemTokens;
+          included.add(item.id);
           if (item.topics) topics.push(...item.topics);
         }
       }
     }
 
     // Add low-priority content if space remains
-    if (groupedContent.lowPriority.length > 0 && totalTokens < maxTokens * 0.98) {
+    if (!clustered && groupedContent.lowPriority.length > 0 && totalTokens < budget * 0.98) {
       consolidatedContent += '## Background Activities\n\n';
       for (const item of groupedContent.lowPriority) {
         const itemContent = this.formatLifelogEntry(item, { includeTimestamps, includeSpeakers, summarize: true });
         const itemTokens = this.countTokens(itemContent);
         
-        if (totalTokens + itemTokens <= maxTokens * 0.98) {
+        if (totalTokens + itemTokens <= budget * 0.98) {
           consolidatedContent += itemContent + '\n\n';
           totalTokens += itemTokens;
+          included.add(item.id);
         }
       }
     }
 
+    if (actionItemSection) {
+      consolidatedContent += `${actionItemSection}\n`;
+      totalTokens += this.countTokens(actionItemSection);
+    }
+    if (openThreadSection) {
+      consolidatedContent += `${openThreadSection}\n`;
+      totalTokens += this.countTokens(openThreadSection);
+    }
+
     // Add summary if content was truncated
-    if (totalTokens >= maxTokens * 0.95) {
-      const remainingEntries = lifelogs.length - this.countProcessedEntries(groupedContent);
+    if (totalTokens - reserved >= budget * 0.95) {
+      const remainingEntries = lifelogs.length - included.size;
       if (remainingEntries > 0) {
         consolidatedContent += `\n## Summary\n\n`;
         consolidatedContent += `Note: ${remainingEntries} additional entries were summarized due to token limits. `;
@@ -497,10 +844,101 @@ class TokenOptimizer {
       tokenCount: totalTokens,
       strategy: totalTokens <= maxTokens ? 'consolidated' : 'prioritized',
       topics: [...new Set(topics)], // Remove duplicates
+      actionItems,
+      openQuestions,
+      ...(clustered && { clusters: clustered.clusters }),
+      ranking: this.rankEntries(groupedContent, included),
       originalEntries: lifelogs.length
     };
   }
 
+  /**
+   * Shorten a Markdown list section to a token limit by dropping its last items
+   * @param {string} section - Heading, blank line and one "- " line per item
+   * @param {number} limit - Token limit
+   * @returns {string} Section that fits, ending in a count of the items left out; empty if none fit
+   */
+  fitSection(section, limit) {
+    if (!section || this.countTokens(section) <= limit) return section;
+
+    const [heading, blank, ...items] = section.trimEnd().split('\n');
+    for (let kept = items.length - 1; kept > 0; kept--) {
+      const shortened = [heading, blank, ...items.slice(0, kept), `- …and ${items.length - kept} more`].join('\n') + '\n';
+      if (this.countTokens(shortened) <= limit) return shortened;
+    }
+    return '';
+  }
+
+  /**
+   * Format lifelogs as one section per discovered theme, within a token budget
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {object} groupedContent - From groupByTopicsAndImportance, for topics and priority
+   * @param {object} options - maxTokens, includeTimestamps, includeSpeakers, clusterCount and timezone
+   * @returns {object} content, tokenCount, topics, included (IDs of lifelogs that fit) and clusters
+   */
+  formatClusteredContent(lifelogs, groupedContent, options) {
+    const { maxTokens, includeTimestamps, includeSpeakers, clusterCount, timezone } = options;
+    const { clusters, unclustered } = this.topicClusterer.cluster(lifelogs, { k: clusterCount, timezone });
+
+    const enriched = new Map(
+      [...groupedContent.highPriority, ...groupedContent.mediumPriority, ...groupedContent.lowPriority]
+        .map(item => [item.id, item])
+    );
+    const sections = clusters.map(cluster => ({ heading: `Theme: ${cluster.label}`, ids: cluster.members.map(member => member.lifelogId) }));
+    if (unclustered.length > 0) {
+      sections.push({ heading: 'Other Activities', ids: unclustered.map(member => member.lifelogId) });
+    }
+
+    let content = '';
+    let tokenCount = 0;
+    const included = new Set();
+    const topics = [];
+
+    for (const section of sections) {
+      if (tokenCount >= maxTokens * 0.98) break;
+      content += `## ${section.heading}\n\n`;
+
+      // Members in the order they happened; routine ones are lightly summarized
+      const items = section.ids
+        .map(id => enriched.get(id))
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      for (const item of items) {
+        const itemContent = this.formatLifelogEntry(item, { includeTimestamps, includeSpeakers, summarize: item.priority === 'low' });
+        const itemTokens = this.countTokens(itemContent);
+
+        if (tokenCount + itemTokens <= maxTokens * 0.98) {
+          content += itemContent + '\n\n';
+          tokenCount += itemTokens;
+          included.add(item.id);
+          if (item.topics) topics.push(...item.topics);
+        }
+      }
+    }
+
+    return { content, tokenCount, topics, included, clusters };
+  }
+
+  /**
+   * Every entry by importance, with the factors behind its score
+   * @param {object} groupedContent - From groupByTopicsAndImportance
+   * @param {Set} included - IDs of the lifelogs that made it into the export
+   * @returns {Array} rank, lifelogId, title, startTime, priority, score, included and factors
+   */
+  rankEntries(groupedContent, included) {
+    return [...groupedContent.highPriority, ...groupedContent.mediumPriority, ...groupedContent.lowPriority]
+      .map((item, index) => ({
+        rank: index + 1,
+        lifelogId: item.id,
+        title: item.title || 'Untitled',
+        startTime: item.startTime || null,
+        priority: item.priority,
+        score: item.importance.score,
+        included: included.has(item.id),
+        factors: item.importance.factors
+      }));
+  }
+
   /**
    * Extract text content from a lifelog entry
    * @param {object} lifelog - Lifelog entry
@@ -569,43 +1007,28 @@ class TokenOptimizer {
   /**
    * Group lifelogs by topics and importance for better organization
    * @param {Array} lifelogs - Array of lifelog entries
-   * @param {object} options - Grouping options
-   * @returns {object} Grouped content structure
+   * @param {object} options - Grouping options; taxonomy is the topic list and gazetteer the
+   *   entity entries to score with
+   * @returns {object} Grouped content structure, each group by importance score
    */
-  groupByTopicsAndImportance(lifelogs) {
+  groupByTopicsAndImportance(lifelogs, options = {}) {
     const highPriority = [];
     const mediumPriority = [];
     const lowPriority = [];
 
-    // Keywords that indicate high importance
-    const highImportanceKeywords = [
-      'meeting', 'call', 'interview', 'presentation', 'decision', 'important',
-      'urgent', 'deadline', 'project', 'client', 'boss', 'manager', 'team',
-      'problem', 'issue', 'solution', 'plan', 'strategy', 'goal', 'target'
-    ];
-
-    // Keywords that indicate medium importance
-    const mediumImportanceKeywords = [
-      'discussion', 'conversation', 'email', 'message', 'update', 'review',
-      'feedback', 'idea', 'suggestion', 'question', 'answer', 'explain'
-    ];
-
-    for (const lifelog of lifelogs) {
-      const content = this.extractTextContent(lifelog).toLowerCase();
-      const wordCount = content.split(' ').length;
-      
-      // Determine priority based on content analysis
-      let priority = 'low';
-      
-      if (wordCount > 50 || this.containsKeywords(content, highImportanceKeywords)) {
-        priority = 'high';
-      } else if (wordCount > 20 || this.containsKeywords(content, mediumImportanceKeywords)) {
-        priority = 'medium';
-      }
+    const scorer = new ImportanceScorer({
+      transcriptBuilder: this.transcriptBuilder,
+      taxonomy: this.taxonomyFor(options),
+      entityExtractor: options.gazetteer
+        ? new EntityExtractor({ transcriptBuilder: this.transcriptBuilder, gazetteer: options.gazetteer })
+        : this.entityExtractor
+    });
+    const scores = scorer.scoreAll(lifelogs);
 
-      // Add topic extraction
-      const topics = this.extractTopics(content);
-      const enrichedLifelog = { ...lifelog, topics, priority, wordCount };
+    lifelogs.forEach((lifelog, index) => {
+      const { score, priority, topics, factors } = scores[index];
+      const wordCount = this.extractTextContent(lifelog).split(/\s+/).filter(Boolean).length;
+      const enrichedLifelog = { ...lifelog, topics, priority, wordCount, importance: { score, factors } };
 
       switch (priority) {
         case 'high':
@@ -617,65 +1040,36 @@ class TokenOptimizer {
         default:
           lowPriority.push(enrichedLifelog);
       }
-    }
+    });
+
+    // Highest score first; earlier lifelogs first on ties
+    const byScore = (a, b) => b.importance.score - a.importance.score ||
+      new Date(a.startTime || 0) - new Date(b.startTime || 0);
 
-    // Sort by timestamp within each priority group
-    const sortByTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
-    
     return {
-      highPriority: highPriority.sort(sortByTime),
-      mediumPriority: mediumPriority.sort(sortByTime),
-      lowPriority: lowPriority.sort(sortByTime)
+      highPriority: highPriority.sort(byScore),
+      mediumPriority: mediumPriority.sort(byScore),
+      lowPriority: lowPriority.sort(byScore)
     };
   }
 
   /**
-   * Extract topics from content using simple keyword analysis
+   * Extract topics from content using the topic taxonomy
    * @param {string} content - Text content to analyze
+   * @param {TopicTaxonomy} taxonomy - Taxonomy to tag with (defaults to the built-in one)
    * @returns {Array} Array of detected topics
    */
-  extractTopics(content) {
-    const topicKeywords = {
-      'work': ['work', 'job', 'office', 'meeting', 'project', 'client', 'business'],
-      'personal': ['family', 'friend', 'personal', 'home', 'weekend'],
-      'health': ['health', 'doctor', 'exercise', 'gym', 'medical', 'wellness'],
-      'technology': ['computer', 'software', 'app', 'website', 'tech', 'digital'],
-      'travel': ['travel', 'trip', 'flight', 'hotel', 'vacation', 'visit'],
-      'food': ['food', 'restaurant', 'eat', 'lunch', 'dinner', 'cook'],
-      'entertainment': ['movie', 'music', 'game', 'show', 'entertainment', 'fun']
-    };
-
-    const detectedTopics = [];
-    for (const [topic, keywords] of Object.entries(topicKeywords)) {
-      if (this.containsKeywords(content, keywords)) {
-        detectedTopics.push(topic);
-      }
-    }
-
-    return detectedTopics;
-  }
-
-  /**
-   * Check if content contains any of the specified keywords
-   * @param {string} content - Text content to check
-   * @param {Array} keywords - Array of keywords to look for
-   * @returns {boolean} True if any keyword is found
-   */
-  containsKeywords(content, keywords) {
-    return keywords.some(keyword => content.includes(keyword));
+  extractTopics(content, taxonomy = this.topicTaxonomy) {
+    return taxonomy.tag(content);
   }
 
   /**
-   * Count how many entries were processed within token limits
-   * @param {object} groupedContent - Grouped content structure
-   * @param {number} maxTokens - Maximum token limit
-   * @returns {number} Number of processed entries
+   * Taxonomy for a set of options
+   * @param {object} options - Options with an optional taxonomy (topic list from TopicTaxonomyStore)
+   * @returns {TopicTaxonomy} The account's taxonomy, or the built-in one
    */
-  countProcessedEntries(groupedContent) {
-    // This is a simplified count - in practice, we'd track this during processing
-    return groupedContent.highPriority.length + 
-           Math.floor(groupedContent.mediumPriority.length * 0.8) +
-           Math.floor(groupedContent.lowPriority.length * 0.3);
+  taxonomyFor(options = {}) {
+    return options.taxonomy ? new TopicTaxonomy({ topics: options.taxonomy }) : this.topicTaxonomy;
   }
 
   /**
@@ -685,7 +1079,8 @@ class TokenOptimizer {
    */
   formatAsMarkdown(optimizedData) {
     if (optimizedData.strategy === 'complete') {
-      return `# Daily Lifelog Summary\n\n${optimizedData.content}`;
+      const actionItems = this.formatActionItems(optimizedData.actionItems);
+      return `# Daily Lifelog Summary\n\n${optimizedData.content}${actionItems ? `\n\n${actionItems}` : ''}`;
     }
 
     let markdown = `# Daily Lifelog Summary\n\n`;
@@ -711,6 +1106,26 @@ class TokenOptimizer {
       }
     }
 
+    return markdown + this.formatActionItems(optimizedData.actionItems);
+  }
+
+  /**
+   * Format action items as a Markdown checklist section
+   * @param {Array} actionItems - Items from ActionItemExtractor
+   * @returns {string} "Action Items" section, or an empty string if there are none
+   */
+  formatActionItems(actionItems) {
+    if (!actionItems || actionItems.length === 0) return '';
+
+    let markdown = `## Action Items\n\n`;
+    for (const item of actionItems) {
+      const owner = item.owner ? `**${item.owner}**` : '**Unassigned**';
+      const recipient = item.recipient ? ` → ${item.recipient}` : '';
+      const due = item.due ? ` (due ${item.due})` : '';
+      const source = item.title ? ` — _${item.title}_` : '';
+      markdown += `- [ ] ${owner}${recipient}: ${item.task}${due}${source}\n`;
+    }
+
     return markdown;
   }
 
@@ -752,24 +1167,6 @@ class TokenOptimizer {
     return `${dates[0]} - ${dates[dates.length - 1]}`;
   }
 
-  /**
-   * Extract speakers from content nodes
-   * @param {Array} contents - Content nodes
-   * @param {Set} speakers - Set to collect speakers
-   */
-  extractSpeakersFromContent(contents, speakers) {
-    if (!contents || !Array.isArray(contents)) return;
-
-    for (const node of contents) {
-      if (node.speakerName) {
-        speakers.add(node.speakerName);
-      }
-      if (node.children) {
-        this.extractSpeakersFromContent(node.children, speakers);
-      }
-    }
-  }
-
   /**
    * Extract topics from text content
    * @param {string} text - Text content
@@ -0,0 +1,281 @@
+const TranscriptBuilder = require('./TranscriptBuilder');
+const DateUtils = require('../utils/DateUtils');
+const { words, stem, tokenize } = require('../utils/text');
+
+// Most clusters made when k is not given
+const MAX_AUTO_CLUSTERS = 12;
+
+// k-means stops after this many passes even if members still move
+const MAX_ITERATIONS = 50;
+
+// Terms reported per cluster; the first few make its label
+const TERM_LIMIT = 8;
+const LABEL_TERMS = 3;
+
+/**
+ * Discovers recurring themes in lifelogs without a predefined taxonomy.
+ *
+ * Each lifelog becomes a TF-IDF vector over the terms of its title and
+ * utterances (sublinear tf, smoothed idf, L2-normalized, as in
+ * SimilarityIndex). Vectors are grouped with spherical k-means: cosine
+ * similarity, centroids re-normalized after each pass, and a
+ * farthest-first start so the same lifelogs always give the same clusters.
+ * Terms are reported in the word form most used in the input.
+ *
+ * Cluster shape:
+ *   { id, label, terms: [{ term, weight }], size, members, trend: [{ date, count }] }
+ */
+class TopicClusterer {
+  constructor(options = {}) {
+    this.transcriptBuilder = options.transcriptBuilder || new TranscriptBuilder();
+    this.dateUtils = new DateUtils();
+  }
+
+  /**
+   * Cluster lifelogs into themes
+   * @param {Array} lifelogs - Lifelog entries
+   * @param {object} options - k (clusters wanted), timezone, and dates to report the trend over
+   * @returns {object} k used, clusters by size, and lifelogs with no usable terms
+   */
+  cluster(lifelogs, options = {}) {
+    const { timezone = 'UTC' } = options;
+    const { documents, surfaceForms } = this.vectorize(lifelogs);
+
+    const usable = documents.filter(doc => doc.vector.size > 0);
+    const unclustered = documents
+      .filter(doc => doc.vector.size === 0)
+      .map(doc => ({ lifelogId: doc.lifelogId, title: doc.title }));
+
+    const k = Math.min(usable.length, options.k || this.defaultK(usable.length));
+    if (k === 0) return { k: 0, clusters: [], unclustered };
+
+    const { assignments, centroids } = this.kMeans(usable.map(doc => doc.vector), k);
+    const dates = options.dates || [...new Set(usable.map(doc => this.localDate(doc.startTime, timezone)).filter(Boolean))].sort();
+
+    const clusters = centroids.map((centroid, index) => {
+      const docs = usable.filter((doc, position) => assignments[position] === index);
+      const members = docs
+        .map(doc => ({
+          lifelogId: doc.lifelogId,
+          title: doc.title,
+          startTime: doc.startTime,
+          date: this.localDate(doc.startTime, timezone),
+          similarity: Math.round(this.dot(doc.vector, centroid) * 10000) / 10000
+        }))
+        .sort((a, b) => b.similarity - a.similarity);
+
+      // Centroid weight scaled by the share of members using the term, so
+      // the label favors what members have in common over one long lifelog
+      const terms = [...centroid.entries()]
+        .map(([term, weight]) => [term, weight * docs.filter(doc => doc.vector.has(term)).length / docs.length])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TERM_LIMIT)
+        .map(([term, weight]) => ({ term: this.surfaceForm(surfaceForms, term), weight: Math.round(weight * 10000) / 10000 }));
+
+      return {
+        label: terms.slice(0, LABEL_TERMS).map(({ term }) => term).join(', ') || 'Miscellaneous',
+        terms,
+        size: members.length,
+        members,
+        trend: dates.map(date => ({ date, count: members.filter(member => member.date === date).length }))
+      };
+    });
+
+    return {
+      k,
+      clusters: clusters
+        .filter(cluster => cluster.size > 0)
+        .sort((a, b) => b.size - a.size || a.label.localeCompare(b.label))
+        .map((cluster, index) => ({ id: index + 1, ...cluster })),
+      unclustered
+    };
+  }
+
+  /**
+   * Turn lifelogs into TF-IDF vectors
+   * @param {Array} lifelogs - Lifelog entries
+   * @returns {object} documents (lifelogId, title, startTime, vector) and surface forms per stem
+   */
+  vectorize(lifelogs) {
+    const surfaceForms = new Map();
+
+    const counted = lifelogs.map(lifelog => {
+      const transcript = this.transcriptBuilder.build(lifelog);
+      const text = [transcript.title, ...transcript.utterances.map(utterance => utterance.text)]
+        .filter(Boolean)
+        .join('\n');
+
+      for (const { word } of words(text)) {
+        const term = stem(word);
+        if (!surfaceForms.has(term)) surfaceForms.set(term, new Map());
+        const forms = surfaceForms.get(term);
+        forms.set(word, (forms.get(word) || 0) + 1);
+      }
+
+      const counts = new Map();
+      for (const term of tokenize(text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      return { lifelog, title: transcript.title, counts };
+    });
+
+    const documentFrequency = new Map();
+    for (const { counts } of counted) {
+      for (const term of counts.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const total = counted.length;
+    const documents = counted.map(({ lifelog, title, counts }) => {
+      const vector = new Map();
+      for (const [term, count] of counts) {
+        const idf = Math.log((total + 1) / (documentFrequency.get(term) + 1)) + 1;
+        vector.set(term, (1 + Math.log(count)) * idf);
+      }
+
+      return {
+        lifelogId: lifelog.id,
+        title: title || 'Untitled',
+        startTime: lifelog.startTime || null,
+        vector: this.normalize(vector)
+      };
+    });
+
+    return { documents, surfaceForms };
+  }
+
+  /**
+   * Spherical k-means with a deterministic farthest-first start
+   * @param {Array<Map>} vectors - Normalized vectors
+   * @param {number} k - Number of clusters
+   * @returns {object} assignments (cluster index per vector) and centroids
+   */
+  kMeans(vectors, k) {
+    // Start from the vector nearest the overall mean, then keep adding the
+    // vector least similar to every centroid chosen so far
+    const mean = this.centroid(vectors);
+    const seeds = [this.argMax(vectors, vector => this.dot(vector, mean))];
+    while (seeds.length < k) {
+      seeds.push(this.argMax(vectors, (vector, index) => (seeds.includes(index)
+        ? -Infinity
+        : -Math.max(...seeds.map(seed => this.dot(vector, vectors[seed]))))));
+    }
+
+    let centroids = seeds.map(seed => new Map(vectors[seed]));
+    let assignments = [];
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+      const next = vectors.map(vector => this.argMax(centroids, centroid => this.dot(vector, centroid)));
+      if (next.every((cluster, index) => cluster === assignments[index])) break;
+      assignments = next;
+
+      centroids = centroids.map((centroid, cluster) => {
+        const members = vectors.filter((vector, index) => assignments[index] === cluster);
+        // An emptied cluster keeps its centroid
+        return members.length > 0 ? this.centroid(members) : centroid;
+      });
+    }
+
+    return { assignments, centroids };
+  }
+
+  /**
+   * Normalized mean of vectors
+   * @param {Array<Map>} vectors - Vectors
+   * @returns {Map} Centroid
+   */
+  centroid(vectors) {
+    const sum = new Map();
+    for (const vector of vectors) {
+      for (const [term, weight] of vector) {
+        sum.set(term, (sum.get(term) || 0) + weight);
+      }
+    }
+    return this.normalize(sum);
+  }
+
+  /**
+   * Dot product of two sparse vectors (cosine similarity when both are normalized)
+   * @param {Map} a - Term weights
+   * @param {Map} b - Term weights
+   * @returns {number} Dot product
+   */
+  dot(a, b) {
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    let total = 0;
+    for (const [term, weight] of smaller) {
+      if (larger.has(term)) total += weight * larger.get(term);
+    }
+    return total;
+  }
+
+  /**
+   * Index of the item with the highest score (the first one on ties)
+   * @param {Array} items - Items to score
+   * @param {Function} score - (item, index) => number
+   * @returns {number} Index
+   */
+  argMax(items, score) {
+    let best = 0;
+    let bestScore = -Infinity;
+    items.forEach((item, index) => {
+      const value = score(item, index);
+      if (value > bestScore) {
+        best = index;
+        bestScore = value;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Scale a vector to unit length
+   * @param {Map} vector - Term weights
+   * @returns {Map} Normalized vector
+   */
+  normalize(vector) {
+    const length = Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+    if (length === 0) return vector;
+
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / length);
+    }
+    return vector;
+  }
+
+  /**
+   * Clusters to make when k is not given: about the square root of half the lifelogs
+   * @param {number} count - Lifelogs with terms
+   * @returns {number} k
+   */
+  defaultK(count) {
+    return Math.min(MAX_AUTO_CLUSTERS, Math.ceil(Math.sqrt(count / 2)));
+  }
+
+  /**
+   * Most common word for a stem
+   * @param {Map} surfaceForms - Words seen per stem
+   * @param {string} term - Stem
+   * @returns {string} Word as it usually appears
+   */
+  surfaceForm(surfaceForms, term) {
+    const forms = surfaceForms.get(term);
+    if (!forms) return term;
+    return Array.from(forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  /**
+   * Local date of a timestamp
+   * @param {string|null} time - ISO timestamp
+   * @param {string} timezone - IANA timezone
+   * @returns {string|null} YYYY-MM-DD
+   */
+  localDate(time, timezone) {
+    return time ? this.dateUtils.getLocalDate(time, timezone) : null;
+  }
+}
+
+TopicClusterer.MAX_AUTO_CLUSTERS = MAX_AUTO_CLUSTERS;
+
+module.exports = TopicClusterer;
@@ -0,0 +1,114 @@
+// Taxonomy used until an account edits its own. Weight 1 topics only tag
+// content; heavier ones also raise priority and keep sentences in summaries.
+const DEFAULT_TOPICS = [
+  { id: 'work', name: 'work', keywords: ['work', 'job', 'office', 'meeting', 'project', 'client', 'business'], weight: 1 },
+  { id: 'personal', name: 'personal', keywords: ['family', 'friend', 'personal', 'home', 'weekend'], weight: 1 },
+  { id: 'health', name: 'health', keywords: ['health', 'doctor', 'exercise', 'gym', 'medical', 'wellness'], weight: 1 },
+  { id: 'technology', name: 'technology', keywords: ['computer', 'software', 'app', 'website', 'tech', 'digital'], weight: 1 },
+  { id: 'travel', name: 'travel', keywords: ['travel', 'trip', 'flight', 'hotel', 'vacation', 'visit'], weight: 1 },
+  { id: 'food', name: 'food', keywords: ['food', 'restaurant', 'eat', 'lunch', 'dinner', 'cook'], weight: 1 },
+  { id: 'entertainment', name: 'entertainment', keywords: ['movie', 'music', 'game', 'show', 'entertainment', 'fun'], weight: 1 },
+  { id: 'meetings', name: 'meetings', keywords: ['meeting', 'call', 'interview', 'presentation', 'appointment', 'schedule'], weight: 3 },
+  { id: 'decisions', name: 'decisions', keywords: ['decision', 'decided', 'concluded', 'agreed'], weight: 3 },
+  { id: 'deadlines', name: 'deadlines', keywords: ['deadline', 'urgent', 'priority', 'important'], weight: 3 },
+  { id: 'planning', name: 'planning', keywords: ['plan', 'strategy', 'goal', 'target', 'project'], phrases: ['next steps', 'follow up'], weight: 3 },
+  { id: 'problems', name: 'problems', keywords: ['problem', 'issue', 'solution'], weight: 3 },
+  { id: 'stakeholders', name: 'stakeholders', keywords: ['client', 'boss', 'manager', 'team'], weight: 3 },
+  { id: 'tasks', name: 'tasks', keywords: ['action', 'task', 'complete', 'reminder'], phrases: ['action item'], weight: 2 },
+  {
+    id: 'communication',
+    name: 'communication',
+    keywords: ['discussion', 'conversation', 'email', 'message', 'update', 'review', 'feedback', 'idea', 'suggestion', 'question', 'answer', 'explain'],
+    weight: 2
+  }
+];
+
+/**
+ * Tags text with the topics of a taxonomy and scores it by their weights.
+ *
+ * A topic matches when any of its keywords (whole words, plurals included),
+ * phrases (the same words in order, any spacing) or regexes (case
+ * insensitive) occurs in the text. The score of a text is the sum of the
+ * weights of the topics it matches.
+ *
+ * Topic shape:
+ *   { id, name, keywords, phrases, regexes, weight }
+ */
+class TopicTaxonomy {
+  constructor(options = {}) {
+    this.topics = (options.topics || DEFAULT_TOPICS).map(topic => this.compile(topic));
+  }
+
+  /**
+   * Topics a text matches
+   * @param {string} text - Text to classify
+   * @returns {Array} name, weight and the terms that matched, in taxonomy order
+   */
+  match(text) {
+    if (!text) return [];
+
+    const matches = [];
+    for (const topic of this.topics) {
+      const terms = topic.patterns
+        .filter(({ pattern }) => pattern.test(text))
+        .map(({ term }) => term);
+      if (terms.length > 0) {
+        matches.push({ name: topic.name, weight: topic.weight, terms });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Names of the topics a text matches
+   * @param {string} text - Text to classify
+   * @returns {Array<string>} Topic names
+   */
+  tag(text) {
+    return this.match(text).map(topic => topic.name);
+  }
+
+  /**
+   * Sum of the weights of the topics a text matches
+   * @param {string} text - Text to score
+   * @returns {number} Score (0 when nothing matches)
+   */
+  score(text) {
+    return this.match(text).reduce((sum, topic) => sum + topic.weight, 0);
+  }
+
+  /**
+   * Build the patterns for one topic
+   * @param {object} topic - Topic with keywords, phrases, regexes and weight
+   * @returns {object} name, weight and patterns
+   */
+  compile(topic) {
+    const patterns = [
+      ...(topic.keywords || []).map(term => ({ term, pattern: this.wordPattern(term, '(?:s|es)?') })),
+      ...(topic.phrases || []).map(term => ({ term, pattern: this.wordPattern(term, '') })),
+      ...(topic.regexes || []).map(term => ({ term, pattern: new RegExp(term, 'i') }))
+    ];
+
+    return {
+      name: topic.name,
+      weight: typeof topic.weight === 'number' ? topic.weight : 1,
+      patterns
+    };
+  }
+
+  /**
+   * Case-insensitive whole-word pattern for a keyword or phrase
+   * @param {string} term - Keyword or phrase
+   * @param {string} suffix - Endings allowed after the last word
+   * @returns {RegExp} Pattern
+   */
+  wordPattern(term, suffix) {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<![\\w])${escaped}${suffix}(?![\\w])`, 'i');
+  }
+}
+
+TopicTaxonomy.DEFAULT_TOPICS = DEFAULT_TOPICS;
+
+module.exports = TopicTaxonomy;
@@ -0,0 +1,266 @@
+const path = require('path');
+const crypto = require('crypto');
+const TopicTaxonomy = require('./TopicTaxonomy');
+const { createJsonStore } = require('../utils/jsonStore');
+
+// Highest weight a topic may have
+const MAX_WEIGHT = 10;
+
+// Longest regex source a topic may use
+const MAX_REGEX_LENGTH = 100;
+
+/**
+ * Check a regex source for a repeated group that itself repeats, such as
+ * (a+)+ or (\w*){2,}, which can backtrack for minutes on a long transcript
+ * @param {string} source - Regex source
+ * @returns {boolean} True if a quantified group contains a quantifier
+ */
+function hasNestedQuantifier(source) {
+  const groups = [];
+  let quantified = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip character classes, where quantifier characters are literal
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(quantified);
+      quantified = false;
+    } else if (char === ')') {
+      const inner = quantified;
+      quantified = groups.length > 0 ? groups.pop() : false;
+      if (inner && /[*+{]/.test(source[i + 1] || '')) return true;
+      quantified = quantified || inner;
+    } else if (char === '*' || char === '+' || char === '{') {
+      quantified = true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Persistent, user-editable topic taxonomy for one account.
+ *
+ * Topics are used by TokenOptimizer (through TopicTaxonomy) to tag
+ * lifelogs, rank them into priority groups and decide which sentences a
+ * summary keeps. A new account starts with TopicTaxonomy.DEFAULT_TOPICS,
+ * which can be edited or removed like any other topic.
+ *
+ * Store layout:
+ *   { version, topics: [{ id, name, keywords, phrases, regexes, weight, createdAt }] }
+ */
+class TopicTaxonomyStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'taxonomy.json');
+    this.store = createJsonStore({
+      filePath: this.filePath,
+      label: 'taxonomy',
+      fallback: () => ({ version: 1, topics: this.defaultTopics() })
+    });
+  }
+
+  /**
+   * List topics
+   * @returns {Promise<Array>} Topics, heaviest first, then by name
+   */
+  async listTopics() {
+    const state = await this.load();
+    return [...state.topics].sort((a, b) => b.weight - a.weight || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Add a topic, or replace the terms and weight of one with the same name
+   * @param {object} data - name, weight and keywords, phrases and/or regexes
+   * @returns {Promise<object>} Saved topic
+   */
+  async addTopic(data) {
+    const state = await this.load();
+    this.assertValid(data);
+
+    const fields = this.normalize(data);
+    const existing = state.topics.find(topic => topic.name.toLowerCase() === fields.name.toLowerCase());
+    if (existing) {
+      Object.assign(existing, fields);
+      await this.persist();
+      return existing;
+    }
+
+    const created = { id: crypto.randomUUID(), ...fields, createdAt: new Date().toISOString() };
+    state.topics.push(created);
+    await this.persist();
+    return created;
+  }
+
+  /**
+   * Update a topic
+   * @param {string} id - Topic ID
+   * @param {object} data - Fields to change
+   * @returns {Promise<object|null>} Updated topic, or null if it does not exist
+   */
+  async updateTopic(id, data) {
+    const state = await this.load();
+    const topic = state.topics.find(candidate => candidate.id === id);
+    if (!topic) return null;
+
+    const merged = { ...topic, ...data };
+    this.assertValid(merged, id);
+
+    Object.assign(topic, this.normalize(merged));
+    await this.persist();
+    return topic;
+  }
+
+  /**
+   * Remove a topic
+   * @param {string} id - Topic ID
+   * @returns {Promise<boolean>} True if the topic existed
+   */
+  async removeTopic(id) {
+    const state = await this.load();
+    const index = state.topics.findIndex(topic => topic.id === id);
+    if (index === -1) return false;
+
+    state.topics.splice(index, 1);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Replace the taxonomy with the default topics
+   * @returns {Promise<Array>} Default topics
+   */
+  async resetTopics() {
+    const state = await this.load();
+    state.topics = this.defaultTopics();
+    await this.persist();
+    return this.listTopics();
+  }
+
+  /**
+   * Validate topic data
+   * @param {object} data - Topic fields
+   * @param {string} id - ID of the topic being updated, if any
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateTopic(data, id = null) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object') {
+      return ['Topic must be an object'];
+    }
+
+    if (!data.name || typeof data.name !== 'string' || !data.name.trim()) {
+      errors.push('name is required');
+    } else if (id && this.store.state &&
+        this.store.state.topics.some(topic => topic.id !== id && topic.name.toLowerCase() === data.name.trim().toLowerCase())) {
+      errors.push(`a topic named "${data.name.trim()}" already exists`);
+    }
+
+    if (data.weight !== undefined &&
+        (typeof data.weight !== 'number' || !Number.isFinite(data.weight) || data.weight < 0 || data.weight > MAX_WEIGHT)) {
+      errors.push(`weight must be a number from 0 to ${MAX_WEIGHT}`);
+    }
+
+    let termCount = 0;
+    for (const field of ['keywords', 'phrases', 'regexes']) {
+      const terms = data[field];
+      if (terms === undefined) continue;
+      if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+        errors.push(`${field} must be a list of strings`);
+        continue;
+      }
+      termCount += terms.filter(term => term.trim()).length;
+    }
+
+    if (Array.isArray(data.regexes)) {
+      for (const source of data.regexes) {
+        if (typeof source !== 'string') continue;
+        if (source.length > MAX_REGEX_LENGTH) {
+          errors.push(`regex "${source.slice(0, 20)}…" is longer than ${MAX_REGEX_LENGTH} characters`);
+          continue;
+        }
+        if (hasNestedQuantifier(source)) {
+          errors.push(`regex "${source}" repeats a group that already repeats; use keywords or phrases instead`);
+          continue;
+        }
+        try {
+          new RegExp(source, 'i');
+        } catch (error) {
+          errors.push(`regex "${source}" is invalid: ${error.message}`);
+        }
+      }
+    }
+
+    if (termCount === 0) {
+      errors.push('at least one keyword, phrase or regex is required');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw if topic data is invalid
+   * @param {object} data - Topic fields
+   * @param {string} id - ID of the topic being updated, if any
+   */
+  assertValid(data, id = null) {
+    const errors = this.validateTopic(data, id);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid topic: ${errors.join('; ')}`);
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Trim names and terms and drop duplicates
+   * @param {object} data - Valid topic fields
+   * @returns {object} name, keywords, phrases, regexes and weight
+   */
+  normalize(data) {
+    const terms = (list, clean) => [...new Set((list || []).map(clean).filter(Boolean))];
+    const words = term => term.trim().replace(/\s+/g, ' ').toLowerCase();
+
+    return {
+      name: data.name.trim().replace(/\s+/g, ' '),
+      keywords: terms(data.keywords, words),
+      phrases: terms(data.phrases, words),
+      regexes: terms(data.regexes, term => term.trim()),
+      weight: data.weight === undefined ? 1 : data.weight
+    };
+  }
+
+  /**
+   * Default topics in store form
+   * @returns {Array} Topics
+   */
+  defaultTopics() {
+    return TopicTaxonomy.DEFAULT_TOPICS.map(topic => ({ id: topic.id, ...this.normalize(topic), createdAt: null }));
+  }
+
+  /**
+   * Load the taxonomy, once per instance
+   * @returns {Promise<object>} Store state
+   */
+  async load() {
+    return this.store.load();
+  }
+
+  /**
+   * Persist the taxonomy
+   * @returns {Promise} Resolves once written
+   */
+  persist() {
+    return this.store.save();
+  }
+}
+
+TopicTaxonomyStore.MAX_WEIGHT = MAX_WEIGHT;
+
+module.exports = TopicTaxonomyStore;
@@ -0,0 +1,246 @@
+// Speaker lines in Limitless markdown: "- Dana (10/5/26 9:00 AM): text"
+const MARKDOWN_UTTERANCE = /^\s*[-*]\s+([^:()\n]{1,60}?)\s*(?:\(([^)]*)\))?:\s+(.+)$/;
+const MARKDOWN_HEADING = /^\s*(#{1,6})\s+(.+?)\s*$/;
+
+/**
+ * Builds a normalized transcript model from lifelog content nodes.
+ *
+ * Limitless returns a tree of heading and blockquote nodes. The builder
+ * flattens it into utterances in document order, each with its speaker,
+ * absolute start/end time, node type and the heading it falls under, so
+ * optimizers and analytics can work on structure instead of markdown.
+ * Lifelogs without `contents` (e.g. some imports) fall back to parsing
+ * the markdown, which yields the same shape without timing.
+ *
+ * Transcript shape:
+ *   { lifelogId, title, startTime, endTime, source, headings, speakers, utterances }
+ */
+class TranscriptBuilder {
+  /**
+   * Build the transcript of a lifelog
+   * @param {object} lifelog - Lifelog entry
+   * @returns {object} Transcript with utterances, headings and speakers
+   */
+  build(lifelog) {
+    const transcript = {
+      lifelogId: lifelog.id,
+      title: lifelog.title || '',
+      startTime: lifelog.startTime || null,
+      endTime: lifelog.endTime || null,
+      source: 'contents',
+      headings: [],
+      speakers: [],
+      utterances: []
+    };
+
+    if (Array.isArray(lifelog.contents) && lifelog.contents.length > 0) {
+      this.walkNodes(lifelog.contents, transcript, []);
+    } else if (lifelog.markdown) {
+      transcript.source = 'markdown';
+      this.parseMarkdown(lifelog.markdown, transcript);
+    } else {
+      transcript.source = 'empty';
+    }
+
+    transcript.speakers = this.collectSpeakers(transcript.utterances);
+    return transcript;
+  }
+
+  /**
+   * Build transcripts for several lifelogs
+   * @param {Array} lifelogs - Lifelog entries
+   * @returns {Array} Transcripts in input order
+   */
+  buildMany(lifelogs) {
+    return (lifelogs || []).filter(Boolean).map(lifelog => this.build(lifelog));
+  }
+
+  /**
+   * Render a transcript as plain "[Speaker]: text" lines
+   * @param {object} transcript - Transcript from build()
+   * @param {object} options - includeSpeakers (default true), includeHeadings (default true)
+   * @returns {string} Transcript text
+   */
+  toText(transcript, options = {}) {
+    const { includeSpeakers = true, includeHeadings = true } = options;
+    const lines = [];
+    let heading = null;
+
+    for (const utterance of transcript.utterances) {
+      if (includeHeadings && utterance.heading && utterance.heading !== heading) {
+        lines.push(utterance.heading);
+      }
+      heading = utterance.heading;
+
+      lines.push(includeSpeakers && utterance.speaker
+        ? `[${utterance.speaker}]: ${utterance.text}`
+        : utterance.text);
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Walk content nodes in document order, collecting headings and utterances
+   * @param {Array} nodes - Content nodes
+   * @param {object} transcript - Transcript being built
+   * @param {Array} headingPath - Current headings indexed by level - 1
+   */
+  walkNodes(nodes, transcript, headingPath) {
+    for (const node of nodes) {
+      if (!node || typeof node !== 'object') continue;
+
+      const level = this.headingLevel(node.type);
+      if (level && node.content) {
+        headingPath.length = level - 1;
+        headingPath[level - 1] = node.content.trim();
+        transcript.headings.push({
+          text: node.content.trim(),
+          level,
+          startTime: this.resolveTime(node.startTime, node.startOffsetMs, transcript.startTime)
+        });
+      } else if (typeof node.content === 'string' && node.content.trim()) {
+        transcript.utterances.push(this.createUtterance(node, transcript, headingPath));
+      }
+
+      if (Array.isArray(node.children) && node.children.length > 0) {
+        this.walkNodes(node.children, transcript, headingPath);
+      }
+    }
+  }
+
+  /**
+   * Create an utterance from a content node
+   * @param {object} node - Content node with text
+   * @param {object} transcript - Transcript being built
+   * @param {Array} headingPath - Current headings
+   * @returns {object} Utterance
+   */
+  createUtterance(node, transcript, headingPath) {
+    const startTime = this.resolveTime(node.startTime, node.startOffsetMs, transcript.startTime);
+    const endTime = this.resolveTime(node.endTime, node.endOffsetMs, transcript.startTime);
+    const path = headingPath.filter(Boolean);
+    const index = transcript.utterances.length;
+
+    return {
+      id: `${transcript.lifelogId}:${index}`,
+      lifelogId: transcript.lifelogId,
+      index,
+      type: node.type || 'text',
+      text: node.content.trim(),
+      speaker: node.speakerName || null,
+      rawSpeaker: node.rawSpeakerName || node.speakerName || null,
+      speakerIdentifier: node.speakerIdentifier || null,
+      isUser: node.speakerIdentifier === 'user',
+      startTime,
+      endTime,
+      startOffsetMs: Number.isFinite(node.startOffsetMs) ? node.startOffsetMs : null,
+      endOffsetMs: Number.isFinite(node.endOffsetMs) ? node.endOffsetMs : null,
+      durationMs: startTime && endTime ? Math.max(0, Date.parse(endTime) - Date.parse(startTime)) : null,
+      heading: path.length > 0 ? path[path.length - 1] : null,
+      headingPath: path
+    };
+  }
+
+  /**
+   * Parse Limitless markdown into headings and utterances (no timing)
+   * @param {string} markdown - Lifelog markdown
+   * @param {object} transcript - Transcript being built
+   */
+  parseMarkdown(markdown, transcript) {
+    const headingPath = [];
+
+    for (const line of markdown.split('\n')) {
+      if (!line.trim()) continue;
+
+      const heading = line.match(MARKDOWN_HEADING);
+      if (heading) {
+        this.walkNodes([{ type: `heading${heading[1].length}`, content: heading[2] }], transcript, headingPath);
+        continue;
+      }
+
+      const utterance = this.parseUtteranceLine(line);
+      const node = utterance
+        ? { type: 'blockquote', content: utterance.text, speakerName: utterance.speaker }
+        : { type: 'paragraph', content: line.replace(/^\s*[-*]\s+/, '') };
+      this.walkNodes([node], transcript, headingPath);
+    }
+
+    // Markdown carries no speaker identifiers; "You" is how Limitless labels the wearer
+    for (const utterance of transcript.utterances) {
+      if (utterance.speaker === 'You') {
+        utterance.speakerIdentifier = 'user';
+        utterance.isUser = true;
+      }
+    }
+  }
+
+  /**
+   * Parse one markdown speaker line
+   * @param {string} line - Line such as "- Dana (10/5/26 9:00 AM): text"
+   * @returns {object|null} speaker, time label and text, or null if it is not a speaker line
+   */
+  parseUtteranceLine(line) {
+    const match = line.match(MARKDOWN_UTTERANCE);
+    if (!match) return null;
+    return { speaker: match[1].trim(), time: match[2] || null, text: match[3] };
+  }
+
+  /**
+   * Get the heading level of a node type
+   * @param {string} type - Node type such as heading1
+   * @returns {number|null} Level 1-6, or null for other nodes
+   */
+  headingLevel(type) {
+    if (typeof type !== 'string' || !type.startsWith('heading')) return null;
+    const level = parseInt(type.slice('heading'.length), 10);
+    return Number.isFinite(level) ? Math.min(Math.max(level, 1), 6) : 1;
+  }
+
+  /**
+   * Resolve an absolute ISO time from a node timestamp or offset
+   * @param {string} time - Absolute node time, if present
+   * @param {number} offsetMs - Offset from the lifelog start
+   * @param {string} lifelogStart - Lifelog start time
+   * @returns {string|null} ISO timestamp
+   */
+  resolveTime(time, offsetMs, lifelogStart) {
+    if (time && !Number.isNaN(Date.parse(time))) {
+      return new Date(time).toISOString();
+    }
+    if (Number.isFinite(offsetMs) && lifelogStart && !Number.isNaN(Date.parse(lifelogStart))) {
+      return new Date(Date.parse(lifelogStart) + offsetMs).toISOString();
+    }
+    return null;
+  }
+
+  /**
+   * List speakers in order of first appearance
+   * @param {Array} utterances - Utterances
+   * @returns {Array<object>} name, identifier, isUser and utterance count per speaker
+   */
+  collectSpeakers(utterances) {
+    const speakers = new Map();
+
+    for (const utterance of utterances) {
+      if (!utterance.speaker) continue;
+
+      if (!speakers.has(utterance.speaker)) {
+        speakers.set(utterance.speaker, {
+          name: utterance.speaker,
+          identifier: utterance.speakerIdentifier,
+          isUser: utterance.isUser,
+          utteranceCount: 0
+        });
+      }
+      speakers.get(utterance.speaker).utteranceCount++;
+    }
+
+    return Array.from(speakers.values());
+  }
+}
+
+// Shared with code that rewrites speaker lines in markdown
+TranscriptBuilder.MARKDOWN_UTTERANCE = MARKDOWN_UTTERANCE;
+
+module.exports = TranscriptBuilder;
@@ -0,0 +1,289 @@
+/**
+ * Minimal cron expression matcher.
+ *
+ * node-cron runs jobs but cannot tell when a job was last due, which is
+ * what missed-run catch-up needs. This understands the same five-field
+ * syntax (an optional leading seconds field is accepted and ignored):
+ * numbers, "*", ranges, steps, lists and month/weekday names.
+ */
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Feb 29 comes back within 8 years (2096 to 2104); a schedule with no
+// match in that span, such as Feb 30, never fires
+const MAX_SEARCH_YEARS = 8;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+class CronSchedule {
+  constructor(expression, timezone = 'UTC') {
+    this.expression = expression;
+    this.timezone = timezone;
+    this.fields = CronSchedule.parse(expression);
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+  }
+
+  /**
+   * Parse a cron expression into sets of allowed values per field
+   * @param {string} expression - Cron expression
+   * @returns {object} Allowed values keyed by field name, plus wildcard flags for the day fields
+   */
+  static parse(expression) {
+    if (typeof expression !== 'string') {
+      throw new Error('Cron expression must be a string');
+    }
+
+    let parts = expression.trim().split(/\s+/);
+    if (parts.length === 6) {
+      parts = parts.slice(1);
+    }
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    const fields = {};
+    FIELDS.forEach((field, index) => {
+      fields[field.name] = CronSchedule.parseField(parts[index], field);
+    });
+
+    // Sunday may be written as 0 or 7
+    if (fields.dayOfWeek.has(7)) {
+      fields.dayOfWeek.add(0);
+    }
+
+    fields.anyDayOfMonth = parts[2] === '*';
+    fields.anyDayOfWeek = parts[4] === '*';
+    return fields;
+  }
+
+  /**
+   * Parse one cron field
+   * @param {string} value - Field text, e.g. "1-5" or "0,30"
+   * @param {object} field - Field bounds and optional names
+   * @returns {Set<number>} Allowed values
+   */
+  static parseField(value, field) {
+    const allowed = new Set();
+
+    for (const part of value.split(',')) {
+      const [rangeText, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${part}" in ${field.name}`);
+      }
+
+      let start;
+      let end;
+      if (rangeText === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangeText.includes('-')) {
+        const [from, to] = rangeText.split('-');
+        start = CronSchedule.parseValue(from, field);
+        end = CronSchedule.parseValue(to, field);
+      } else {
+        start = CronSchedule.parseValue(rangeText, field);
+        end = stepText === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw new Error(`Invalid range "${part}" in ${field.name}`);
+      }
+
+      for (let current = start; current <= end; current += step) {
+        allowed.add(current);
+      }
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Parse a single numeric or named cron value
+   * @param {string} text - Value text
+   * @param {object} field - Field bounds and optional names
+   * @returns {number} Parsed value
+   */
+  static parseValue(text, field) {
+    const lower = String(text).toLowerCase();
+    let value;
+
+    if (field.names && field.names.includes(lower)) {
+      value = field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+    } else {
+      value = /^\d+$/.test(lower) ? Number(lower) : NaN;
+    }
+
+    if (isNaN(value) || value < field.min || value > field.max) {
+      throw new Error(`Invalid value "${text}" in ${field.name}`);
+    }
+    return value;
+  }
+
+  /**
+   * Check whether an expression can be parsed
+   * @param {string} expression - Cron expression
+   * @returns {boolean} True if valid
+   */
+  static isValid(expression) {
+    try {
+      CronSchedule.parse(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the local calendar fields of an instant in the schedule's timezone
+   * @param {Date} date - Instant to convert
+   * @returns {object} minute, hour, dayOfMonth, month, year and dayOfWeek
+   */
+  getLocalFields(date) {
+    const parts = {};
+    for (const part of this.formatter.formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+
+    return {
+      minute: Number(parts.minute),
+      hour: Number(parts.hour),
+      dayOfMonth: Number(parts.day),
+      month: Number(parts.month),
+      year: Number(parts.year),
+      dayOfWeek: WEEKDAYS[parts.weekday]
+    };
+  }
+
+  /**
+   * Check whether the schedule fires during the minute containing a date
+   * @param {Date} date - Instant to test
+   * @returns {boolean} True if the schedule matches
+   */
+  matches(date) {
+    const local = this.getLocalFields(date);
+    return this.fields.minute.has(local.minute) && this.fields.hour.has(local.hour) && this.matchesDay(local);
+  }
+
+  /**
+   * Check whether the schedule fires at some time on a local calendar day
+   * @param {object} day - month, dayOfMonth and dayOfWeek
+   * @returns {boolean} True if the day and month match
+   */
+  matchesDay(day) {
+    const { fields } = this;
+    if (!fields.month.has(day.month)) return false;
+
+    // Standard cron: when both day fields are restricted, either may match
+    const dayOfMonth = fields.dayOfMonth.has(day.dayOfMonth);
+    const dayOfWeek = fields.dayOfWeek.has(day.dayOfWeek);
+    if (fields.anyDayOfMonth || fields.anyDayOfWeek) {
+      return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+  }
+
+  /**
+   * Find the most recent scheduled time at or before a date
+   * @param {Date} before - Upper bound (inclusive, to the minute)
+   * @returns {Date|null} Scheduled time, or null if the schedule never fires
+   */
+  previous(before = new Date()) {
+    return this.search(before, -1);
+  }
+
+  /**
+   * Find the next scheduled time after a date
+   * @param {Date} after - Lower bound (exclusive)
+   * @returns {Date|null} Scheduled time, or null if the schedule never fires
+   */
+  next(after = new Date()) {
+    return this.search(after, 1);
+  }
+
+  /**
+   * Walk local calendar days from a date, trying the allowed hours and
+   * minutes of each matching day in order
+   * @param {Date} from - Bound: inclusive to the minute going back, exclusive going forward
+   * @param {number} direction - 1 for the next run, -1 for the previous one
+   * @returns {Date|null} Scheduled time, or null if none within MAX_SEARCH_YEARS
+   */
+  search(from, direction) {
+    const bound = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS;
+    const start = this.getLocalFields(new Date(bound));
+    const startDay = Date.UTC(start.year, start.month - 1, start.dayOfMonth);
+    const startClock = start.hour * 60 + start.minute;
+    const order = values => [...values].sort((a, b) => (a - b) * direction);
+    const hours = order(this.fields.hour);
+    const minutes = order(this.fields.minute);
+
+    for (let offset = 0; offset <= MAX_SEARCH_YEARS * 366; offset++) {
+      const date = new Date(startDay + direction * offset * DAY_MS);
+      const day = {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        dayOfMonth: date.getUTCDate(),
+        dayOfWeek: date.getUTCDay()
+      };
+      if (!this.matchesDay(day)) continue;
+
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          // Skip times on the first day that are on the wrong side of the bound
+          const clock = hour * 60 + minute;
+          if (offset === 0 && (direction > 0 ? clock <= startClock : clock > startClock)) continue;
+
+          // DST can move or skip a wall-clock time, so confirm the instant
+          const candidate = this.toInstant(day, hour, minute);
+          const inRange = direction > 0 ? candidate.getTime() > bound : candidate.getTime() <= bound;
+          if (inRange && this.matches(candidate)) return candidate;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a wall-clock time in the schedule's timezone to an instant
+   * @param {object} day - year, month and dayOfMonth
+   * @param {number} hour - Local hour
+   * @param {number} minute - Local minute
+   * @returns {Date} Instant
+   */
+  toInstant(day, hour, minute) {
+    const wallClock = Date.UTC(day.year, day.month - 1, day.dayOfMonth, hour, minute);
+    // Offset near the guess, then again at the result in case a DST change lies between
+    const guess = wallClock - this.offsetAt(wallClock);
+    return new Date(wallClock - this.offsetAt(guess));
+  }
+
+  /**
+   * Offset of the schedule's timezone from UTC at an instant
+   * @param {number} time - Epoch milliseconds
+   * @returns {number} Offset in milliseconds
+   */
+  offsetAt(time) {
+    const minute = Math.floor(time / MINUTE_MS) * MINUTE_MS;
+    const local = this.getLocalFields(new Date(minute));
+    return Date.UTC(local.year, local.month - 1, local.dayOfMonth, local.hour, local.minute) - minute;
+  }
+}
+
+module.exports = CronSchedule;
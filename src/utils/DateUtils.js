@@ -85,6 +85,20 @@ class DateUtils {
     return !isNaN(date.getTime()) && dateString === date.toISOString().split('T')[0];
   }
 
+  /**
+   * Check whether a timezone is a known IANA identifier
+   * @param {string} timezone - Timezone to validate
+   * @returns {boolean} True if the runtime recognizes the timezone
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Get timezone offset string
    * @param {string} timezone - IANA timezone identifier
@@ -149,6 +163,66 @@ class DateUtils {
     }
   }
 
+  /**
+   * Get the calendar date of a timestamp in a specific timezone
+   * @param {string|Date} date - Timestamp to convert
+   * @param {string} timezone - IANA timezone identifier
+   * @returns {string} Date string in YYYY-MM-DD format
+   */
+  getLocalDate(date, timezone = 'UTC') {
+    return this.convertToTimezone(date, timezone).split('T')[0];
+  }
+
+  /**
+   * Add (or subtract) whole days to a date string
+   * @param {string} dateString - Date in YYYY-MM-DD format
+   * @param {number} days - Number of days to add, negative to subtract
+   * @returns {string} Resulting date in YYYY-MM-DD format
+   */
+  addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Get the day of the week of a date string
+   * @param {string} dateString - Date in YYYY-MM-DD format
+   * @returns {number} 0 (Sunday) to 6 (Saturday)
+   */
+  getWeekday(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  }
+
+  /**
+   * Get the last day of the month containing a date
+   * @param {string} dateString - Date in YYYY-MM-DD format
+   * @returns {string} Last day of that month in YYYY-MM-DD format
+   */
+  getEndOfMonth(dateString) {
+    const [year, month] = dateString.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to a UTC timestamp
+   * @param {string} dateString - Local date in YYYY-MM-DD format
+   * @param {string} time - Local time in HH:MM format
+   * @param {string} timezone - IANA timezone identifier
+   * @returns {string} ISO timestamp in UTC
+   */
+  zonedTimeToUtc(dateString, time = '00:00', timezone = 'UTC') {
+    const wallClock = Date.parse(`${dateString}T${time}:00Z`);
+
+    // Offset of the zone at a given instant, from how that instant reads locally
+    const offsetAt = (instant) => Date.parse(`${this.convertToTimezone(new Date(instant), timezone)}Z`) - instant;
+
+    // Second pass settles times near a DST change
+    let utc = wallClock - offsetAt(wallClock);
+    utc = wallClock - offsetAt(utc);
+    return new Date(utc).toISOString();
+  }
+
   /**
    * Get date boundaries for a specific date in timezone
    * @param {string} date - Date in YYYY-MM-DD format
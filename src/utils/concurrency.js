@@ -0,0 +1,35 @@
+/**
+ * Map over items with at most `limit` mapper calls in flight.
+ *
+ * Results keep the order of the input. The first rejection stops workers
+ * from picking up new items and rejects the whole map.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent mapper calls
+ * @param {Function} mapper - Async function (item, index) => result
+ * @returns {Promise<Array>} Mapped results in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await mapper(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,166 @@
+/**
+ * Error classes for Limitless API failures.
+ *
+ * Each class carries the HTTP status our own routes should respond with,
+ * so handlers can surface upstream failures without a blanket 500.
+ */
+class LimitlessApiError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'LIMITLESS_API_ERROR';
+    this.statusCode = options.statusCode || 502;
+    this.upstreamStatus = options.upstreamStatus || null;
+    this.retryable = options.retryable || false;
+    this.retryAfterMs = options.retryAfterMs === undefined ? null : options.retryAfterMs;
+  }
+
+  /**
+   * Copy this error with a contextual message prefix, keeping its class
+   * @param {string} context - Prefix such as "Failed to fetch lifelogs"
+   * @returns {LimitlessApiError} New error of the same class
+   */
+  withContext(context) {
+    const error = Object.create(Object.getPrototypeOf(this));
+    Object.assign(error, this);
+    error.message = `${context}: ${this.message}`;
+    error.stack = this.stack;
+    return error;
+  }
+}
+
+class AuthenticationError extends LimitlessApiError {
+  constructor(message = 'Invalid or missing Limitless API key', options = {}) {
+    super(message, { code: 'AUTHENTICATION_FAILED', statusCode: 401, ...options });
+  }
+}
+
+class RateLimitError extends LimitlessApiError {
+  constructor(message = 'Limitless API rate limit exceeded', options = {}) {
+    super(message, { code: 'RATE_LIMITED', statusCode: 429, retryable: true, ...options });
+  }
+}
+
+class NotFoundError extends LimitlessApiError {
+  constructor(message = 'Resource not found', options = {}) {
+    super(message, { code: 'NOT_FOUND', statusCode: 404, ...options });
+  }
+}
+
+class TransientError extends LimitlessApiError {
+  constructor(message = 'Limitless API temporarily unavailable', options = {}) {
+    super(message, { code: 'UPSTREAM_UNAVAILABLE', statusCode: 503, retryable: true, ...options });
+  }
+}
+
+class CancelledError extends LimitlessApiError {
+  constructor(message = 'Request was cancelled', options = {}) {
+    super(message, { code: 'CANCELLED', statusCode: 499, ...options });
+  }
+}
+
+/**
+ * A request named a profile that does not exist. Not an upstream failure,
+ * but routes map it to a status the same way.
+ */
+class ProfileNotFoundError extends Error {
+  constructor(message = 'Profile not found') {
+    super(message);
+    this.name = 'ProfileNotFoundError';
+    this.code = 'PROFILE_NOT_FOUND';
+    this.statusCode = 404;
+  }
+}
+
+// Network-level failures worth retrying
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'
+]);
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number} value - Seconds or an HTTP date
+ * @param {Date} now - Reference time
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value, now = new Date()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return Math.max(0, date.getTime() - now.getTime());
+}
+
+/**
+ * Throw a CancelledError if an abort signal has fired
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new CancelledError();
+  }
+}
+
+/**
+ * Classify an axios (or other) error into a LimitlessApiError subclass
+ * @param {Error} error - Error thrown by axios
+ * @returns {LimitlessApiError} Classified error
+ */
+function fromAxiosError(error) {
+  if (error instanceof LimitlessApiError) return error;
+
+  const response = error.response;
+  if (!response) {
+    if (error.code === 'ERR_CANCELED') {
+      return new CancelledError();
+    }
+    if (!error.code || TRANSIENT_NETWORK_CODES.has(error.code)) {
+      return new TransientError(`Could not reach Limitless API: ${error.message}`);
+    }
+    return new LimitlessApiError(error.message);
+  }
+
+  const status = response.status;
+  const upstreamMessage = response.data?.error || response.data?.message || error.message;
+  const options = { upstreamStatus: status };
+
+  if (status === 401 || status === 403) {
+    return new AuthenticationError(upstreamMessage || undefined, options);
+  }
+  if (status === 404) {
+    return new NotFoundError(upstreamMessage || undefined, options);
+  }
+  if (status === 429) {
+    return new RateLimitError(upstreamMessage || undefined, {
+      ...options,
+      retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+    });
+  }
+  if (status >= 500 || status === 408) {
+    return new TransientError(upstreamMessage || undefined, {
+      ...options,
+      retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+    });
+  }
+
+  // Remaining 4xx responses mean the request itself was rejected
+  return new LimitlessApiError(upstreamMessage, { ...options, code: 'BAD_REQUEST', statusCode: 400 });
+}
+
+module.exports = {
+  LimitlessApiError,
+  AuthenticationError,
+  RateLimitError,
+  NotFoundError,
+  TransientError,
+  CancelledError,
+  ProfileNotFoundError,
+  parseRetryAfter,
+  throwIfAborted,
+  fromAxiosError
+};
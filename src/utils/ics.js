@@ -0,0 +1,111 @@
+// iCalendar (RFC 5545) output for date mentions found in lifelogs
+
+const PRODUCT_ID = '-//Limitless Lifelog Parser//Date Mentions//EN';
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets as the spec requires
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time
+ * @param {string|Date} time - Timestamp
+ * @returns {string} e.g. 20261006T200000Z
+ */
+function formatDateTime(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a YYYY-MM-DD date as an iCalendar date
+ * @param {string} date - Date string
+ * @returns {string} e.g. 20261006
+ */
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Array} events - uid, summary, description, categories, and either
+ *   start/end timestamps or an all-day date
+ * @param {object} options - Calendar name and DTSTAMP time
+ * @returns {string} .ics content
+ */
+function buildCalendar(events, options = {}) {
+  const { name = 'Lifelog follow-ups', stamp = new Date() } = options;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatDateTime(stamp)}`);
+
+    if (event.start) {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      lines.push(`DTEND:${formatDateTime(event.end || event.start)}`);
+    } else {
+      // All-day events end (exclusively) on the following day
+      const next = new Date(`${event.date}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(next.toISOString().split('T')[0])}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.categories && event.categories.length > 0) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  buildCalendar
+};
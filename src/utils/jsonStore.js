@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist
+ * @param {string} label - What the file holds, for error messages
+ * @returns {Promise<*>} Parsed content
+ */
+async function readJson(filePath, fallback, label = 'JSON') {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Failed to read ${label} file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a file atomically so a crash never leaves it half-written
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ * @param {object} options - mode for the new file
+ */
+async function writeFileAtomic(filePath, content, options = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content, options.mode === undefined ? undefined : { mode: options.mode });
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Write JSON atomically
+ * @param {string} filePath - Destination path
+ * @param {*} data - Data to serialize
+ * @param {object} options - compact (no indentation) and mode for the new file
+ */
+async function writeJson(filePath, data, options = {}) {
+  const content = options.compact ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+  await writeFileAtomic(filePath, content, options);
+}
+
+/**
+ * Create a queue that runs async tasks one at a time, in the order given.
+ * A failed task rejects its own call but does not stop the ones after it.
+ * @returns {Function} serialize(task) resolving to the task's result
+ */
+function createSerializer() {
+  let chain = Promise.resolve();
+
+  return (task) => {
+    const run = chain.then(task, task);
+    chain = run.catch(() => {});
+    return run;
+  };
+}
+
+/**
+ * Wrap a loader so concurrent callers share one call and its result.
+ * A failed load is forgotten, so the next call tries again.
+ * @param {Function} loader - Async function to run once
+ * @returns {Function} Function returning the shared promise
+ */
+function loadOnce(loader) {
+  let loading = null;
+
+  return () => {
+    if (!loading) {
+      loading = loader();
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  };
+}
+
+/**
+ * A JSON file kept in memory: read once, however many callers ask at the
+ * same time, and written back atomically one save at a time. Every caller
+ * gets the same state object, so changes made to it are written by save().
+ * @param {object} options - filePath, label (for errors), fallback (function
+ *   returning the state of a missing file) and mode for the written file
+ * @returns {object} load(), save() and the loaded state (null until then)
+ */
+function createJsonStore(options) {
+  const { filePath, label, fallback, mode } = options;
+  const serialize = createSerializer();
+  let state = null;
+
+  const load = loadOnce(async () => {
+    const data = await readJson(filePath, null, label);
+    state = data === null ? fallback() : data;
+    return state;
+  });
+
+  return {
+    load,
+    save: () => serialize(() => writeJson(filePath, state, { mode })),
+    get state() {
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  readJson,
+  writeJson,
+  writeFileAtomic,
+  createSerializer,
+  loadOnce,
+  createJsonStore
+};
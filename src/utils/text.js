@@ -0,0 +1,94 @@
+// Words too common to help ranking or matching
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'let', 'like', 'me', 'more', 'my',
+  'no', 'not', 'now', 'of', 'oh', 'ok', 'okay', 'on', 'one', 'or', 'our', 'out', 'really', 'so',
+  'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'to', 'too', 'um', 'uh', 'up', 'us', 'very', 'was', 'we', 'well', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would', 'yeah', 'yes', 'you', 'your'
+]);
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+/**
+ * Reduce a lowercase word to a rough stem so "contracts" matches "contract".
+ * Deliberately light: only common English inflections are stripped.
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  let result = word.replace(/['’]s$/, '');
+  if (result.length <= 3) return result;
+
+  // Plurals first, so "meetings" and "meeting" share a stem
+  if (result.endsWith('ies') && result.length > 4) return `${result.slice(0, -3)}y`;
+  if (/(?:sh|ch|x|ss)es$/.test(result)) result = result.slice(0, -2);
+  else if (result.endsWith('s') && !result.endsWith('ss') && !result.endsWith('us')) result = result.slice(0, -1);
+
+  if (result.endsWith('ing') && result.length > 5) result = result.slice(0, -3);
+  else if (result.endsWith('ed') && result.length > 4) result = result.slice(0, -2);
+
+  // "planning" -> "plann" -> "plan"
+  if (/([^aeiouls])\1$/.test(result)) result = result.slice(0, -1);
+  return result;
+}
+
+/**
+ * Split text into lowercase words with their positions
+ * @param {string} text - Text to split
+ * @returns {Array<object>} word, start and end offset per word
+ */
+function words(text) {
+  const result = [];
+  for (const match of String(text || '').matchAll(WORD)) {
+    result.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return result;
+}
+
+/**
+ * Turn text into index terms: lowercase stems without stop words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms in order of appearance
+ */
+function tokenize(text) {
+  return words(text)
+    .filter(({ word }) => !STOP_WORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+    .map(({ word }) => stem(word));
+}
+
+/**
+ * Find the spans of words in text whose stems are among the given terms
+ * @param {string} text - Text to scan
+ * @param {Set<string>|Array<string>} terms - Terms from tokenize()
+ * @returns {Array<Array<number>>} [start, end] offsets
+ */
+function findTermSpans(text, terms) {
+  const wanted = terms instanceof Set ? terms : new Set(terms);
+  return words(text)
+    .filter(({ word }) => wanted.has(stem(word)))
+    .map(({ start, end }) => [start, end]);
+}
+
+/**
+ * Split utterance text into sentences
+ * @param {string} text - Utterance text
+ * @returns {Array<string>} Sentences
+ */
+function splitSentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  STOP_WORDS,
+  stem,
+  words,
+  tokenize,
+  findTermSpans,
+  splitSentences
+};
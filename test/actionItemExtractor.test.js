@@ -0,0 +1,65 @@
+const ActionItemExtractor = require('../src/services/ActionItemExtractor');
+const { conversation: meeting } = require('./helpers/fixtures');
+
+describe('ActionItemExtractor', () => {
+  const extractor = new ActionItemExtractor();
+
+  test('finds commitments with owner, recipient and due phrase', () => {
+    const [item] = extractor.extract([meeting([
+      ['You', 'Where are we on the slides?'],
+      ['Dana', "Almost done. I'll send the deck to Marcus by Friday."]
+    ])]);
+
+    expect(item).toMatchObject({
+      lifelogId: 'meeting',
+      utteranceId: 'meeting:1',
+      kind: 'commitment',
+      owner: 'Dana',
+      recipient: 'You',
+      task: 'send the deck to Marcus',
+      due: 'by Friday',
+      quote: "I'll send the deck to Marcus by Friday.",
+      startTime: '2026-10-05T14:01:00.000Z'
+    });
+  });
+
+  test('assigns requests to the person asked', () => {
+    const items = extractor.extract([meeting([
+      ['You', 'Sam, can you book the room for next Tuesday at 3pm?'],
+      ['Dana', 'I think that works.'],
+      ['Sam', 'Sure.']
+    ])]);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({
+      kind: 'request',
+      owner: 'Sam',
+      recipient: 'You',
+      task: 'book the room',
+      due: 'next Tuesday at 3pm'
+    });
+  });
+
+  test('reads explicit markers and third-person assignments', () => {
+    const items = extractor.extract([meeting([
+      ['You', 'Action item: Priya will update the budget sheet.'],
+      ['Dana', 'And Marcus is going to review the contract tomorrow.']
+    ])]);
+
+    expect(items.map(item => [item.kind, item.owner, item.task, item.due])).toEqual([
+      ['explicit', 'Priya', 'update the budget sheet', null],
+      ['assignment', 'Marcus', 'review the contract', 'tomorrow']
+    ]);
+  });
+
+  test('ignores proposals, hedges and repeats', () => {
+    const items = extractor.extract([meeting([
+      ['You', 'Can we meet on Monday?'],
+      ['Dana', "I'll be honest, I don't know. We'll see."],
+      ['You', "I'll call the vendor."],
+      ['You', "Okay, I'll call the vendor."]
+    ])]);
+
+    expect(items.map(item => item.task)).toEqual(['call the vendor']);
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LifelogCache = require('../src/services/LifelogCache');
+const ChangeTracker = require('../src/services/ChangeTracker');
+
+const lifelog = (id, title, markdown = `- You: ${title}`) => ({
+  id,
+  title,
+  markdown,
+  startTime: '2026-10-05T15:00:00Z',
+  endTime: '2026-10-05T15:10:00Z',
+  contents: [{ type: 'blockquote', content: markdown }]
+});
+
+describe('ChangeTracker', () => {
+  let directory;
+  let tracker;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-changes-'));
+    tracker = new ChangeTracker(new LifelogCache('test', { directory }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('reports lifelogs added, removed and modified since export', async () => {
+    await tracker.recordExport('2026-10-05', 'UTC', [
+      lifelog('a', 'Standup'),
+      lifelog('b', 'Lunch'),
+      lifelog('c', 'Call')
+    ], { format: 'consolidated' });
+
+    const report = await tracker.detectChanges('2026-10-05', 'UTC', [
+      lifelog('a', 'Standup'),
+      lifelog('b', 'Lunch with Sam', '- You: Lunch with Sam, re-transcribed'),
+      lifelog('d', 'Walk')
+    ]);
+
+    expect(report.stale).toBe(true);
+    expect(report.unchanged).toBe(1);
+    expect(report.added.map(entry => entry.id)).toEqual(['d']);
+    expect(report.removed.map(entry => entry.id)).toEqual(['c']);
+    expect(report.modified).toHaveLength(1);
+    expect(report.modified[0]).toMatchObject({
+      id: 'b',
+      changes: ['title', 'transcript'],
+      titleChange: { from: 'Lunch', to: 'Lunch with Sam' }
+    });
+  });
+
+  test('speaker aliases applied after caching are not reported as transcript changes', async () => {
+    const raw = lifelog('a', 'Standup', '- Speaker 1: shipping today');
+    raw.contents = [{ type: 'blockquote', content: 'shipping today', speakerName: 'Speaker 1' }];
+    await tracker.cache.upsertLifelogs([raw]);
+
+    const aliased = (name) => ({
+      ...raw,
+      markdown: `- ${name}: shipping today`,
+      contents: [{ ...raw.contents[0], speakerName: name, rawSpeakerName: 'Speaker 1' }]
+    });
+    await tracker.recordExport('2026-10-05', 'UTC', [aliased('Sam')]);
+
+    const report = await tracker.detectChanges('2026-10-05', 'UTC', [aliased('Samantha')]);
+    expect(report).toMatchObject({ stale: false, unchanged: 1, modified: [] });
+  });
+
+  test('returns null for dates that were never exported', async () => {
+    expect(await tracker.detectChanges('2026-10-06', 'UTC', [])).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+const ConversationSegmenter = require('../src/services/ConversationSegmenter');
+const TokenOptimizer = require('../src/services/TokenOptimizer');
+
+const at = (minute, second = 0) => `2026-10-05T14:${String(minute).padStart(2, '0')}:${String(second).padStart(2, '0')}.000Z`;
+
+const utterance = (speakerName, content, minute) => ({
+  type: 'blockquote',
+  content,
+  speakerName,
+  startTime: at(minute),
+  endTime: at(minute, 30)
+});
+
+const lifelog = (id, title, contents) => ({
+  id,
+  title,
+  startTime: contents[0].startTime,
+  endTime: contents[contents.length - 1].endTime,
+  markdown: contents.map(node => `- ${node.speakerName || ''}: ${node.content}`).join('\n'),
+  contents
+});
+
+describe('ConversationSegmenter', () => {
+  const segmenter = new ConversationSegmenter();
+
+  test('splits a lifelog at long silences and at shorter ones before a new speaker', () => {
+    const segments = segmenter.segment([
+      lifelog('a', 'Morning', [
+        { type: 'heading2', content: 'Budget' },
+        utterance('You', 'Where are we on the budget?', 0),
+        utterance('Dana', 'Almost done.', 1),
+        // 3 minutes of silence, then someone new
+        utterance('Marcus', 'Got a minute about hiring?', 5),
+        utterance('You', 'Sure.', 6),
+        // 10 minutes of silence
+        utterance('You', 'Reminder to call the bank.', 17)
+      ])
+    ]);
+
+    expect(segments.map(segment => segment.participants)).toEqual([['You', 'Dana'], ['Marcus', 'You'], ['You']]);
+    expect(segments[0]).toMatchObject({ title: 'Budget', startTime: at(0), endTime: at(1, 30), durationMs: 90000 });
+    expect(segments[2].title).toBe('Budget');
+  });
+
+  test('merges adjacent lifelogs that continue one conversation', () => {
+    const lifelogs = [
+      lifelog('b', 'Part two', [utterance('Dana', 'As I was saying...', 3)]),
+      lifelog('a', 'Part one', [utterance('Dana', 'Let me explain the plan.', 0), utterance('You', 'Go ahead.', 1)])
+    ];
+
+    const merged = segmenter.segment(lifelogs);
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ lifelogIds: ['a', 'b'], title: 'Part one' });
+
+    expect(segmenter.segment(lifelogs, { mergeLifelogs: false })).toHaveLength(2);
+  });
+
+  test('is available as the conversation chunk strategy', async () => {
+    const optimizer = new TokenOptimizer();
+    const lifelogs = [
+      lifelog('a', 'Morning', [
+        utterance('You', 'First topic. '.repeat(20), 0),
+        utterance('Dana', 'Second topic. '.repeat(20), 20)
+      ])
+    ];
+
+    const result = await optimizer.optimizeForChatGPT(lifelogs, {
+      maxTokens: 120,
+      chunkStrategy: 'conversation',
+      silenceGapMinutes: undefined
+    });
+
+    expect(result.strategy).toBe('conversation');
+    expect(result.conversations.map(conversation => conversation.participants)).toEqual([['You'], ['Dana']]);
+    expect(result.chunks.every(chunk => chunk.type === 'conversation')).toBe(true);
+    expect(result.chunks[0].content).toContain('- You: First topic.');
+  });
+});
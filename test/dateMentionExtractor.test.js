@@ -0,0 +1,86 @@
+const DateMentionExtractor = require('../src/services/DateMentionExtractor');
+const { buildCalendar, foldLine } = require('../src/utils/ics');
+
+// Monday, October 5 2026, 9:00 in Chicago
+const reference = { referenceTime: '2026-10-05T14:00:00.000Z', timezone: 'America/Chicago' };
+
+describe('DateMentionExtractor.parse', () => {
+  const extractor = new DateMentionExtractor();
+  const parseOne = (text) => {
+    const [mention] = extractor.parse(text, reference);
+    return mention && [mention.text, mention.kind, mention.date, mention.time];
+  };
+
+  test('resolves weekdays relative to when they were said', () => {
+    expect(parseOne('I will send it by Friday')).toEqual(['Friday', 'deadline', '2026-10-09', null]);
+    expect(parseOne('Tuesday at 3 works for me')).toEqual(['Tuesday at 3', 'event', '2026-10-06', '15:00']);
+    expect(parseOne('Can we meet next Tuesday at 3pm?')).toEqual(['next Tuesday at 3pm', 'event', '2026-10-13', '15:00']);
+    expect(parseOne('See you Monday')).toEqual(['Monday', 'event', '2026-10-12', null]);
+  });
+
+  test('resolves periods, offsets and calendar dates', () => {
+    expect(parseOne('before the end of the month')).toEqual(['the end of the month', 'deadline', '2026-10-31', null]);
+    expect(parseOne('EOD please')).toEqual(['EOD', 'deadline', '2026-10-05', '17:00']);
+    expect(parseOne('tomorrow morning')).toEqual(['tomorrow morning', 'event', '2026-10-06', '09:00']);
+    expect(parseOne('in two weeks')).toEqual(['in two weeks', 'event', '2026-10-19', null]);
+    expect(parseOne('3pm on Wednesday')).toEqual(['3pm on Wednesday', 'event', '2026-10-07', '15:00']);
+    expect(parseOne('on Oct 12th at 10:30am')).toEqual(['Oct 12th at 10:30am', 'event', '2026-10-12', '10:30']);
+    expect(parseOne('January 3')).toEqual(['January 3', 'event', '2027-01-03', null]);
+  });
+
+  test('converts timed mentions to UTC in the user timezone', () => {
+    const [mention] = extractor.parse('next Tuesday at 3pm', reference);
+    expect(mention.start).toBe('2026-10-13T20:00:00.000Z');
+    expect(mention.allDay).toBe(false);
+  });
+
+  test('ignores numbers that are not times and flags past dates', () => {
+    expect(extractor.parse('we have 3 options and 10 people', reference)).toEqual([]);
+    expect(extractor.parse('last Monday we met', reference)[0]).toMatchObject({ date: '2026-09-28', past: true });
+  });
+});
+
+describe('DateMentionExtractor.extract', () => {
+  const lifelog = {
+    id: 'planning',
+    title: 'Planning',
+    startTime: '2026-10-05T14:00:00.000Z',
+    contents: [
+      { type: 'blockquote', speakerName: 'You', content: 'Where is the deck?', startTime: '2026-10-05T14:00:00.000Z' },
+      { type: 'blockquote', speakerName: 'Dana', content: "I'll send the deck by Friday.", startTime: '2026-10-05T14:01:00.000Z' },
+      { type: 'blockquote', speakerName: 'You', content: 'Yesterday was busy. Lunch at noon tomorrow?', startTime: '2026-10-05T14:02:00.000Z' }
+    ]
+  };
+
+  test('emits future candidates with quotes, using action items as summaries', () => {
+    const candidates = new DateMentionExtractor().extract([lifelog], { timezone: 'America/Chicago' });
+
+    expect(candidates.map(c => [c.kind, c.summary, c.date, c.time])).toEqual([
+      ['deadline', 'Dana: send the deck', '2026-10-09', null],
+      ['event', 'Lunch at noon tomorrow?', '2026-10-06', '12:00']
+    ]);
+    expect(candidates[0]).toMatchObject({ lifelogId: 'planning', quote: "I'll send the deck by Friday.", speaker: 'Dana', allDay: true });
+    expect(candidates[1]).toMatchObject({ start: '2026-10-06T17:00:00.000Z', end: '2026-10-06T17:30:00.000Z' });
+  });
+
+  test('renders candidates as an iCalendar file', () => {
+    const extractor = new DateMentionExtractor();
+    const ics = extractor.toCalendar(extractor.extract([lifelog], { timezone: 'America/Chicago' }));
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('SUMMARY:Due: Dana: send the deck');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20261009\r\nDTEND;VALUE=DATE:20261010');
+    expect(ics).toContain('DTSTART:20261006T170000Z\r\nDTEND:20261006T173000Z');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+  });
+});
+
+describe('ics', () => {
+  test('escapes text and folds long lines', () => {
+    const ics = buildCalendar([{ uid: 'a', summary: 'Call; then, write', date: '2026-10-05' }], { stamp: '2026-10-05T00:00:00Z' });
+    expect(ics).toContain('SUMMARY:Call\\; then\\, write');
+
+    const folded = foldLine(`DESCRIPTION:${'x'.repeat(100)}`);
+    expect(folded.split('\r\n').map(line => line.length)).toEqual([75, 38]);
+  });
+});
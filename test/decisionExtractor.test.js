@@ -0,0 +1,76 @@
+const DecisionExtractor = require('../src/services/DecisionExtractor');
+const { conversation: meeting } = require('./helpers/fixtures');
+
+describe('DecisionExtractor', () => {
+  const extractor = new DecisionExtractor();
+
+  test('records a decision with participants, context and confirmation', () => {
+    const [decision, ...rest] = extractor.extract([meeting([
+      ['Dana', 'Legal wants a shorter notice period.'],
+      ['Sam', 'The three-year option is cheaper though.'],
+      ['You', 'We decided to go with the two-year term.'],
+      ['Dana', 'Agreed. I will update the contract.'],
+      ['Sam', 'Fine by me.']
+    ])], { timezone: 'America/Chicago' });
+
+    expect(rest).toHaveLength(0);
+    expect(decision).toMatchObject({
+      lifelogId: 'meeting',
+      utteranceId: 'meeting:2',
+      date: '2026-10-05',
+      decision: 'Go with the two-year term',
+      quote: 'We decided to go with the two-year term.',
+      decidedBy: 'You',
+      confirmedBy: ['Dana'],
+      participants: ['Dana', 'Sam', 'You']
+    });
+    expect(decision.context.map(line => line.utteranceId)).toEqual(['meeting:0', 'meeting:1', 'meeting:2', 'meeting:3']);
+  });
+
+  test('recognizes other ways of stating a decision and skips questions', () => {
+    const decisions = extractor.extract([meeting([
+      ["Let's go with the blue logo."],
+      ['Should we decide to cancel the offsite?'],
+      ['Okay, the launch date is final.'],
+      ['Marcus approved the budget.'],
+      ['The decision is to hire two contractors.'],
+      ["I'm not sure about the venue yet."]
+    ].map(([text]) => ['Dana', text]))]);
+
+    expect(decisions.map(decision => decision.decision)).toEqual([
+      'The blue logo',
+      'The launch date is final',
+      'Marcus approved the budget',
+      'Hire two contractors'
+    ]);
+  });
+
+  test('dates decisions across days in time order', () => {
+    const decisions = extractor.extract([
+      meeting([['You', 'We agreed to ship on Monday.']], { id: 'later', day: '06' }),
+      meeting([['You', 'We decided to skip the demo.']], { id: 'earlier' })
+    ]);
+
+    expect(decisions.map(decision => [decision.lifelogId, decision.date])).toEqual([
+      ['earlier', '2026-10-05'],
+      ['later', '2026-10-06']
+    ]);
+  });
+
+  test('formats the log as Markdown grouped by day', () => {
+    const decisions = extractor.extract([meeting([
+      ['You', 'We decided to go with the two-year term.'],
+      ['Dana', 'Agreed.']
+    ])], { timezone: 'UTC' });
+
+    const markdown = extractor.formatMarkdown(decisions, { startDate: '2026-10-05', endDate: '2026-10-05', timezone: 'UTC' });
+
+    expect(markdown).toContain('# Decision Log - 2026-10-05');
+    expect(markdown).toContain('_1 decision from 1 conversation. Times in UTC._');
+    expect(markdown).toContain('## 2026-10-05');
+    expect(markdown).toContain('### Go with the two-year term');
+    expect(markdown).toContain('- **When:** 2:00 PM - Planning');
+    expect(markdown).toContain('- **Decided by:** You (confirmed by Dana)');
+    expect(markdown).toContain('> **Dana:** Agreed.');
+  });
+});
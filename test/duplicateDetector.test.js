@@ -0,0 +1,33 @@
+const DuplicateDetector = require('../src/services/DuplicateDetector');
+const TranscriptBuilder = require('../src/services/TranscriptBuilder');
+
+describe('DuplicateDetector', () => {
+  const original = 'Most adults need between seven and nine hours of sleep every night to stay sharp.';
+
+  test('reports near-duplicate utterances against the first occurrence', () => {
+    const detector = new DuplicateDetector();
+    const index = detector.createIndex();
+
+    expect(detector.checkUtterance(index, original, { id: 1 })).toBeNull();
+    const duplicate = detector.checkUtterance(index, 'most adults need between seven and nine hours of sleep each night to stay sharp', { id: 2 });
+    expect(duplicate.duplicateOf).toEqual({ id: 1 });
+    expect(duplicate.similarity).toBeGreaterThanOrEqual(DuplicateDetector.UTTERANCE_THRESHOLD);
+
+    expect(detector.checkUtterance(index, 'Most teenagers need between eight and ten hours of sleep to grow properly.', { id: 3 })).toBeNull();
+    expect(detector.checkUtterance(index, 'Sounds good, see you then.', { id: 4 })).toBeNull();
+    expect(detector.checkUtterance(index, 'Sounds good, see you then.', { id: 5 })).toBeNull();
+  });
+
+  test('matches whole lifelogs with the same transcript', () => {
+    const detector = new DuplicateDetector();
+    const builder = new TranscriptBuilder();
+    const index = detector.createIndex();
+    const lifelog = { id: 'a', title: 'Podcast', markdown: `- Unknown: ${original}\n- Unknown: Welcome back to the show, today we are talking about sleep.` };
+
+    expect(detector.checkLifelog(index, builder.build(lifelog))).toBeNull();
+    expect(detector.checkLifelog(index, builder.build({ ...lifelog, id: 'b' }))).toEqual({
+      duplicateOf: { lifelogId: 'a', title: 'Podcast', startTime: null },
+      similarity: 1
+    });
+  });
+});
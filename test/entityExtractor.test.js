@@ -0,0 +1,93 @@
+const EntityExtractor = require('../src/services/EntityExtractor');
+
+const names = (mentions) => mentions.map(({ name, type }) => `${type}:${name}`);
+
+describe('EntityExtractor', () => {
+  const extractor = new EntityExtractor();
+
+  test('finds entities by rule and built-in gazetteer', () => {
+    const mentions = extractor.extractFromText(
+      'Dr. Jane Smith flew in from Boston. We met with Sarah at Main Street Park, then the ' +
+      'Globex Corporation team said yes. I will ping Tom in Reno about the iPhone build on Monday.'
+    );
+
+    expect(names(mentions)).toEqual([
+      'person:Jane Smith',
+      'place:Boston',
+      'person:Sarah',
+      'place:Main Street Park',
+      'organization:Globex Corporation',
+      'person:Tom',
+      'place:Reno',
+      'product:iPhone'
+    ]);
+  });
+
+  test('counts later mentions of rule-found names and recognizes speakers', () => {
+    const mentions = extractor.extractFromText(
+      'Send the deck to Marcus. Marcus is out today. Priya has the numbers.',
+      { people: ['Priya', 'You', 'Speaker 2'] }
+    );
+
+    expect(extractor.summarize(mentions)).toEqual([
+      { name: 'Marcus', type: 'person', count: 2 },
+      { name: 'Priya', type: 'person', count: 1 }
+    ]);
+  });
+
+  test('lets the gazetteer add aliases, retype names and ignore false positives', () => {
+    const custom = new EntityExtractor({
+      gazetteer: [
+        { name: 'Acme Corp', type: 'organization', aliases: ['Acme'] },
+        { name: 'Orbit', type: 'product' },
+        { name: 'Legal', type: 'ignore' }
+      ]
+    });
+
+    const mentions = custom.extractFromText('Acme wants Orbit by Friday. I talked with Legal and with Acme Corp.');
+
+    expect(custom.summarize(mentions)).toEqual([
+      { name: 'Acme Corp', type: 'organization', count: 2 },
+      { name: 'Orbit', type: 'product', count: 1 }
+    ]);
+  });
+
+  test('ignores speaker labels and timestamps in formatted exports', () => {
+    const entities = extractor.extractFromExport(
+      '[10/5/2026, 2:00:00 PM] ## Planning\n\n- Dana (10/5/26 9:00 AM): We fly to Denver with Sam.'
+    );
+
+    expect(entities.map(entity => entity.name).sort()).toEqual(['Denver', 'Sam']);
+  });
+
+  test('counts mentions per day across lifelogs', () => {
+    const lifelog = (id, startTime, content) => ({
+      id,
+      title: 'Call',
+      startTime,
+      contents: [{ type: 'blockquote', content, speakerName: 'You', startTime }]
+    });
+
+    const results = extractor.extract([
+      lifelog('a', '2026-10-05T15:00:00.000Z', 'I met with Marcus in Chicago.'),
+      lifelog('b', '2026-10-07T15:00:00.000Z', 'Marcus said the Chicago office is ready.')
+    ], { timezone: 'UTC' });
+
+    expect(extractor.countOverTime(results, ['2026-10-05', '2026-10-06', '2026-10-07'])).toEqual([
+      {
+        name: 'Chicago',
+        type: 'place',
+        total: 2,
+        lifelogCount: 2,
+        timeline: [{ date: '2026-10-05', count: 1 }, { date: '2026-10-06', count: 0 }, { date: '2026-10-07', count: 1 }]
+      },
+      {
+        name: 'Marcus',
+        type: 'person',
+        total: 2,
+        lifelogCount: 2,
+        timeline: [{ date: '2026-10-05', count: 1 }, { date: '2026-10-06', count: 0 }, { date: '2026-10-07', count: 1 }]
+      }
+    ]);
+  });
+});
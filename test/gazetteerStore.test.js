@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GazetteerStore = require('../src/services/GazetteerStore');
+
+describe('GazetteerStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-gazetteer-'));
+    filePath = path.join(directory, 'gazetteer.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('replaces an entry with the same name and persists it', async () => {
+    const store = new GazetteerStore({ filePath });
+    const first = await store.addEntry({ name: 'Acme  Corp', type: 'place' });
+    const second = await store.addEntry({ name: 'acme corp', type: 'organization', aliases: ['Acme', ' Acme ', 'acme corp'] });
+
+    expect(second.id).toBe(first.id);
+    expect(second).toMatchObject({ name: 'acme corp', type: 'organization', aliases: ['Acme'] });
+
+    const reloaded = new GazetteerStore({ filePath });
+    expect(await reloaded.listEntries()).toEqual([second]);
+    expect(await reloaded.removeEntry(second.id)).toBe(true);
+    expect(await reloaded.removeEntry(second.id)).toBe(false);
+  });
+
+  test('validates names, types and aliases', async () => {
+    const store = new GazetteerStore({ filePath });
+
+    expect(store.validateEntry({ name: 'Orbit', type: 'product' })).toEqual([]);
+    expect(store.validateEntry({ name: ' ', type: 'gadget', aliases: 'Orb' })).toEqual([
+      'name is required',
+      'type must be one of: person, organization, place, product, ignore',
+      'aliases must be a list of names'
+    ]);
+    await expect(store.addEntry({ name: 'Orbit' })).rejects.toThrow('Invalid gazetteer entry');
+  });
+
+  test('keeps entries added by callers that loaded the store at the same time', async () => {
+    const store = new GazetteerStore({ filePath });
+    await Promise.all([
+      store.addEntry({ name: 'Acme Corp', type: 'organization' }),
+      store.addEntry({ name: 'Denver', type: 'place' })
+    ]);
+
+    const reloaded = new GazetteerStore({ filePath });
+    expect((await reloaded.listEntries()).map(entry => entry.name)).toEqual(['Acme Corp', 'Denver']);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Lifelog factories shared by the service tests.
+ */
+
+/**
+ * Lifelog with one blockquote content node per line, a minute apart from 14:00 UTC
+ * @param {Array} lines - [speakerName, content] pairs
+ * @param {object} options - id (default 'meeting'), title (default 'Planning') and day of October 2026 (default '05')
+ * @returns {object} Lifelog
+ */
+const conversation = (lines, { id = 'meeting', title = 'Planning', day = '05' } = {}) => ({
+  id,
+  title,
+  startTime: `2026-10-${day}T14:00:00.000Z`,
+  contents: lines.map(([speakerName, content], index) => ({
+    type: 'blockquote',
+    content,
+    speakerName,
+    startTime: `2026-10-${day}T14:0${index}:00.000Z`
+  }))
+});
+
+/**
+ * Lifelog whose markdown is its title as a heading and one list item per line
+ * @param {string} id - Lifelog ID
+ * @param {string} startTime - ISO start time
+ * @param {string} title - Title
+ * @param {Array<string>} lines - "Speaker: text" lines
+ * @param {object} extra - Other fields, such as endTime or isStarred
+ * @returns {object} Lifelog
+ */
+const markdownLifelog = (id, startTime, title, lines, extra = {}) => ({
+  id,
+  title,
+  startTime,
+  markdown: `# ${title}\n\n${lines.map(line => `- ${line}`).join('\n')}`,
+  ...extra
+});
+
+module.exports = {
+  conversation,
+  markdownLifelog
+};
@@ -0,0 +1,37 @@
+const ImportanceScorer = require('../src/services/ImportanceScorer');
+const { markdownLifelog: lifelog } = require('./helpers/fixtures');
+
+describe('ImportanceScorer', () => {
+  const planning = lifelog('a', '2026-10-05T14:00:00Z', 'Planning',
+    ['Dana: We decided the deadline for the Acme Corp contract is Friday.', 'Marcus: Agreed, next steps are mine.', 'You: I will follow up.'],
+    { endTime: '2026-10-05T15:00:00Z', isStarred: true });
+  const chat = lifelog('b', '2026-10-12T14:00:00Z', 'Chat', ['You: Nice weather today.'], { endTime: '2026-10-12T14:03:00Z' });
+
+  test('explains every factor of the score', () => {
+    const [scored, other] = new ImportanceScorer().scoreAll([planning, chat]);
+    const factor = name => scored.factors.find(item => item.name === name);
+
+    expect(scored.factors.map(item => item.name)).toEqual(['starred', 'duration', 'speakers', 'keywords', 'entities', 'recency']);
+    expect(factor('starred')).toMatchObject({ value: true, points: 20, maxPoints: 20 });
+    expect(factor('duration')).toMatchObject({ value: 60, points: 15, detail: '60 min' });
+    expect(factor('speakers')).toMatchObject({ value: 3, points: 10, detail: 'Dana, Marcus, You' });
+    expect(factor('keywords').detail).toContain('deadlines (3)');
+    expect(factor('entities').detail).toContain('Acme Corp');
+    expect(factor('recency')).toMatchObject({ value: 7, points: 7.5, detail: '7 days before the newest' });
+    expect(scored.score).toBe(Math.round(scored.factors.reduce((sum, item) => sum + item.points, 0) * 10) / 10);
+    expect(scored.priority).toBe('high');
+
+    expect(other.factors.find(item => item.name === 'recency').points).toBe(15);
+    expect(other.priority).toBe('low');
+  });
+
+  test('measures recency from asOf and ranks starred conversations higher', () => {
+    const scorer = new ImportanceScorer();
+    const starred = scorer.score({ ...chat, isStarred: true }, { asOf: '2026-10-12T15:00:00Z' });
+    const plain = scorer.score(chat, { asOf: '2026-10-12T15:00:00Z' });
+
+    expect(starred.score - plain.score).toBeCloseTo(20);
+    expect(scorer.score(chat).factors.find(item => item.name === 'recency').points).toBe(15);
+    expect(scorer.score({ ...chat, startTime: null }).factors.find(item => item.name === 'recency').detail).toBe('No start time');
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStore, createSerializer, readJson } = require('../src/utils/jsonStore');
+
+describe('jsonStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-json-store-'));
+    filePath = path.join(directory, 'nested', 'store.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('concurrent loads share one read and one state object', async () => {
+    const read = jest.spyOn(fs.promises, 'readFile');
+    const store = createJsonStore({ filePath, label: 'test', fallback: () => ({ items: [] }) });
+
+    const [first, second] = await Promise.all([store.load(), store.load()]);
+    expect(first).toBe(second);
+    expect(read).toHaveBeenCalledTimes(1);
+
+    first.items.push('a');
+    await store.save();
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ items: ['a'] });
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['store.json']);
+  });
+
+  test('a failed read is retried on the next load', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{ not json');
+    const store = createJsonStore({ filePath, label: 'test', fallback: () => ({}) });
+
+    await expect(store.load()).rejects.toThrow(/^Failed to read test file/);
+    fs.writeFileSync(filePath, '{ "ok": true }');
+    expect(await store.load()).toEqual({ ok: true });
+    expect(await readJson(path.join(directory, 'missing.json'), 'fallback')).toBe('fallback');
+  });
+
+  test('serialized tasks run in order and survive a failure', async () => {
+    const serialize = createSerializer();
+    const order = [];
+
+    const failed = serialize(async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order.push('first');
+      throw new Error('boom');
+    });
+    const next = serialize(async () => order.push('second'));
+
+    await expect(failed).rejects.toThrow('boom');
+    await next;
+    expect(order).toEqual(['first', 'second']);
+  });
+
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LifelogCache = require('../src/services/LifelogCache');
+const LifelogProcessor = require('../src/services/LifelogProcessor');
+
+const lifelog = (id, startTime, title = id) => ({
+  id,
+  title,
+  startTime,
+  endTime: new Date(new Date(startTime).getTime() + 10 * 60 * 1000).toISOString(),
+  markdown: `## ${title}`
+});
+
+describe('LifelogCache', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('upsertLifelogs reports added, updated and unchanged entries', async () => {
+    const cache = new LifelogCache('test', { directory });
+    const first = await cache.upsertLifelogs([lifelog('a', '2026-10-03T15:00:00Z')]);
+    expect(first.added).toEqual(['a']);
+
+    const second = await cache.upsertLifelogs([
+      lifelog('a', '2026-10-03T15:00:00Z', 'Retitled'),
+      lifelog('b', '2026-10-03T16:00:00Z')
+    ]);
+    expect(second.added).toEqual(['b']);
+    expect(second.updated).toEqual(['a']);
+
+    const third = await cache.upsertLifelogs([lifelog('b', '2026-10-03T16:00:00Z')]);
+    expect(third.unchanged).toBe(1);
+  });
+
+  test('getLifelogsForDate buckets by local calendar day', async () => {
+    const cache = new LifelogCache('test', { directory });
+    await cache.upsertLifelogs([
+      lifelog('late', '2026-10-04T03:00:00Z'), // 22:00 on Oct 3 in Chicago
+      lifelog('early', '2026-10-03T14:00:00Z')
+    ]);
+
+    const chicago = await cache.getLifelogsForDate('2026-10-03', 'America/Chicago');
+    expect(chicago.map(log => log.id)).toEqual(['late', 'early']);
+
+    const utc = await cache.getLifelogsForDate('2026-10-03', 'UTC');
+    expect(utc.map(log => log.id)).toEqual(['early']);
+  });
+
+  test('getAllLifelogs reads every shard and revision tracks changes', async () => {
+    const cache = new LifelogCache('test', { directory });
+    await cache.upsertLifelogs([lifelog('old', '2026-09-01T12:00:00Z'), lifelog('new', '2026-10-03T12:00:00Z')]);
+    const revision = cache.revision;
+
+    expect((await cache.getAllLifelogs()).map(log => log.id)).toEqual(['new', 'old']);
+
+    await cache.upsertLifelogs([lifelog('new', '2026-10-03T12:00:00Z')]);
+    expect(cache.revision).toBe(revision);
+
+    await cache.removeLifelogs(['old']);
+    expect(cache.revision).toBe(revision + 1);
+  });
+});
+
+describe('LifelogProcessor.syncDate', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-cache-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('serves completed days from the cache after the first sync', async () => {
+    const cache = new LifelogCache('test', { directory });
+    const processor = new LifelogProcessor('key', { cache });
+    const fetch = jest.spyOn(processor, 'fetchLifelogsForDate')
+      .mockResolvedValue([lifelog('a', '2020-01-01T12:00:00Z')]);
+
+    const first = await processor.syncDate('2020-01-01', 'UTC');
+    expect(first.source).toBe('network');
+    expect(first.status.complete).toBe(true);
+
+    const second = await processor.syncDate('2020-01-01', 'UTC');
+    expect(second.source).toBe('cache');
+    expect(second.lifelogs).toHaveLength(1);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('falls back to cached lifelogs when a re-sync fails', async () => {
+    const cache = new LifelogCache('test', { directory });
+    const processor = new LifelogProcessor('key', { cache, cacheMaxAge: 0 });
+    const today = new Date().toISOString().split('T')[0];
+    jest.spyOn(processor, 'fetchLifelogsForDate')
+      .mockResolvedValue([lifelog('a', new Date().toISOString())]);
+
+    await processor.syncDate(today, 'UTC');
+    jest.spyOn(processor, 'getLifelogsInRange').mockRejectedValue(new Error('offline'));
+
+    const result = await processor.syncDate(today, 'UTC');
+    expect(result.source).toBe('cache');
+    expect(result.status.stale).toBe(true);
+    expect(result.lifelogs).toHaveLength(1);
+  });
+
+  test('periodic full re-syncs pick up edits to older lifelogs and drop deleted ones', async () => {
+    const cache = new LifelogCache('test', { directory });
+    const processor = new LifelogProcessor('key', { cache, cacheMaxAge: 0 });
+    const today = new Date().toISOString().split('T')[0];
+    const older = lifelog('older', `${today}T00:00:00Z`);
+    const newer = lifelog('newer', `${today}T00:05:00Z`);
+    const edited = { ...older, title: 'older, renamed', markdown: '## older, renamed' };
+
+    const fetchDay = jest.spyOn(processor, 'fetchLifelogsForDate').mockResolvedValue([older, newer]);
+    await processor.syncDate(today, 'UTC');
+
+    // Incremental syncs start at the newest lifelog and miss the edit
+    jest.spyOn(processor, 'getLifelogsInRange').mockResolvedValue([newer]);
+    const incremental = await processor.syncDate(today, 'UTC');
+    expect(incremental.status.lastChanges.mode).toBe('incremental');
+    expect(incremental.lifelogs.find(log => log.id === 'older').title).toBe('older');
+
+    processor.fullSyncInterval = 0;
+    fetchDay.mockResolvedValue([edited]);
+    const full = await processor.syncDate(today, 'UTC');
+    expect(full.status.lastChanges).toEqual({ mode: 'full', added: 0, updated: 1, removed: 1 });
+    expect(full.lifelogs.map(log => log.title)).toEqual(['older, renamed']);
+  });
+});
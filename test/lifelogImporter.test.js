@@ -0,0 +1,36 @@
+const LifelogImporter = require('../src/services/LifelogImporter');
+
+describe('LifelogImporter', () => {
+  const importer = new LifelogImporter();
+
+  test('parse accepts API responses, wrappers and bare lifelogs', () => {
+    const dump = [
+      { data: { lifelogs: [{ id: 'a', startTime: '2026-10-03T10:00:00Z' }] } },
+      { lifelogs: [{ id: 'b', startTime: '2026-10-04T10:00:00Z' }] },
+      { id: 'c', startTime: '2026-10-04T11:00:00Z', markdown: 'hi' }
+    ];
+
+    const { lifelogs, skipped } = importer.parse(JSON.stringify(dump));
+    expect(lifelogs.map(log => log.id)).toEqual(['a', 'b', 'c']);
+    expect(skipped).toBe(0);
+  });
+
+  test('parse skips entries without a usable start time', () => {
+    const dump = { lifelogs: [{ id: 'a', startTime: 'not a date', markdown: 'x' }, { id: 'b', startTime: '2026-10-03T10:00:00Z' }] };
+    const { lifelogs, skipped } = importer.parse(Buffer.from(JSON.stringify(dump)));
+    expect(lifelogs).toHaveLength(1);
+    expect(skipped).toBe(1);
+  });
+
+  test('parse rejects files that are not JSON', () => {
+    expect(() => importer.parse('nope', 'dump.json')).toThrow(/dump.json is not valid JSON/);
+  });
+
+  test('summarizeByDate groups by local day', () => {
+    const dates = importer.summarizeByDate([
+      { id: 'a', startTime: '2026-10-04T03:00:00Z' },
+      { id: 'b', startTime: '2026-10-03T15:00:00Z' }
+    ], 'America/Chicago');
+    expect(dates).toEqual([{ date: '2026-10-03', count: 2 }]);
+  });
+});
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LifelogCache = require('../src/services/LifelogCache');
+const LifelogProcessor = require('../src/services/LifelogProcessor');
+const {
+  AuthenticationError,
+  CancelledError,
+  RateLimitError,
+  TransientError,
+  fromAxiosError,
+  parseRetryAfter
+} = require('../src/utils/errors');
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+};
+
+const page = (lifelogs, nextCursor = null) => ({
+  status: 200,
+  data: { data: { lifelogs }, meta: { lifelogs: { nextCursor } } }
+});
+
+describe('LifelogProcessor retries', () => {
+  let processor;
+
+  beforeEach(() => {
+    processor = new LifelogProcessor('key', { retry: { retries: 2, jitter: false } });
+    jest.spyOn(processor, 'delay').mockResolvedValue();
+    jest.spyOn(processor.queue, 'pause').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries transient failures with exponential backoff', async () => {
+    jest.spyOn(processor.axiosInstance, 'get')
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce(page([{ id: 'a' }]));
+
+    const lifelogs = await processor.getLifelogsForDate('2026-10-03');
+    expect(lifelogs).toHaveLength(1);
+    expect(processor.delay.mock.calls.map(call => call[0])).toEqual([500, 1000]);
+  });
+
+  test('honors Retry-After on 429 responses', async () => {
+    jest.spyOn(processor.axiosInstance, 'get')
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockResolvedValueOnce(page([]));
+
+    await processor.getLifelogsForDate('2026-10-03');
+    expect(processor.delay.mock.calls[0][0]).toBe(2000);
+    expect(processor.queue.pause).toHaveBeenCalledWith(2000);
+  });
+
+  test('retries at once on Retry-After: 0', async () => {
+    jest.spyOn(processor.axiosInstance, 'get')
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+      .mockResolvedValueOnce(page([]));
+
+    await processor.getLifelogsForDate('2026-10-03');
+    expect(processor.delay.mock.calls[0][0]).toBe(0);
+  });
+
+  test('does not retry when retries is 0', async () => {
+    const once = new LifelogProcessor('key', { retry: { retries: 0 } });
+    const get = jest.spyOn(once.axiosInstance, 'get').mockRejectedValue(httpError(503));
+
+    await expect(once.getLifelogsForDate('2026-10-03')).rejects.toBeInstanceOf(TransientError);
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry authentication failures', async () => {
+    const get = jest.spyOn(processor.axiosInstance, 'get').mockRejectedValue(httpError(401));
+
+    await expect(processor.getLifelogsForDate('2026-10-03')).rejects.toBeInstanceOf(AuthenticationError);
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up once retries are exhausted', async () => {
+    jest.spyOn(processor.axiosInstance, 'get').mockRejectedValue(httpError(500));
+
+    const error = await processor.getLifelogsForDate('2026-10-03').catch(e => e);
+    expect(error).toBeInstanceOf(TransientError);
+    expect(error.statusCode).toBe(503);
+    expect(error.message).toMatch(/^Failed to fetch lifelogs/);
+  });
+});
+
+describe('error classification', () => {
+  test('fromAxiosError maps statuses to error classes', () => {
+    expect(fromAxiosError(httpError(403))).toBeInstanceOf(AuthenticationError);
+    expect(fromAxiosError(httpError(429))).toBeInstanceOf(RateLimitError);
+    expect(fromAxiosError(httpError(404)).statusCode).toBe(404);
+    expect(fromAxiosError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBeInstanceOf(TransientError);
+  });
+
+  test('parseRetryAfter accepts seconds and HTTP dates', () => {
+    const now = new Date('2026-10-03T12:00:00Z');
+    expect(parseRetryAfter('5', now)).toBe(5000);
+    expect(parseRetryAfter('Sat, 03 Oct 2026 12:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+});
+
+describe('LifelogProcessor.getAvailableDates', () => {
+  test('buckets a single range query by local day', async () => {
+    const processor = new LifelogProcessor('key');
+    const range = jest.spyOn(processor, 'getLifelogsInRange').mockResolvedValue([
+      { id: 'a', startTime: '2026-10-04T03:00:00Z', endTime: '2026-10-04T03:30:00Z', isStarred: true },
+      { id: 'b', startTime: '2026-10-03T15:00:00Z', endTime: '2026-10-03T15:10:00Z' },
+      { id: 'c', startTime: '2026-10-02T15:00:00Z', endTime: '2026-10-02T16:00:00Z' }
+    ]);
+
+    const dates = await processor.getAvailableDates({
+      timezone: 'America/Chicago',
+      startDate: '2026-10-01',
+      endDate: '2026-10-03'
+    });
+
+    expect(range).toHaveBeenCalledTimes(1);
+    expect(range.mock.calls[0].slice(0, 3)).toEqual(['2026-10-01', '2026-10-03', 'America/Chicago']);
+    expect(dates).toEqual([
+      { date: '2026-10-03', count: 2, totalMinutes: 40, starredCount: 1, hasStarred: true },
+      { date: '2026-10-02', count: 1, totalMinutes: 60, starredCount: 0, hasStarred: false }
+    ]);
+  });
+});
+
+describe('LifelogProcessor.iterateLifelogs', () => {
+  let processor;
+
+  beforeEach(() => {
+    processor = new LifelogProcessor('key');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fetches pages lazily', async () => {
+    const get = jest.spyOn(processor.axiosInstance, 'get')
+      .mockResolvedValueOnce(page([{ id: 'a' }, { id: 'b' }], 'c1'))
+      .mockResolvedValueOnce(page([{ id: 'c' }]));
+
+    const pages = [];
+    for await (const result of processor.iterateLifelogs({ date: '2026-10-03' })) {
+      pages.push(result);
+      break;
+    }
+
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(pages[0]).toEqual({
+      lifelogs: [{ id: 'a' }, { id: 'b' }],
+      page: 1,
+      total: 2,
+      nextCursor: 'c1',
+      truncated: false
+    });
+  });
+
+  test('reports truncation at maxEntries with a cursor to resume from', async () => {
+    jest.spyOn(processor.axiosInstance, 'get')
+      .mockResolvedValueOnce(page([{ id: 'a' }, { id: 'b' }], 'c1'))
+      .mockResolvedValueOnce(page([{ id: 'c' }, { id: 'd' }], 'c2'));
+
+    const pages = [];
+    for await (const result of processor.iterateLifelogs({ date: '2026-10-03', maxEntries: 3 })) {
+      pages.push(result);
+    }
+
+    expect(pages).toHaveLength(2);
+    expect(pages[1].lifelogs).toEqual([{ id: 'c' }]);
+    expect(pages[1]).toMatchObject({ total: 3, nextCursor: 'c2', truncated: true });
+  });
+
+  test('stops when the abort signal fires', async () => {
+    const get = jest.spyOn(processor.axiosInstance, 'get');
+    const controller = new AbortController();
+    controller.abort();
+
+    const iterator = processor.iterateLifelogs({ date: '2026-10-03', signal: controller.signal });
+    await expect(iterator.next()).rejects.toBeInstanceOf(CancelledError);
+    expect(get).not.toHaveBeenCalled();
+  });
+});
+
+describe('LifelogProcessor.iterateLifelogsForDate', () => {
+  test('pages cached lifelogs and flags maxEntries', async () => {
+    const cached = [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }, { id: 'e' }];
+    const cache = {
+      getSyncStatus: jest.fn().mockResolvedValue(null),
+      getLifelogsForDate: jest.fn().mockResolvedValue(cached)
+    };
+    const processor = new LifelogProcessor(null, { cache });
+
+    const pages = [];
+    for await (const result of processor.iterateLifelogsForDate('2026-10-03', 'UTC', { limit: 2, maxEntries: 3 })) {
+      pages.push(result);
+    }
+
+    expect(pages.map(result => result.lifelogs.map(log => log.id))).toEqual([['a', 'b'], ['c']]);
+    expect(pages.map(result => [result.page, result.total, result.truncated])).toEqual([[1, 2, false], [2, 3, true]]);
+  });
+
+  describe('with a day to sync', () => {
+    const lifelog = (id, startTime) => ({ id, title: id, markdown: `- You: ${id}`, startTime, endTime: startTime });
+    let directory;
+    let cache;
+    let processor;
+    let get;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-stream-'));
+      cache = new LifelogCache('test', { directory });
+      processor = new LifelogProcessor('key', { cache });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      get = jest.spyOn(processor.axiosInstance, 'get')
+        .mockResolvedValueOnce(page([lifelog('c', '2020-01-01T15:00:00Z'), lifelog('b', '2020-01-01T14:00:00Z')], 'next'))
+        .mockResolvedValueOnce(page([lifelog('a', '2020-01-01T13:00:00Z')]));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('streams API pages into the cache and stops at maxEntries', async () => {
+      const pages = [];
+      for await (const result of processor.iterateLifelogsForDate('2020-01-01', 'UTC', { limit: 2, maxEntries: 2 })) {
+        pages.push(result);
+      }
+
+      expect(pages.map(result => [result.lifelogs.map(log => log.id), result.truncated])).toEqual([[['c', 'b'], true]]);
+      expect(get).toHaveBeenCalledTimes(1);
+      expect((await cache.getAllLifelogs()).map(log => log.id)).toEqual(['c', 'b']);
+      expect(await cache.getSyncStatus('2020-01-01', 'UTC')).toBeNull();
+    });
+
+    test('records the sync once every page was read', async () => {
+      const ids = [];
+      for await (const result of processor.iterateLifelogsForDate('2020-01-01', 'UTC', { limit: 2 })) {
+        ids.push(...result.lifelogs.map(log => log.id));
+      }
+
+      expect(ids).toEqual(['c', 'b', 'a']);
+      expect(await cache.getSyncStatus('2020-01-01', 'UTC')).toMatchObject({
+        complete: true,
+        lifelogCount: 3,
+        lastChanges: { mode: 'full', added: 3 }
+      });
+    });
+
+    test('stops fetching when the request is aborted between pages', async () => {
+      const controller = new AbortController();
+      const iterator = processor.iterateLifelogsForDate('2020-01-01', 'UTC', { limit: 2, signal: controller.signal });
+
+      expect((await iterator.next()).value.lifelogs).toHaveLength(2);
+      controller.abort();
+      await expect(iterator.next()).rejects.toBeInstanceOf(CancelledError);
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const OpenQuestionTracker = require('../src/services/OpenQuestionTracker');
+const { conversation } = require('./helpers/fixtures');
+
+describe('OpenQuestionTracker', () => {
+  const tracker = new OpenQuestionTracker();
+
+  test('treats a substantive reply from someone else as an answer', () => {
+    const { questions, answered } = tracker.track([conversation([
+      ['Sam', 'Which venue did we book for the offsite?'],
+      ['Sam', 'I forgot to write it down.'],
+      ['Dana', 'The lake house, for three nights.']
+    ], { id: 'a' })]);
+
+    expect(answered).toBe(1);
+    expect(questions).toHaveLength(0);
+  });
+
+  test('keeps questions that were put off, only acknowledged or ignored', () => {
+    const { questions } = tracker.track([conversation([
+      ['Sam', 'Do we have a budget for the designer role?'],
+      ['You', 'Let me check with finance.'],
+      ['Sam', 'When does the conference start?'],
+      ['You', 'Sounds good, talk soon.'],
+      ['Sam', 'Who is presenting the roadmap, right?']
+    ], { id: 'a' })], { asOf: '2026-10-05' });
+
+    expect(questions.map(question => [question.question, question.reason, question.status])).toEqual([
+      ['Do we have a budget for the designer role?', 'deferred', 'open'],
+      ['When does the conference start?', 'acknowledged', 'open'],
+      ['Who is presenting the roadmap, right?', 'no-reply', 'open']
+    ]);
+    expect(questions[0]).toMatchObject({
+      lifelogId: 'a',
+      utteranceId: 'a:0',
+      askedBy: 'Sam',
+      date: '2026-10-05',
+      reply: { speaker: 'You', text: 'Let me check with finance.' },
+      daysOpen: 0
+    });
+  });
+
+  test('ignores tag questions and short fillers', () => {
+    expect(tracker.isQuestion('Right?')).toBe(false);
+    expect(tracker.isQuestion('Why not?')).toBe(false);
+    expect(tracker.isQuestion('Is the deck ready?')).toBe(true);
+  });
+
+  test('resolves an open question from a later conversation that repeats its terms', () => {
+    const { questions } = tracker.track([
+      conversation([['Dana', 'Finance approved a budget for the designer role this morning.']], { id: 'later', day: '07' }),
+      conversation([
+        ['Sam', 'Do we have a budget for the designer role?'],
+        ['You', "I don't know yet."]
+      ], { id: 'earlier' })
+    ], { timezone: 'UTC', asOf: '2026-10-09' });
+
+    expect(questions).toHaveLength(1);
+    expect(questions[0]).toMatchObject({
+      lifelogId: 'earlier',
+      status: 'resolved',
+      daysOpen: 2,
+      resolution: {
+        lifelogId: 'later',
+        date: '2026-10-07',
+        speaker: 'Dana',
+        sharedTerms: ['budget', 'designer', 'role']
+      }
+    });
+  });
+
+  test('formats only open questions as an Open Threads section', () => {
+    const { questions } = tracker.track([conversation([
+      ['Sam', 'Did the hotel confirm the dates?']
+    ], { id: 'a' })]);
+
+    expect(tracker.formatOpenThreads(questions)).toBe(
+      '## Open Threads\n\n- **Sam**: Did the hotel confirm the dates? — _Planning_ (no reply)\n'
+    );
+    expect(tracker.formatOpenThreads([{ ...questions[0], status: 'resolved' }])).toBe('');
+  });
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProfileStore = require('../src/services/ProfileStore');
+
+describe('ProfileStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-profiles-'));
+    store = new ProfileStore({ filePath: path.join(directory, 'profiles.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('never exposes API keys and keeps them across updates', async () => {
+    const created = await store.createProfile({ name: 'Home Office', apiKey: 'secret-1234', timezone: 'America/Chicago' });
+    expect(created).toMatchObject({ id: 'home-office', hasApiKey: true, apiKeyHint: '…1234' });
+    expect(created.apiKey).toBeUndefined();
+
+    await store.updateProfile('home-office', { timezone: 'Europe/Berlin' });
+    const reloaded = new ProfileStore({ filePath: path.join(directory, 'profiles.json') });
+    expect(await reloaded.getProfile('home-office')).toMatchObject({ apiKey: 'secret-1234', timezone: 'Europe/Berlin' });
+  });
+
+  test('resolves presets and drops unknown preset options', async () => {
+    await store.createProfile({
+      name: 'Team',
+      presets: { memory: { maxTokens: 120000, summarizeLevel: 'low', dropTables: true } },
+      defaultPreset: 'memory'
+    });
+
+    const profile = await store.getProfile('team');
+    expect(store.resolvePreset(profile)).toEqual({ maxTokens: 120000, summarizeLevel: 'low' });
+    expect(store.resolvePreset(profile, 'missing')).toEqual({});
+  });
+
+  test('ids and preset names that match Object.prototype members are not found', async () => {
+    const created = await store.createProfile({ name: 'Constructor', presets: { memory: { maxTokens: 1000 } } });
+    expect(created.id).toBe('constructor');
+
+    expect(await store.getProfile('__proto__')).toBeNull();
+    expect(await store.getProfile('toString')).toBeNull();
+    expect(await store.updateProfile('hasOwnProperty', { name: 'Nope' })).toBeNull();
+    expect(await store.deleteProfile('valueOf')).toBe(false);
+    expect(store.resolvePreset(await store.getProfile('constructor'), 'toString')).toEqual({});
+  });
+
+  test('validates profile fields', () => {
+    expect(store.validateProfile({ name: '' })).toHaveLength(1);
+    expect(store.validateProfile({ name: 'A', timezone: 'Nowhere/Land', defaultPreset: 'x' })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,69 @@
+const RequestQueue = require('../src/services/RequestQueue');
+const { CancelledError } = require('../src/utils/errors');
+const { mapWithConcurrency } = require('../src/utils/concurrency');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(res => { resolve = res; });
+  return { promise, resolve };
+};
+
+describe('RequestQueue', () => {
+  test('limits concurrency and runs interactive requests before batch work', async () => {
+    const queue = new RequestQueue({ concurrency: 1, ratePerSecond: 1000, burst: 10 });
+    const blocker = deferred();
+    const order = [];
+
+    const first = queue.schedule(() => blocker.promise);
+    const batch = queue.schedule(async () => order.push('batch'), { priority: 'batch' });
+    const interactive = queue.schedule(async () => order.push('interactive'));
+
+    expect(queue.getStats()).toMatchObject({ active: 1, queued: { interactive: 1, batch: 1 } });
+
+    blocker.resolve();
+    await Promise.all([first, batch, interactive]);
+    expect(order).toEqual(['interactive', 'batch']);
+  });
+
+  test('paces requests once the burst is used up', async () => {
+    const queue = new RequestQueue({ concurrency: 5, ratePerSecond: 20, burst: 1 });
+    const started = Date.now();
+
+    await Promise.all([1, 2, 3].map(() => queue.schedule(async () => Date.now())));
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+
+  test('drops queued requests when their signal aborts', async () => {
+    const queue = new RequestQueue({ concurrency: 1, ratePerSecond: 1000, burst: 10 });
+    const blocker = deferred();
+    const controller = new AbortController();
+    const task = jest.fn();
+
+    const first = queue.schedule(() => blocker.promise);
+    const queued = queue.schedule(task, { signal: controller.signal });
+    controller.abort();
+
+    await expect(queued).rejects.toBeInstanceOf(CancelledError);
+    blocker.resolve();
+    await first;
+    expect(task).not.toHaveBeenCalled();
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps input order with bounded parallelism', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      return ms * 2;
+    });
+
+    expect(results).toEqual([60, 20, 40, 10]);
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cron = require('node-cron');
+const Scheduler = require('../src/services/Scheduler');
+const CronSchedule = require('../src/utils/CronSchedule');
+
+const lifelog = {
+  id: 'a',
+  title: 'Planning',
+  markdown: '- You: ship the release',
+  startTime: '2026-10-18T15:00:00Z',
+  endTime: '2026-10-18T15:30:00Z'
+};
+
+describe('CronSchedule', () => {
+  test('finds previous and next runs in the schedule timezone', () => {
+    const schedule = new CronSchedule('0 2 * * *', 'America/Chicago');
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    expect(schedule.previous(now).toISOString()).toBe('2026-10-19T07:00:00.000Z');
+    expect(schedule.next(now).toISOString()).toBe('2026-10-20T07:00:00.000Z');
+  });
+
+  test('finds monthly and yearly runs beyond a week away', () => {
+    const monthly = new CronSchedule('0 2 1 * *', 'America/Chicago');
+    expect(monthly.next(new Date('2026-10-05T00:00:00Z')).toISOString()).toBe('2026-11-01T08:00:00.000Z'); // after DST ends
+    expect(monthly.previous(new Date('2026-10-05T00:00:00Z')).toISOString()).toBe('2026-10-01T07:00:00.000Z');
+
+    const leapDay = new CronSchedule('30 9 29 2 *', 'UTC');
+    expect(leapDay.next(new Date('2026-10-05T00:00:00Z')).toISOString()).toBe('2028-02-29T09:30:00.000Z');
+    expect(leapDay.previous(new Date('2026-10-05T00:00:00Z')).toISOString()).toBe('2024-02-29T09:30:00.000Z');
+
+    expect(new CronSchedule('0 0 30 2 *', 'UTC').next(new Date('2026-10-05T00:00:00Z'))).toBeNull();
+  });
+
+  test('understands weekday names, ranges and steps', () => {
+    const schedule = new CronSchedule('*/30 9 * * mon-fri', 'UTC');
+
+    expect(schedule.matches(new Date('2026-10-19T09:30:00Z'))).toBe(true); // Monday
+    expect(schedule.matches(new Date('2026-10-18T09:30:00Z'))).toBe(false); // Sunday
+    expect(CronSchedule.isValid('0 25 * * *')).toBe(false);
+  });
+});
+
+describe('Scheduler', () => {
+  let directory;
+  let now;
+  let processor;
+  let scheduler;
+
+  const createScheduler = () => new Scheduler({
+    storePath: path.join(directory, 'schedules.json'),
+    exportDir: path.join(directory, 'exports'),
+    createProcessor: () => processor,
+    cron: { validate: cron.validate, schedule: jest.fn(() => ({ stop: jest.fn() })) },
+    now: () => now
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-scheduler-'));
+    now = new Date('2026-10-16T12:00:00Z');
+    processor = {
+      apiKey: 'key',
+      syncDate: jest.fn().mockResolvedValue({ lifelogs: [lifelog], source: 'network', status: null }),
+      getLifelogsForDate: jest.fn().mockResolvedValue([lifelog]),
+      applySpeakerAliases: jest.fn(async lifelogs => lifelogs)
+    };
+    scheduler = createScheduler();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('catches up once on a run missed while stopped', async () => {
+    await scheduler.saveJob({ id: 'nightly', schedule: '0 2 * * *', timezone: 'America/Chicago' });
+
+    now = new Date('2026-10-19T12:00:00Z');
+    const restarted = createScheduler();
+    const runs = await restarted.start();
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ trigger: 'catch-up', status: 'success', date: '2026-10-18' });
+    expect(processor.syncDate).toHaveBeenCalledWith('2026-10-18', 'America/Chicago');
+    expect(fs.existsSync(path.join(directory, 'exports', 'lifelog_2026-10-18_consolidated.md'))).toBe(true);
+    expect(await restarted.catchUp()).toEqual([]);
+
+    const job = await restarted.getJob('nightly');
+    expect(job.lastRun.status).toBe('success');
+    expect(job.nextRunAt).toBe('2026-10-20T07:00:00.000Z');
+  });
+
+  test('catches up on a missed monthly run', async () => {
+    now = new Date('2026-09-20T12:00:00Z');
+    await scheduler.saveJob({ id: 'monthly', schedule: '0 2 1 * *', timezone: 'America/Chicago' });
+
+    now = new Date('2026-10-19T12:00:00Z');
+    const restarted = createScheduler();
+    const runs = await restarted.start();
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ trigger: 'catch-up', scheduledFor: '2026-10-01T07:00:00.000Z' });
+    expect((await restarted.getJob('monthly')).nextRunAt).toBe('2026-11-01T08:00:00.000Z');
+  });
+
+  test('exports synced lifelogs with speaker aliases applied', async () => {
+    processor.applySpeakerAliases.mockImplementation(async lifelogs => lifelogs.map(entry => ({
+      ...entry,
+      markdown: entry.markdown.replace('- You:', '- Alex:')
+    })));
+    await scheduler.saveJob({ id: 'nightly', schedule: '0 2 * * *', timezone: 'America/Chicago' });
+
+    const run = await scheduler.runJob('nightly');
+    expect(run.status).toBe('success');
+    expect(processor.applySpeakerAliases).toHaveBeenCalledWith([lifelog], 'America/Chicago');
+    const exported = fs.readFileSync(path.join(directory, 'exports', `lifelog_${run.date}_consolidated.md`), 'utf8');
+    expect(exported).toContain('Alex');
+  });
+
+  test('records failed runs in the history', async () => {
+    processor.syncDate.mockRejectedValue(new Error('upstream down'));
+    await scheduler.saveJob({ id: 'nightly', schedule: '0 2 * * *' });
+
+    const run = await scheduler.runJob('nightly');
+    expect(run).toMatchObject({ status: 'failed', error: 'upstream down' });
+    expect(await scheduler.getHistory({ jobId: 'nightly' })).toHaveLength(1);
+  });
+
+  test('rejects invalid job definitions', () => {
+    expect(scheduler.validateJob({ schedule: 'every night' })).toHaveLength(1);
+    expect(scheduler.validateJob({ schedule: '0 2 * * *', timezone: 'Mars/Olympus', actions: ['email'] })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,112 @@
+const SearchIndex = require('../src/services/SearchIndex');
+const { tokenize, findTermSpans } = require('../src/utils/text');
+
+const utterance = (speakerName, content, minute) => ({
+  type: 'blockquote',
+  content,
+  speakerName,
+  startTime: `2026-10-05T14:${minute}:00.000Z`,
+  endTime: `2026-10-05T14:${minute}:30.000Z`
+});
+
+const lifelogs = [
+  {
+    id: 'budget',
+    title: 'Budget review',
+    startTime: '2026-10-05T14:00:00.000Z',
+    isStarred: true,
+    contents: [
+      { type: 'heading2', content: 'Marketing budget' },
+      utterance('Speaker 2', 'The marketing budget is over by ten percent', '00'),
+      utterance('You', 'Then we cut the conference spending', '01')
+    ]
+  },
+  {
+    id: 'hiring',
+    title: 'Hiring sync',
+    startTime: '2026-10-07T16:00:00.000Z',
+    contents: [
+      { type: 'heading2', content: 'Open roles' },
+      utterance('Dana', 'We are hiring two engineers this quarter', '00'),
+      utterance('You', 'Keep the budget for contractors too', '01')
+    ]
+  }
+];
+
+const fakeCache = (entries) => ({
+  revision: 1,
+  getAllLifelogs: jest.fn(async () => entries)
+});
+
+describe('text utilities', () => {
+  test('tokenize drops stop words and folds simple inflections', () => {
+    expect(tokenize('We are planning the contracts, and meetings!')).toEqual(['plan', 'contract', 'meet']);
+    expect(tokenize('meeting')).toEqual(tokenize('meetings'));
+  });
+
+  test('findTermSpans locates inflected matches', () => {
+    const text = 'Contracts and the contract';
+    expect(findTermSpans(text, ['contract']).map(([start, end]) => text.slice(start, end))).toEqual(['Contracts', 'contract']);
+  });
+});
+
+describe('SearchIndex', () => {
+  test('ranks title and utterance matches with BM25', async () => {
+    const index = new SearchIndex(fakeCache(lifelogs));
+    const { total, results } = await index.search('budget');
+
+    expect(total).toBe(3);
+    expect(results[0]).toMatchObject({ type: 'title', lifelogId: 'budget', title: 'Budget review' });
+    expect(results.map(result => result.lifelogId)).toContain('hiring');
+    expect(results.find(result => result.type === 'utterance' && result.lifelogId === 'budget')).toMatchObject({
+      utteranceId: 'budget:0',
+      speaker: 'Speaker 2',
+      heading: 'Marketing budget',
+      startTime: '2026-10-05T14:00:00.000Z'
+    });
+  });
+
+  test('highlights matched words in the snippet', async () => {
+    const index = new SearchIndex(fakeCache(lifelogs));
+    const [result] = (await index.search('engineers')).results;
+
+    expect(result.lifelogId).toBe('hiring');
+    expect(result.highlights.map(([start, end]) => result.snippet.slice(start, end))).toEqual(['engineers']);
+  });
+
+  test('filters by date, speaker, starred and topic', async () => {
+    const index = new SearchIndex(fakeCache(lifelogs));
+    const resolveSpeaker = name => (name === 'Speaker 2' ? 'Priya' : name);
+
+    const byDate = await index.search('budget', { startDate: '2026-10-06', timezone: 'America/Chicago' });
+    expect(byDate.results.every(result => result.lifelogId === 'hiring')).toBe(true);
+
+    const bySpeaker = await index.search('budget', { speaker: 'priya', resolveSpeaker });
+    expect(bySpeaker.results.map(result => [result.lifelogId, result.speaker])).toEqual([['budget', 'Priya']]);
+
+    const starred = await index.search('budget', { starred: true });
+    expect(starred.results.every(result => result.lifelogId === 'budget')).toBe(true);
+
+    const byTopic = await index.search('budget', { topic: 'open roles' });
+    expect(byTopic.results.map(result => result.lifelogId)).toEqual(['hiring']);
+  });
+
+  test('rebuilds only when the cache revision changes', async () => {
+    const cache = fakeCache(lifelogs);
+    const index = new SearchIndex(cache);
+
+    await index.search('budget');
+    await index.search('hiring');
+    expect(cache.getAllLifelogs).toHaveBeenCalledTimes(1);
+
+    cache.revision++;
+    cache.getAllLifelogs.mockResolvedValueOnce(lifelogs.slice(1));
+    expect((await index.search('marketing')).total).toBe(0);
+    expect(cache.getAllLifelogs).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns nothing for queries made only of stop words', async () => {
+    const index = new SearchIndex(fakeCache(lifelogs));
+    expect(await index.search('the and of')).toEqual({ total: 0, results: [] });
+  });
+});
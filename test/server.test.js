@@ -0,0 +1,604 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const MockLimitlessApi = require('../src/mock/MockLimitlessApi');
+
+const API_KEY = 'test-key';
+const TIMEZONE = 'America/Chicago';
+const FIXTURE_FILE = path.join(__dirname, '../src/mock/fixtures/lifelogs.json');
+
+describe('server routes against the mock Limitless API', () => {
+  let mock;
+  let server;
+  let client;
+  let dataDir;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    mock = new MockLimitlessApi({ apiKey: API_KEY });
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-server-'));
+
+    process.env.LIMITLESS_API_URL = await mock.listen(0);
+    process.env.DATA_DIR = dataDir;
+    process.env.API_KEY = API_KEY;
+    process.env.LIMITLESS_RETRY_BASE_MS = '1';
+    process.env.LIMITLESS_RETRY_MAX_MS = '5';
+    process.env.LIMITLESS_RATE_PER_SECOND = '1000';
+    process.env.LIMITLESS_BURST = '100';
+
+    const app = require('../server');
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+
+    client = axios.create({
+      baseURL: `http://127.0.0.1:${server.address().port}/api`,
+      headers: { 'X-API-Key': API_KEY },
+      validateStatus: () => true
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    mock.clearFaults();
+  });
+
+  test('GET /api/lifelogs/:date returns lifelogs for the local day and caches them', async () => {
+    const first = await client.get('/lifelogs/2026-10-05', { params: { timezone: TIMEZONE } });
+    expect(first.status).toBe(200);
+    expect(first.data.count).toBe(3);
+
+    const requestsBefore = mock.requests.length;
+    const second = await client.get('/lifelogs/2026-10-05', { params: { timezone: TIMEZONE } });
+    expect(second.data.count).toBe(3);
+    expect(mock.requests.length).toBe(requestsBefore);
+  });
+
+  test('GET /api/dates summarizes a date range in one query', async () => {
+    const response = await client.get('/dates', {
+      params: { timezone: TIMEZONE, start: '2026-10-01', end: '2026-10-07' }
+    });
+    expect(response.status).toBe(200);
+    expect(response.data.dates).toEqual([
+      { date: '2026-10-06', count: 2, totalMinutes: 30, starredCount: 1, hasStarred: true },
+      { date: '2026-10-05', count: 3, totalMinutes: 51, starredCount: 1, hasStarred: true }
+    ]);
+  });
+
+  test('POST /api/process formats markdown output', async () => {
+    const response = await client.post('/process', { date: '2026-10-06', timezone: TIMEZONE });
+    expect(response.status).toBe(200);
+    expect(response.data.originalCount).toBe(2);
+    expect(response.data.output).toContain('# Daily Lifelog Summary');
+  });
+
+  test('POST /api/process and /api/batch-process flag exports cut short by maxEntries', async () => {
+    const full = await client.post('/process', { date: '2026-10-05', timezone: TIMEZONE });
+    expect(full.data.metadata.truncated).toBe(false);
+
+    const capped = await client.post('/process', { date: '2026-10-05', timezone: TIMEZONE, maxEntries: 2 });
+    expect(capped.status).toBe(200);
+    expect(capped.data.originalCount).toBe(2);
+    expect(capped.data.metadata.truncated).toBe(true);
+
+    const batch = await client.post('/batch-process', { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE, maxEntries: 2 });
+    expect(batch.data.results.map(result => [result.date, result.count, result.truncated]))
+      .toEqual([['2026-10-05', 2, true], ['2026-10-06', 2, false]]);
+    expect(batch.data.truncated).toBe(true);
+  });
+
+  test('POST /api/consolidated-export includes lifelog titles', async () => {
+    const response = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE });
+    expect(response.status).toBe(200);
+    expect(response.data.content).toContain('Weekly planning with Dana');
+  });
+
+  test('POST /api/multi-file-export returns 404 for a day without lifelogs', async () => {
+    const response = await client.post('/multi-file-export', { date: '2026-09-01', timezone: TIMEZONE });
+    expect(response.status).toBe(404);
+  });
+
+  test('POST /api/batch-process processes each date in the range', async () => {
+    const response = await client.post('/batch-process', {
+      startDate: '2026-10-05',
+      endDate: '2026-10-06',
+      timezone: TIMEZONE
+    });
+    expect(response.status).toBe(200);
+    expect(response.data.results.map(result => result.date)).toEqual(['2026-10-05', '2026-10-06']);
+    expect(response.data.results[1].deduplication).toBeUndefined();
+
+    const deduped = await client.post('/batch-process', { startDate: '2026-10-06', endDate: '2026-10-06', timezone: TIMEZONE, dedupe: true });
+    expect(deduped.data.results[0].deduplication).toMatchObject({ lifelogsRemoved: 0, utterancesRemoved: 2 });
+  });
+
+  test('maps an invalid API key to 401', async () => {
+    const response = await client.get('/lifelogs/2026-10-07', {
+      headers: { 'X-API-Key': 'wrong-key' },
+      params: { timezone: TIMEZONE }
+    });
+    expect(response.status).toBe(401);
+    expect(response.data.code).toBe('AUTHENTICATION_FAILED');
+  });
+
+  test('retries a 429 that carries Retry-After', async () => {
+    mock.injectFault({ status: 429, retryAfter: 0 });
+    const response = await client.get('/lifelogs/2026-10-06', {
+      params: { timezone: TIMEZONE, refresh: 'true' }
+    });
+    expect(response.status).toBe(200);
+    expect(response.data.count).toBe(2);
+  });
+
+  test('maps persistent upstream failures to 503', async () => {
+    mock.injectFault({ status: 500, times: 10 });
+    const response = await client.get('/lifelogs/2026-10-08', { params: { timezone: TIMEZONE } });
+    expect(response.status).toBe(503);
+    expect(response.data.code).toBe('UPSTREAM_UNAVAILABLE');
+  });
+
+  test('POST /api/sync records per-date sync status', async () => {
+    const sync = await client.post('/sync', { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE });
+    expect(sync.data.results.every(result => result.success)).toBe(true);
+
+    const status = await client.get('/sync/status/2026-10-05', { params: { timezone: TIMEZONE } });
+    expect(status.data.synced).toBe(true);
+    expect(status.data.status.lifelogCount).toBe(3);
+  });
+
+  test('scheduled jobs can be created and run on demand', async () => {
+    const created = await client.post('/schedules', {
+      id: 'nightly',
+      schedule: '0 2 * * *',
+      timezone: TIMEZONE,
+      catchUp: false
+    });
+    expect(created.status).toBe(201);
+    expect(created.data.job.actions).toEqual(['sync', 'export']);
+
+    const invalid = await client.post('/schedules', { schedule: 'tonight' });
+    expect(invalid.status).toBe(400);
+
+    const run = await client.post('/schedules/nightly/run');
+    expect(run.status).toBe(200);
+    expect(run.data.run.status).toBe('success');
+
+    const listed = await client.get('/schedules');
+    expect(listed.data.jobs.map(job => job.id)).toEqual(['nightly']);
+    expect(listed.data.history[0].id).toBe(run.data.run.id);
+  });
+
+  test('GET /api/changes reports lifelogs edited after export', async () => {
+    const exported = await client.post('/consolidated-export', { date: '2026-10-06', timezone: TIMEZONE });
+    expect(exported.status).toBe(200);
+
+    const edited = mock.lifelogs.find(lifelog => lifelog.id === 'll-20261006-followup');
+    const originalTitle = edited.title;
+    edited.title = 'Acme contract follow-up';
+
+    try {
+      const response = await client.get('/changes', { params: { timezone: TIMEZONE, refresh: 'true' } });
+      expect(response.status).toBe(200);
+
+      const report = response.data.dates.find(entry => entry.date === '2026-10-06');
+      expect(report.stale).toBe(true);
+      expect(report.modified).toEqual([expect.objectContaining({
+        id: 'll-20261006-followup',
+        changes: ['title']
+      })]);
+    } finally {
+      edited.title = originalTitle;
+    }
+  });
+
+  test('profiles replace raw API keys and supply a default timezone', async () => {
+    const created = await client.post('/profiles', { name: 'Household', apiKey: API_KEY, timezone: TIMEZONE });
+    expect(created.status).toBe(201);
+    expect(created.data.profile.apiKey).toBeUndefined();
+
+    const response = await client.get('/lifelogs/2026-10-05', {
+      headers: { 'X-API-Key': '', 'X-Profile-Id': created.data.profile.id }
+    });
+    expect(response.status).toBe(200);
+    expect(response.data.count).toBe(3);
+
+    const unknown = await client.get('/lifelogs/2026-10-05', { headers: { 'X-Profile-Id': 'nobody' } });
+    expect(unknown.status).toBe(404);
+    expect(unknown.data.code).toBe('PROFILE_NOT_FOUND');
+  });
+
+  test('conversation gaps from the request or a preset must be positive minutes', async () => {
+    const invalid = await client.post('/process', { date: '2026-10-06', timezone: TIMEZONE, silenceGapMinutes: -5 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.data.error).toBe('silenceGapMinutes must be a positive number of minutes');
+
+    const batch = await client.post('/batch-process', { startDate: '2026-10-06', endDate: '2026-10-06', timezone: TIMEZONE, speakerChangeGapMinutes: 'soon' });
+    expect(batch.status).toBe(400);
+
+    const created = await client.post('/profiles', {
+      name: 'Gaps',
+      apiKey: API_KEY,
+      timezone: TIMEZONE,
+      presets: { meetings: { chunkStrategy: 'conversation', speakerChangeGapMinutes: 0 } }
+    });
+    const preset = await client.post('/process', { date: '2026-10-06', preset: 'meetings' }, {
+      headers: { 'X-API-Key': '', 'X-Profile-Id': created.data.profile.id }
+    });
+    expect(preset.status).toBe(400);
+    expect(preset.data.error).toBe('speakerChangeGapMinutes must be a positive number of minutes');
+  });
+
+  test('imported exports can be processed without an API key', async () => {
+    const form = new FormData();
+    form.append('files', new Blob([fs.readFileSync(FIXTURE_FILE)]), 'lifelogs.json');
+    form.append('timezone', TIMEZONE);
+
+    const imported = await client.post('/import', form, { headers: { 'X-API-Key': '' } });
+    expect(imported.status).toBe(200);
+    expect(imported.data.dates).toEqual([
+      { date: '2026-10-06', count: 2 },
+      { date: '2026-10-05', count: 3 }
+    ]);
+
+    const processed = await client.post('/process', { date: '2026-10-05', timezone: TIMEZONE }, {
+      headers: { 'X-API-Key': '' }
+    });
+    expect(processed.status).toBe(200);
+    expect(processed.data.originalCount).toBe(3);
+  });
+
+  test('speaker aliases rename speakers for one date in every output', async () => {
+    const created = await client.post('/speakers/aliases', { from: 'speaker 2', to: 'Priya', date: '2026-10-05' });
+    expect(created.status).toBe(201);
+
+    const speakers = await client.get('/speakers/2026-10-05', { params: { timezone: TIMEZONE } });
+    expect(speakers.data.speakers.find(speaker => speaker.name === 'Speaker 2').resolvedNames).toEqual(['Priya']);
+
+    const { data } = await client.get('/lifelogs/2026-10-05', { params: { timezone: TIMEZONE } });
+    const planning = data.lifelogs.find(lifelog => lifelog.id === 'll-20261005-planning');
+    expect(planning.markdown).toContain('- Priya (10/5/26 9:01 AM): Do we have a budget');
+    expect(planning.markdown).not.toContain('Speaker 2');
+
+    const invalid = await client.post('/speakers/aliases', { from: 'Speaker 2' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('GET /api/analytics/speakers summarizes talk time over a range', async () => {
+    const response = await client.get('/analytics/speakers', {
+      params: { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.totals.conversations).toBe(5);
+    expect(response.data.days.map(day => day.date)).toEqual(['2026-10-05', '2026-10-06']);
+    expect(response.data.speakers.reduce((sum, speaker) => sum + speaker.share, 0)).toBeCloseTo(1, 2);
+
+    const invalid = await client.get('/analytics/speakers', { params: { startDate: '2026-10-06', endDate: '2026-10-05' } });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('GET /api/search ranks cached utterances and applies filters', async () => {
+    const response = await client.get('/search', { params: { q: 'Acme contract', timezone: TIMEZONE } });
+
+    expect(response.status).toBe(200);
+    expect(response.data.total).toBeGreaterThan(0);
+    const [top] = response.data.results;
+    expect(['ll-20261005-planning', 'll-20261006-followup']).toContain(top.lifelogId);
+    expect(top.highlights.length).toBeGreaterThan(0);
+    const [start, end] = top.highlights[0];
+    expect(top.snippet.slice(start, end).toLowerCase()).toMatch(/acme|contract/);
+
+    const filtered = await client.get('/search', {
+      params: { q: 'contract', speaker: 'dana', startDate: '2026-10-06', timezone: TIMEZONE }
+    });
+    expect(filtered.data.results.length).toBeGreaterThan(0);
+    expect(filtered.data.results.every(result => result.speaker === 'Dana' && result.date === '2026-10-06')).toBe(true);
+
+    const unstarred = await client.get('/search', { params: { q: 'contract', starred: 'false', timezone: TIMEZONE } });
+    expect(unstarred.data.results.some(result => result.lifelogId === 'll-20261006-followup')).toBe(false);
+
+    const missing = await client.get('/search', { params: { q: ' ' } });
+    expect(missing.status).toBe(400);
+  });
+
+  test('GET /api/lifelogs/:id/related finds similar cached conversations', async () => {
+    const response = await client.get('/lifelogs/ll-20261005-planning/related');
+
+    expect(response.status).toBe(200);
+    expect(response.data.related[0].lifelogId).toBe('ll-20261006-followup');
+    expect(response.data.related[0].sharedTerms.map(shared => shared.term)).toContain('contract');
+
+    const missing = await client.get('/lifelogs/not-a-lifelog/related');
+    expect(missing.status).toBe(404);
+  });
+
+  test('GET /api/action-items lists commitments per day', async () => {
+    const response = await client.get('/action-items', {
+      params: { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data.days.map(day => day.date)).toEqual(['2026-10-05', '2026-10-06']);
+    const [deck] = response.data.days[0].items;
+    expect(deck).toMatchObject({
+      lifelogId: 'll-20261005-planning',
+      owner: 'Dana',
+      task: 'send the revised deck to Marcus',
+      due: 'by Friday'
+    });
+
+    const mine = await client.get('/action-items', { params: { date: '2026-10-05', owner: 'you', timezone: TIMEZONE } });
+    expect(mine.data.days[0].items.map(item => item.task)).toEqual([
+      'check with finance and get back to you',
+      'book them after work'
+    ]);
+
+    const exported = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE });
+    expect(exported.data.content).toContain('## Action Items');
+    expect(exported.data.content).toContain('- [ ] **Dana** → You: send the revised deck to Marcus (due by Friday)');
+  });
+
+  test('GET /api/date-mentions resolves mentions and exports them as iCalendar', async () => {
+    const response = await client.get('/date-mentions', { params: { date: '2026-10-05', timezone: TIMEZONE } });
+
+    expect(response.status).toBe(200);
+    const mentions = response.data.days[0].mentions;
+    expect(mentions.find(mention => mention.mention === 'next Tuesday at 3pm')).toMatchObject({
+      lifelogId: 'll-20261005-planning',
+      kind: 'event',
+      date: '2026-10-13',
+      start: '2026-10-13T20:00:00.000Z'
+    });
+    expect(mentions.find(mention => mention.summary === 'Dana: send the revised deck to Marcus')).toMatchObject({
+      kind: 'deadline',
+      date: '2026-10-09'
+    });
+
+    const deadlines = await client.get('/date-mentions', { params: { date: '2026-10-05', kind: 'deadline', timezone: TIMEZONE } });
+    expect(deadlines.data.days[0].mentions.every(mention => mention.kind === 'deadline')).toBe(true);
+
+    const calendar = await client.get('/date-mentions/calendar.ics', { params: { date: '2026-10-05', timezone: TIMEZONE } });
+    expect(calendar.status).toBe(200);
+    expect(calendar.headers['content-type']).toContain('text/calendar');
+    expect(calendar.data).toContain('DTSTART:20261013T200000Z');
+    expect(calendar.data.match(/BEGIN:VEVENT/g)).toHaveLength(response.data.total);
+
+    const invalid = await client.get('/date-mentions', { params: { date: '2026-10-05', kind: 'meeting' } });
+    expect(invalid.status).toBe(400);
+  });
+  test('GET /api/decisions returns a decision log across days and exports it as Markdown', async () => {
+    const params = { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE };
+    const response = await client.get('/decisions', { params });
+
+    expect(response.status).toBe(200);
+    expect(response.data.decisions.map(decision => [decision.date, decision.decision])).toEqual([
+      ['2026-10-05', 'Go with the two-year term'],
+      ['2026-10-06', 'Marcus signed off on the Acme Corp contract this morning'],
+      ['2026-10-06', 'The renewal clause question is settled'],
+      ['2026-10-06', 'The two-year term is final']
+    ]);
+    expect(response.data.decisions[0]).toMatchObject({
+      lifelogId: 'll-20261005-planning',
+      decidedBy: 'You',
+      confirmedBy: ['Dana']
+    });
+
+    const followUp = await client.get('/decisions', { params: { ...params, participant: 'speaker 1' } });
+    expect(followUp.data.decisions.every(decision => decision.lifelogId === 'll-20261006-followup')).toBe(true);
+    expect(followUp.data.total).toBe(3);
+
+    const exported = await client.get('/decisions/export.md', { params });
+    expect(exported.status).toBe(200);
+    expect(exported.headers['content-type']).toContain('text/markdown');
+    expect(exported.headers['content-disposition']).toContain('decisions_2026-10-05_2026-10-06.md');
+    expect(exported.data).toContain('### Go with the two-year term');
+    expect(exported.data).toContain('- **Decided by:** You (confirmed by Dana)');
+
+    const invalid = await client.get('/decisions', { params: { startDate: '2026-10-06', endDate: '2026-10-05' } });
+    expect(invalid.status).toBe(400);
+  });
+  test('GET /api/open-questions follows unanswered questions across days', async () => {
+    const response = await client.get('/open-questions', {
+      params: { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toMatchObject({ open: 2, resolved: 1 });
+    const conference = response.data.questions.find(question => question.question === 'What time does the conference start on Monday?');
+    expect(conference).toMatchObject({
+      lifelogId: 'll-20261005-sam',
+      askedBy: 'Sam',
+      reason: 'acknowledged',
+      status: 'resolved',
+      resolution: { lifelogId: 'll-20261006-followup', date: '2026-10-06' }
+    });
+
+    const open = await client.get('/open-questions', {
+      params: { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE, status: 'open' }
+    });
+    expect(open.data.questions.every(question => question.status === 'open')).toBe(true);
+
+    const invalid = await client.get('/open-questions', { params: { date: '2026-10-05', status: 'closed' } });
+    expect(invalid.status).toBe(400);
+
+    const exported = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE, includeOpenThreads: true });
+    expect(exported.data.content).toContain('## Open Threads');
+    expect(exported.data.content).toContain('What time does the conference start on Monday?');
+    expect(exported.data.openQuestions).toHaveLength(3);
+
+    const plain = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE });
+    expect(plain.data.content).not.toContain('## Open Threads');
+  });
+
+  test('Open Threads carry questions still open from cached earlier days', async () => {
+    await client.get('/lifelogs/2026-10-05', { params: { timezone: TIMEZONE } });
+    const exported = await client.post('/consolidated-export', { date: '2026-10-06', timezone: TIMEZONE, includeOpenThreads: true });
+
+    expect(exported.status).toBe(200);
+    const carried = exported.data.openQuestions.find(question => question.question.startsWith('Did you ever hear back from the hotel'));
+    expect(carried).toMatchObject({ date: '2026-10-05', status: 'open', daysOpen: 1 });
+    expect(exported.data.content).toContain('Denver trip? — _Evening call with Sam_ (put off: "Not yet, I\'m still waiting on the hotel to confirm the dates.", open 1 day)');
+  });
+
+  test('GET /api/entities counts mentions over time using the editable gazetteer', async () => {
+    const params = { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE };
+    const response = await client.get('/entities', { params });
+
+    expect(response.status).toBe(200);
+    expect(response.data.entities.find(entity => entity.name === 'Acme Corp')).toEqual({
+      name: 'Acme Corp',
+      type: 'organization',
+      total: 2,
+      lifelogCount: 2,
+      timeline: [{ date: '2026-10-05', count: 1 }, { date: '2026-10-06', count: 1 }]
+    });
+
+    const created = await client.post('/entities/gazetteer', { name: 'Thai place', type: 'place' });
+    expect(created.status).toBe(201);
+    const places = await client.get('/entities', { params: { ...params, type: 'place' } });
+    expect(places.data.entities.map(entity => entity.name)).toContain('Thai place');
+    expect(places.data.entities.every(entity => entity.type === 'place')).toBe(true);
+
+    const exported = await client.post('/multi-file-export', { date: '2026-10-05', timezone: TIMEZONE, maxTokens: 200 });
+    expect(exported.data.files[0].entities).toEqual(expect.any(Array));
+    expect(exported.data.indexFile.content).toContain('## Entities');
+    expect(exported.data.indexFile.content).toContain('- **Organizations:** Acme Corp (1)');
+    expect(exported.data.indexFile.content).toContain('Thai place');
+
+    const listed = await client.get('/entities/gazetteer');
+    expect(listed.data.entries.map(entry => entry.name)).toEqual(['Thai place']);
+    expect((await client.delete(`/entities/gazetteer/${created.data.entry.id}`)).status).toBe(200);
+    expect((await client.delete(`/entities/gazetteer/${created.data.entry.id}`)).status).toBe(404);
+
+    expect((await client.post('/entities/gazetteer', { name: 'Orbit', type: 'gadget' })).status).toBe(400);
+    expect((await client.get('/entities', { params: { ...params, type: 'animal' } })).status).toBe(400);
+  });
+
+  test('topic taxonomy CRUD drives consolidated export tagging and priority', async () => {
+    const section = (content, title) => {
+      const position = content.indexOf(title);
+      return ['## Key Activities', '## Regular Activities', '## Background Activities']
+        .filter(heading => content.lastIndexOf(heading, position) !== -1)
+        .sort((a, b) => content.lastIndexOf(b, position) - content.lastIndexOf(a, position))[0];
+    };
+
+    const before = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE });
+    expect(section(before.data.content, '## Lunch order')).toBe('## Regular Activities');
+    expect(before.data.topics).not.toContain('takeout');
+
+    const defaults = await client.get('/topics/taxonomy');
+    expect(defaults.data.topics.map(topic => topic.name)).toContain('work');
+
+    const created = await client.post('/topics/taxonomy', { name: 'takeout', phrases: ['Thai place'], keywords: ['curry'], weight: 3 });
+    expect(created.status).toBe(201);
+
+    const lunchKeywords = response => response.data.ranking
+      .find(entry => entry.title === 'Lunch order').factors
+      .find(factor => factor.name === 'keywords');
+
+    const after = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE });
+    expect(after.data.topics).toContain('takeout');
+    expect(lunchKeywords(after).detail).toContain('takeout (3)');
+    expect(lunchKeywords(after).points).toBeGreaterThan(lunchKeywords(before).points);
+
+    const updated = await client.put(`/topics/taxonomy/${created.data.topic.id}`, { weight: 1 });
+    expect(updated.data.topic).toMatchObject({ name: 'takeout', weight: 1, phrases: ['thai place'] });
+    const tagged = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE });
+    expect(lunchKeywords(tagged).points).toBeLessThan(lunchKeywords(after).points);
+    expect(section(tagged.data.content, '## Lunch order')).toBe('## Regular Activities');
+
+    expect((await client.post('/topics/taxonomy', { name: 'Broken', regexes: ['(unclosed'] })).status).toBe(400);
+    expect((await client.put('/topics/taxonomy/missing', { weight: 2 })).status).toBe(404);
+    expect((await client.delete(`/topics/taxonomy/${created.data.topic.id}`)).status).toBe(200);
+    expect((await client.delete(`/topics/taxonomy/${created.data.topic.id}`)).status).toBe(404);
+
+    await client.delete('/topics/taxonomy/work');
+    const reset = await client.post('/topics/taxonomy/reset');
+    expect(reset.data.topics).toEqual(defaults.data.topics);
+  });
+
+  test('per-day exports summarize with the account taxonomy', async () => {
+    const body = { date: '2026-10-05', timezone: TIMEZONE, summarizeLevel: 'high', outputFormat: 'text' };
+    const lunch = output => output.split('\n[').find(entry => entry.includes('## Lunch order'));
+
+    const before = await client.post('/process', body);
+    expect(lunch(before.data.output)).toContain('I will order at noon');
+
+    const created = await client.post('/topics/taxonomy', { name: 'takeout', phrases: ['Thai place'], keywords: ['curry'], weight: 3 });
+    const after = await client.post('/process', body);
+    await client.delete(`/topics/taxonomy/${created.data.topic.id}`);
+
+    // Only sentences about a weight-3 topic survive a high summary
+    expect(lunch(after.data.output)).toContain('The green curry');
+    expect(lunch(after.data.output)).not.toContain('I will order at noon');
+  });
+
+  test('GET /api/topics/clusters finds themes and consolidated exports can group by them', async () => {
+    const params = { startDate: '2026-10-05', endDate: '2026-10-06', timezone: TIMEZONE, k: 4 };
+    const response = await client.get('/topics/clusters', { params });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toMatchObject({ k: 4, lifelogCount: 5 });
+    const contract = response.data.clusters[0];
+    expect(contract.members.map(member => member.lifelogId).sort()).toEqual(['ll-20261005-planning', 'll-20261006-followup']);
+    expect(contract.label).toContain('contract');
+    expect(contract.trend).toEqual([{ date: '2026-10-05', count: 1 }, { date: '2026-10-06', count: 1 }]);
+
+    const exported = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE, groupBy: 'cluster', clusterCount: 3 });
+    expect(exported.status).toBe(200);
+    expect(exported.data.clusters).toHaveLength(3);
+    expect(exported.data.content).toContain('## Theme: ');
+    expect(exported.data.content).not.toContain('## Key Activities');
+    expect(exported.data.content).toContain('Weekly planning with Dana');
+    expect(exported.data.metadata.settings.groupBy).toBe('cluster');
+
+    expect((await client.get('/topics/clusters', { params: { ...params, k: 0 } })).status).toBe(400);
+    expect((await client.post('/consolidated-export', { date: '2026-10-05', groupBy: 'alphabet' })).status).toBe(400);
+  });
+
+  test('POST /api/process removes repeated passages when dedupe is set', async () => {
+    const plain = await client.post('/process', { date: '2026-10-06', timezone: TIMEZONE });
+    const response = await client.post('/process', { date: '2026-10-06', timezone: TIMEZONE, dedupe: true });
+
+    expect(response.status).toBe(200);
+    expect(plain.data.metadata.deduplication).toBeUndefined();
+    const { deduplication } = response.data.metadata;
+    expect(deduplication).toMatchObject({ lifelogsRemoved: 0, utterancesRemoved: 2 });
+    expect(deduplication.removedSpans[0]).toMatchObject({
+      kind: 'utterance',
+      lifelogId: 'll-20261006-podcast',
+      startTime: '2026-10-06T19:00:50.000Z',
+      duplicateOf: { startTime: '2026-10-06T19:00:02.000Z' }
+    });
+    expect(deduplication.tokensSaved).toBeGreaterThan(0);
+    expect(response.data.output.split('Welcome back to the show')).toHaveLength(2);
+    expect(plain.data.output.split('Welcome back to the show')).toHaveLength(3);
+    expect(response.data.metadata.settings.dedupe).toBe(true);
+  });
+
+  test('consolidated exports rank entries by importance and explain each score', async () => {
+    const response = await client.post('/consolidated-export', { date: '2026-10-05', timezone: TIMEZONE });
+
+    expect(response.status).toBe(200);
+    const { ranking } = response.data;
+    expect(ranking.map(entry => entry.rank)).toEqual([1, 2, 3]);
+    expect(ranking[0]).toMatchObject({ lifelogId: 'll-20261005-planning', priority: 'high', included: true });
+    ranking.slice(1).forEach((entry, index) => expect(entry.score).toBeLessThanOrEqual(ranking[index].score));
+
+    const factors = ranking[0].factors;
+    expect(factors.map(factor => factor.name)).toEqual(['starred', 'duration', 'speakers', 'keywords', 'entities', 'recency']);
+    expect(factors.find(factor => factor.name === 'starred').points).toBe(20);
+    expect(factors.find(factor => factor.name === 'entities').detail).toContain('Acme');
+    expect(ranking[0].score).toBeCloseTo(factors.reduce((sum, factor) => sum + factor.points, 0), 1);
+  });
+});
@@ -0,0 +1,65 @@
+const SimilarityIndex = require('../src/services/SimilarityIndex');
+
+const lifelog = (id, title, lines, startTime = '2026-10-05T14:00:00.000Z') => ({
+  id,
+  title,
+  startTime,
+  markdown: [`# ${title}`, '', ...lines.map(line => `- Dana: ${line}`)].join('\n')
+});
+
+const lifelogs = [
+  lifelog('contract-1', 'Vendor contract review', [
+    'The Acme contract renewal clause needs a shorter notice period.',
+    'Legal wants the renewal terms in writing.'
+  ]),
+  lifelog('contract-2', 'Contract follow-up', [
+    'Acme signed the contract with the new renewal clause.',
+    'The notice period is now sixty days.'
+  ]),
+  lifelog('trip', 'Denver trip', [
+    'We should book flights to Denver before prices go up.',
+    'The hotel has not confirmed the dates yet.'
+  ])
+];
+
+const fakeCache = (entries) => ({
+  revision: 1,
+  getAllLifelogs: jest.fn(async () => entries)
+});
+
+describe('SimilarityIndex', () => {
+  test('ranks conversations that share distinctive terms', async () => {
+    const index = new SimilarityIndex(fakeCache(lifelogs));
+    const related = await index.related('contract-1');
+
+    expect(related.map(result => result.lifelogId)).toEqual(['contract-2']);
+    expect(related[0].similarity).toBeGreaterThan(0.2);
+    expect(related[0].similarity).toBeLessThanOrEqual(1);
+    expect(related[0].sharedTerms.map(shared => shared.term)).toEqual(
+      expect.arrayContaining(['acme', 'contract', 'renewal', 'notice'])
+    );
+  });
+
+  test('reports shared terms as they are written, not as stems', async () => {
+    const index = new SimilarityIndex(fakeCache([
+      lifelog('a', 'Planning', ['Planning the budget meetings']),
+      lifelog('b', 'Recap', ['Two meetings about planning'])
+    ]));
+    const [result] = await index.related('a');
+
+    expect(result.sharedTerms.map(shared => shared.term).sort()).toEqual(['meetings', 'planning']);
+  });
+
+  test('honors limit and minimum similarity', async () => {
+    const index = new SimilarityIndex(fakeCache(lifelogs));
+
+    expect(await index.related('contract-1', { minSimilarity: 0 })).toHaveLength(2);
+    expect(await index.related('contract-1', { minSimilarity: 0, limit: 1 })).toHaveLength(1);
+    expect(await index.related('contract-1', { minSimilarity: 0.99 })).toEqual([]);
+  });
+
+  test('returns null for lifelogs that are not cached', async () => {
+    const index = new SimilarityIndex(fakeCache(lifelogs));
+    expect(await index.related('missing')).toBeNull();
+  });
+});
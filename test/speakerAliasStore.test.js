@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SpeakerAliasStore = require('../src/services/SpeakerAliasStore');
+
+const lifelog = (id, startTime) => ({
+  id,
+  startTime,
+  markdown: '## Standup\n\n- Speaker 1 (10/3/26 9:00 AM): Morning all.\n\n- dana  s. (10/3/26 9:01 AM): Morning.',
+  contents: [
+    { type: 'blockquote', content: 'Morning all.', speakerName: 'Speaker 1' },
+    { type: 'blockquote', content: 'Morning.', speakerName: 'dana  s.' }
+  ]
+});
+
+describe('SpeakerAliasStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-aliases-'));
+    store = new SpeakerAliasStore({ filePath: path.join(directory, 'aliases.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('prefers date-scoped rules over global ones', async () => {
+    await store.addAliases({ from: 'Speaker 1', to: 'Marcus' });
+    await store.addAliases({ from: 'Speaker 1', to: 'Dana', date: '2026-10-03' });
+
+    const resolve = await store.createResolver();
+    expect(resolve('speaker 1', { date: '2026-10-03' })).toBe('Dana');
+    expect(resolve('Speaker 1', { date: '2026-10-04' })).toBe('Marcus');
+    expect(resolve('Speaker 3', { date: '2026-10-03' })).toBe('Speaker 3');
+  });
+
+  test('merges spellings and rewrites contents and markdown', async () => {
+    await store.addAliases({ from: ['Dana S.', 'Speaker 1'], to: 'Dana' });
+
+    const [renamed] = await store.applyToLifelogs([lifelog('a', '2026-10-03T14:00:00Z')], 'UTC');
+    expect(renamed.contents.map(node => node.speakerName)).toEqual(['Dana', 'Dana']);
+    expect(renamed.contents[0].rawSpeakerName).toBe('Speaker 1');
+    expect(renamed.markdown).toContain('- Dana (10/3/26 9:00 AM): Morning all.');
+    expect(renamed.markdown).toContain('- Dana (10/3/26 9:01 AM): Morning.');
+    expect(await store.listPeople()).toEqual([{ name: 'Dana', aliases: ['Dana S.', 'Speaker 1'] }]);
+  });
+
+  test('persists rules and rejects incomplete ones', async () => {
+    const [rule] = await store.addAliases({ from: 'Unknown', to: 'Marcus', lifelogId: 'a' });
+
+    const reloaded = new SpeakerAliasStore({ filePath: path.join(directory, 'aliases.json') });
+    expect(await reloaded.listAliases()).toEqual([rule]);
+    expect(await reloaded.removeAlias(rule.id)).toBe(true);
+    expect(store.validateAlias({ from: '', to: 'Dana', date: '10/3' })).toHaveLength(2);
+  });
+});
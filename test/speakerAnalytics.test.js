@@ -0,0 +1,57 @@
+const SpeakerAnalytics = require('../src/services/SpeakerAnalytics');
+
+const utterance = (speakerName, content, start, end) => ({
+  type: 'blockquote',
+  content,
+  speakerName,
+  speakerIdentifier: speakerName === 'You' ? 'user' : null,
+  startTime: `2026-10-05T14:00:${start}Z`,
+  endTime: `2026-10-05T14:00:${end}Z`
+});
+
+const meeting = {
+  id: 'meeting',
+  title: 'Planning',
+  startTime: '2026-10-05T14:00:00Z',
+  contents: [
+    { type: 'heading2', content: 'Agenda' },
+    utterance('You', 'Let us start with the budget', '00', '10'),
+    utterance('You', 'and then hiring', '10', '20'),
+    utterance('Dana', 'Sounds good', '20', '30')
+  ]
+};
+
+describe('SpeakerAnalytics', () => {
+  const analytics = new SpeakerAnalytics();
+
+  test('reports talk time, shares and monologues per speaker', () => {
+    const { totals, speakers, longestMonologues } = analytics.analyze([meeting]);
+
+    expect(totals).toMatchObject({ conversations: 1, utterances: 3, words: 11, talkTimeMs: 30000, estimated: false });
+    expect(speakers.map(speaker => [speaker.name, speaker.share, speaker.wordCount])).toEqual([
+      ['You', 0.6667, 9],
+      ['Dana', 0.3333, 2]
+    ]);
+    expect(speakers[0]).toMatchObject({ isUser: true, utteranceCount: 2, conversationCount: 1 });
+    expect(longestMonologues[0]).toMatchObject({ speaker: 'You', durationMs: 20000, utterances: 2, heading: 'Agenda' });
+  });
+
+  test('estimates talk time from words when utterances have no timing', () => {
+    const { totals, speakers } = analytics.analyze([
+      { id: 'imported', markdown: '- You: one two three four five\n- Dana: one two three four five' }
+    ]);
+
+    expect(totals.estimated).toBe(true);
+    expect(speakers.map(speaker => speaker.talkTimeMs)).toEqual([2000, 2000]);
+  });
+
+  test('breaks a range down per day', () => {
+    const result = analytics.analyzeDays([
+      { date: '2026-10-05', lifelogs: [meeting] },
+      { date: '2026-10-06', lifelogs: [] }
+    ]);
+
+    expect(result.totals.conversations).toBe(1);
+    expect(result.days.map(day => day.speakers.length)).toEqual([2, 0]);
+  });
+});
@@ -12,4 +12,121 @@ describe('TokenOptimizer', () => {
     const topics = optimizer.extractTopicsFromText('## Work\nDiscuss project');
     expect(topics).toContain('Work');
   });
+
+  test('optimizeStream matches optimizeForChatGPT across pages', async () => {
+    const optimizer = new TokenOptimizer();
+    const lifelogs = [
+      { id: 'a', title: 'Standup', markdown: '- You: shipping today', startTime: '2026-10-05T14:00:00Z', endTime: '2026-10-05T14:10:00Z', isStarred: true },
+      { id: 'b', title: 'Lunch', markdown: '- Sam: tacos again', startTime: '2026-10-05T17:00:00Z', endTime: '2026-10-05T17:30:00Z' }
+    ];
+
+    async function* pages() {
+      yield { lifelogs: [lifelogs[0]], truncated: false };
+      yield { lifelogs: [lifelogs[1]], truncated: false };
+    }
+
+    const streamed = await optimizer.optimizeStream(pages());
+    expect(streamed).toEqual(await optimizer.optimizeForChatGPT(lifelogs));
+    expect(streamed.metadata.totalEntries).toBe(2);
+  });
+
+  test('dedupe drops repeated utterances and lifelogs and reports what was removed', () => {
+    const optimizer = new TokenOptimizer();
+    const line = 'Welcome back to the show, today we are talking about sleep and productivity.';
+    const podcast = { id: 'a', title: 'Podcast', markdown: `- Unknown: ${line}\n\n- Unknown: Most adults need seven to nine hours of sleep.\n\n- Unknown: ${line}` };
+    const options = { includeTimestamps: false, includeSpeakers: true, dedupe: true };
+
+    const cleaned = optimizer.extractAndCleanContent([podcast, { ...podcast, id: 'b' }], options);
+    expect(cleaned.fullText.split(line)).toHaveLength(2);
+    expect(cleaned.fullText).toContain('seven to nine hours');
+
+    const { deduplication } = cleaned.metadata;
+    expect(deduplication).toMatchObject({ lifelogsRemoved: 1, utterancesRemoved: 1 });
+    expect(cleaned.metadata.totalEntries).toBe(1);
+    expect(deduplication.removedSpans.map(span => [span.kind, span.lifelogId])).toEqual([['utterance', 'a'], ['lifelog', 'b']]);
+    expect(deduplication.removedSpans[0]).toMatchObject({ text: line, similarity: 1, duplicateOf: { lifelogId: 'a', text: line } });
+    expect(deduplication.tokensSaved).toBe(deduplication.removedSpans.reduce((sum, span) => sum + span.tokens, 0));
+
+    expect(optimizer.extractAndCleanContent([podcast], { ...options, dedupe: false }).metadata.deduplication).toBeUndefined();
+  });
+
+  test('conversation chunking leaves out deduplicated utterances and applies summarizeLevel', async () => {
+    const optimizer = new TokenOptimizer();
+    const line = 'Welcome back to the show, today we are talking about sleep and productivity.';
+    const podcast = {
+      id: 'a',
+      title: 'Podcast',
+      startTime: '2026-10-06T14:00:00Z',
+      endTime: '2026-10-06T14:30:00Z',
+      markdown: `- Unknown: ${line}\n- Unknown: Most adults need seven to nine hours of sleep.\n- Unknown: The weather was lovely all afternoon by the lake.\n- Unknown: ${line}`
+    };
+    const options = { includeTimestamps: false, includeSpeakers: true, keepTranscripts: true, dedupe: true };
+    const cleaned = optimizer.extractAndCleanContent([podcast], options);
+    expect(cleaned.metadata.deduplication.utterancesRemoved).toBe(1);
+
+    const chunked = await optimizer.conversationChunking(cleaned, 8000, options);
+    const content = chunked.chunks.map(chunk => chunk.content).join('\n');
+    expect(content.split(line)).toHaveLength(2);
+    expect(content).toContain('seven to nine hours');
+
+    const summarized = await optimizer.conversationChunking(cleaned, 8000, { ...options, summarizeLevel: 'high' });
+    expect(content).toContain('The weather was lovely');
+    const body = content.replace('## Podcast\n\n', '');
+    expect(summarized.chunks[0].content).toBe(`## Podcast\n\n${optimizer.aggressiveSummarize(body, true)}`.trim());
+    expect(summarized.chunks[0].content).not.toBe(content);
+  });
+
+  test('formatAsMarkdown appends extracted action items', async () => {
+    const optimizer = new TokenOptimizer();
+    const optimized = await optimizer.optimizeForChatGPT([
+      { id: 'a', title: 'Standup', markdown: "- You: I'll ship the release notes tomorrow.\n- Sam: Thanks!", startTime: '2026-10-05T14:00:00Z' }
+    ]);
+
+    expect(optimized.actionItems).toHaveLength(1);
+    expect(optimizer.formatAsMarkdown(optimized)).toContain(
+      '## Action Items\n\n- [ ] **You** → Sam: ship the release notes (due tomorrow) — _Standup_'
+    );
+  });
+
+  test('consolidated export keeps Action Items and Open Threads within maxTokens', async () => {
+    const optimizer = new TokenOptimizer();
+    const lifelogs = Array.from({ length: 6 }, (value, index) => ({
+      id: `ll-${index}`,
+      title: `Planning ${index}`,
+      startTime: `2026-10-05T1${index}:00:00Z`,
+      endTime: `2026-10-05T1${index}:30:00Z`,
+      markdown: [
+        `- You: I'll send the budget draft for project ${index} tomorrow.`,
+        `- Sam: When does the vendor contract for project ${index} renew?`,
+        '- You: Let me check.',
+        `- Sam: The roadmap for project ${index} covers hiring, the office move and the quarterly review with the board.`
+      ].join('\n')
+    }));
+    const maxTokens = 400;
+
+    const exported = await optimizer.createConsolidatedExport(lifelogs, { maxTokens, includeOpenThreads: true });
+    expect(exported.actionItems.length).toBeGreaterThan(0);
+    expect(exported.openQuestions.length).toBeGreaterThan(0);
+    expect(exported.content).toContain('## Action Items');
+    expect(exported.content).toContain('## Open Threads');
+    expect(exported.content).toMatch(/^- …and \d+ more$/m);
+    expect(exported.ranking.some(entry => !entry.included)).toBe(true);
+    expect(exported.tokenCount).toBeLessThanOrEqual(maxTokens);
+  });
+
+  test('groups and summarizes with a custom topic taxonomy', () => {
+    const optimizer = new TokenOptimizer();
+    const taxonomy = [{ name: 'Series B', phrases: ['series b'], keywords: ['investor'], weight: 3 }];
+    const lifelog = { id: 'a', title: 'Coffee', markdown: 'Caught up with an investor about the Series B.', startTime: '2026-10-05T14:00:00Z' };
+
+    expect(optimizer.groupByTopicsAndImportance([lifelog]).lowPriority).toHaveLength(1);
+    const grouped = optimizer.groupByTopicsAndImportance([lifelog], { taxonomy });
+    expect(grouped.mediumPriority[0]).toMatchObject({ topics: ['Series B'], priority: 'medium' });
+    expect(grouped.mediumPriority[0].importance.factors.find(factor => factor.name === 'keywords'))
+      .toMatchObject({ value: 3, points: 12.5, detail: 'Series B (3)' });
+
+    const custom = optimizer.taxonomyFor({ taxonomy });
+    const content = 'The weather was lovely all afternoon by the lake. The investor wants the Series B deck by Friday.';
+    expect(optimizer.aggressiveSummarize(content, true, custom)).toBe(' The investor wants the Series B deck by Friday.');
+  });
 });
@@ -0,0 +1,38 @@
+const TopicClusterer = require('../src/services/TopicClusterer');
+const { markdownLifelog: lifelog } = require('./helpers/fixtures');
+
+describe('TopicClusterer', () => {
+  const lifelogs = [
+    lifelog('a', '2026-10-05T14:00:00Z', 'Series B prep', ['Dana: The investor deck needs the revenue chart.', 'You: I will update the investor deck tonight.']),
+    lifelog('b', '2026-10-06T14:00:00Z', 'Investor call', ['Marcus: The lead investor wants the deck by Friday.', 'You: The revenue chart is in the deck now.']),
+    lifelog('c', '2026-10-05T23:00:00Z', 'Kitchen remodel', ['Sam: The contractor can start the kitchen cabinets next week.', 'You: Ask the contractor about tile for the kitchen.']),
+    lifelog('d', '2026-10-07T23:00:00Z', 'Contractor visit', ['Sam: The contractor measured the kitchen for the new cabinets.']),
+    { id: 'e', title: '', markdown: '- Unknown: Um.', startTime: '2026-10-07T12:00:00Z' }
+  ];
+
+  test('groups lifelogs that share terms and labels them with common terms', () => {
+    const result = new TopicClusterer().cluster(lifelogs, { k: 2, dates: ['2026-10-05', '2026-10-06', '2026-10-07'] });
+
+    expect(result.k).toBe(2);
+    const [kitchen, investor] = result.clusters;
+    expect(investor.members.map(member => member.lifelogId).sort()).toEqual(['a', 'b']);
+    expect(kitchen.members.map(member => member.lifelogId).sort()).toEqual(['c', 'd']);
+    expect(investor.label).toMatch(/investor|deck/);
+    expect(kitchen.label).toMatch(/kitchen|contractor/);
+    expect(kitchen.trend).toEqual([
+      { date: '2026-10-05', count: 1 },
+      { date: '2026-10-06', count: 0 },
+      { date: '2026-10-07', count: 1 }
+    ]);
+    expect(result.unclustered).toEqual([{ lifelogId: 'e', title: 'Untitled' }]);
+  });
+
+  test('is deterministic and picks k from the number of lifelogs', () => {
+    const clusterer = new TopicClusterer();
+    const first = clusterer.cluster(lifelogs);
+
+    expect(first.k).toBe(2);
+    expect(clusterer.cluster([...lifelogs])).toEqual(first);
+    expect(clusterer.cluster([], { k: 3 })).toEqual({ k: 0, clusters: [], unclustered: [] });
+  });
+});
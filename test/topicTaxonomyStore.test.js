@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TopicTaxonomyStore = require('../src/services/TopicTaxonomyStore');
+const TopicTaxonomy = require('../src/services/TopicTaxonomy');
+
+describe('TopicTaxonomyStore', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lifelog-taxonomy-'));
+    filePath = path.join(directory, 'taxonomy.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('starts from the default topics and restores them on reset', async () => {
+    const store = new TopicTaxonomyStore({ filePath });
+    const defaults = await store.listTopics();
+
+    expect(defaults).toHaveLength(TopicTaxonomy.DEFAULT_TOPICS.length);
+    expect(defaults[0].weight).toBe(3);
+
+    await store.removeTopic('work');
+    expect((await store.listTopics()).map(topic => topic.id)).not.toContain('work');
+    expect(await store.resetTopics()).toEqual(defaults);
+  });
+
+  test('adds, updates and persists topics', async () => {
+    const store = new TopicTaxonomyStore({ filePath });
+    const first = await store.addTopic({ name: 'Series  B', phrases: ['Series B', 'series  b'], weight: 3 });
+    const second = await store.addTopic({ name: 'series b', keywords: ['Investor'], regexes: ['\\$\\d+m\\b'], weight: 4 });
+
+    expect(second.id).toBe(first.id);
+    expect(second).toMatchObject({ name: 'series b', keywords: ['investor'], phrases: [], regexes: ['\\$\\d+m\\b'], weight: 4 });
+
+    const reloaded = new TopicTaxonomyStore({ filePath });
+    const updated = await reloaded.updateTopic(first.id, { phrases: ['term sheet'] });
+    expect(updated).toMatchObject({ name: 'series b', keywords: ['investor'], phrases: ['term sheet'], weight: 4 });
+    expect(await reloaded.updateTopic('missing', { weight: 1 })).toBeNull();
+    await expect(reloaded.updateTopic(first.id, { name: 'Work' })).rejects.toThrow('a topic named "Work" already exists');
+  });
+
+  test('validates names, weights, terms and regexes', () => {
+    const store = new TopicTaxonomyStore({ filePath });
+
+    expect(store.validateTopic({ name: 'Kitchen remodel', phrases: ['kitchen remodel'], weight: 2 })).toEqual([]);
+    expect(store.validateTopic({ name: ' ', weight: 11, keywords: 'tile', regexes: ['(open'] })).toEqual([
+      'name is required',
+      'weight must be a number from 0 to 10',
+      'keywords must be a list of strings',
+      expect.stringMatching(/^regex "\(open" is invalid/)
+    ]);
+    expect(store.validateTopic({ name: 'Empty', phrases: [' '] })).toEqual(['at least one keyword, phrase or regex is required']);
+  });
+
+  test('rejects regexes that are too long or repeat a repeating group', () => {
+    const store = new TopicTaxonomyStore({ filePath });
+
+    expect(store.validateTopic({ name: 'Slow', regexes: ['(a+)+$', '((ab)*c)+', '(\\w+\\s?){2,}'] })).toEqual([
+      'regex "(a+)+$" repeats a group that already repeats; use keywords or phrases instead',
+      'regex "((ab)*c)+" repeats a group that already repeats; use keywords or phrases instead',
+      'regex "(\\w+\\s?){2,}" repeats a group that already repeats; use keywords or phrases instead'
+    ]);
+    expect(store.validateTopic({ name: 'Long', regexes: ['a'.repeat(101)] })).toEqual([
+      'regex "aaaaaaaaaaaaaaaaaaaa…" is longer than 100 characters'
+    ]);
+    expect(store.validateTopic({ name: 'Fine', regexes: ['(?:series )?[ab]+ round', '\\$\\d+m\\b', '(q[1-4])\\+'] })).toEqual([]);
+  });
+});
+
+describe('TopicTaxonomy', () => {
+  test('matches whole keywords, phrases and regexes and sums weights', () => {
+    const taxonomy = new TopicTaxonomy({
+      topics: [
+        { name: 'Series B', keywords: ['investor'], phrases: ['term sheet'], regexes: ['\\$\\d+m\\b'], weight: 3 },
+        { name: 'kitchen remodel', phrases: ['kitchen remodel'], keywords: ['tile'], weight: 1 }
+      ]
+    });
+
+    expect(taxonomy.match('Two investors sent a Term  Sheet for $20M.')).toEqual([
+      { name: 'Series B', weight: 3, terms: ['investor', 'term sheet', '\\$\\d+m\\b'] }
+    ]);
+    expect(taxonomy.tag('Picked tiles for the kitchen remodel')).toEqual(['kitchen remodel']);
+    expect(taxonomy.tag('Stilettos and a sheet of paper')).toEqual([]);
+    expect(taxonomy.score('The investor asked about tile')).toBe(4);
+  });
+});
@@ -0,0 +1,61 @@
+const TranscriptBuilder = require('../src/services/TranscriptBuilder');
+const { lifelogs } = require('../src/mock/fixtures/lifelogs.json');
+
+describe('TranscriptBuilder', () => {
+  const builder = new TranscriptBuilder();
+  const planning = lifelogs.find(lifelog => lifelog.id === 'll-20261005-planning');
+
+  test('builds utterances with speakers, absolute times and headings', () => {
+    const transcript = builder.build(planning);
+    const [first] = transcript.utterances;
+
+    expect(transcript.source).toBe('contents');
+    expect(transcript.headings.map(heading => heading.text)).toEqual([
+      'Weekly planning with Dana',
+      'Vendor contract',
+      'Hiring'
+    ]);
+    expect(first).toMatchObject({
+      id: 'll-20261005-planning:0',
+      type: 'blockquote',
+      speaker: 'You',
+      isUser: true,
+      startTime: '2026-10-05T14:00:02.000Z',
+      endTime: '2026-10-05T14:00:08.000Z',
+      durationMs: 6000,
+      heading: 'Vendor contract',
+      headingPath: ['Weekly planning with Dana', 'Vendor contract']
+    });
+    expect(transcript.utterances[transcript.utterances.length - 1].heading).toBe('Hiring');
+    expect(transcript.speakers.map(speaker => speaker.name)).toEqual(['You', 'Dana', 'Speaker 2']);
+  });
+
+  test('derives times from offsets when nodes have no timestamps', () => {
+    const transcript = builder.build({
+      id: 'offsets',
+      startTime: '2026-10-05T14:00:00Z',
+      contents: [{ type: 'blockquote', content: 'Hello', speakerName: 'Dana', startOffsetMs: 1500, endOffsetMs: 4000 }]
+    });
+
+    expect(transcript.utterances[0]).toMatchObject({
+      startTime: '2026-10-05T14:00:01.500Z',
+      endTime: '2026-10-05T14:00:04.000Z',
+      isUser: false,
+      heading: null
+    });
+  });
+
+  test('falls back to markdown when contents are missing', () => {
+    const transcript = builder.build({ ...planning, contents: undefined });
+
+    expect(transcript.source).toBe('markdown');
+    expect(transcript.utterances).toHaveLength(builder.build(planning).utterances.length);
+    expect(transcript.utterances[1]).toMatchObject({
+      speaker: 'Dana',
+      text: 'Sure. Legal flagged the renewal clause again, they want a shorter notice period.',
+      heading: 'Vendor contract',
+      startTime: null
+    });
+    expect(transcript.speakers[0]).toMatchObject({ name: 'You', isUser: true });
+  });
+});